@@ -23,7 +23,7 @@ const fetchCat = function (wtf, cat, lang, opts) {
     //only allow three requests at a time
     return slow.three(groups, doit).then((responses) => {
       //flatten the results
-      let docs = [].concat.apply([], responses)
+      let docs = [].concat.apply([], responses).filter((doc) => doc)
       return {
         docs: docs,
         categories: resp.categories
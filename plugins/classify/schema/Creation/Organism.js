@@ -116,6 +116,9 @@ module.exports = {
       'distribution and habitat',
       'reproduction and development',
       'taxonomy and phylogeny',
+      // wikispecies
+      'taxonavigation',
+      'vernacular names',
     ],
     patterns: [],
   },
@@ -152,6 +155,9 @@ module.exports = {
       'cladex',
       'birdlife',
       'fossilrange',
+      // wikispecies
+      'taxonav',
+      'vn',
     ],
     patterns: [],
   },
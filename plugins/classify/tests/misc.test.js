@@ -38,3 +38,17 @@ test('classify-test', async function (t) {
   })
   t.end()
 })
+
+test('wikispecies-organism', function (t) {
+  let doc = wtf(`==Taxonavigation==
+{{Taxonav|Balistidae}}
+Genus: ''[[Balistapus]]''
+
+==Name==
+''Balistapus'' Tilesius, 1820
+
+==Vernacular names==
+{{VN|en=Triggerfish}}`)
+  t.equal(doc.classify().type, 'Creation/Organism', 'wikispecies page')
+  t.end()
+})
@@ -0,0 +1,113 @@
+const isBox = /^(?:keydescription|valuedescription)$/
+//'DE:Tag:amenity=restaurant', 'Key:highway'
+const titleReg = /^(?:([a-z]{2,3}(?:-[a-z]+)?):)?(key|tag):([^=]+)(?:=(.*))?$/i
+const elements = ['node', 'way', 'area', 'relation']
+
+//'* amenity=cafe\n* amenity=fast_food' -> ['amenity=cafe', 'amenity=fast_food']
+const toList = function (str) {
+  return (str || '')
+    .split(/[\n,;]/)
+    .map((s) => s.replace(/^[*#\s]+/, '').trim())
+    .filter((s) => s)
+}
+
+const getText = function (box, key) {
+  return box.get(key).text().trim() || null
+}
+
+/**
+ * what a wiki page about an openstreetmap key or tag says about it
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object | null} {key, value, group, appliesTo, status, implies, combination, seeAlso, descriptions}
+ */
+const osmTag = function (doc) {
+  let box = doc.infoboxes().find((ib) => isBox.test(ib.type()))
+  if (!box) {
+    return null
+  }
+  let m = (doc.title() || '').match(titleReg) || []
+  let lang = (getText(box, 'lang') || m[1] || 'en').toLowerCase()
+  let key = getText(box, 'key') || (m[3] ? m[3].trim() : null)
+  let value = null
+  if (box.type() === 'valuedescription') {
+    value = getText(box, 'value') || (m[4] ? m[4].trim() : null)
+  }
+  let descriptions = {}
+  let description = getText(box, 'description')
+  if (description) {
+    descriptions[lang] = description
+  }
+  return {
+    key: key,
+    value: value,
+    tag: key ? `${key}=${value || '*'}` : null,
+    group: getText(box, 'group'),
+    //onNode=yes, onWay=no...
+    appliesTo: elements.filter((k) => /^yes$/i.test(getText(box, 'on' + k) || '')),
+    status: getText(box, 'status'),
+    implies: toList(getText(box, 'implies')),
+    combination: toList(getText(box, 'combination')),
+    seeAlso: toList(getText(box, 'seealso')),
+    descriptions: descriptions,
+    image: getText(box, 'image'),
+    wikidata: getText(box, 'wikidata'),
+  }
+}
+
+//fill-in what the first page didn't say
+const merge = function (a, b) {
+  Object.keys(a).forEach((k) => {
+    if (k === 'descriptions') {
+      a.descriptions = Object.assign({}, b.descriptions, a.descriptions)
+    } else if (a[k] === null || (Array.isArray(a[k]) && a[k].length === 0)) {
+      a[k] = b[k] === undefined ? a[k] : b[k]
+    }
+  })
+  return a
+}
+
+//a key we've only seen the values of, so far
+const emptyKey = function (key) {
+  return {
+    key: key,
+    group: null,
+    appliesTo: [],
+    status: null,
+    implies: [],
+    combination: [],
+    seeAlso: [],
+    descriptions: {},
+    image: null,
+    wikidata: null,
+    values: {},
+  }
+}
+
+/**
+ * a key -> values dictionary, from the key and tag pages of the openstreetmap wiki
+ *
+ * @private
+ * @param {object[]} docs parsed pages
+ * @returns {object} {amenity: {key:'amenity', status, ..., values:{restaurant:{...}}}}
+ */
+const toDictionary = function (docs) {
+  let dict = {}
+  docs.forEach((doc) => {
+    let res = doc.osmTag()
+    if (!res || !res.key) {
+      return
+    }
+    dict[res.key] = dict[res.key] || emptyKey(res.key)
+    let entry = dict[res.key]
+    if (res.value === null) {
+      merge(entry, res)
+      return
+    }
+    entry.values[res.value] = entry.values[res.value] ? merge(entry.values[res.value], res) : res
+  })
+  return dict
+}
+
+module.exports = { osmTag, toDictionary }
@@ -1,16 +1,44 @@
+const { osmTag, toDictionary } = require('./osmTag')
+
 const boxes = {
-  KeyDescription: true,
-  ValueDescription: true,
-  Place: true,
+  keydescription: true,
+  valuedescription: true,
+  place: true,
+}
+
+const templates = {
+  // {{Tag|amenity|restaurant}}, {{Tag|name|:en}}
+  tag: (tmpl, list, parser) => {
+    let obj = parser(tmpl, [])
+    let args = (obj.list || []).slice(0)
+    let key = args.shift() || ''
+    //a ':subkey'
+    if (args[0] && args[0].charAt(0) === ':') {
+      key += args.shift()
+    }
+    let value = args.find((str) => str) || '*'
+    return `${key}=${value}`
+  },
+  // {{Key|highway}}
+  key: (tmpl, list, parser) => {
+    let obj = parser(tmpl, ['key'])
+    return obj.key || ''
+  },
 }
 
-const plugin = (models, templates, infoboxes) => {
+const plugin = (models, _templates, infoboxes) => {
   // add infoboxes
   Object.assign(infoboxes, boxes)
   // add templates
-  // templates.tag = (text, data) => {
-  //   // console.log(data)
-  //   return
-  // }
+  Object.assign(_templates, templates)
+  // the key or tag a wiki page describes
+  models.Doc.prototype.osmTag = function () {
+    return osmTag(this)
+  }
+  // key -> values, from many pages
+  models.wtf.osmDictionary = function (docs) {
+    docs = docs.map((doc) => (typeof doc === 'string' ? models.wtf(doc) : doc))
+    return toDictionary(docs)
+  }
 }
 module.exports = plugin
@@ -0,0 +1,80 @@
+const wtf = require('../../../src')
+wtf.plugin(require('./plugin'))
+const test = require('tape')
+
+const restaurant = `{{ValueDescription
+|key=amenity
+|value=restaurant
+|image=File:Restaurant.jpg
+|description=A restaurant sells full sit-down meals with servers.
+|group=sustenance
+|onNode=yes
+|onWay=no
+|onArea=yes
+|onRelation=no
+|implies=
+|combination=
+* {{Tag|cuisine}}
+* {{Tag|opening_hours}}
+|seeAlso=
+* {{Tag|amenity|fast_food}}
+* {{Tag|amenity|cafe}}
+|status=de facto
+|wikidata=Q11707
+}}
+'''{{Tag|amenity|restaurant}}''' is for restaurants.`
+
+test('tag-templates', (t) => {
+  t.equal(wtf('{{Tag|amenity|restaurant}}').text(), 'amenity=restaurant', 'key and value')
+  t.equal(wtf('{{Tag|cuisine}}').text(), 'cuisine=*', 'any value')
+  t.equal(wtf('{{Tag|name|:en}}').text(), 'name:en=*', 'subkey')
+  t.equal(wtf('{{Key|highway}}').text(), 'highway', 'key')
+  t.end()
+})
+
+test('osmTag', (t) => {
+  let res = wtf(restaurant).osmTag()
+  t.equal(res.key, 'amenity', 'key')
+  t.equal(res.value, 'restaurant', 'value')
+  t.equal(res.tag, 'amenity=restaurant', 'tag')
+  t.equal(res.group, 'sustenance', 'group')
+  t.deepEqual(res.appliesTo, ['node', 'area'], 'applies to')
+  t.equal(res.status, 'de facto', 'status')
+  t.deepEqual(res.implies, [], 'implies')
+  t.deepEqual(res.combination, ['cuisine=*', 'opening_hours=*'], 'combination')
+  t.deepEqual(res.seeAlso, ['amenity=fast_food', 'amenity=cafe'], 'see also')
+  t.deepEqual(res.descriptions, { en: 'A restaurant sells full sit-down meals with servers.' }, 'description')
+  t.equal(res.wikidata, 'Q11707', 'wikidata')
+
+  res = wtf(`{{KeyDescription|key=highway|onWay=yes|status=de facto|description=Eine Straße.}}`, {
+    title: 'DE:Key:highway',
+  }).osmTag()
+  t.equal(res.value, null, 'key page')
+  t.equal(res.tag, 'highway=*', 'key tag')
+  t.deepEqual(res.descriptions, { de: 'Eine Straße.' }, 'language from title')
+
+  t.equal(wtf('hello world').osmTag(), null, 'not a tag page')
+  t.end()
+})
+
+test('osmDictionary', (t) => {
+  let dict = wtf.osmDictionary([
+    wtf(restaurant),
+    `{{ValueDescription|key=amenity|value=restaurant|lang=de|description=Ein Restaurant.}}`,
+    `{{KeyDescription|key=amenity|onNode=yes|onArea=yes|status=de facto|description=Useful facilities.}}`,
+    `{{ValueDescription|key=amenity|value=cafe|onNode=yes|status=approved}}`,
+    'not a tag page',
+  ])
+  t.deepEqual(Object.keys(dict), ['amenity'], 'one key')
+  t.deepEqual(Object.keys(dict.amenity.values), ['restaurant', 'cafe'], 'its values')
+  t.equal(dict.amenity.status, 'de facto', 'key status')
+  t.deepEqual(dict.amenity.appliesTo, ['node', 'area'], 'key applies to')
+  t.deepEqual(
+    dict.amenity.values.restaurant.descriptions,
+    { de: 'Ein Restaurant.', en: 'A restaurant sells full sit-down meals with servers.' },
+    'merged descriptions'
+  )
+  t.equal(dict.amenity.values.restaurant.group, 'sustenance', 'first page kept')
+  t.equal(dict.amenity.values.cafe.status, 'approved', 'cafe status')
+  t.end()
+})
@@ -0,0 +1,338 @@
+//wikinews' topic categories - compared lowercase
+const topics = [
+  'crime and law',
+  'culture and entertainment',
+  'disasters and accidents',
+  'economy and business',
+  'education',
+  'environment',
+  'health',
+  'human interest',
+  'obituaries',
+  'politics and conflicts',
+  'science and technology',
+  'sports',
+  'wackynews',
+  'weather',
+  'internet',
+  'computing',
+  'space',
+  'religion',
+  'media',
+  'transport',
+  'elections',
+  'football (soccer)',
+  'cricket',
+  'tennis',
+  'motorsport',
+  'olympics',
+  'music',
+  'film',
+  'television',
+  'literature',
+  'art',
+  'military',
+  'human rights',
+  'terrorism',
+  'energy',
+  'agriculture',
+  'aviation',
+  'labor',
+  'law',
+  'immigration',
+]
+
+//places wikinews files articles under
+const locations = [
+  // regions
+  'world',
+  'africa',
+  'asia',
+  'europe',
+  'middle east',
+  'north america',
+  'south america',
+  'central america',
+  'caribbean',
+  'oceania',
+  'antarctica',
+  'arctic',
+  'pacific',
+  'east asia',
+  'south asia',
+  'southeast asia',
+  'central asia',
+  'european union',
+  // countries
+  'afghanistan',
+  'albania',
+  'algeria',
+  'andorra',
+  'angola',
+  'antigua and barbuda',
+  'argentina',
+  'armenia',
+  'australia',
+  'austria',
+  'azerbaijan',
+  'bahamas',
+  'bahrain',
+  'bangladesh',
+  'barbados',
+  'belarus',
+  'belgium',
+  'belize',
+  'benin',
+  'bhutan',
+  'bolivia',
+  'bosnia and herzegovina',
+  'botswana',
+  'brazil',
+  'brunei',
+  'bulgaria',
+  'burkina faso',
+  'burundi',
+  'cambodia',
+  'cameroon',
+  'canada',
+  'cape verde',
+  'central african republic',
+  'chad',
+  'chile',
+  'china',
+  'colombia',
+  'comoros',
+  'costa rica',
+  'croatia',
+  'cuba',
+  'cyprus',
+  'czech republic',
+  'democratic republic of the congo',
+  'denmark',
+  'djibouti',
+  'dominica',
+  'dominican republic',
+  'east timor',
+  'ecuador',
+  'egypt',
+  'el salvador',
+  'equatorial guinea',
+  'eritrea',
+  'estonia',
+  'eswatini',
+  'ethiopia',
+  'fiji',
+  'finland',
+  'france',
+  'gabon',
+  'gambia',
+  'georgia',
+  'germany',
+  'ghana',
+  'greece',
+  'grenada',
+  'guatemala',
+  'guinea',
+  'guinea-bissau',
+  'guyana',
+  'haiti',
+  'honduras',
+  'hong kong',
+  'hungary',
+  'iceland',
+  'india',
+  'indonesia',
+  'iran',
+  'iraq',
+  'ireland',
+  'israel',
+  'italy',
+  'ivory coast',
+  'jamaica',
+  'japan',
+  'jordan',
+  'kazakhstan',
+  'kenya',
+  'kiribati',
+  'kosovo',
+  'kuwait',
+  'kyrgyzstan',
+  'laos',
+  'latvia',
+  'lebanon',
+  'lesotho',
+  'liberia',
+  'libya',
+  'liechtenstein',
+  'lithuania',
+  'luxembourg',
+  'madagascar',
+  'malawi',
+  'malaysia',
+  'maldives',
+  'mali',
+  'malta',
+  'marshall islands',
+  'mauritania',
+  'mauritius',
+  'mexico',
+  'micronesia',
+  'moldova',
+  'monaco',
+  'mongolia',
+  'montenegro',
+  'morocco',
+  'mozambique',
+  'myanmar',
+  'namibia',
+  'nauru',
+  'nepal',
+  'netherlands',
+  'new zealand',
+  'nicaragua',
+  'niger',
+  'nigeria',
+  'north korea',
+  'north macedonia',
+  'norway',
+  'oman',
+  'pakistan',
+  'palau',
+  'palestine',
+  'panama',
+  'papua new guinea',
+  'paraguay',
+  'peru',
+  'philippines',
+  'poland',
+  'portugal',
+  'qatar',
+  'republic of the congo',
+  'romania',
+  'russia',
+  'rwanda',
+  'saint kitts and nevis',
+  'saint lucia',
+  'saint vincent and the grenadines',
+  'samoa',
+  'san marino',
+  'sao tome and principe',
+  'saudi arabia',
+  'senegal',
+  'serbia',
+  'seychelles',
+  'sierra leone',
+  'singapore',
+  'slovakia',
+  'slovenia',
+  'solomon islands',
+  'somalia',
+  'south africa',
+  'south korea',
+  'south sudan',
+  'spain',
+  'sri lanka',
+  'sudan',
+  'suriname',
+  'sweden',
+  'switzerland',
+  'syria',
+  'taiwan',
+  'tajikistan',
+  'tanzania',
+  'thailand',
+  'togo',
+  'tonga',
+  'trinidad and tobago',
+  'tunisia',
+  'turkey',
+  'turkmenistan',
+  'tuvalu',
+  'uganda',
+  'ukraine',
+  'united arab emirates',
+  'united kingdom',
+  'united states',
+  'uruguay',
+  'uzbekistan',
+  'vanuatu',
+  'vatican city',
+  'venezuela',
+  'vietnam',
+  'yemen',
+  'zambia',
+  'zimbabwe',
+  // states and provinces
+  'england',
+  'scotland',
+  'wales',
+  'northern ireland',
+  'alabama',
+  'alaska',
+  'arizona',
+  'arkansas',
+  'california',
+  'colorado',
+  'connecticut',
+  'delaware',
+  'florida',
+  'hawaii',
+  'idaho',
+  'illinois',
+  'indiana',
+  'iowa',
+  'kansas',
+  'kentucky',
+  'louisiana',
+  'maine',
+  'maryland',
+  'massachusetts',
+  'michigan',
+  'minnesota',
+  'mississippi',
+  'missouri',
+  'montana',
+  'nebraska',
+  'nevada',
+  'new hampshire',
+  'new jersey',
+  'new mexico',
+  'new york',
+  'north carolina',
+  'north dakota',
+  'ohio',
+  'oklahoma',
+  'oregon',
+  'pennsylvania',
+  'rhode island',
+  'south carolina',
+  'south dakota',
+  'tennessee',
+  'texas',
+  'utah',
+  'vermont',
+  'virginia',
+  'washington',
+  'west virginia',
+  'wisconsin',
+  'wyoming',
+  'washington, d.c.',
+  'alberta',
+  'british columbia',
+  'manitoba',
+  'new brunswick',
+  'newfoundland and labrador',
+  'nova scotia',
+  'ontario',
+  'prince edward island',
+  'quebec',
+  'saskatchewan',
+  'new south wales',
+  'queensland',
+  'south australia',
+  'tasmania',
+  'victoria',
+  'western australia',
+]
+
+module.exports = { topics, locations }
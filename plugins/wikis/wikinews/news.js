@@ -0,0 +1,132 @@
+const { topics, locations } = require('./categories')
+
+const isSource = /^source(?:-pr|-science)?$/
+//{{date|November 27, 2018}}, {{byline|date=..|location=..}}
+const isDateline = /\{\{\s*(?:date|byline|dateline)\s*\|([^{}]*)\}\}/i
+//the templates and categories that say where an article is, in its life
+const statuses = {
+  develop: 'developing',
+  developing: 'developing',
+  review: 'review',
+  abandoned: 'abandoned',
+  publish: 'published',
+  published: 'published',
+  archive: 'archived',
+  archived: 'archived',
+  'archive-unreviewed': 'archived',
+  'archive-sighted': 'archived',
+}
+//a later stage wins
+const order = ['abandoned', 'developing', 'review', 'published', 'archived']
+
+//the params of the dateline template
+const parseDateline = function (wiki) {
+  let m = wiki.match(isDateline)
+  if (m === null) {
+    return {}
+  }
+  let res = {}
+  m[1].split('|').forEach((str, i) => {
+    let kv = str.match(/^\s*([a-z]+)\s*=(.*)$/i)
+    if (kv) {
+      res[kv[1].toLowerCase()] = kv[2].trim()
+    } else if (i === 0) {
+      res.date = str.trim()
+    }
+  })
+  return res
+}
+
+// 'November 27, 2018' -> '2018-11-27'
+const toIso = function (str, wtf) {
+  if (!str) {
+    return null
+  }
+  let date = wtf(str).dates()[0]
+  return date ? date.iso() : str
+}
+
+//'''Toronto, Canada''' — On Tuesday...
+const fromLede = function (doc, dateline) {
+  //skip the rendered {{date}}
+  let s = doc.sentences().find((sen) => sen.text().trim() && sen.text().trim() !== dateline.date)
+  if (!s) {
+    return null
+  }
+  let text = s.text().trim()
+  let parts = text.split(/\s[—–]\s/)
+  let place = parts.length > 1 ? parts[0].trim() : s.bolds().find((str) => text.indexOf(str) === 0)
+  //not a date, or half a sentence
+  if (!place || place.length > 60 || /[0-9;]/.test(place)) {
+    return null
+  }
+  return place
+}
+
+//each {{source}} - the first are parsed as references, the others as templates
+const findSources = function (doc, wtf) {
+  let wiki = doc.wikitext()
+  let found = []
+  doc.references().forEach((ref) => {
+    let json = ref.json()
+    if (isSource.test(json.template || '')) {
+      found.push({ json: json, index: wiki.indexOf(ref.wikitext()) })
+    }
+  })
+  doc.templates().forEach((tmpl) => {
+    let json = tmpl.json()
+    if (isSource.test(json.template)) {
+      found.push({ json: json, index: wiki.indexOf(tmpl.wikitext()) })
+    }
+  })
+  found.sort((a, b) => a.index - b.index)
+  return found.map(({ json }) => {
+    return {
+      url: json.url || null,
+      title: json.title || null,
+      author: json.author || null,
+      pub: json.pub || json.publisher || null,
+      date: toIso(json.date, wtf),
+      type: json.template === 'source-pr' ? 'press release' : 'source',
+    }
+  })
+}
+
+/**
+ * a wikinews article's metadata - its dateline, sources, publication-state and categories
+ *
+ * @private
+ * @param {object} doc
+ * @param {Function} wtf the main parser - for parsing dates
+ * @returns {object} {date, location, sources, status, categories}
+ */
+const news = function (doc, wtf) {
+  let dateline = parseDateline(doc.wikitext())
+  let found = []
+  doc.templates().forEach((tmpl) => {
+    let status = statuses[tmpl.json().template]
+    if (status) {
+      found.push(status)
+    }
+  })
+  let categories = { topics: [], locations: [] }
+  doc.categories().forEach((cat) => {
+    let lower = cat.toLowerCase().trim()
+    if (statuses[lower]) {
+      found.push(statuses[lower])
+    } else if (topics.indexOf(lower) !== -1) {
+      categories.topics.push(cat)
+    } else if (locations.indexOf(lower) !== -1) {
+      categories.locations.push(cat)
+    }
+  })
+  found.sort((a, b) => order.indexOf(b) - order.indexOf(a))
+  return {
+    date: toIso(dateline.date, wtf),
+    location: dateline.location || fromLede(doc, dateline),
+    sources: findSources(doc, wtf),
+    status: found[0] || null,
+    categories: categories,
+  }
+}
+module.exports = news
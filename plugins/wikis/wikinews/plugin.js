@@ -1,7 +1,12 @@
 const templates = require('./templates')
+const news = require('./news')
 
 const plugin = (models, _templates) => {
   // add new templates
   Object.assign(_templates, templates)
+  // dateline, sources, and publication-state
+  models.Doc.prototype.news = function () {
+    return news(this, models.wtf)
+  }
 }
 module.exports = plugin
@@ -0,0 +1,80 @@
+const wtf = require('../../../src')
+wtf.plugin(require('./plugin'))
+const test = require('tape')
+
+const article = `{{date|November 27, 2018}}
+'''Toronto, Canada''' — On Tuesday, the city council voted to ban plastic bags.
+
+The ban starts next year.
+
+== Sources ==
+* {{source|url=http://www.cbc.ca/news/a.html|title=Toronto bans bags|author=Jane Doe|pub=CBC News|date=November 27, 2018}}
+* {{source-pr|url=http://example.com/pr|title=Council votes on bags|pub=City of Toronto|date=2018-11-26}}
+
+{{publish}}
+{{archive}}
+[[Category:Toronto]]
+[[Category:Canada]]
+[[Category:North America]]
+[[Category:Politics and conflicts]]
+[[Category:Environment]]
+[[Category:Published]]
+[[Category:Archived]]`
+
+test('news', (t) => {
+  let res = wtf(article).news()
+  t.equal(res.date, '2018-11-27', 'iso dateline')
+  t.equal(res.location, 'Toronto, Canada', 'location from lede')
+  t.equal(res.status, 'archived', 'archived beats published')
+  t.deepEqual(res.categories.topics, ['Politics and conflicts', 'Environment'], 'topics')
+  t.deepEqual(res.categories.locations, ['Canada', 'North America'], 'locations')
+  t.deepEqual(
+    res.sources,
+    [
+      {
+        url: 'http://www.cbc.ca/news/a.html',
+        title: 'Toronto bans bags',
+        author: 'Jane Doe',
+        pub: 'CBC News',
+        date: '2018-11-27',
+        type: 'source',
+      },
+      {
+        url: 'http://example.com/pr',
+        title: 'Council votes on bags',
+        author: null,
+        pub: 'City of Toronto',
+        date: '2018-11-26',
+        type: 'press release',
+      },
+    ],
+    'sources'
+  )
+  t.end()
+})
+
+test('news-byline', (t) => {
+  let res = wtf(`{{byline|date=May 3, 2020|location=Paris}}
+The museum reopened on Sunday.
+{{develop}}`).news()
+  t.equal(res.date, '2020-05-03', 'byline date')
+  t.equal(res.location, 'Paris', 'byline location')
+  t.equal(res.status, 'developing', 'developing')
+  t.deepEqual(res.sources, [], 'no sources')
+
+  res = wtf('The museum reopened on Sunday.').news()
+  t.equal(res.date, null, 'no dateline')
+  t.equal(res.location, null, 'no location')
+  t.equal(res.status, null, 'no status')
+  t.end()
+})
+
+test('news-lede-with-periods', (t) => {
+  let res = wtf(`{{date|June 1, 2021}}
+'''St. Louis, Missouri''' — The city opened a new bridge on Tuesday.`).news()
+  t.equal(res.location, 'St. Louis, Missouri', 'abbreviation in place')
+  res = wtf(`{{date|June 1, 2021}}
+'''Washington, D.C.''' — Congress passed the bill on Tuesday.`).news()
+  t.equal(res.location, 'Washington, D.C.', 'initials in place')
+  t.end()
+})
@@ -1,7 +1,12 @@
 const templates = require('./templates')
+const taxonomy = require('./taxonomy')
 
 const plugin = (models, _templates) => {
   // add new templates
   Object.assign(_templates, templates)
+  // the taxon's lineage, authority, synonyms and vernacular names
+  models.Doc.prototype.taxonomy = function () {
+    return taxonomy(this)
+  }
 }
 module.exports = plugin
@@ -0,0 +1,130 @@
+const wtf = require('../../../src')
+wtf.plugin(require('./plugin'))
+const test = require('tape')
+
+const species = `==Taxonavigation==
+{{Balistapus}}
+Superregnum: [[Eukaryota]]<br />
+Regnum: [[Animalia]]<br />
+Cladus: [[Bilateria]]<br />
+Phylum: [[Chordata]]<br />
+Superordo: [[Acanthopterygii]]<br />
+Familia: [[Balistidae]]<br />
+Genus: ''[[Balistapus]]''<br />
+Species: '''''Balistapus undulatus'''''
+
+==Name==
+''Balistapus undulatus'' ({{a|Mungo Park|Park}}, 1797)
+
+===Synonyms===
+* ''Balistes undulatus'' Park, 1797
+* ''Balistes lineatus'' {{aut|Bloch & Schneider}}, 1801
+
+==Vernacular names==
+{{VN
+|de=Orangestreifen-Drückerfisch
+|en=Orange-lined triggerfish, Undulate triggerfish
+}}
+`
+
+test('templates', (t) => {
+  let doc = wtf(species)
+  t.equal(doc.section('Name').sentences()[0].text(), 'Balistapus undulatus (Park, 1797)', 'author template')
+  t.ok(doc.text().indexOf('Bloch & Schneider, 1801') !== -1, 'aut template')
+  t.end()
+})
+
+test('taxonomy', (t) => {
+  let res = wtf(species).taxonomy()
+  t.equal(res.name, 'Balistapus undulatus', 'name')
+  t.equal(res.rank, 'species', 'rank')
+  t.deepEqual(
+    res.lineage.map((o) => `${o.rank}:${o.name}`),
+    [
+      'superkingdom:Eukaryota',
+      'kingdom:Animalia',
+      'clade:Bilateria',
+      'phylum:Chordata',
+      'superorder:Acanthopterygii',
+      'family:Balistidae',
+      'genus:Balistapus',
+      'species:Balistapus undulatus',
+    ],
+    'lineage'
+  )
+  t.deepEqual(
+    res.parent,
+    { rank: 'genus', name: 'Balistapus', page: 'Balistapus', url: 'https://species.wikimedia.org/wiki/Balistapus' },
+    'parent'
+  )
+  t.deepEqual(res.authority, { text: '(Park, 1797)', author: 'Park', year: 1797, recombined: true }, 'authority')
+  t.deepEqual(
+    res.synonyms.map((o) => [o.name, o.authority.author, o.authority.year]),
+    [
+      ['Balistes undulatus', 'Park', 1797],
+      ['Balistes lineatus', 'Bloch & Schneider', 1801],
+    ],
+    'synonyms'
+  )
+  t.deepEqual(
+    res.vernacular,
+    { de: ['Orangestreifen-Drückerfisch'], en: ['Orange-lined triggerfish', 'Undulate triggerfish'] },
+    'vernacular names'
+  )
+  t.equal(wtf('hello world').taxonomy(), null, 'not a taxon')
+  t.end()
+})
+
+test('taxonomy-genus', (t) => {
+  let res = wtf(`==Taxonavigation==
+{{Taxonav|Balistidae}}
+Genus: ''[[Balistapus]]''
+
+==Name==
+''Balistapus'' {{a|Johann Jakob Tilesius|Tilesius}}, 1820
+
+Typus species: ''[[Balistes undulatus]]'' Park, 1797`).taxonomy()
+  t.equal(res.rank, 'genus', 'rank')
+  t.equal(res.authority.author, 'Tilesius', 'author')
+  t.equal(res.parent.name, 'Balistidae', 'parent from taxonav')
+  t.equal(res.parent.url, 'https://species.wikimedia.org/wiki/Balistidae', 'parent url')
+  t.equal(res.type.rank, 'species', 'type rank')
+  t.equal(res.type.name, 'Balistes undulatus', 'type species')
+  t.equal(res.type.authority.year, 1797, 'type year')
+  t.end()
+})
+
+test('taxonomy-children', (t) => {
+  let res = wtf(
+    `==Taxonavigation==
+Familia: [[Felidae]]<br />
+Genus: ''[[Panthera]]''<br />
+Species: ''Panthera leo''<br />
+Subspecies: ''[[Panthera leo leo|P. l. leo]]'' – ''[[Panthera leo melanochaita|P. l. melanochaita]]''
+
+==Name==
+''Panthera leo'' ({{a|Carl Linnaeus|Linnaeus}}, 1758)`,
+    { title: 'Panthera leo' }
+  ).taxonomy()
+  t.equal(res.rank, 'species', 'rank')
+  t.deepEqual(
+    res.lineage.map((o) => o.name),
+    ['Felidae', 'Panthera', 'Panthera leo'],
+    'lineage stops at the page'
+  )
+  t.equal(res.parent.name, 'Panthera', 'parent')
+  t.end()
+})
+
+test('taxonomy-taxobox', (t) => {
+  let res = wtf(`{{Speciesbox
+| name = Orange-lined triggerfish
+| genus = Balistapus
+| species = undulatus
+| authority = ([[Mungo Park|Park]], 1797)
+}}`).taxonomy()
+  t.equal(res.name, 'Balistapus undulatus', 'binomial')
+  t.equal(res.parent.name, 'Balistapus', 'parent')
+  t.equal(res.authority.recombined, true, 'recombined')
+  t.end()
+})
@@ -0,0 +1,257 @@
+//latin rank-names, as wikispecies writes them
+const ranks = {
+  dominium: 'domain',
+  regnum: 'kingdom',
+  phylum: 'phylum',
+  divisio: 'division',
+  classis: 'class',
+  cohors: 'cohort',
+  ordo: 'order',
+  familia: 'family',
+  tribus: 'tribe',
+  genus: 'genus',
+  sectio: 'section',
+  series: 'series',
+  species: 'species',
+  varietas: 'variety',
+  forma: 'form',
+  cladus: 'clade',
+}
+//the order of ranks in a wikipedia taxobox
+const taxobox = [
+  ['regnum', 'kingdom'],
+  ['phylum', 'divisio', 'division'],
+  ['classis', 'class'],
+  ['ordo', 'order'],
+  ['familia', 'family'],
+  ['tribus', 'tribe'],
+  ['genus'],
+  ['species'],
+]
+const isTaxobox = /^(?:taxobox|speciesbox|subspeciesbox|infraspeciesbox|automatic taxobox)$/
+const isType = /^typ(?:us|e)(?: (?:species|genus|familia|family))?$/i
+const isYear = /\b(1[5-9][0-9]{2}|20[0-9]{2})\b/
+
+//'Superfamilia' -> 'superfamily', 'Infraordo' -> 'infraorder'
+const toRank = function (str) {
+  let lower = str.trim().toLowerCase()
+  if (ranks.hasOwnProperty(lower)) {
+    return ranks[lower]
+  }
+  let m = lower.match(/^(super|sub|infra|parv)(.+)$/)
+  if (m && ranks.hasOwnProperty(m[2])) {
+    return m[1] + ranks[m[2]]
+  }
+  return lower
+}
+
+const toUrl = (page) => `https://species.wikimedia.org/wiki/${page.replace(/ /g, '_')}`
+
+//'(Park, 1797)' -> {author:'Park', year:1797, recombined:true}
+const parseAuthority = function (str) {
+  let text = (str || '').trim()
+  if (!text) {
+    return null
+  }
+  let m = text.match(isYear)
+  let author = text.replace(isYear, '').replace(/[(),]/g, ' ').replace(/\s+/g, ' ').trim()
+  return {
+    text: text,
+    author: author || null,
+    year: m ? Number(m[1]) : null,
+    //a later combination keeps the original authority in brackets
+    recombined: /^\(/.test(text),
+  }
+}
+
+//''Balistes undulatus'' Park, 1797 -> {name, authority}
+const parseName = function (sentence) {
+  let text = sentence.text().trim()
+  let name = sentence.italics()[0] || text.split(/ [A-Z(]/)[0]
+  let i = text.indexOf(name)
+  let rest = i === -1 ? '' : text.slice(i + name.length)
+  return { name: name.trim(), authority: parseAuthority(rest) }
+}
+
+//'Regnum: Animalia' lines in the 'Taxonavigation' section
+const fromTaxonavigation = function (sec) {
+  let links = sec.links()
+  let lineage = []
+  sec
+    .text()
+    .split(/\n/)
+    .forEach((line) => {
+      let m = line.match(/^([A-Za-z]+(?: [a-z]+)?): ?(\S.*)$/)
+      if (m === null) {
+        return
+      }
+      let name = m[2].trim()
+      let link = links.find((l) => l.text() === name || l.page() === name)
+      lineage.push({ rank: toRank(m[1]), name: name, page: link ? link.page() : name })
+    })
+  return lineage
+}
+
+//the ranks in a wikipedia {{taxobox}}
+const fromTaxobox = function (infobox) {
+  let lineage = []
+  taxobox.forEach((keys) => {
+    let key = keys.find((k) => infobox.get(k).text())
+    if (key) {
+      //'B. undulatus' -> 'Balistapus undulatus'
+      let s = key === 'species' && infobox.get('binomial').text() ? infobox.get('binomial') : infobox.get(key)
+      let link = s.links()[0]
+      lineage.push({ rank: toRank(keys[0]), name: s.text().trim(), page: link ? link.page() || null : null })
+    }
+  })
+  //{{speciesbox|genus=Balistapus|species=undulatus}}
+  let genus = lineage.find((o) => o.rank === 'genus')
+  let species = lineage.find((o) => o.rank === 'species')
+  if (genus && species && /^[a-z-]+$/.test(species.name)) {
+    species.name = `${genus.name} ${species.name}`
+  }
+  return lineage
+}
+
+//{{VN|de=..|en=..}}, or 'English: ...' lines
+const fromVernacular = function (sec) {
+  let res = {}
+  let add = (lang, str) => {
+    let names = (str || '').split(/, ?/).filter((s) => s)
+    if (names.length > 0) {
+      res[lang] = (res[lang] || []).concat(names)
+    }
+  }
+  let vn = sec.templates().find((tmpl) => tmpl.json().template === 'vn')
+  if (vn) {
+    let json = vn.json()
+    Object.keys(json).forEach((k) => {
+      if (k !== 'template' && k !== 'list') {
+        add(k, json[k])
+      }
+    })
+    return res
+  }
+  sec.sentences().forEach((s) => {
+    let m = s.text().match(/^([^:]+): ?(.+)$/)
+    if (m) {
+      add(m[1].trim(), m[2].trim())
+    }
+  })
+  return res
+}
+
+//each line of a section - from its lists, and its paragraphs
+const linesOf = function (sec) {
+  let res = []
+  sec.lists().forEach((list) => list.items().forEach((item) => res.push(item.sentence())))
+  sec.paragraphs().forEach((p) => p.sentences().forEach((s) => res.push(s)))
+  return res.filter((s) => s.text().trim())
+}
+
+/**
+ * the taxon a wikispecies page describes - its lineage, authority, type, synonyms and vernacular names
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object | null} {name, rank, lineage, parent, authority, type, synonyms, vernacular}
+ */
+const taxonomy = function (doc) {
+  let res = {
+    name: null,
+    rank: null,
+    lineage: [],
+    parent: null,
+    authority: null,
+    type: null,
+    synonyms: [],
+    vernacular: {},
+  }
+  let found = false
+  let navTemplate = null
+  doc.sections().forEach((sec) => {
+    let title = sec.title().trim()
+    let lower = title.toLowerCase()
+    if (lower === 'taxonavigation') {
+      found = true
+      res.lineage = fromTaxonavigation(sec)
+      //{{Taxonav|Balistidae}}, or a {{Balistapus}} template holding the chain
+      sec.templates().forEach((tmpl) => {
+        let json = tmpl.json()
+        if (json.template === 'taxonav' && json.taxon) {
+          navTemplate = navTemplate || json.taxon
+        } else if (json.template !== 'taxonav' && !navTemplate) {
+          navTemplate = tmpl.wikitext().replace(/^\{\{\s*|\s*\}\}$/g, '')
+        }
+      })
+    } else if (lower === 'name') {
+      found = true
+      let lines = linesOf(sec)
+      let first = lines.find((s) => !/:/.test(s.text()))
+      if (first) {
+        let parsed = parseName(first)
+        res.name = parsed.name
+        res.authority = parsed.authority
+      }
+      //'Typus species: Balistes undulatus Park, 1797'
+      lines.forEach((s) => {
+        let m = s.text().match(/^([^:]+):/)
+        if (m && isType.test(m[1].trim()) && !res.type) {
+          let rank = m[1].trim().split(' ')[1]
+          res.type = Object.assign({ rank: rank ? toRank(rank) : null }, parseName(s))
+        }
+      })
+    } else if (isType.test(title)) {
+      let line = linesOf(sec)[0]
+      if (line) {
+        let rank = title.split(' ')[1]
+        res.type = Object.assign({ rank: rank ? toRank(rank) : null }, parseName(line))
+      }
+    } else if (/^synonym(?:s|y)$/.test(lower)) {
+      found = true
+      res.synonyms = linesOf(sec).map(parseName)
+    } else if (lower === 'vernacular names') {
+      found = true
+      res.vernacular = fromVernacular(sec)
+    }
+  })
+  //a wikipedia article, with a taxobox
+  if (res.lineage.length === 0) {
+    let box = doc.infoboxes().find((ib) => isTaxobox.test(ib.type()))
+    if (box) {
+      found = true
+      res.lineage = fromTaxobox(box)
+      let authority = box.get(['binomial_authority', 'authority']).find((s) => s.text())
+      res.authority = res.authority || parseAuthority(authority ? authority.text() : '')
+    }
+  }
+  if (!found) {
+    return null
+  }
+  //a species page lists its subspecies too - so stop at the page's own taxon
+  let own = [res.name, doc.title()].filter((str) => str).map((str) => str.trim().toLowerCase())
+  let isOwn = (str) => own.includes((str || '').toLowerCase())
+  let at = res.lineage.findIndex((o) => isOwn(o.name) || isOwn(o.page))
+  if (at !== -1) {
+    res.lineage = res.lineage.slice(0, at + 1)
+  }
+  let last = res.lineage[res.lineage.length - 1]
+  if (last) {
+    res.rank = last.rank
+    res.name = res.name || last.name
+  }
+  res.name = res.name || doc.title() || null
+  //the taxon above this one
+  let above = at !== -1 ? res.lineage.slice(0, at) : res.lineage.filter((o) => o.name !== res.name)
+  let parent = above[above.length - 1]
+  if (parent) {
+    res.parent = Object.assign({}, parent)
+  } else if (navTemplate) {
+    res.parent = { rank: null, name: navTemplate, page: navTemplate }
+  }
+  if (res.parent && res.parent.page) {
+    res.parent.url = toUrl(res.parent.page)
+  }
+  return res
+}
+module.exports = taxonomy
@@ -1 +1,31 @@
-module.exports = {}
+module.exports = {
+  // https://species.wikimedia.org/wiki/Template:A
+  // {{a|Mungo Park|Park}}
+  a: (tmpl, list, parser) => {
+    let obj = parser(tmpl, ['author', 'display'])
+    list.push(obj)
+    return obj.display || obj.author || ''
+  },
+  // https://species.wikimedia.org/wiki/Template:Aut
+  aut: (tmpl, list, parser) => {
+    let obj = parser(tmpl, ['author'])
+    return obj.author || ''
+  },
+  // https://species.wikimedia.org/wiki/Template:Taxonav
+  // {{Taxonav|Balistidae}} - the parent taxon's navigation
+  taxonav: (tmpl, list, parser) => {
+    let obj = parser(tmpl, ['taxon'])
+    list.push(obj)
+    return ''
+  },
+  // https://species.wikimedia.org/wiki/Template:VN
+  // {{VN|de=Orangestreifen-Drückerfisch|en=Orange-lined triggerfish}}
+  vn: (tmpl, list, parser) => {
+    let obj = parser(tmpl, [])
+    list.push(obj)
+    return Object.keys(obj)
+      .filter((k) => k !== 'template' && k !== 'list')
+      .map((k) => `${k}: ${obj[k]}`)
+      .join('; ')
+  },
+}
@@ -0,0 +1,190 @@
+//the templates that make a listing, and the kind of place each is
+const listingTypes = {
+  see: 'see',
+  do: 'do',
+  buy: 'buy',
+  eat: 'eat',
+  drink: 'drink',
+  sleep: 'sleep',
+  go: 'go',
+  listing: null,
+}
+//the section-titles for each kind of listing
+const sectionTypes = {
+  see: 'see',
+  do: 'do',
+  buy: 'buy',
+  eat: 'eat',
+  drink: 'drink',
+  sleep: 'sleep',
+  'get in': 'go',
+  'get around': 'go',
+  connect: 'connect',
+}
+const isDistricts = /^(?:districts|regions|neighbou?rhoods)$/i
+//'[[Toronto/Downtown|Downtown]]' -> 'downtown'
+const normalize = (str) => str.replace(/^.*\//, '').trim().toLowerCase()
+
+const fields = [
+  'name',
+  'alt',
+  'url',
+  'email',
+  'address',
+  'directions',
+  'phone',
+  'tollfree',
+  'fax',
+  'hours',
+  'price',
+  'checkin',
+  'checkout',
+  'wikidata',
+  'image',
+  'lastedit',
+]
+
+const toNumber = function (str) {
+  let num = parseFloat(str)
+  return isFinite(num) ? num : null
+}
+
+//the names of the districts this guide is split into
+const findDistricts = function (doc) {
+  let names = new Set()
+  doc.sections().forEach((sec) => {
+    if (!isDistricts.test(sec.title().trim())) {
+      return
+    }
+    //(just its own sub-sections - not their 'See' and 'Eat' sections)
+    sec
+      .children()
+      .filter((child) => child.depth() === sec.depth() + 1)
+      .forEach((child) => names.add(normalize(child.title())))
+    sec.links().forEach((link) => names.add(normalize(link.text() || link.page() || '')))
+    //{{regionlist|region1name=Downtown ...}}
+    sec.templates().forEach((tmpl) => {
+      let json = tmpl.json()
+      Object.keys(json).forEach((k) => {
+        if (/^region[0-9]+name$/.test(k) && json[k]) {
+          names.add(normalize(json[k]))
+        }
+      })
+    })
+  })
+  names.delete('')
+  return names
+}
+
+//walk-up the section headings, to find its district and its kind of listings
+const whereIs = function (sec, districts) {
+  let res = { section: null, district: null, type: null }
+  while (sec) {
+    let title = sec.title().trim()
+    let parent = sec.parent()
+    let lower = title.toLowerCase()
+    if (res.section === null && sectionTypes.hasOwnProperty(lower)) {
+      res.section = title
+      res.type = sectionTypes[lower]
+    }
+    let underDistricts = parent && isDistricts.test(parent.title().trim())
+    if (res.district === null && (districts.has(normalize(title)) || underDistricts)) {
+      res.district = title
+    }
+    sec = parent
+  }
+  return res
+}
+
+//'* {{eat|name=Joe's}} A diner.' - the description written after the template
+const trailingText = function (wiki, tmpl, wtf, from) {
+  let str = tmpl.wikitext()
+  let i = wiki.indexOf(str, from)
+  if (i === -1) {
+    return { text: '', at: from }
+  }
+  let end = i + str.length
+  let rest = wiki.slice(end).split(/\n/)[0].trim()
+  return { text: rest ? wtf(rest).text().trim() : '', at: end }
+}
+
+/**
+ * each listing in a wikivoyage guide, as a point-of-interest
+ *
+ * @private
+ * @param {object} doc
+ * @param {Function} wtf the main parser - for rendering descriptions
+ * @returns {object[]} [{district, listings:[{type, name, lat, lon, ...}]}]
+ */
+const listings = function (doc, wtf) {
+  let districts = findDistricts(doc)
+  let wiki = doc.wikitext()
+  let at = 0
+  let groups = []
+  doc.sections().forEach((sec) => {
+    let where = null
+    sec.templates().forEach((tmpl) => {
+      let json = tmpl.json()
+      if (!listingTypes.hasOwnProperty(json.template)) {
+        return
+      }
+      where = where || whereIs(sec, districts)
+      let poi = {
+        type: (json.type || listingTypes[json.template] || where.type || 'listing').toLowerCase(),
+      }
+      fields.forEach((k) => {
+        poi[k] = json[k] || null
+      })
+      poi.lat = toNumber(json.lat)
+      poi.lon = toNumber(json.long || json.lon)
+      let trailing = trailingText(wiki, tmpl, wtf, at)
+      at = trailing.at
+      poi.content = json.content || json.description || trailing.text || null
+      poi.section = where.section || sec.title() || null
+      poi.district = where.district
+      let group = groups.find((g) => g.district === poi.district)
+      if (!group) {
+        group = { district: poi.district, listings: [] }
+        groups.push(group)
+      }
+      group.listings.push(poi)
+    })
+  })
+  return groups
+}
+
+/**
+ * the listings with coordinates, as a geojson FeatureCollection
+ *
+ * @private
+ * @param {object[]} groups the listings, by district
+ * @param {string | null} title the guide's title
+ * @returns {object} the FeatureCollection
+ */
+const toGeoJson = function (groups, title) {
+  let features = []
+  groups.forEach((group) => {
+    group.listings.forEach((poi) => {
+      if (poi.lat === null || poi.lon === null) {
+        return
+      }
+      let props = Object.assign({ title: title }, poi)
+      delete props.lat
+      delete props.lon
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [poi.lon, poi.lat] },
+        properties: props,
+      })
+    })
+  })
+  let res = { type: 'FeatureCollection', features: features }
+  if (features.length > 0) {
+    let lons = features.map((f) => f.geometry.coordinates[0])
+    let lats = features.map((f) => f.geometry.coordinates[1])
+    res.bbox = [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)]
+  }
+  return res
+}
+
+module.exports = { listings, toGeoJson }
@@ -1,7 +1,15 @@
 const templates = require('./templates')
+const { listings, toGeoJson } = require('./listings')
 
 const plugin = (models, _templates) => {
   // add new templates
   Object.assign(_templates, templates)
+  // see, eat, sleep... as points-of-interest, by district
+  models.Doc.prototype.listings = function () {
+    return listings(this, models.wtf)
+  }
+  models.Doc.prototype.listingsGeojson = function () {
+    return toGeoJson(this.listings(), this.title() || null)
+  }
 }
 module.exports = plugin
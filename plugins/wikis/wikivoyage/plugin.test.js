@@ -0,0 +1,108 @@
+const wtf = require('../../../src')
+wtf.plugin(require('./plugin'))
+const test = require('tape')
+
+const guide = `{{pagebanner|Toronto banner.jpg}}
+'''Toronto''' is a big city.
+==Districts==
+{{Regionlist
+| region1name=[[Toronto/Midtown|Midtown]]
+}}
+===Downtown===
+The core.
+==See==
+===Downtown===
+* {{see | name=Fort York | alt=Old Fort | url=http://fortyork.ca | address=250 Fort York Blvd | lat=43.6375 | long=-79.4064 | phone=+1 416-392-6907 | hours=10AM-5PM | price=$14 | wikidata=Q1433545 | content=A restored fort.}}
+===Midtown===
+* {{see | name=Casa Loma | lat=43.678 | long=-79.409 }} A castle, {{km|2}} north.
+==Eat==
+===Budget===
+* {{eat | name=Joe's | lat= | long= | price=$5 }} A diner.
+==Sleep==
+* {{sleep|name=Hotel X|checkin=3PM|checkout=11AM|lat=43.64|long=-79.38|price=$200}}
+* {{listing|type=go|name=Union Station}}
+`
+
+test('listing-text', (t) => {
+  let doc = wtf(guide)
+  let text = doc.text()
+  t.equal(text.indexOf('undefined'), -1, 'no undefined')
+  t.ok(text.indexOf("Joe's $5 A diner.") !== -1, 'eat text')
+  t.ok(text.indexOf('Casa Loma A castle, 2 km (1.2 mi) north.') !== -1, 'see text')
+  t.end()
+})
+
+test('listings', (t) => {
+  let groups = wtf(guide).listings()
+  t.deepEqual(
+    groups.map((g) => g.district),
+    ['Downtown', 'Midtown', null],
+    'grouped by district'
+  )
+  let fort = groups[0].listings[0]
+  t.equal(fort.type, 'see', 'type')
+  t.equal(fort.name, 'Fort York', 'name')
+  t.equal(fort.alt, 'Old Fort', 'alt')
+  t.equal(fort.url, 'http://fortyork.ca', 'url')
+  t.equal(fort.address, '250 Fort York Blvd', 'address')
+  t.equal(fort.lat, 43.6375, 'lat')
+  t.equal(fort.lon, -79.4064, 'lon')
+  t.equal(fort.phone, '+1 416-392-6907', 'phone')
+  t.equal(fort.hours, '10AM-5PM', 'hours')
+  t.equal(fort.price, '$14', 'price')
+  t.equal(fort.wikidata, 'Q1433545', 'wikidata')
+  t.equal(fort.content, 'A restored fort.', 'content')
+  t.equal(fort.section, 'See', 'section')
+  t.equal(fort.email, null, 'empty email')
+
+  let castle = groups[1].listings[0]
+  t.equal(castle.content, 'A castle, 2 km (1.2 mi) north.', 'content after template')
+
+  let rest = groups[2].listings
+  t.deepEqual(
+    rest.map((poi) => poi.type),
+    ['eat', 'sleep', 'go'],
+    'types'
+  )
+  t.equal(rest[0].lat, null, 'empty lat')
+  t.equal(rest[0].content, 'A diner.', 'eat content')
+  t.equal(rest[1].checkin, '3PM', 'checkin')
+  t.equal(rest[1].checkout, '11AM', 'checkout')
+  t.equal(rest[2].section, 'Sleep', 'listing section')
+  t.end()
+})
+
+test('listings-in-districts', (t) => {
+  let groups = wtf(`==Districts==
+===Old Town===
+The old part.
+====See====
+* {{see | name=Town Hall }}
+====Eat====
+* {{eat | name=Cafe }}
+===Harbour===
+====See====
+* {{see | name=Lighthouse }}`).listings()
+  t.deepEqual(
+    groups.map((g) => [g.district, g.listings.map((poi) => poi.name)]),
+    [
+      ['Old Town', ['Town Hall', 'Cafe']],
+      ['Harbour', ['Lighthouse']],
+    ],
+    'listings under a district section'
+  )
+  t.equal(groups[0].listings[0].section, 'See', 'section')
+  t.end()
+})
+
+test('listings-geojson', (t) => {
+  let geo = wtf(guide, { title: 'Toronto' }).listingsGeojson()
+  t.equal(geo.type, 'FeatureCollection', 'collection')
+  t.equal(geo.features.length, 3, 'only listings with coordinates')
+  t.deepEqual(geo.features[0].geometry, { type: 'Point', coordinates: [-79.4064, 43.6375] }, 'lon, lat')
+  t.equal(geo.features[0].properties.name, 'Fort York', 'name')
+  t.equal(geo.features[0].properties.district, 'Downtown', 'district')
+  t.equal(geo.features[0].properties.title, 'Toronto', 'title')
+  t.deepEqual(geo.bbox, [-79.409, 43.6375, -79.38, 43.678], 'bbox')
+  t.end()
+})
@@ -6,9 +6,9 @@ const templates = {
     let obj = parser(tmpl, [])
     list.push(obj)
     // flatten it all into one line of text
-    let name = obj.name
+    let name = obj.name || ''
     if (obj.url) {
-      name = `[${obj.url} ${obj.name}]`
+      name = `[${obj.url} ${name}]`
     }
     let phone = ''
     if (obj.phone) {
@@ -18,10 +18,8 @@ const templates = {
     if (obj.lastedit) {
       updated = `(updated ${obj.lastedit})`
     }
-    let out = `${name} ${obj.address || ''} ${obj.directions || ''} ${phone} ${obj.hours || ''} ${obj.content} ${
-      obj.price
-    } ${updated}`
-    return out
+    let parts = [name, obj.address, obj.directions, phone, obj.hours, obj.content, obj.price, updated]
+    return parts.filter((str) => str).join(' ')
   },
   // https://en.wikivoyage.org/wiki/Template:Station
   station: (tmpl, list, parser) => {
@@ -43,6 +41,7 @@ const templates = {
       'TOC box',
     ])
     list.push(obj)
+    return ''
   },
   isPartOf: ['place'],
   mapframe: ['lat', 'lng'],
@@ -0,0 +1,234 @@
+const languages = require('./languages')
+const { parseHeadword, isHeadword } = require('./headword')
+
+//the section-titles for each part of speech
+const partsOfSpeech = new Set([
+  'noun',
+  'proper noun',
+  'verb',
+  'adjective',
+  'adverb',
+  'pronoun',
+  'preposition',
+  'postposition',
+  'conjunction',
+  'interjection',
+  'article',
+  'determiner',
+  'numeral',
+  'particle',
+  'classifier',
+  'participle',
+  'prefix',
+  'suffix',
+  'infix',
+  'affix',
+  'phrase',
+  'prepositional phrase',
+  'proverb',
+  'idiom',
+  'abbreviation',
+  'acronym',
+  'initialism',
+  'contraction',
+  'symbol',
+  'letter',
+])
+const etymologyTypes = {
+  inh: 'inherited',
+  'inh+': 'inherited',
+  der: 'derived',
+  'der+': 'derived',
+  bor: 'borrowed',
+  'bor+': 'borrowed',
+  lbor: 'borrowed',
+}
+const isTranslation = /^(?:t|t\+|tt|tt\+)$/
+
+//'From Middle English water, from...' and its chain of ancestors
+const parseEtymology = function (sec) {
+  let chain = []
+  sec.templates().forEach((tmpl) => {
+    let json = tmpl.json()
+    if (etymologyTypes[json.template]) {
+      let lang = json['source-lang'] || null
+      chain.push({
+        type: etymologyTypes[json.template],
+        lang: lang,
+        language: languages[lang] || lang,
+        term: json.term || null,
+      })
+    }
+  })
+  return { text: sec.text().trim(), chain: chain }
+}
+
+//ipa, accents, audio files, hyphenation and rhymes
+const parsePronunciation = function (sec) {
+  let res = { ipa: [], audio: [], hyphenation: null, rhymes: [] }
+  let accents = []
+  sec.templates().forEach((tmpl) => {
+    let json = tmpl.json()
+    if (json.template === 'a' || json.template === 'accent') {
+      accents = json.list || []
+    } else if (json.template === 'ipa') {
+      let accent = json.a ? json.a.split(/, ?/) : accents
+      json.ipa.forEach((str) => res.ipa.push({ ipa: str, accents: accent }))
+      accents = []
+    } else if (json.template === 'audio' && json.file) {
+      res.audio.push(json.file)
+    } else if (json.template === 'hyphenation') {
+      res.hyphenation = json.list || []
+    } else if (json.template === 'rhymes') {
+      res.rhymes = res.rhymes.concat([json.rhyme], json.list || []).filter((str) => str)
+    }
+  })
+  return res
+}
+
+//'(countable, informal) a thing' -> ['countable', 'informal']
+const splitLabels = function (text) {
+  let m = text.match(/^\(([^)]+)\)\s*/)
+  if (m === null) {
+    return { labels: [], definition: text }
+  }
+  return { labels: m[1].split(/, ?/), definition: text.slice(m[0].length) }
+}
+
+//a numbered sense, with its examples, quotations, and sub-senses
+const parseSense = function (item, number) {
+  let res = Object.assign({ number: number }, splitLabels(item.sentence().text()))
+  res.examples = []
+  res.quotations = []
+  res.senses = []
+  item.children().forEach((child) => {
+    if (child.type() === 'ordered') {
+      res.senses.push(parseSense(child, `${number}.${res.senses.length + 1}`))
+    } else if (child.type() === 'definition') {
+      res.examples.push(child.sentence().text())
+    } else {
+      // '#* 1990, Author, Title:' then '#*: the passage'
+      let passage = child.children().map((c) => c.sentence().text())
+      res.quotations.push({ source: child.sentence().text(), text: passage.join('\n') || null })
+    }
+  })
+  return res
+}
+
+const parseSenses = function (sec) {
+  let res = []
+  sec.lists().forEach((list) => {
+    list.items().forEach((item) => {
+      if (item.depth() === 1 && item.type() === 'ordered') {
+        res.push(parseSense(item, String(res.length + 1)))
+      }
+    })
+  })
+  return res
+}
+
+//{{trans-top|gloss}} ... {{t+|fr|eau|f}} ... {{trans-bottom}}
+const parseTranslations = function (sec) {
+  let lines = []
+  sec.lists().forEach((list) => {
+    list.items().forEach((item) => {
+      let m = item
+        .sentence()
+        .text()
+        .match(/^([^:]+):(.*)$/)
+      if (m) {
+        lines.push({ language: m[1].trim(), text: m[2].trim() })
+      }
+    })
+  })
+  let tables = []
+  let table = null
+  let at = 0
+  sec.templates().forEach((tmpl) => {
+    let json = tmpl.json()
+    if (json.template === 'trans-top') {
+      table = { gloss: json.gloss || null, translations: [] }
+      tables.push(table)
+    } else if (json.template === 'trans-bottom') {
+      table = null
+    } else if (isTranslation.test(json.template) && json.word) {
+      if (!table) {
+        table = { gloss: null, translations: [] }
+        tables.push(table)
+      }
+      //which 'French: ...' line it's on
+      let i = lines.findIndex((l, n) => n >= at && l.text.indexOf(json.word) !== -1)
+      at = i === -1 ? at : i
+      let line = lines[i]
+      table.translations.push({
+        language: line ? line.language : languages[json.lang] || json.lang,
+        lang: json.lang,
+        word: json.word,
+        gender: (json.list || []).filter((str) => /^[mfnc](?:-[sp])?$/.test(str)),
+        transliteration: json.tr || null,
+      })
+    }
+  })
+  return tables
+}
+
+/**
+ * every entry on a wiktionary page - for each language, and each part-of-speech
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object[]} [{language, pos, etymology, pronunciation, headword, senses, translations}]
+ */
+const entries = function (doc) {
+  let res = []
+  let language = null
+  let etymology = null
+  let pronunciation = null
+  let entry = null
+  doc.sections().forEach((sec) => {
+    let title = sec.title().trim()
+    let lower = title.toLowerCase()
+    let depth = sec.depth()
+    if (depth === 0) {
+      language = title || null
+      etymology = null
+      pronunciation = null
+      entry = null
+      return
+    }
+    if (!language) {
+      return
+    }
+    // 'Etymology 2' starts a new set of entries
+    if (/^etymology(?: [0-9]+)?$/.test(lower)) {
+      etymology = parseEtymology(sec)
+      //a pronunciation for the whole language stays
+      if (pronunciation && pronunciation.depth > depth) {
+        pronunciation = null
+      }
+      entry = null
+    } else if (lower === 'pronunciation') {
+      pronunciation = Object.assign(parsePronunciation(sec), { depth: depth })
+    } else if (partsOfSpeech.has(lower)) {
+      let head = sec.templates().find((tmpl) => isHeadword.test(tmpl.json().template))
+      let pron = pronunciation ? Object.assign({}, pronunciation) : null
+      if (pron) {
+        delete pron.depth
+      }
+      entry = {
+        language: language,
+        pos: lower,
+        etymology: etymology,
+        pronunciation: pron,
+        headword: head ? parseHeadword(head.json(), doc.title()) : null,
+        senses: parseSenses(sec),
+        translations: [],
+      }
+      res.push(entry)
+    } else if (lower === 'translations' && entry) {
+      entry.translations = entry.translations.concat(parseTranslations(sec))
+    }
+  })
+  return res
+}
+module.exports = entries
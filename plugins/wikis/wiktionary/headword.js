@@ -0,0 +1,142 @@
+//{{en-noun}}, {{fr-noun}}, {{head|fr|noun}}...
+const isHeadword =
+  /^(?:head|[a-z]{2,3}(?:-[a-z]+)?-(?:noun|proper noun|verb|adj|adv|pron|prep|conj|intj|num|det|particle|phrase|prefix|suffix))$/
+const posNames = {
+  adj: 'adjective',
+  adv: 'adverb',
+  pron: 'pronoun',
+  prep: 'preposition',
+  conj: 'conjunction',
+  intj: 'interjection',
+  num: 'numeral',
+  det: 'determiner',
+}
+//named params that aren't word-forms
+const skip = { template: true, lang: true, list: true, head: true, sort: true, sc: true, g: true, tr: true, id: true }
+const genders = /^[mfnc](?:-[sp])?$/
+
+//'watch' -> 'watches', 'fly' -> 'flies'
+const addS = function (word) {
+  if (/(?:[sxz]|sh|ch)$/.test(word)) {
+    return word + 'es'
+  }
+  if (/[^aeiou]y$/.test(word)) {
+    return word.replace(/y$/, 'ies')
+  }
+  return word + 's'
+}
+// 'bake' -> 'baked', 'try' -> 'tried'
+const addEd = function (word) {
+  if (/e$/.test(word)) {
+    return word + 'd'
+  }
+  if (/[^aeiou]y$/.test(word)) {
+    return word.replace(/y$/, 'ied')
+  }
+  return word + 'ed'
+}
+const addIng = (word) => (/[^e]e$/.test(word) ? word.replace(/e$/, 'ing') : word + 'ing')
+const addEr = (word, end) => word.replace(/([^aeiou])y$/, '$1i').replace(/e$/, '') + end
+
+//the forms english headword-templates imply
+const english = {
+  noun: (args, word) => {
+    //'~' is countable and uncountable, '-' is uncountable
+    let countable = args.indexOf('-') === -1
+    let plurals = args.filter((str) => str !== '~' && str !== '-' && str !== '!' && str !== '?')
+    if (plurals.length === 0 && countable) {
+      plurals = ['s']
+    }
+    plurals = plurals.map((str) => {
+      if (str === 's' || str === '+') {
+        return word ? word + 's' : null
+      }
+      if (str === 'es') {
+        return word ? word + 'es' : null
+      }
+      return str
+    })
+    let res = { plural: plurals.filter((str) => str) }
+    if (args.indexOf('~') !== -1) {
+      res.countability = 'both'
+    } else {
+      res.countability = countable ? 'countable' : 'uncountable'
+    }
+    return res
+  },
+  verb: (args, word) => {
+    //{{en-verb|goes|going|went|gone}}
+    if (args.length >= 3) {
+      return {
+        thirdPerson: args[0],
+        presentParticiple: args[1],
+        past: args[2],
+        pastParticiple: args[3] || args[2],
+      }
+    }
+    if (!word) {
+      return {}
+    }
+    let past = addEd(word)
+    return { thirdPerson: addS(word), presentParticiple: addIng(word), past: past, pastParticiple: past }
+  },
+  adjective: (args, word) => {
+    if (args[0] === '-') {
+      return { comparable: false }
+    }
+    if (args[0] && args[0] !== 'er' && args[0] !== 'more') {
+      return { comparative: args[0], superlative: args[1] || null }
+    }
+    //(we need the word, to make its forms)
+    if (!word) {
+      return {}
+    }
+    if (args[0] === 'er') {
+      return { comparative: addEr(word, 'er'), superlative: addEr(word, 'est') }
+    }
+    return { comparative: 'more ' + word, superlative: 'most ' + word }
+  },
+}
+
+/**
+ * the word-forms and gender of a headword template
+ *
+ * @private
+ * @param {object} json the template's data
+ * @param {string} [word] the page's title
+ * @returns {object} {template, lang, pos, gender, forms}
+ */
+const parseHeadword = function (json, word) {
+  let name = json.template
+  let args = json.list || []
+  let lang = json.lang || null
+  let pos = null
+  let forms = {}
+  word = json.head || word || ''
+  if (name === 'head') {
+    //{{head|fr|noun|plural|eaux}}
+    lang = args[0] || null
+    pos = args[1] || null
+    for (let i = 2; i < args.length - 1; i += 2) {
+      forms[args[i]] = args[i + 1]
+    }
+    args = []
+  } else {
+    let m = name.match(/^(.+?)-(proper noun|[a-z]+)$/)
+    lang = m[1]
+    pos = posNames[m[2]] || m[2]
+  }
+  let gender = json.g || args.find((str) => genders.test(str)) || null
+  if (lang === 'en' && english[pos]) {
+    forms = english[pos](args, word)
+  } else {
+    Object.keys(json).forEach((k) => {
+      if (!skip[k] && !/^[0-9]+$/.test(k)) {
+        forms[k] = json[k]
+      }
+    })
+  }
+  return { template: name, lang: lang, pos: pos, gender: gender, forms: forms }
+}
+
+module.exports = { parseHeadword, isHeadword }
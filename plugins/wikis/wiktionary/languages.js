@@ -0,0 +1,75 @@
+//english names for the language-codes wiktionary uses most - in translations and etymologies
+module.exports = {
+  af: 'Afrikaans',
+  ang: 'Old English',
+  ar: 'Arabic',
+  bg: 'Bulgarian',
+  ca: 'Catalan',
+  cmn: 'Mandarin',
+  cs: 'Czech',
+  cy: 'Welsh',
+  da: 'Danish',
+  de: 'German',
+  dum: 'Middle Dutch',
+  el: 'Greek',
+  en: 'English',
+  enm: 'Middle English',
+  eo: 'Esperanto',
+  es: 'Spanish',
+  et: 'Estonian',
+  fa: 'Persian',
+  fi: 'Finnish',
+  fr: 'French',
+  frm: 'Middle French',
+  fro: 'Old French',
+  ga: 'Irish',
+  gd: 'Scottish Gaelic',
+  'gem-pro': 'Proto-Germanic',
+  'gmw-pro': 'Proto-West Germanic',
+  gmh: 'Middle High German',
+  goh: 'Old High German',
+  got: 'Gothic',
+  grc: 'Ancient Greek',
+  he: 'Hebrew',
+  hi: 'Hindi',
+  hu: 'Hungarian',
+  id: 'Indonesian',
+  'ine-pro': 'Proto-Indo-European',
+  is: 'Icelandic',
+  it: 'Italian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  la: 'Latin',
+  'la-lat': 'Late Latin',
+  'la-med': 'Medieval Latin',
+  'la-vul': 'Vulgar Latin',
+  lt: 'Lithuanian',
+  lv: 'Latvian',
+  nl: 'Dutch',
+  nb: 'Norwegian Bokmål',
+  nn: 'Norwegian Nynorsk',
+  no: 'Norwegian',
+  non: 'Old Norse',
+  odt: 'Old Dutch',
+  ofs: 'Old Frisian',
+  osx: 'Old Saxon',
+  pl: 'Polish',
+  pt: 'Portuguese',
+  ro: 'Romanian',
+  ru: 'Russian',
+  sa: 'Sanskrit',
+  sk: 'Slovak',
+  sl: 'Slovene',
+  sq: 'Albanian',
+  sr: 'Serbian',
+  sv: 'Swedish',
+  sw: 'Swahili',
+  th: 'Thai',
+  tr: 'Turkish',
+  uk: 'Ukrainian',
+  ur: 'Urdu',
+  vi: 'Vietnamese',
+  yi: 'Yiddish',
+  yue: 'Cantonese',
+  zh: 'Chinese',
+}
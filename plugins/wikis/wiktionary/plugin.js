@@ -1,7 +1,12 @@
 const templates = require('./templates')
+const entries = require('./entries')
 
 const plugin = (models, _templates) => {
   // add new templates
   Object.assign(_templates, templates)
+  // languages, parts-of-speech, senses and translations
+  models.Doc.prototype.entries = function () {
+    return entries(this)
+  }
 }
 module.exports = plugin
@@ -37,3 +37,142 @@ test('inline-output', (t) => {
 //   })
 //   t.end()
 // })
+
+test('pronunciation-templates', (t) => {
+  const arr = [
+    [`{{IPA|en|/ˈwɔːtə/}}`, 'IPA: /ˈwɔːtə/'],
+    [`{{a|RP}} {{IPA|en|/ˈwɔtɚ/|/ˈwɑtɚ/}}`, '(RP) IPA: /ˈwɔtɚ/, /ˈwɑtɚ/'],
+    [`{{rhymes|en|ɔːtə(ɹ)}}`, 'Rhymes: -ɔːtə(ɹ)'],
+    [
+      `From {{inh|en|enm|water}}, from {{der|en|gem-pro|*watōr}}.`,
+      'From Middle English water, from Proto-Germanic *watōr.',
+    ],
+    [`From {{bor|fr|la|aqua}}.`, 'From Latin aqua.'],
+  ]
+  arr.forEach((a) => {
+    t.equal(wtf(a[0]).text(), a[1], a[0])
+  })
+  t.end()
+})
+
+const page = `==English==
+
+===Etymology===
+From {{inh|en|enm|water}}, from {{inh|en|ang|wæter}}, from {{der|en|gem-pro|*watōr}}.
+
+===Pronunciation===
+* {{a|RP}} {{IPA|en|/ˈwɔːtə/}}
+* {{a|GA}} {{IPA|en|/ˈwɔtɚ/}}
+* {{hyphenation|en|wa|ter}}
+
+===Noun===
+{{en-noun|~}}
+
+# {{lb|en|uncountable}} A clear liquid.
+#: {{ux|en|Water is wet.}}
+#* '''1990''', Some Author, ''A Book'':
+#*: The water was cold.
+# {{lb|en|countable}} A serving of water.
+## A bottle of water.
+
+====Translations====
+{{trans-top|clear liquid}}
+* French: {{t+|fr|eau|f}}
+* Chinese:
+*: Mandarin: {{t+|cmn|水|tr=shuǐ}}
+{{trans-bottom}}
+
+===Verb===
+{{en-verb}}
+
+# To pour water on.
+
+==French==
+
+===Etymology===
+From {{bor|fr|la|aqua}}.
+
+===Noun===
+{{head|fr|noun|g=f|plural|eaux}}
+
+# [[water]]`
+
+test('entries', (t) => {
+  const doc = wtf(page, { title: 'water' })
+  const arr = doc.entries()
+  t.deepEqual(
+    arr.map((e) => [e.language, e.pos]),
+    [
+      ['English', 'noun'],
+      ['English', 'verb'],
+      ['French', 'noun'],
+    ],
+    'languages and parts of speech'
+  )
+  let noun = arr[0]
+  t.deepEqual(
+    noun.etymology.chain.map((o) => [o.type, o.language, o.term]),
+    [
+      ['inherited', 'Middle English', 'water'],
+      ['inherited', 'Old English', 'wæter'],
+      ['derived', 'Proto-Germanic', '*watōr'],
+    ],
+    'etymology chain'
+  )
+  t.equal(
+    noun.etymology.text,
+    'From Middle English water, from Old English wæter, from Proto-Germanic *watōr.',
+    'etymology'
+  )
+  t.deepEqual(
+    noun.pronunciation.ipa,
+    [
+      { ipa: '/ˈwɔːtə/', accents: ['RP'] },
+      { ipa: '/ˈwɔtɚ/', accents: ['GA'] },
+    ],
+    'ipa'
+  )
+  t.deepEqual(noun.pronunciation.hyphenation, ['wa', 'ter'], 'hyphenation')
+  t.deepEqual(noun.headword.forms, { plural: ['waters'], countability: 'both' }, 'noun forms')
+  t.equal(noun.senses.length, 2, 'two senses')
+  t.deepEqual(noun.senses[0].labels, ['uncountable'], 'labels')
+  t.equal(noun.senses[0].definition, 'A clear liquid.', 'definition')
+  t.deepEqual(noun.senses[0].examples, ['Water is wet.'], 'example')
+  t.deepEqual(
+    noun.senses[0].quotations,
+    [{ source: '1990, Some Author, A Book:', text: 'The water was cold.' }],
+    'quotation'
+  )
+  t.equal(noun.senses[1].senses[0].number, '2.1', 'sub-sense')
+  t.equal(noun.translations[0].gloss, 'clear liquid', 'gloss')
+  t.deepEqual(
+    noun.translations[0].translations.map((o) => [o.language, o.word, o.gender, o.transliteration]),
+    [
+      ['French', 'eau', ['f'], null],
+      ['Mandarin', '水', [], 'shuǐ'],
+    ],
+    'translations'
+  )
+  t.deepEqual(
+    arr[1].headword.forms,
+    { thirdPerson: 'waters', presentParticiple: 'watering', past: 'watered', pastParticiple: 'watered' },
+    'verb forms'
+  )
+  t.deepEqual([arr[2].headword.gender, arr[2].headword.forms], ['f', { plural: 'eaux' }], 'head template')
+  t.equal(arr[2].etymology.chain[0].type, 'borrowed', 'borrowed')
+  t.equal(arr[2].pronunciation, null, 'no pronunciation')
+  t.end()
+})
+
+test('adjective forms', (t) => {
+  const str = `==English==
+===Adjective===
+{{en-adj|er}}
+
+# Not moving quickly.`
+  let adj = wtf(str, { title: 'slow' }).entries()[0]
+  t.deepEqual(adj.headword.forms, { comparative: 'slower', superlative: 'slowest' }, 'er forms')
+  adj = wtf(str).entries()[0]
+  t.deepEqual(adj.headword.forms, {}, 'no forms without a title')
+  t.end()
+})
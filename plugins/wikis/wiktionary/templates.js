@@ -1,6 +1,15 @@
 const parse = require('../../../src/template/parse/toJSON')
+const languages = require('./languages')
 // const strip = require('./_parsers/_strip');
 
+//'Middle English water'
+const etymology = function (obj) {
+  let lang = obj['source-lang'] || ''
+  let name = languages[lang] || lang
+  let term = obj.alt || obj.term || ''
+  return term ? `${name} ${term}` : name
+}
+
 //wiktionary... who knows. we should atleast try.
 const templates = {
   etyl: 1,
@@ -51,10 +60,39 @@ const templates = {
     list.push(obj)
     return `→ ${obj.lang}: [[${obj.word}]]` //shouldn't use language code
   },
+  //{{rhymes|en|ɔːtə(ɹ)}}
   rhymes: (tmpl, list) => {
-    let obj = parse(tmpl, ['word'])
+    let obj = parse(tmpl, ['lang', 'rhyme'])
+    list.push(obj)
+    let rhymes = [obj.rhyme].concat(obj.list || []).filter((str) => str)
+    return 'Rhymes: ' + rhymes.map((str) => '-' + str).join(', ')
+  },
+  //{{IPA|en|/ˈwɔːtə/|/ˈwɔtɚ/}}
+  ipa: (tmpl, list) => {
+    let obj = parse(tmpl, ['lang'])
+    obj.template = 'ipa'
+    obj.ipa = obj.list || []
+    delete obj.list
     list.push(obj)
-    return 'Rhymes: -' + (obj.word || '')
+    return 'IPA: ' + obj.ipa.join(', ')
+  },
+  //{{a|RP}} - the accent of a pronunciation
+  a: (tmpl, list) => {
+    let obj = parse(tmpl)
+    list.push(obj)
+    return `(${(obj.list || []).join(', ')})`
+  },
+  //{{audio|en|en-us-water.ogg|Audio (US)}}
+  audio: (tmpl, list) => {
+    let obj = parse(tmpl, ['lang', 'file', 'label'])
+    list.push(obj)
+    return ''
+  },
+  //{{trans-top|clear liquid H₂O}}
+  'trans-top': (tmpl, list) => {
+    let obj = parse(tmpl, ['gloss'])
+    list.push(obj)
+    return ''
   },
   t: (tmpl, list) => {
     let obj = parse(tmpl, ['lang', 'word'])
@@ -101,7 +139,19 @@ const templates = {
   bor: (tmpl, list) => {
     let obj = parse(tmpl, ['lang', 'source-lang', 'term'])
     list.push(obj)
-    return `${obj['source-lang']} [[${obj.term}]]`
+    return etymology(obj)
+  },
+  //{{inh|en|enm|water}} - inherited from an older form of the language
+  inh: (tmpl, list) => {
+    let obj = parse(tmpl, ['lang', 'source-lang', 'term'])
+    list.push(obj)
+    return etymology(obj)
+  },
+  //{{der|en|gem-pro|*watōr}} - derived, some other way
+  der: (tmpl, list) => {
+    let obj = parse(tmpl, ['lang', 'source-lang', 'term'])
+    list.push(obj)
+    return etymology(obj)
   },
   w: (tmpl, list) => {
     let obj = parse(tmpl, ['page', 'label'])
@@ -336,5 +386,10 @@ templates.lb = templates.label
 templates.lbl = templates.label
 templates['t+'] = templates.t
 templates['tt+'] = templates.t
+templates['inh+'] = templates.inh
+templates['der+'] = templates.der
+templates['bor+'] = templates.bor
+templates.lbor = templates.bor
+templates.accent = templates.a
 
 module.exports = templates
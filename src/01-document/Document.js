@@ -1,8 +1,17 @@
 const sectionMap = require('./_sectionMap')
 const toJSON = require('./toJson')
+const toWikitext = require('./toWikitext')
 const isDisambig = require('./isDisambig')
 const setDefaults = require('../_lib/setDefaults')
+const offsets = require('../_lib/offsets')
 const Image = require('../image/Image')
+const findCoordinates = require('../coordinates')
+const toGeoJson = require('../coordinates/toGeoJson')
+const findElections = require('../election')
+const findSports = require('../sports')
+const findMoney = require('../money')
+const findQuantities = require('../quantity')
+const findDates = require('../date')
 
 const redirects = require('./redirects')
 const preProcess = require('./preProcess')
@@ -43,10 +52,15 @@ class Document {
       type: 'page',
       redirectTo: null,
       wikidata: options.wikidata || null,
+      requested: options.requested || null,
+      revision: options.revision && typeof options.revision === 'object' ? options.revision : null,
       wiki: wiki || '',
+      original: wiki || '',
       categories: [],
       sections: [],
       coordinates: [],
+      offsets: options.offsets === true,
+      map: options.offsets === true ? offsets.create(wiki) : null,
     }
     // this._missing_templates = {} //for stats+debugging purposes
 
@@ -62,22 +76,20 @@ class Document {
     if (redirects.isRedirect(this._wiki) === true) {
       this._type = 'redirect'
       this._redirectTo = redirects.parse(this._wiki)
-      const [categories, newWiki] = parse.categories(this._wiki)
-      this._categories = categories
-      this._wiki = newWiki
+      this._categories = parse.categories(this)
       return
     }
 
     //give ourselves a little head-start
-    this._wiki = preProcess(this._wiki)
+    preProcess(this)
 
     //pull-out [[category:whatevers]]
-    const [categories, newWiki] = parse.categories(this._wiki)
-    this._categories = categories
-    this._wiki = newWiki
+    this._categories = parse.categories(this)
 
     //parse all the headings, and their texts/sentences
     this._sections = parse.section(this)
+    //(we don't need this anymore)
+    this._map = null
   }
 
   /**
@@ -199,6 +211,26 @@ class Document {
     return this._namespace || null
   }
 
+  /**
+   * When the page was fetched, which revision of it this is
+   * like {id:1023, parentId:1019, timestamp:'2021-04-01T12:00:00Z', user:'Bob', comment:'fix typo'}
+   *
+   * @returns {null|object} the revision's id, parentId, timestamp, user and comment
+   */
+  revision() {
+    return this._revision
+  }
+
+  /**
+   * When the page was fetched, how the wiki resolved the title that was asked-for
+   * like {input:'toronto_raptors', normalized:'Toronto raptors', redirected:'Toronto Raptors', fragment:null}
+   *
+   * @returns {null|object} the input title, and any normalized or redirected titles
+   */
+  requested() {
+    return this._requested
+  }
+
   /**
    * Returns if the page is a redirect
    *
@@ -426,6 +458,75 @@ class Document {
     return sectionMap(this, 'coordinates', clue)
   }
 
+  /**
+   * every coordinate on the page - from {{coord}} templates, infobox fields and location-maps -
+   * with its globe, type, dim and scale, and which one is the page's primary location
+   *
+   * @returns {object[]} all the points
+   */
+  locations() {
+    return findCoordinates(this)
+  }
+
+  /**
+   * the page's coordinates, as a geojson FeatureCollection
+   *
+   * @returns {object} the FeatureCollection
+   */
+  geojson() {
+    return toGeoJson(findCoordinates(this), this.title() || null)
+  }
+
+  /**
+   * election results - from election boxes, election infoboxes and tables of results -
+   * with each candidate's party, votes, percent, swing, and if they were elected
+   *
+   * @returns {object[]} the elections
+   */
+  elections() {
+    return findElections(this)
+  }
+
+  /**
+   * sports results - matches, tournament brackets, league standings and squad lists -
+   * from football boxes, game logs, bracket templates, sports tables and player templates
+   *
+   * @returns {object} {matches, brackets, standings, squads}
+   */
+  sports() {
+    return findSports(this)
+  }
+
+  /**
+   * every amount of money on the page - from currency templates, written amounts, and infobox fields
+   * like revenue or budget - with its iso-4217 currency, scale, year, and the sentence it's in
+   *
+   * @returns {object[]} the amounts
+   */
+  money() {
+    return findMoney(this)
+  }
+
+  /**
+   * every measurement on the page - from {{convert}}, {{cvt}}, {{height}} and similar templates -
+   * with its number and unit, and the same amount in SI units
+   *
+   * @returns {object[]} the quantities
+   */
+  quantities() {
+    return findQuantities(this)
+  }
+
+  /**
+   * every date on the page - from date templates, infoboxes, and sentences - with its precision,
+   * era, calendar and range, and where it was found
+   *
+   * @returns {WikiDate[]} the dates
+   */
+  dates() {
+    return findDates(this)
+  }
+
   /**
    * If clue is unidentified then it returns all infoboxes
    * If clue is a number then it returns the infobox at that index
@@ -483,6 +584,16 @@ class Document {
     return this._wiki || ''
   }
 
+  /**
+   * the original wiki markup, with any changes made with methods like infobox.set() or link.page()
+   * everything else is left byte-for-byte as it was
+   *
+   * @returns {string} markup text
+   */
+  toWikitext() {
+    return toWikitext(this)
+  }
+
   /**
    * prints the title of every section
    *
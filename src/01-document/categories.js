@@ -1,10 +1,11 @@
 const i18n = require('../_data/i18n')
+const { replace } = require('../_lib/offsets')
 const cat_reg = new RegExp('\\[\\[:?(' + i18n.categories.join('|') + '):(.{2,178}?)]](w{0,10})', 'gi')
 const cat_remove_reg = new RegExp('^\\[\\[:?(' + i18n.categories.join('|') + '):', 'gi')
 
-const parse_categories = function (wiki) {
+const parse_categories = function (doc) {
   const categories = []
-  let tmp = wiki.match(cat_reg) //regular links
+  let tmp = doc._wiki.match(cat_reg) //regular links
   if (tmp) {
     tmp.forEach(function (c) {
       c = c.replace(cat_remove_reg, '')
@@ -15,7 +16,7 @@ const parse_categories = function (wiki) {
       }
     })
   }
-  const newWiki = wiki.replace(cat_reg, '')
-  return [categories, newWiki]
+  replace(doc, cat_reg, '')
+  return categories
 }
 module.exports = parse_categories
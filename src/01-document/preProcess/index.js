@@ -1,37 +1,38 @@
 const kill_xml = require('./kill_xml')
+const { replace } = require('../../_lib/offsets')
 
 /**
  * removes unnecessary strings from the wikitext
  * it is mostly-formatting stuff can be cleaned-up first, to make life easier
  *
  * @private
- * @param {string} wiki the wikitext that needs processing
+ * @param {Document} doc the document, with the wikitext that needs processing
  * @returns {string} the processed text
  */
-function preProcess(wiki) {
+function preProcess(doc) {
   //remove comments
-  wiki = wiki.replace(/<!--[\s\S]{0,2000}?-->/g, '')
-  wiki = wiki.replace(/__(NOTOC|NOEDITSECTION|FORCETOC|TOC)__/gi, '')
+  replace(doc, /<!--[\s\S]{0,2000}?-->/g, '')
+  replace(doc, /__(NOTOC|NOEDITSECTION|FORCETOC|TOC)__/gi, '')
   //signitures
-  wiki = wiki.replace(/~{2,3}/g, '')
+  replace(doc, /~{2,3}/g, '')
   //windows newlines
-  wiki = wiki.replace(/\r/g, '')
+  replace(doc, /\r/g, '')
   //japanese periods - '。'
-  wiki = wiki.replace(/\u3002/g, '. ')
+  replace(doc, /\u3002/g, '. ')
   //horizontal rule
-  wiki = wiki.replace(/----/g, '')
+  replace(doc, /----/g, '')
   //formatting for templates-in-templates...
-  wiki = wiki.replace(/\{\{\}\}/g, ' – ')
-  wiki = wiki.replace(/\{\{\\\}\}/g, ' / ')
+  replace(doc, /\{\{\}\}/g, ' – ')
+  replace(doc, /\{\{\\\}\}/g, ' / ')
   //space
-  wiki = wiki.replace(/&nbsp;/g, ' ')
+  replace(doc, /&nbsp;/g, ' ')
   //give it the inglorious send-off it deserves..
-  wiki = kill_xml(wiki)
+  kill_xml(doc)
   //({{template}},{{template}}) leaves empty parentheses
-  wiki = wiki.replace(/\([,;: ]+\)/g, '')
+  replace(doc, /\([,;: ]+\)/g, '')
   //these templates just screw things up, too
-  wiki = wiki.replace(/\{\{(baseball|basketball) (primary|secondary) (style|color).*?\}\}/i, '')
+  replace(doc, /\{\{(baseball|basketball) (primary|secondary) (style|color).*?\}\}/i, '')
 
-  return wiki
+  return doc._wiki
 }
 module.exports = preProcess
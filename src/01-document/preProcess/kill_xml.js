@@ -1,3 +1,5 @@
+const { replace } = require('../../_lib/offsets')
+const breaks = require('../../_lib/breaks')
 //okay, i know you're not supposed to regex html, but...
 //https://en.wikipedia.org/wiki/Help:HTML_in_wikitext
 
@@ -15,7 +17,6 @@ const ignore = [
   'inputbox',
   'nowiki',
   'poem',
-  'references',
   'source',
   'syntaxhighlight',
   'timeline',
@@ -25,28 +26,29 @@ const closeTag = `< ?/ ?(${ignore.join('|')}) ?>`
 const anyChar = '\\s\\S' //including newline
 const noThanks = new RegExp(`${openTag}[${anyChar}]+?${closeTag}`, 'gi')
 
-const kill_xml = function (wiki) {
-  //(<ref> tags are parsed in Section class) - luckily, refs can't be recursive.
+const kill_xml = function (doc) {
+  //(<ref> tags, and <references> lists are parsed in Section class) - luckily, refs can't be recursive.
   //types of html/xml that we want to trash completely.
-  wiki = wiki.replace(noThanks, ' ')
+  replace(doc, noThanks, ' ')
   //some xml-like fragments we can also kill
-  wiki = wiki.replace(/ ?< ?(span|div|table|data) [a-zA-Z0-9=%.\-#:;'" ]{2,100}\/? ?> ?/g, ' ') //<ref name="asd">
-  //only kill ref tags if they are selfclosing
-  wiki = wiki.replace(/ ?< ?(ref) [a-zA-Z0-9=" ]{2,100}\/ ?> ?/g, ' ') //<ref name="asd"/>
+  replace(doc, / ?< ?(span|div|table|data) [a-zA-Z0-9=%.\-#:;'" ]{2,100}\/? ?> ?/g, ' ') //<ref name="asd">
 
   // convert these html tags to known formatting
-  wiki = wiki.replace(/<i>(.*?)<\/i>/g, `''$1''`)
-  wiki = wiki.replace(/<b>(.*?)<\/b>/g, `'''$1'''`)
+  replace(doc, /<i>(.*?)<\/i>/g, `''$1''`)
+  replace(doc, /<b>(.*?)<\/b>/g, `'''$1'''`)
 
   // these are better-handled with templates
-  wiki = wiki.replace(/<sub>(.*?)<\/sub>/g, `{{sub|$1}}`)
-  wiki = wiki.replace(/<sup>(.*?)<\/sup>/g, `{{sup|$1}}`)
+  replace(doc, /<sub>(.*?)<\/sub>/g, `{{sub|$1}}`)
+  replace(doc, /<sup>(.*?)<\/sup>/g, `{{sup|$1}}`)
 
+  //a <br> inside a template may split its values, so it gets a marker there
+  const inTemplate = breaks.insideTemplates(doc._wiki)
+  replace(doc, / ?<[ /]?br[ /]?> ?/g, (_, at) => (inTemplate(at) ? breaks.marker : ' ')) //<br>, <br/>
   //some formatting xml, we'll keep their insides though
-  wiki = wiki.replace(/ ?<[ /]?(p|sub|sup|span|nowiki|div|table|br|tr|td|th|pre|pre2|hr)[ /]?> ?/g, ' ') //<sub>, </sub>
-  wiki = wiki.replace(/ ?<[ /]?(abbr|bdi|bdo|blockquote|cite|del|dfn|em|ins|kbd|mark|q|s|small)[ /]?> ?/g, ' ') //<abbr>, </abbr>
-  wiki = wiki.replace(/ ?<[ /]?h[0-9][ /]?> ?/g, ' ') //<h2>, </h2>
-  wiki = wiki.replace(/ ?< ?br ?\/> ?/g, '\n') //<br />
-  return wiki.trim()
+  replace(doc, / ?<[ /]?(p|sub|sup|span|nowiki|div|table|tr|td|th|pre|pre2|hr)[ /]?> ?/g, ' ') //<sub>, </sub>
+  replace(doc, / ?<[ /]?(abbr|bdi|bdo|blockquote|cite|del|dfn|em|ins|kbd|mark|q|s|small)[ /]?> ?/g, ' ') //<abbr>, </abbr>
+  replace(doc, / ?<[ /]?h[0-9][ /]?> ?/g, ' ') //<h2>, </h2>
+  replace(doc, / ?< ?br ?\/> ?/g, '\n') //<br />
+  return replace(doc, /^\s+|\s+$/g, '')
 }
 module.exports = kill_xml
@@ -0,0 +1,100 @@
+const { isEdited, patch } = require('../_lib/edits')
+
+//the wikitext each model had, before any changes
+const originalText = function (model) {
+  if (model.data && model.data.raw !== undefined) {
+    return model.data.raw
+  }
+  return model.wiki || ''
+}
+
+//every model that can be changed, with an id that won't move around
+const getModels = function (doc) {
+  let models = {}
+  let parents = []
+  const add = (prefix, arr) => arr.forEach((m, i) => (models[prefix + i] = m))
+  doc.sections().forEach((sec, n) => {
+    add(`${n}:template:`, sec.templates())
+    add(`${n}:reference:`, sec._references || [])
+    sec.infoboxes().forEach((info, i) => {
+      Object.keys(info.data).forEach((k) => add(`${n}:infobox:${i}:${k}:`, info.data[k].links()))
+      models[`${n}:infobox:${i}`] = info
+    })
+    add(`${n}:link:`, sec.sentences().concat(sec.lists(), sec.tables()).reduce((arr, o) => arr.concat(o.links()), []))
+    parents = parents.concat(sec.infoboxes(), sec.tables(), sec.lists(), sec._references || [])
+  })
+  parents = parents.filter((p) => p._offset)
+  return { models, parents }
+}
+
+/**
+ * find where a model was, in the original text
+ * - use its offset, or look for it inside its parent, or look for it anywhere
+ *
+ * @private
+ * @param {string} str the original wikitext
+ * @param {object} model the model, parsed with offsets
+ * @param {object[]} parents any models with offsets that may hold it
+ * @param {object} seen where we've already looked for each text
+ * @returns {number[] | null} the [start, end] of it
+ */
+const findSpan = function (str, model, parents, seen) {
+  if (model._offset) {
+    return [model._offset.start, model._offset.end]
+  }
+  let before = originalText(model)
+  if (!before) {
+    return null
+  }
+  let from = 0
+  let to = str.length
+  let parent = parents.find((p) => p.links().indexOf(model) !== -1)
+  if (parent) {
+    from = parent._offset.start
+    to = parent._offset.end
+  }
+  let key = from + ':' + before
+  let at = str.slice(0, to).indexOf(before, seen[key] || from)
+  if (at === -1) {
+    return null
+  }
+  seen[key] = at + before.length
+  return [at, at + before.length]
+}
+
+/**
+ * the original wikitext, with any changes made to the parsed models
+ *
+ * @private
+ * @param {Document} doc the document
+ * @returns {string} the new wikitext
+ */
+const toWikitext = function (doc) {
+  let str = doc._original || ''
+  let { models } = getModels(doc)
+  let ids = Object.keys(models).filter((id) => isEdited(models[id]))
+  if (ids.length === 0) {
+    return str
+  }
+  //we need to know where everything was - so parse it again, if we have to
+  let twin = doc._offsets === true ? doc : new doc.constructor(str, { offsets: true })
+  let { models: twins, parents } = getModels(twin)
+  let seen = {}
+  let list = []
+  ids.forEach((id) => {
+    let model = models[id]
+    //(make sure they still line-up)
+    let found = twins[id]
+    if (!found || originalText(found) !== originalText(model)) {
+      found = model
+    }
+    let span = findSpan(str, found, parents, seen)
+    if (span === null) {
+      throw new Error(`doc.toWikitext() couldn't find '${originalText(model)}' in the original wikitext`)
+    }
+    let before = str.slice(span[0], span[1])
+    list.push({ start: span[0], end: span[1], before: before, after: model._edit(before) })
+  })
+  return patch(str, list)
+}
+module.exports = toWikitext
@@ -1,5 +1,9 @@
 const toJSON = require('./toJson')
 const setDefaults = require('../_lib/setDefaults')
+const { isEdited } = require('../_lib/edits')
+const markers = require('../reference/markers')
+const breaks = require('../_lib/breaks')
+const { replace } = require('../_lib/offsets')
 
 const parse = {
   heading: require('./heading'),
@@ -42,6 +46,8 @@ class Section {
       infoboxes: [],
       references: [],
       paragraphs: [],
+      map: data.map || null,
+      offset: data.offset || null,
     }
     Object.keys(props).forEach((k) => {
       Object.defineProperty(this, '_' + k, {
@@ -54,18 +60,25 @@ class Section {
     //parse-out <template></template>' and {{start}}...{{end}} templates
     const startEndTemplates = parse.startEndTemplates(this, doc)
     this._wiki = startEndTemplates.text
+    this._map = startEndTemplates._map
     this._templates = this._templates.concat(startEndTemplates.templates)
 
     //parse-out the <ref></ref> tags
     parse.references(this)
     //parse-out all {{templates}}
+    let beforeTemplates = this._wiki
     parse.templates(this, doc)
+    //(any <br> markers outside of a template)
+    replace(this, breaks.reg, ' ')
 
     //parse the tables
-    parse.table(this)
+    parse.table(this, beforeTemplates)
 
     //now parse all double-newlines
     parse.paragraphs(this, doc)
+    //(we don't need these anymore)
+    this._map = null
+    this._wiki = markers.strip(this._wiki)
   }
 
   /**
@@ -77,6 +90,15 @@ class Section {
     return this._title || ''
   }
 
+  /**
+   * returns where this section is in the original wikitext, if the `offsets` option was used
+   *
+   * @returns {object | null} the start and end index
+   */
+  offset() {
+    return this._offset || null
+  }
+
   /**
    * returns the index of the current section in the document
    *
@@ -280,7 +302,9 @@ class Section {
    * @returns {object | object[]} all references in an array or the clue-th reference
    */
   references() {
-    return this._references || []
+    let arr = this._references || []
+    //skip any we've removed, with ref.remove()
+    return arr.filter((ref) => !isEdited(ref))
   }
 
   //transformations
@@ -1,6 +1,7 @@
 const { trim_whitespace } = require('../_lib/helpers')
 const parseSentence = require('../04-sentence/').fromText
 const parseReferences = require('../reference/')
+const markers = require('../reference/markers')
 const heading_reg = /^(={1,5})(.{1,200}?)={1,5}$/
 
 
@@ -36,7 +37,7 @@ const parseHeading = function (section, str) {
   //same for references (i know..)
   let obj = { _wiki: title }
   parseReferences(obj)
-  title = obj._wiki
+  title = markers.strip(obj._wiki)
 
   //trim leading/trailing whitespace
   title = trim_whitespace(title)
@@ -1,4 +1,6 @@
 const Section = require('./Section')
+const offsets = require('../_lib/offsets')
+const resolveRefs = require('../reference/resolve')
 const i18n = require('../_data/i18n')
 const isReference = new RegExp('^(' + i18n.references.join('|') + '):?', 'i')
 const section_reg = /(?:\n|^)(={2,5}.{1,200}?={2,5})/g
@@ -48,11 +50,17 @@ const removeReferenceSection = function (sections) {
 const parseSections = function (doc) {
   let sections = []
   let splits = doc._wiki.split(section_reg)
+  let cursor = 0
 
   for (let i = 0; i < splits.length; i += 2) {
     let heading = splits[i - 1] || ''
     let wiki = splits[i] || ''
 
+    //keep track of where we are, for offsets
+    let start = heading ? doc._wiki.indexOf(heading, cursor) : cursor
+    let wikiStart = start + heading.length
+    cursor = wikiStart + wiki.length
+
     if (wiki === '' && heading === '') {
       //usually an empty 'intro' section
       continue
@@ -63,6 +71,10 @@ const parseSections = function (doc) {
       depth: null,
       wiki: wiki,
     }
+    if (doc._map) {
+      data.map = offsets.slice(doc._map, wikiStart, cursor)
+      data.offset = offsets.span(doc._map, start, cursor)
+    }
 
     //figure-out title and depth
     parse.heading(data, heading)
@@ -70,6 +82,8 @@ const parseSections = function (doc) {
     sections.push(new Section(data, doc))
   }
 
+  //connect re-used <ref> tags, and number them
+  resolveRefs(sections)
   //remove empty references section
   return removeReferenceSection(sections)
 }
@@ -0,0 +1,25 @@
+const tableParser = require('../../table/parse')
+const processTemplates = require('../../template')
+
+/**
+ * the rows of a {{start}}...{{end}} table, as plain-text, by the given headings
+ *
+ * @private
+ * @param {string} wiki the rows' wikitext
+ * @param {string[]} headings
+ * @returns {object[]}
+ */
+const toRows = function (wiki, headings) {
+  //render any templates in the cells, first - {{sortname|LeBron|James}}
+  let tmp = { _wiki: wiki }
+  processTemplates(tmp)
+  let headers = '! ' + headings.join(' !! ')
+  let table = '{|\n' + headers + '\n' + tmp._wiki + '\n|}'
+  return tableParser(table).map((row) => {
+    Object.keys(row).forEach((k) => {
+      row[k] = row[k].text()
+    })
+    return row
+  })
+}
+module.exports = toRows
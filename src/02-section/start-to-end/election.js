@@ -1,4 +1,15 @@
 const parseTemplates = require('../../template')
+const { replace, span, setOffset } = require('../../_lib/offsets')
+
+//the kinds of template, inside an election box
+const kinds = {
+  start: /^election box (inline )?begin/,
+  candidate: /^election box (inline )?(candidate|incumbent|winning candidate)/,
+  summary: /^election box (gain|hold)/,
+  majority: /^election box majority/,
+  turnout: /^election box turnout/,
+  electorate: /^election box registered electors/,
+}
 
 /**
  * parses out the `Election_box` template from the wiki text
@@ -10,7 +21,7 @@ const parseTemplates = require('../../template')
  * @param {object} catcher an object to provide and catch data
  */
 const parseElection = function (catcher) {
-  catcher.text = catcher.text.replace(/\{\{election box begin([\s\S]+?)\{\{election box end\}\}/gi, (tmpl) => {
+  replace(catcher, /\{\{election box begin([\s\S]+?)\{\{election box end\}\}/gi, (tmpl, _, at) => {
     let data = {
       _wiki: tmpl,
       _templates: [],
@@ -22,22 +33,27 @@ const parseElection = function (catcher) {
     //okay, pull it apart into something sensible..
     let templates = data._templates.map((t) => t.json())
 
-    let start = templates.find((t) => t.template === 'election box') || {}
-    let candidates = templates.filter((t) => t.template === 'election box candidate')
-    let summary = templates.find((t) => t.template === 'election box gain' || t.template === 'election box hold') || {}
+    const find = (kind) => templates.find((t) => kinds[kind].test(t.template))
+    let start = find('start') || {}
+    let candidates = templates.filter((t) => kinds.candidate.test(t.template))
+    let summary = find('summary')
 
     if (candidates.length > 0 || summary) {
-      catcher.templates.push({
+      let obj = {
         template: 'election box',
         title: start.title,
         candidates: candidates,
-        summary: summary.data,
-      })
+        summary: summary,
+        majority: find('majority'),
+        turnout: find('turnout'),
+        electorate: find('electorate'),
+      }
+      catcher.templates.push(setOffset(obj, span(catcher._map, at, at + tmpl.length)))
     }
 
     //return empty string to remove the template from the wiki text
     return ''
-  })
+  }, 'text')
 }
 
 module.exports = parseElection
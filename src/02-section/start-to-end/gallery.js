@@ -1,5 +1,6 @@
 const parseSentence = require('../../04-sentence/').fromText
 const Image = require('../../image/Image')
+const { replace, span, setOffset } = require('../../_lib/offsets')
 //okay, <gallery> is a xml-tag, with newline-separated data, somehow pivoted by '|'...
 //all deities help us. truly -> https://en.wikipedia.org/wiki/Help:Gallery_tag
 //- not to be confused with https://en.wikipedia.org/wiki/Template:Gallery...
@@ -11,7 +12,7 @@ const Image = require('../../image/Image')
  * @param {Section} section
  */
 const parseGallery = function (catcher, doc, section) {
-  catcher.text = catcher.text.replace(/<gallery([^>]*)>([\s\S]+)<\/gallery>/g, (_, attrs, inside) => {
+  replace(catcher, /<gallery([^>]*)>([\s\S]+)<\/gallery>/g, (all, attrs, inside, at) => {
     let images = inside.split(/\n/g)
     images = images.filter((str) => str && str.trim() !== '')
 
@@ -33,15 +34,16 @@ const parseGallery = function (catcher, doc, section) {
 
     //add it to our templates list
     if (images.length > 0) {
-      catcher.templates.push({
+      let obj = {
         template: 'gallery',
         images: images,
         pos: section.title,
-      })
+      }
+      catcher.templates.push(setOffset(obj, span(catcher._map, at, at + all.length)))
     }
 
     //return empty string to remove the template from the wiki text
     return ''
-  })
+  }, 'text')
 }
 module.exports = parseGallery
@@ -5,6 +5,7 @@ const parseMlb = require('./mlb')
 const parseMMA = require('./mma')
 const parseMath = require('./math')
 const Template = require('../../template/Template')
+const { setOffset } = require('../../_lib/offsets')
 
 /**
  * parses out non standard templates
@@ -22,6 +23,7 @@ const xmlTemplates = function (section, doc) {
   const res = {
     templates: [],
     text: section._wiki,
+    _map: section._map,
   }
 
   parseElection(res)
@@ -32,7 +34,7 @@ const xmlTemplates = function (section, doc) {
   parseNBA(res)
 
   // turn them into Template objects
-  res.templates = res.templates.map((obj) => new Template(obj))
+  res.templates = res.templates.map((obj) => setOffset(new Template(obj), obj._offset))
   return res
 }
 
@@ -1,4 +1,5 @@
 const parseSentence = require('../../04-sentence/').fromText
+const { replace, span, setOffset } = require('../../_lib/offsets')
 
 /**
  * try to parse out the math and chem templates
@@ -10,15 +11,16 @@ const parseSentence = require('../../04-sentence/').fromText
  * @param {object} catcher
  */
 const parseMath = function (catcher) {
-  catcher.text = catcher.text.replace(/<math([^>]*)>([\s\S]+)<\/math>/g, (_, attrs, inside) => {
+  replace(catcher, /<math([^>]*)>([\s\S]+)<\/math>/g, (all, attrs, inside, at) => {
     //clean it up a little?
     let formula = parseSentence(inside).text()
 
-    catcher.templates.push({
+    let obj = {
       template: 'math',
       formula: formula,
       raw: inside,
-    })
+    }
+    catcher.templates.push(setOffset(obj, span(catcher._map, at, at + all.length)))
 
     //should we at least try to render it in plaintext? :/
     if (formula && formula.length < 12) {
@@ -27,17 +29,18 @@ const parseMath = function (catcher) {
 
     //return empty string to remove the template from the wiki text
     return ''
-  })
+  }, 'text')
 
   //try chemistry version too
-  catcher.text = catcher.text.replace(/<chem([^>]*)>([\s\S]+?)<\/chem>/g, (_, attrs, inside) => {
-    catcher.templates.push({
+  replace(catcher, /<chem([^>]*)>([\s\S]+?)<\/chem>/g, (all, attrs, inside, at) => {
+    let obj = {
       template: 'chem',
       data: inside,
-    })
+    }
+    catcher.templates.push(setOffset(obj, span(catcher._map, at, at + all.length)))
 
     //return empty string to remove the template from the wiki text
     return ''
-  })
+  }, 'text')
 }
 module.exports = parseMath
@@ -1,4 +1,5 @@
-const tableParser = require('../../table/parse')
+const toRows = require('./_rows')
+const { replace, span, setOffset } = require('../../_lib/offsets')
 //https://en.wikipedia.org/wiki/Template:MLB_game_log_section
 
 //this is pretty nuts
@@ -21,32 +22,28 @@ const whichHeadings = function (tmpl) {
  * @param {object} catcher
  */
 const parseMlb = function (catcher) {
-  catcher.text = catcher.text.replace(
+  replace(
+    catcher,
     /\{\{mlb game log (section|month)[\s\S]+?\{\{mlb game log (section|month) end\}\}/gi,
-    (tmpl) => {
+    (tmpl, kind, kindEnd, at) => {
+      let offset = span(catcher._map, at, at + tmpl.length)
       let headings = whichHeadings(tmpl)
 
       tmpl = tmpl.replace(/^\{\{.*?\}\}/, '')
       tmpl = tmpl.replace(/\{\{mlb game log (section|month) end\}\}/i, '')
 
-      let headers = '! ' + headings.join(' !! ')
-      let table = '{|\n' + headers + '\n' + tmpl + '\n|}'
-      let rows = tableParser(table)
-      rows = rows.map((row) => {
-        Object.keys(row).forEach((k) => {
-          row[k] = row[k].text()
-        })
-        return row
-      })
+      let rows = toRows(tmpl, headings)
 
-      catcher.templates.push({
+      let obj = {
         template: 'mlb game log section',
         data: rows,
-      })
+      }
+      catcher.templates.push(setOffset(obj, offset))
 
       //return empty string to remove the template from the wiki text
       return ''
-    }
+    },
+    'text'
   )
 }
 module.exports = parseMlb
@@ -1,4 +1,5 @@
-const tableParser = require('../../table/parse')
+const toRows = require('./_rows')
+const { replace, span, setOffset } = require('../../_lib/offsets')
 let headings = ['res', 'record', 'opponent', 'method', 'event', 'date', 'round', 'time', 'location', 'notes']
 
 /**
@@ -9,27 +10,21 @@ let headings = ['res', 'record', 'opponent', 'method', 'event', 'date', 'round',
  * @param {object} catcher
  */
 const parseMMA = function (catcher) {
-  catcher.text = catcher.text.replace(/\{\{mma record start[\s\S]+?\{\{end\}\}/gi, (tmpl) => {
+  replace(catcher, /\{\{mma record start[\s\S]+?\{\{end\}\}/gi, (tmpl, at) => {
+    let offset = span(catcher._map, at, at + tmpl.length)
     tmpl = tmpl.replace(/^\{\{.*?\}\}/, '')
     tmpl = tmpl.replace(/\{\{end\}\}/i, '')
 
-    let headers = '! ' + headings.join(' !! ')
-    let table = '{|\n' + headers + '\n' + tmpl + '\n|}'
-    let rows = tableParser(table)
-    rows = rows.map((row) => {
-      Object.keys(row).forEach((k) => {
-        row[k] = row[k].text()
-      })
-      return row
-    })
+    let rows = toRows(tmpl, headings)
 
-    catcher.templates.push({
+    let obj = {
       template: 'mma record start',
       data: rows,
-    })
+    }
+    catcher.templates.push(setOffset(obj, offset))
 
     //return empty string to remove the template from the wiki text
     return ''
-  })
+  }, 'text')
 }
 module.exports = parseMMA
@@ -1,4 +1,5 @@
-const tableParser = require('../../table/parse')
+const toRows = require('./_rows')
+const { replace, span, setOffset } = require('../../_lib/offsets')
 const keys = {
   coach: ['team', 'year', 'g', 'w', 'l', 'w-l%', 'finish', 'pg', 'pw', 'pl', 'pw-l%'],
   player: ['year', 'team', 'gp', 'gs', 'mpg', 'fg%', '3p%', 'ft%', 'rpg', 'apg', 'spg', 'bpg', 'ppg'],
@@ -12,31 +13,27 @@ const keys = {
  * @param {object} catcher
  */
 const parseNBA = function (catcher) {
-  catcher.text = catcher.text.replace(
+  replace(
+    catcher,
     /\{\{nba (coach|player|roster) statistics start([\s\S]+?)\{\{s-end\}\}/gi,
-    (tmpl, name) => {
+    (tmpl, name, inside, at) => {
+      let offset = span(catcher._map, at, at + tmpl.length)
       tmpl = tmpl.replace(/^\{\{.*?\}\}/, '')
       tmpl = tmpl.replace(/\{\{s-end\}\}/, '')
       name = name.toLowerCase().trim()
 
-      let headers = '! ' + keys[name].join(' !! ')
-      let table = '{|\n' + headers + '\n' + tmpl + '\n|}'
-      let rows = tableParser(table)
-      rows = rows.map((row) => {
-        Object.keys(row).forEach((k) => {
-          row[k] = row[k].text()
-        })
-        return row
-      })
+      let rows = toRows(tmpl, keys[name])
 
-      catcher.templates.push({
+      let obj = {
         template: 'NBA ' + name + ' statistics',
         data: rows,
-      })
+      }
+      catcher.templates.push(setOffset(obj, offset))
 
       //return empty string to remove the template from the wiki text
       return ''
-    }
+    },
+    'text'
   )
 }
 module.exports = parseNBA
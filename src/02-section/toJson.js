@@ -34,6 +34,11 @@ const toJSON = function (section, options) {
     data.depth = section.depth()
   }
 
+  //where it was in the original wikitext - with the offsets option
+  if (section.offset()) {
+    data.offset = section.offset()
+  }
+
   //these return objects
   if (options.paragraphs === true) {
     let paragraphs = section.paragraphs().map((p) => p.json(options))
@@ -63,6 +63,9 @@ const methods = {
   wikitext: function () {
     return this.data.wiki
   },
+  offset: function () {
+    return this.data.offset || null
+  },
 }
 methods.citations = methods.references
 Object.keys(methods).forEach((k) => {
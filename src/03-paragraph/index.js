@@ -1,5 +1,7 @@
 const Paragraph = require('./Paragraph')
 const parseSentences = require('../04-sentence').byParagraph
+const offsets = require('../_lib/offsets')
+const markers = require('../reference/markers')
 
 const twoNewLines = /\r?\n\r?\n/
 const parse = {
@@ -10,8 +12,9 @@ const parse = {
 const parseParagraphs = function (section, doc) {
   let wiki = section._wiki
   let paragraphs = wiki.split(twoNewLines)
-  //don't create empty paragraphs
-  paragraphs = paragraphs.filter((p) => p && p.trim().length > 0)
+  //don't create empty paragraphs (or ones with only a <ref> in them)
+  paragraphs = paragraphs.filter((p) => p && markers.strip(p).trim().length > 0)
+  let cursor = 0
   paragraphs = paragraphs.map((str) => {
     let paragraph = {
       wiki: str,
@@ -19,12 +22,23 @@ const parseParagraphs = function (section, doc) {
       sentences: [],
       images: [],
     }
+    //keep track of where it came from
+    if (section._map) {
+      let at = wiki.indexOf(str, cursor)
+      cursor = at + str.length
+      //(ignore any whitespace around it)
+      let trimmed = str.trim()
+      let from = at + str.indexOf(trimmed)
+      paragraph.offset = offsets.span(section._map, from, from + trimmed.length)
+      paragraph._map = offsets.slice(section._map, at, cursor)
+    }
     //parse the lists
     parse.list(paragraph)
     //parse images
     parse.image(paragraph, doc)
     //parse the sentences
     parseSentences(paragraph)
+    delete paragraph._map
     return new Paragraph(paragraph)
   })
   section._wiki = wiki
@@ -7,6 +7,9 @@ const defaults = {
 const toJson = function (p, options) {
   options = setDefaults(options, defaults)
   let data = {}
+  if (p.offset()) {
+    data.offset = p.offset()
+  }
   if (options.sentences === true) {
     data.sentences = p.sentences().map((s) => s.json(options))
   }
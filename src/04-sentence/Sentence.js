@@ -44,6 +44,18 @@ const methods = {
   json: function (options) {
     return toJSON(this, options)
   },
+  offset: function () {
+    return this._offset || null
+  },
+  references: function () {
+    return this._references || []
+  },
+  //a number, date, list or url - for infobox values
+  value: function () {
+    //(required here, to avoid a circular import)
+    const parseValue = require('../infobox/value')
+    return parseValue(this)
+  },
   wikitext: function () {
     return this.data.wiki || ''
   },
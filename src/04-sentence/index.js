@@ -3,6 +3,8 @@ const parseLinks = require('../link')
 const parseFmt = require('./formatting')
 const Sentence = require('./Sentence')
 const sentenceParser = require('./parse')
+const offsets = require('../_lib/offsets')
+const markers = require('../reference/markers')
 
 /**
  * This function removes some final characters from the sentence
@@ -22,16 +24,51 @@ function postprocess(line) {
   return line
 }
 
+/**
+ * add offsets to a sentence, and its links
+ *
+ * @private
+ * @param {Sentence} sentence the sentence object
+ * @param {object} map where each character came from
+ */
+function addOffsets(sentence, map) {
+  let wiki = sentence.wikitext()
+  //(ignore any whitespace around it)
+  let trimmed = wiki.trim()
+  let from = wiki.indexOf(trimmed)
+  offsets.setOffset(sentence, offsets.span(map, from, from + trimmed.length))
+  //(the same link can appear twice)
+  let seen = {}
+  sentence.links().forEach((link) => {
+    let raw = link.wikitext()
+    let at = wiki.indexOf(raw, seen[raw] || 0)
+    if (at !== -1) {
+      seen[raw] = at + raw.length
+      offsets.setOffset(link, offsets.span(map, at, at + raw.length))
+    }
+  })
+}
+
 /**
  * returns one sentence object
  *
  * @param {string} str create a object from a sentence
+ * @param {object} [map] where each character came from, for the offsets option
  * @returns {Sentence} the Sentence created from the text
  */
-function fromText(str) {
+function fromText(str, map) {
+  //which <ref> tags were cited in it
+  let refs = markers.find(str)
+  if (refs.length > 0) {
+    let tmp = { wiki: str, _map: map }
+    offsets.replace(tmp, markers.reg, '', 'wiki')
+    str = tmp.wiki
+    map = tmp._map
+  }
   let obj = {
     wiki: str,
     text: str,
+    refs: refs,
   }
   //pull-out the [[links]]
   parseLinks(obj)
@@ -39,15 +76,61 @@ function fromText(str) {
   //pull-out the bolds and ''italics''
   obj = parseFmt(obj)
   //pull-out things like {{start date|...}}
-  return new Sentence(obj)
+  let sentence = new Sentence(obj)
+  if (map) {
+    addOffsets(sentence, map)
+  }
+  return sentence
+}
+
+//take the <ref> markers out of a paragraph, and remember where they were
+const takeCites = function (paragraph) {
+  let cites = []
+  if (markers.find(paragraph.wiki).length === 0) {
+    return cites
+  }
+  let removed = 0
+  paragraph.wiki.replace(markers.reg, (m, n, at) => {
+    cites.push({ id: Number(n), at: at - removed })
+    removed += m.length
+    return m
+  })
+  offsets.replace(paragraph, markers.reg, '', 'wiki')
+  return cites
 }
 
 //used for consistency with other class-definitions
 const byParagraph = function (paragraph) {
+  let cites = takeCites(paragraph)
   //array of texts
   let sentences = sentenceParser(paragraph.wiki)
   //sentence objects
-  sentences = sentences.map(fromText)
+  let cursor = 0
+  let starts = []
+  sentences = sentences.map((str) => {
+    //find where it is in the paragraph
+    let found = offsets.locate(paragraph.wiki, str, cursor)
+    if (found === null) {
+      starts.push(cursor)
+      return fromText(str)
+    }
+    starts.push(found[0])
+    cursor = found[1]
+    if (!paragraph._map) {
+      return fromText(str)
+    }
+    return fromText(str, offsets.slice(paragraph._map, found[0], found[1]))
+  })
+  //a ref belongs to the sentence before it
+  cites.forEach((cite) => {
+    let i = starts.length - 1
+    while (i > 0 && starts[i] > cite.at) {
+      i -= 1
+    }
+    if (sentences[i]) {
+      sentences[i].data.refs.push(cite.id)
+    }
+  })
   //remove :indented first line, as it is often a disambiguation
   if (sentences[0] && sentences[0].text() && sentences[0].text()[0] === ':') {
     sentences = sentences.slice(1)
@@ -28,6 +28,9 @@ const toJSON = function (s, options) {
   if (options.formatting && s.data.fmt) {
     data.formatting = s.data.fmt
   }
+  if (s.offset()) {
+    data.offset = s.offset()
+  }
   return data
 }
 module.exports = toJSON
@@ -0,0 +1,81 @@
+//fifa country-codes, that aren't the iso-3166 ones - {{fb|CRO}}
+module.exports = {
+  alg: 'dza',
+  ang: 'ago',
+  aru: 'abw',
+  asa: 'asm',
+  bah: 'bhs',
+  ban: 'bgd',
+  ber: 'bmu',
+  bhu: 'btn',
+  bot: 'bwa',
+  bru: 'brn',
+  bul: 'bgr',
+  bur: 'bfa',
+  cam: 'khm',
+  cay: 'cym',
+  cgo: 'cog',
+  cha: 'tcd',
+  chi: 'chl',
+  crc: 'cri',
+  cro: 'hrv',
+  cta: 'caf',
+  den: 'dnk',
+  eqg: 'gnq',
+  gam: 'gmb',
+  ger: 'deu',
+  gre: 'grc',
+  grn: 'grd',
+  gua: 'gtm',
+  gui: 'gin',
+  hai: 'hti',
+  hon: 'hnd',
+  ina: 'idn',
+  iri: 'irn',
+  ksa: 'sau',
+  kuw: 'kwt',
+  lat: 'lva',
+  lba: 'lby',
+  les: 'lso',
+  lib: 'lbn',
+  mad: 'mdg',
+  mas: 'mys',
+  mgl: 'mng',
+  mri: 'mus',
+  mtn: 'mrt',
+  mya: 'mmr',
+  nca: 'nic',
+  ned: 'nld',
+  nep: 'npl',
+  nig: 'ner',
+  oma: 'omn',
+  par: 'pry',
+  phi: 'phl',
+  ple: 'pse',
+  por: 'prt',
+  pur: 'pri',
+  rsa: 'zaf',
+  sam: 'wsm',
+  sco: 'sct',
+  sey: 'syc',
+  sin: 'sgp',
+  skn: 'kna',
+  slo: 'svn',
+  sol: 'slb',
+  sri: 'lka',
+  sud: 'sdn',
+  sui: 'che',
+  tah: 'pyf',
+  tan: 'tza',
+  tga: 'ton',
+  tog: 'tgo',
+  tpe: 'twn',
+  tri: 'tto',
+  uae: 'are',
+  uru: 'ury',
+  van: 'vut',
+  vie: 'vnm',
+  vin: 'vct',
+  zam: 'zmb',
+  zim: 'zwe',
+}
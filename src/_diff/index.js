@@ -0,0 +1,221 @@
+const Document = require('../01-document/Document')
+const lcs = require('./lcs')
+
+/**
+ * @typedef change
+ * @property {string} type 'section', 'infobox', 'category', 'link', 'reference' or 'sentence'
+ * @property {string} action 'added', 'removed', 'changed', or 'renamed'
+ */
+
+//how alike two lists of strings are, from 0 to 1
+const similarity = function (a, b) {
+  if (a.length === 0 && b.length === 0) {
+    return 1
+  }
+  let set = new Set(a)
+  let same = b.filter((str) => set.has(str)).length
+  return same / Math.max(a.length, b.length)
+}
+
+//things in one list, but not the other - by a key
+const setDiff = function (a, b, toKey) {
+  let keysA = new Set(a.map(toKey))
+  let keysB = new Set(b.map(toKey))
+  let seen = new Set()
+  let removed = a.filter((o) => !keysB.has(toKey(o)))
+  let added = b.filter((o) => !keysA.has(toKey(o)))
+  //(only report each one once)
+  let once = (o) => {
+    let k = toKey(o)
+    if (seen.has(k)) {
+      return false
+    }
+    seen.add(k)
+    return true
+  }
+  return { removed: removed.filter(once), added: added.filter(once) }
+}
+
+//json, without the source-position
+const cleanJson = function (obj) {
+  let json = Object.assign({}, obj.json())
+  delete json.offset
+  return json
+}
+
+//a stable key for an object, with sorted properties
+const toKey = function (obj) {
+  return JSON.stringify(
+    Object.keys(obj)
+      .sort()
+      .map((k) => [k, obj[k]])
+  )
+}
+
+const sentencesOf = (sec) => sec.sentences().map((s) => s.text())
+
+//pair-up the sections of each document, by title - then by their content
+const matchSections = function (a, b) {
+  let secsA = a.sections()
+  let secsB = b.sections()
+  let used = new Set()
+  let pairs = []
+  let removed = []
+  secsA.forEach((sec) => {
+    let i = secsB.findIndex((other, n) => !used.has(n) && other.title() === sec.title())
+    if (i === -1) {
+      removed.push(sec)
+      return
+    }
+    used.add(i)
+    pairs.push([sec, secsB[i]])
+  })
+  let added = secsB.filter((sec, n) => !used.has(n))
+  //a section with a new title, but mostly the same sentences, was renamed
+  let renamed = []
+  removed = removed.filter((sec) => {
+    let text = sentencesOf(sec)
+    let best = null
+    let score = 0.5
+    added.forEach((other) => {
+      let s = similarity(text, sentencesOf(other))
+      if (s >= score) {
+        best = other
+        score = s
+      }
+    })
+    if (best === null) {
+      return true
+    }
+    added = added.filter((o) => o !== best)
+    renamed.push([sec, best])
+    pairs.push([sec, best])
+    return false
+  })
+  return { pairs, removed, added, renamed }
+}
+
+const diffSections = function (matched) {
+  let changes = []
+  matched.removed.forEach((sec) => changes.push({ type: 'section', action: 'removed', title: sec.title() }))
+  matched.added.forEach((sec) => changes.push({ type: 'section', action: 'added', title: sec.title() }))
+  matched.renamed.forEach(([from, to]) => {
+    changes.push({ type: 'section', action: 'renamed', from: from.title(), to: to.title() })
+  })
+  return changes
+}
+
+//sentence-level edits, within each pair of sections
+const diffSentences = function (matched) {
+  let changes = []
+  matched.pairs.forEach(([secA, secB]) => {
+    let a = sentencesOf(secA)
+    let b = sentencesOf(secB)
+    let section = secB.title()
+    let removed = []
+    let added = []
+    //a run of removed + added sentences are edits, where they line-up
+    const flush = () => {
+      let n = Math.min(removed.length, added.length)
+      for (let i = 0; i < n; i += 1) {
+        changes.push({ type: 'sentence', action: 'changed', section, old: removed[i], new: added[i] })
+      }
+      removed.slice(n).forEach((str) => {
+        changes.push({ type: 'sentence', action: 'removed', section, old: str, new: null })
+      })
+      added.slice(n).forEach((str) => {
+        changes.push({ type: 'sentence', action: 'added', section, old: null, new: str })
+      })
+      removed = []
+      added = []
+    }
+    lcs(a, b).forEach((o) => {
+      if (o.op === 'removed') {
+        removed.push(a[o.a])
+      } else if (o.op === 'added') {
+        added.push(b[o.b])
+      } else {
+        flush()
+      }
+    })
+    flush()
+  })
+  return changes
+}
+
+const diffInfoboxes = function (a, b) {
+  let changes = []
+  let boxesB = b.infoboxes()
+  let used = new Set()
+  a.infoboxes().forEach((box) => {
+    let i = boxesB.findIndex((other, n) => !used.has(n) && other.type() === box.type())
+    if (i === -1) {
+      changes.push({ type: 'infobox', action: 'removed', infobox: box.type() })
+      return
+    }
+    used.add(i)
+    let before = box.keyValue()
+    let after = boxesB[i].keyValue()
+    let keys = Object.keys(before).concat(Object.keys(after).filter((k) => !before.hasOwnProperty(k)))
+    keys.forEach((key) => {
+      let old = before[key] || null
+      let val = after[key] || null
+      if (old === val) {
+        return
+      }
+      let action = old === null ? 'added' : val === null ? 'removed' : 'changed'
+      changes.push({ type: 'infobox', action, infobox: box.type(), key, old, new: val })
+    })
+  })
+  boxesB.forEach((box, n) => {
+    if (!used.has(n)) {
+      changes.push({ type: 'infobox', action: 'added', infobox: box.type() })
+    }
+  })
+  return changes
+}
+
+const diffCategories = function (a, b) {
+  let { removed, added } = setDiff(a.categories(), b.categories(), (str) => str)
+  return removed
+    .map((category) => ({ type: 'category', action: 'removed', category }))
+    .concat(added.map((category) => ({ type: 'category', action: 'added', category })))
+}
+
+const diffLinks = function (a, b) {
+  let key = (link) => [link.type(), link.wiki() || '', link.page() || link.site() || ''].join(':')
+  let { removed, added } = setDiff(a.links(), b.links(), key)
+  return removed
+    .map((link) => ({ type: 'link', action: 'removed', link: cleanJson(link) }))
+    .concat(added.map((link) => ({ type: 'link', action: 'added', link: cleanJson(link) })))
+}
+
+const diffReferences = function (a, b) {
+  let key = (ref) => toKey(cleanJson(ref))
+  let { removed, added } = setDiff(a.references(), b.references(), key)
+  return removed
+    .map((ref) => ({ type: 'reference', action: 'removed', reference: cleanJson(ref) }))
+    .concat(added.map((ref) => ({ type: 'reference', action: 'added', reference: cleanJson(ref) })))
+}
+
+/**
+ * compare two parses of an article - like two revisions of it - and list what changed
+ *
+ * @param {Document | string} a the old document, or its wikitext
+ * @param {Document | string} b the new document, or its wikitext
+ * @returns {change[]} the changes to sections, infoboxes, categories, links, references, and sentences
+ */
+const diff = function (a, b) {
+  a = typeof a === 'string' ? new Document(a) : a
+  b = typeof b === 'string' ? new Document(b) : b
+  let matched = matchSections(a, b)
+  return [].concat(
+    diffSections(matched),
+    diffInfoboxes(a, b),
+    diffCategories(a, b),
+    diffLinks(a, b),
+    diffReferences(a, b),
+    diffSentences(matched)
+  )
+}
+module.exports = diff
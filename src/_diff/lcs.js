@@ -0,0 +1,44 @@
+/**
+ * line-up two lists, by their longest-common-subsequence
+ * returns each item as 'same', 'removed' (only in a), or 'added' (only in b) - in order
+ *
+ * @private
+ * @param {string[]} a the old list
+ * @param {string[]} b the new list
+ * @returns {Array<{op: string, a: number, b: number}>} the alignment, with the index in each list
+ */
+const lcs = function (a, b) {
+  //table of the lcs-length for each pair of suffixes
+  let table = []
+  for (let i = a.length; i >= 0; i -= 1) {
+    table[i] = []
+    for (let j = b.length; j >= 0; j -= 1) {
+      if (i === a.length || j === b.length) {
+        table[i][j] = 0
+      } else if (a[i] === b[j]) {
+        table[i][j] = table[i + 1][j + 1] + 1
+      } else {
+        table[i][j] = Math.max(table[i + 1][j], table[i][j + 1])
+      }
+    }
+  }
+  //walk it forward
+  let out = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push({ op: 'same', a: i, b: j })
+      i += 1
+      j += 1
+    } else if (j >= b.length || (i < a.length && table[i + 1][j] >= table[i][j + 1])) {
+      out.push({ op: 'removed', a: i, b: -1 })
+      i += 1
+    } else {
+      out.push({ op: 'added', a: -1, b: j })
+      j += 1
+    }
+  }
+  return out
+}
+module.exports = lcs
@@ -0,0 +1,39 @@
+const Document = require('../01-document/Document')
+const readPages = require('./readPages')
+const parsePage = require('./parsePage')
+const { isArray } = require('../_lib/helpers')
+
+/**
+ * @typedef dumpOptions
+ * @property {number | Array<number> | undefined} [namespace] only return pages in these namespace(s)
+ * @property {boolean | undefined} [skip_redirects] don't return redirect pages
+ * @property {string | undefined} [lang] the language of the wiki, for the Documents
+ * @property {string | undefined} [domain] the domain of the wiki, for the Documents
+ */
+
+/**
+ * reads a MediaWiki xml export, like 'enwiki-pages-articles.xml', and yields a Document for each page
+ *
+ * @param {*} stream a readable stream of the (decompressed) xml
+ * @param {dumpOptions} [options] filters for the pages
+ * @returns {AsyncGenerator<Document>} each parsed page
+ */
+const fromDump = async function* (stream, options = {}) {
+  let namespaces = options.namespace !== undefined ? options.namespace : options.ns
+  if (namespaces !== undefined && namespaces !== null && !isArray(namespaces)) {
+    namespaces = [namespaces]
+  }
+  for await (const xml of readPages(stream)) {
+    let page = parsePage(xml)
+    if (namespaces && namespaces.indexOf(page.meta.namespace) === -1) {
+      continue
+    }
+    let meta = Object.assign({ lang: options.lang, domain: options.domain }, page.meta)
+    let doc = new Document(page.wiki, meta)
+    if (options.skip_redirects === true && (page.redirect === true || doc.isRedirect())) {
+      continue
+    }
+    yield doc
+  }
+}
+module.exports = fromDump
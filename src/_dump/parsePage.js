@@ -0,0 +1,75 @@
+const entities = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+}
+
+/**
+ * decode the xml-escaped characters in a string
+ *
+ * @private
+ * @param {string} str the escaped text
+ * @returns {string} the decoded text
+ */
+const decode = function (str = '') {
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (all, code) => {
+    if (code[0] === '#') {
+      let num = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10)
+      return String.fromCodePoint(num)
+    }
+    return entities.hasOwnProperty(code) ? entities[code] : all
+  })
+}
+
+/**
+ * grab the contents of the first <tag> in some xml
+ *
+ * @private
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string|null} the decoded contents of the tag
+ */
+const getTag = function (xml, tag) {
+  let m = xml.match(new RegExp(`<${tag}(?: [^>]*)?>([\\s\\S]*?)</${tag}>`))
+  if (m === null) {
+    return null
+  }
+  return decode(m[1])
+}
+
+/**
+ * @typedef dumpPage
+ * @property {string} wiki
+ * @property {boolean} redirect
+ * @property {object} meta
+ */
+
+/**
+ * parses the xml of one <page> element from a mediawiki export
+ *
+ * @private
+ * @param {string} xml the xml of the page
+ * @returns {dumpPage} the wikitext and its metadata
+ */
+const parsePage = function (xml) {
+  //the page's <id> comes before the <revision>'s one
+  let head = xml.split(/<revision[ >]/)[0]
+  let revision = xml.substring(head.length)
+
+  let ns = getTag(head, 'ns')
+  let id = getTag(head, 'id')
+  let meta = {
+    title: getTag(head, 'title'),
+    pageID: id === null ? null : Number(id),
+    namespace: ns === null ? null : Number(ns),
+  }
+  return {
+    wiki: getTag(revision, 'text') || '',
+    redirect: /<redirect[ />]/.test(head),
+    meta: meta,
+  }
+}
+
+module.exports = parsePage
@@ -0,0 +1,86 @@
+const pageOpen = /<page[ >]/
+const pageClose = '</page>'
+
+/**
+ * turn a node stream, a web ReadableStream, or any (async) iterable into an async iterable of chunks
+ *
+ * @private
+ * @param {*} stream the input stream
+ * @returns {AsyncIterable<string|Uint8Array>} the chunks of the stream
+ */
+const toIterable = function (stream) {
+  //node streams can decode multi-byte characters across chunks themselves
+  if (stream && typeof stream.setEncoding === 'function') {
+    stream.setEncoding('utf8')
+  }
+  if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
+    return stream
+  }
+  if (stream && typeof stream[Symbol.iterator] === 'function' && typeof stream !== 'string') {
+    return stream
+  }
+  //web-streams without async-iteration support
+  if (stream && typeof stream.getReader === 'function') {
+    const reader = stream.getReader()
+    return {
+      [Symbol.asyncIterator]: () => ({ next: () => reader.read() }),
+    }
+  }
+  //a plain string of xml
+  if (typeof stream === 'string') {
+    return [stream]
+  }
+  throw new TypeError('wtf.fromDump expects a readable stream of xml')
+}
+
+/**
+ * decode raw bytes, keeping any partial multi-byte character for the next chunk
+ *
+ * @private
+ * @returns {function(Uint8Array): string} the decoder
+ */
+const makeDecoder = function () {
+  let decoder = null
+  return (bytes) => {
+    //(node streams are already strings, so this is only for web-streams)
+    decoder = decoder || new TextDecoder('utf-8') // eslint-disable-line compat/compat
+    return decoder.decode(bytes, { stream: true })
+  }
+}
+
+/**
+ * reads a stream of mediawiki xml, and yields the xml for each <page> element, one at a time
+ *
+ * @private
+ * @param {*} stream the xml input stream
+ * @returns {AsyncGenerator<string>} the xml of each page
+ */
+const readPages = async function* (stream) {
+  const decode = makeDecoder()
+  let buffer = ''
+  for await (const chunk of toIterable(stream)) {
+    if (typeof chunk === 'string') {
+      buffer += chunk
+    } else {
+      buffer += decode(chunk)
+    }
+    //pull-out every complete page we have so far
+    let end = buffer.indexOf(pageClose)
+    while (end !== -1) {
+      let start = buffer.search(pageOpen)
+      if (start !== -1 && start < end) {
+        yield buffer.substring(start, end + pageClose.length)
+      }
+      buffer = buffer.substring(end + pageClose.length)
+      end = buffer.indexOf(pageClose)
+    }
+    //don't hold-onto the siteinfo, or whitespace between pages
+    let start = buffer.search(pageOpen)
+    if (start === -1) {
+      buffer = buffer.substring(buffer.lastIndexOf('<'))
+    } else if (start > 0) {
+      buffer = buffer.substring(start)
+    }
+  }
+}
+module.exports = readPages
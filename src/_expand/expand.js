@@ -0,0 +1,213 @@
+const parse = require('./parse')
+const parserFunctions = require('./parserFunctions')
+const { variables, functions } = require('./magicWords')
+
+/**
+ * @typedef frame
+ * @property {object | null} args the params given to this template, by name
+ * @property {string[]} stack the templates we're inside of
+ * @property {object} ctx things shared by the whole expansion - the resolver, title, and a cache
+ */
+
+//what a template's source looks like, when it's used on a page
+const forTransclusion = function (str) {
+  str = str.replace(/<!--[\s\S]*?(-->|$)/g, '')
+  if (/<onlyinclude>/i.test(str)) {
+    let parts = []
+    str.replace(/<onlyinclude>([\s\S]*?)(<\/onlyinclude>|$)/gi, (_, s) => parts.push(s))
+    str = parts.join('')
+  }
+  str = str.replace(/<noinclude>[\s\S]*?(<\/noinclude>|$)/gi, '')
+  str = str.replace(/<\/?includeonly>/gi, '')
+  return str
+}
+
+//what a page looks like, when it's viewed itself
+const forPage = function (str) {
+  str = str.replace(/<includeonly>[\s\S]*?(<\/includeonly>|$)/gi, '')
+  str = str.replace(/<\/?(noinclude|onlyinclude)>/gi, '')
+  return str
+}
+
+// 'template:foo_bar' -> 'Foo bar'
+const normalizeName = function (str) {
+  str = str.replace(/_/g, ' ').replace(/\s+/g, ' ').trim()
+  str = str.replace(/^(safe)?subst:/i, '')
+  str = str.replace(/^template:/i, '').trim()
+  return str.charAt(0).toUpperCase() + str.substr(1)
+}
+
+//split a 'key=value' param, at its first top-level '='
+const splitNamed = function (nodes) {
+  for (let i = 0; i < nodes.length; i += 1) {
+    let node = nodes[i]
+    if (typeof node === 'string' && node.indexOf('=') !== -1) {
+      let at = node.indexOf('=')
+      let key = nodes.slice(0, i).concat(node.slice(0, at))
+      let value = [node.slice(at + 1)].concat(nodes.slice(i + 1))
+      return { key, value }
+    }
+  }
+  return { key: null, value: nodes }
+}
+
+//how to expand each type of node
+const expanders = {}
+
+const expandNodes = async function (nodes, frame) {
+  let out = ''
+  for (let i = 0; i < nodes.length; i += 1) {
+    let node = nodes[i]
+    if (typeof node === 'string') {
+      out += node
+    } else {
+      out += await expanders[node.type](node, frame)
+    }
+  }
+  return out
+}
+
+// [[link]]
+expanders.link = async function (node, frame) {
+  return '[[' + (await expandNodes(node.nodes, frame)) + ']]'
+}
+
+// {{{param|default}}}
+expanders.arg = async function (node, frame) {
+  let name = (await expandNodes(node.parts[0], frame)).trim()
+  let arg = frame.args ? frame.args[name] : undefined
+  if (arg !== undefined) {
+    //(params are only expanded once, when they're used)
+    if (arg.value === undefined) {
+      let str = await expandNodes(arg.nodes, arg.frame)
+      arg.value = arg.named ? str.trim() : str
+    }
+    return arg.value
+  }
+  if (node.parts.length > 1) {
+    return expandNodes(node.parts[1], frame)
+  }
+  return `{{{${name}}}}`
+}
+
+//put an un-expandable template back together
+const rebuild = async function (node, frame) {
+  let parts = []
+  for (let i = 0; i < node.parts.length; i += 1) {
+    parts.push(await expandNodes(node.parts[i], frame))
+  }
+  return '{{' + parts.join('|') + '}}'
+}
+
+//the params of a template call, by name
+const getArgs = async function (parts, frame) {
+  let args = {}
+  let n = 1
+  for (let i = 0; i < parts.length; i += 1) {
+    let { key, value } = splitNamed(parts[i])
+    if (key === null) {
+      args[String(n)] = { nodes: value, frame: frame, named: false }
+      n += 1
+    } else {
+      //(the key gets expanded right-away)
+      key = (await expandNodes(key, frame)).trim()
+      args[key] = { nodes: value, frame: frame, named: true }
+    }
+  }
+  return args
+}
+
+//look-up a template's source, only once
+const getSource = async function (name, ctx) {
+  if (ctx.cache.hasOwnProperty(name) === false) {
+    let str = await ctx.resolver(name)
+    ctx.cache[name] = typeof str === 'string' ? parse(forTransclusion(str)) : null
+  }
+  return ctx.cache[name]
+}
+
+// {{template|param}}, {{#if:..}}, or {{PAGENAME}}
+expanders.template = async function (node, frame) {
+  let { ctx } = frame
+  let head = await expandNodes(node.parts[0], frame)
+  let rest = node.parts.slice(1)
+  //magic words - {{PAGENAME}}
+  let word = head.trim()
+  if (rest.length === 0 && variables.hasOwnProperty(word)) {
+    return variables[word](ctx.title)
+  }
+  //parser functions - {{#if:...}}
+  let colon = head.indexOf(':')
+  if (colon !== -1) {
+    let fn = head.slice(0, colon).trim().toLowerCase()
+    let first = head.slice(colon + 1)
+    if (parserFunctions.hasOwnProperty(fn)) {
+      let h = {
+        count: rest.length,
+        arg: async (i) => (rest[i] ? (await expandNodes(rest[i], frame)).trim() : ''),
+        pair: async (i) => {
+          let { key, value } = splitNamed(rest[i])
+          return {
+            key: key === null ? null : (await expandNodes(key, frame)).trim(),
+            value: async () => (await expandNodes(value, frame)).trim(),
+          }
+        },
+      }
+      return parserFunctions[fn](first, h)
+    }
+    if (functions.hasOwnProperty(fn)) {
+      let args = []
+      for (let i = 0; i < rest.length; i += 1) {
+        args.push((await expandNodes(rest[i], frame)).trim())
+      }
+      return functions[fn](first.trim(), args)
+    }
+  }
+  let name = normalizeName(head)
+  //unsupported parser-functions, like {{#invoke:}}, or too deep, or a loop
+  if (!name || name[0] === '#' || frame.stack.length >= ctx.maxDepth || frame.stack.indexOf(name) !== -1) {
+    return rebuild(node, frame)
+  }
+  let body = await getSource(name, ctx)
+  //leave it for the parser
+  if (body === null) {
+    return rebuild(node, frame)
+  }
+  let inner = {
+    args: await getArgs(rest, frame),
+    stack: frame.stack.concat([name]),
+    ctx: ctx,
+  }
+  let str = await expandNodes(body, inner)
+  //lists and tables need to start on a new line
+  if (/^([*#:;]|\{\|)/.test(str)) {
+    str = '\n' + str
+  }
+  return str
+}
+
+/**
+ * expand the templates, params and parser-functions in some wikitext
+ *
+ * @private
+ * @param {string} wiki the wikitext of a page
+ * @param {object} options the resolver, and page title
+ * @returns {Promise<string>} the expanded wikitext
+ */
+const expandText = async function (wiki = '', options = {}) {
+  let resolver = options.resolver
+  //support a plain object of templates
+  if (resolver && typeof resolver === 'object') {
+    let obj = resolver
+    resolver = (name) => (obj.hasOwnProperty(name) ? obj[name] : null)
+  }
+  let ctx = {
+    resolver: resolver || (() => null),
+    title: options.title || '',
+    maxDepth: options.maxDepth || 40,
+    cache: {},
+  }
+  let nodes = parse(forPage(wiki).replace(/<!--[\s\S]*?(-->|$)/g, ''))
+  return expandNodes(nodes, { args: null, stack: [], ctx: ctx })
+}
+module.exports = expandText
@@ -0,0 +1,163 @@
+//a small evaluator for {{#expr:}} - like mediawiki's ParserFunctions
+// https://www.mediawiki.org/wiki/Help:Extension:ParserFunctions##expr
+
+//unary operators
+const prefix = {
+  '-': { bp: 10, fn: (a) => -a },
+  '+': { bp: 10, fn: (a) => a },
+  not: { bp: 9, fn: (a) => (a ? 0 : 1) },
+  abs: { bp: 9, fn: Math.abs },
+  floor: { bp: 9, fn: Math.floor },
+  ceil: { bp: 9, fn: Math.ceil },
+  trunc: { bp: 9, fn: Math.trunc },
+  sqrt: { bp: 9, fn: Math.sqrt },
+  ln: { bp: 9, fn: Math.log },
+  exp: { bp: 9, fn: Math.exp },
+  sin: { bp: 9, fn: Math.sin },
+  cos: { bp: 9, fn: Math.cos },
+  tan: { bp: 9, fn: Math.tan },
+  asin: { bp: 9, fn: Math.asin },
+  acos: { bp: 9, fn: Math.acos },
+  atan: { bp: 9, fn: Math.atan },
+}
+
+const round = function (a, b) {
+  let n = Math.pow(10, Math.trunc(b))
+  let x = Math.abs(a) * n
+  return (Math.sign(a) * Math.round(x)) / n
+}
+
+//binary operators
+const infix = {
+  e: { bp: 10, fn: (a, b) => a * Math.pow(10, b) },
+  '^': { bp: 8, fn: Math.pow },
+  '*': { bp: 7, fn: (a, b) => a * b },
+  '/': { bp: 7, fn: (a, b) => a / b, zero: true },
+  div: { bp: 7, fn: (a, b) => a / b, zero: true },
+  mod: { bp: 7, fn: (a, b) => Math.trunc(a) % Math.trunc(b), zero: true },
+  fmod: { bp: 7, fn: (a, b) => a % b, zero: true },
+  '+': { bp: 6, fn: (a, b) => a + b },
+  '-': { bp: 6, fn: (a, b) => a - b },
+  round: { bp: 5, fn: round },
+  '=': { bp: 4, fn: (a, b) => Number(a === b) },
+  '!=': { bp: 4, fn: (a, b) => Number(a !== b) },
+  '<>': { bp: 4, fn: (a, b) => Number(a !== b) },
+  '<': { bp: 4, fn: (a, b) => Number(a < b) },
+  '>': { bp: 4, fn: (a, b) => Number(a > b) },
+  '<=': { bp: 4, fn: (a, b) => Number(a <= b) },
+  '>=': { bp: 4, fn: (a, b) => Number(a >= b) },
+  and: { bp: 3, fn: (a, b) => Number(Boolean(a && b)) },
+  or: { bp: 2, fn: (a, b) => Number(Boolean(a || b)) },
+}
+
+const constants = {
+  e: Math.E,
+  pi: Math.PI,
+}
+
+const tokenReg = /\s*((?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?|[a-z]+|<=|>=|<>|!=|[-+*/^=<>()])/y
+
+const tokenize = function (str) {
+  let tokens = []
+  let pos = 0
+  while (pos < str.length) {
+    tokenReg.lastIndex = pos
+    let m = tokenReg.exec(str)
+    if (m === null) {
+      break
+    }
+    tokens.push(m[1])
+    pos = tokenReg.lastIndex
+  }
+  let left = str.slice(pos).trim()
+  if (left !== '') {
+    throw new Error(`Unrecognized punctuation character "${left[0]}".`)
+  }
+  return tokens
+}
+
+const isNum = (tok) => /^[0-9.]/.test(tok)
+
+const evaluate = function (tokens) {
+  let i = 0
+  const parseExpr = function (minBp) {
+    let tok = tokens[i]
+    i += 1
+    let left
+    if (tok === undefined) {
+      throw new Error('Missing operand.')
+    } else if (isNum(tok)) {
+      left = parseFloat(tok)
+    } else if (tok === '(') {
+      left = parseExpr(0)
+      if (tokens[i] !== ')') {
+        throw new Error('Unclosed bracket.')
+      }
+      i += 1
+    } else if (prefix.hasOwnProperty(tok)) {
+      left = prefix[tok].fn(parseExpr(prefix[tok].bp))
+    } else if (constants.hasOwnProperty(tok)) {
+      left = constants[tok]
+    } else {
+      throw new Error(`Unexpected ${tok === ')' ? 'closing bracket' : 'operator ' + tok}.`)
+    }
+    while (i < tokens.length) {
+      let op = infix[tokens[i]]
+      if (tokens[i] === ')') {
+        break
+      }
+      if (!op) {
+        throw new Error(`Unexpected number.`)
+      }
+      //(everything is left-associative)
+      if (op.bp <= minBp) {
+        break
+      }
+      i += 1
+      let right = parseExpr(op.bp)
+      if (op.zero && right === 0) {
+        throw new Error('Division by zero.')
+      }
+      left = op.fn(left, right)
+    }
+    return left
+  }
+  let res = parseExpr(-1)
+  if (i < tokens.length) {
+    throw new Error('Unexpected closing bracket.')
+  }
+  return res
+}
+
+//print it like php would
+const format = function (n) {
+  if (isNaN(n)) {
+    return 'NAN'
+  }
+  if (!isFinite(n)) {
+    return n > 0 ? 'INF' : '-INF'
+  }
+  //(avoid floating-point noise)
+  return String(parseFloat(n.toPrecision(14)))
+}
+
+/**
+ * evaluate a math expression, like '2 * (3 + 4)'
+ * - errors come back as red mediawiki-style messages
+ *
+ * @private
+ * @param {string} str the expression
+ * @returns {string} the result
+ */
+const expr = function (str = '') {
+  str = str.toLowerCase().replace(/&minus;|−/g, '-')
+  if (str.trim() === '') {
+    return ''
+  }
+  try {
+    return format(evaluate(tokenize(str)))
+  } catch (e) {
+    return `<strong class="error">Expression error: ${e.message}</strong>`
+  }
+}
+module.exports = expr
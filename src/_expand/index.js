@@ -0,0 +1,22 @@
+const Document = require('../01-document/Document')
+const expandText = require('./expand')
+
+/**
+ * @typedef expandOptions
+ * @property {Function | object} resolver returns the wikitext of a template, from its name - or a promise of it
+ * @property {string | undefined} [title] the page title, for magic words like {{PAGENAME}}
+ * @property {number | undefined} [maxDepth] how deep templates-in-templates can go
+ */
+
+/**
+ * expand any templates we know the source of, then parse the page
+ *
+ * @param {string} wiki the wikitext of the page
+ * @param {expandOptions} [options] the template resolver, and any other Document options
+ * @returns {Promise<Document>} the parsed page
+ */
+const expand = async function (wiki, options = {}) {
+  let str = await expandText(wiki, options)
+  return new Document(str, options)
+}
+module.exports = expand
@@ -0,0 +1,102 @@
+//mediawiki 'magic words' - like {{PAGENAME}} and {{lc:Foo}}
+// https://www.mediawiki.org/wiki/Help:Magic_words
+
+const namespaces = [
+  'Talk',
+  'User',
+  'User talk',
+  'Wikipedia',
+  'Wikipedia talk',
+  'File',
+  'File talk',
+  'MediaWiki',
+  'Template',
+  'Template talk',
+  'Help',
+  'Category',
+  'Category talk',
+  'Portal',
+  'Draft',
+  'Module',
+]
+const months = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+]
+
+// 'Talk:Foo/bar' -> ['Talk', 'Foo/bar']
+const splitTitle = function (title = '') {
+  let m = title.match(/^([^:]+):(.+)$/)
+  if (m && namespaces.indexOf(m[1]) !== -1) {
+    return [m[1], m[2]]
+  }
+  return ['', title]
+}
+
+const urlEncode = (str) => encodeURIComponent(str).replace(/%20/g, '+')
+const pageEncode = (str) => encodeURIComponent(str.replace(/ /g, '_')).replace(/%2F/g, '/').replace(/%3A/g, ':')
+const pad = (n) => (n < 10 ? '0' + n : String(n))
+
+//magic words that take no params, like {{PAGENAME}}
+const variables = {
+  PAGENAME: (title) => splitTitle(title)[1],
+  PAGENAMEE: (title) => pageEncode(splitTitle(title)[1]),
+  FULLPAGENAME: (title) => title,
+  FULLPAGENAMEE: (title) => pageEncode(title),
+  BASEPAGENAME: (title) => splitTitle(title)[1].replace(/\/[^/]*$/, ''),
+  ROOTPAGENAME: (title) => splitTitle(title)[1].replace(/\/.*$/, ''),
+  SUBPAGENAME: (title) => splitTitle(title)[1].replace(/^.*\//, ''),
+  NAMESPACE: (title) => splitTitle(title)[0],
+  CURRENTYEAR: () => String(new Date().getUTCFullYear()),
+  CURRENTMONTH: () => pad(new Date().getUTCMonth() + 1),
+  CURRENTMONTH1: () => String(new Date().getUTCMonth() + 1),
+  CURRENTMONTHNAME: () => months[new Date().getUTCMonth()],
+  CURRENTDAY: () => String(new Date().getUTCDate()),
+  CURRENTDAY2: () => pad(new Date().getUTCDate()),
+  '!': () => '|',
+  '=': () => '=',
+}
+
+const padding = function (str, args, left) {
+  let len = parseInt(args[0], 10) || 0
+  let chars = args[1] === undefined || args[1] === '' ? '0' : args[1]
+  let fill = ''
+  while (str.length + fill.length < len) {
+    fill += chars
+  }
+  fill = fill.slice(0, Math.max(len - str.length, 0))
+  return left ? fill + str : str + fill
+}
+
+//magic words with a colon, like {{lc:FOO}}
+// each gets the text after the colon, and any other params
+const functions = {
+  lc: (str) => str.toLowerCase(),
+  uc: (str) => str.toUpperCase(),
+  lcfirst: (str) => str.charAt(0).toLowerCase() + str.substr(1),
+  ucfirst: (str) => str.charAt(0).toUpperCase() + str.substr(1),
+  urlencode: (str) => urlEncode(str),
+  anchorencode: (str) => str.replace(/ /g, '_'),
+  padleft: (str, args) => padding(str, args, true),
+  padright: (str, args) => padding(str, args, false),
+  formatnum: (str) => {
+    let [int, dec] = str.split('.')
+    int = int.replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+    return dec !== undefined ? `${int}.${dec}` : int
+  },
+}
+
+module.exports = {
+  variables,
+  functions,
+}
@@ -0,0 +1,130 @@
+//turn wikitext into a tree of {{templates}}, {{{params}}}, [[links]] and plain text
+// - like mediawiki's preprocessor, a run of braces is matched from the inside-out
+const special = /[{}[\]|<]/g
+
+/**
+ * @typedef node
+ * @property {string} type 'template', 'arg' or 'link'
+ * @property {Array<Array<string|node>>} [parts] each '|' separated piece
+ * @property {Array<string|node>} [nodes] the contents of a link
+ */
+
+// how many of this character are in a row?
+const runOf = function (str, i, c) {
+  let n = 0
+  while (str[i + n] === c) {
+    n += 1
+  }
+  return n
+}
+
+/**
+ * parse wikitext into nodes
+ *
+ * @private
+ * @param {string} str the wikitext
+ * @returns {Array<string|node>} the top-level nodes
+ */
+const parse = function (str = '') {
+  let stack = [{ open: null, parts: [[]] }]
+  const top = () => stack[stack.length - 1]
+  //add a string or a node, to the current part
+  const push = (node) => {
+    let parts = top().parts
+    let cur = parts[parts.length - 1]
+    if (typeof node === 'string' && typeof cur[cur.length - 1] === 'string') {
+      cur[cur.length - 1] += node
+    } else if (node !== '') {
+      cur.push(node)
+    }
+  }
+  //un-matched brackets are just text
+  const flatten = (el) => {
+    push(el.open.repeat(el.count))
+    el.parts.forEach((part, k) => {
+      if (k > 0) {
+        push('|')
+      }
+      part.forEach(push)
+    })
+  }
+
+  let i = 0
+  while (i < str.length) {
+    special.lastIndex = i
+    let m = special.exec(str)
+    if (m === null) {
+      push(str.slice(i))
+      break
+    }
+    if (m.index > i) {
+      push(str.slice(i, m.index))
+      i = m.index
+    }
+    let c = str[i]
+    //leave <nowiki> alone
+    if (c === '<') {
+      if (str.substr(i, 8).toLowerCase() === '<nowiki>') {
+        let end = str.toLowerCase().indexOf('</nowiki>', i)
+        end = end === -1 ? str.length : end + 9
+        push(str.slice(i, end))
+        i = end
+      } else {
+        push(c)
+        i += 1
+      }
+      continue
+    }
+    if (c === '{' && str[i + 1] === '{') {
+      let n = runOf(str, i, '{')
+      stack.push({ open: '{', count: n, parts: [[]] })
+      i += n
+      continue
+    }
+    if (c === '[' && str[i + 1] === '[') {
+      stack.push({ open: '[', count: 2, parts: [[]] })
+      i += 2
+      continue
+    }
+    if (c === '}' && str[i + 1] === '}' && top().open === '{') {
+      let n = runOf(str, i, '}')
+      i += n
+      while (n >= 2 && top().open === '{') {
+        let el = top()
+        let use = Math.min(n, el.count, 3)
+        let node = { type: use === 3 ? 'arg' : 'template', parts: el.parts }
+        el.count -= use
+        n -= use
+        if (el.count >= 2) {
+          //(there are more braces - keep going)
+          el.parts = [[node]]
+        } else {
+          stack.pop()
+          push('{'.repeat(el.count))
+          push(node)
+        }
+      }
+      push('}'.repeat(n))
+      continue
+    }
+    if (c === ']' && str[i + 1] === ']' && top().open === '[') {
+      let el = stack.pop()
+      push({ type: 'link', nodes: el.parts[0] })
+      i += 2
+      continue
+    }
+    if (c === '|' && top().open === '{') {
+      top().parts.push([])
+      i += 1
+      continue
+    }
+    push(c)
+    i += 1
+  }
+  //close anything left open
+  while (stack.length > 1) {
+    flatten(stack.pop())
+  }
+  return stack[0].parts[0]
+}
+module.exports = parse
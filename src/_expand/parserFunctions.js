@@ -0,0 +1,80 @@
+//the core 'ParserFunctions', like {{#if:}} and {{#switch:}}
+// https://www.mediawiki.org/wiki/Help:Extension:ParserFunctions
+const expr = require('./expr')
+
+const isError = (str) => /class="error"/.test(str)
+
+//compare numbers as numbers, and everything else as text
+const isEqual = function (a, b) {
+  let isNum = (s) => s.trim() !== '' && isNaN(Number(s)) === false
+  if (isNum(a) && isNum(b)) {
+    return Number(a) === Number(b)
+  }
+  return a === b
+}
+
+/**
+ * each function gets the (expanded) text after the colon,
+ * and a helper for expanding its other params - only when it needs to
+ *   h.count - how many other params there are
+ *   h.arg(i) - the i-th param, expanded and trimmed
+ *   h.pair(i) - the i-th param as {key, value()}, for 'key=value' params
+ */
+const fns = {
+  '#if': async (test, h) => {
+    return test.trim() !== '' ? h.arg(0) : h.arg(1)
+  },
+
+  '#ifeq': async (a, h) => {
+    let b = await h.arg(0)
+    return isEqual(a.trim(), b) ? h.arg(1) : h.arg(2)
+  },
+
+  '#iferror': async (str, h) => {
+    if (isError(str)) {
+      return h.arg(0)
+    }
+    return h.count > 1 ? h.arg(1) : str.trim()
+  },
+
+  '#expr': async (str) => expr(str),
+
+  '#ifexpr': async (str, h) => {
+    let res = expr(str)
+    if (isError(res)) {
+      return res
+    }
+    return res !== '' && Number(res) !== 0 ? h.arg(0) : h.arg(1)
+  },
+
+  '#switch': async (str, h) => {
+    str = str.trim()
+    let found = false
+    let fallback = null
+    let last = null
+    for (let i = 0; i < h.count; i += 1) {
+      let { key, value } = await h.pair(i)
+      //a case without a value falls-through to the next one
+      if (key === null) {
+        last = await value()
+        if (isEqual(last, str)) {
+          found = true
+        }
+        continue
+      }
+      last = null
+      if (found || isEqual(key, str)) {
+        return value()
+      }
+      if (key === '#default') {
+        fallback = value
+      }
+    }
+    //the last un-named param is the default
+    if (last !== null) {
+      return last
+    }
+    return fallback ? fallback() : ''
+  },
+}
+module.exports = fns
@@ -0,0 +1,31 @@
+/**
+ * the error that wtf.fetch() rejects with, when a request fails
+ *
+ * codes:
+ *   'network' - the request couldn't be made at all
+ *   'http' - the server responded with a bad status
+ *   'json' - the response wasn't valid json
+ *   'maxlag' - the wiki's database was too lagged, even after retrying
+ *   or any other mediawiki api error code, like 'badvalue'
+ *
+ * @class
+ * @param {string} message
+ * @param {object} [info]
+ * @param {string} [info.code] what sort of failure this was
+ * @param {string} [info.url] the url that was requested
+ * @param {number | null} [info.status] the http status of the response, if there was one
+ * @param {number} [info.attempts] how many times the request was tried
+ * @param {*} [info.cause] the original error, if there was one
+ */
+class WtfFetchError extends Error {
+  constructor(message, info = {}) {
+    super(message)
+    this.name = 'WtfFetchError'
+    this.code = info.code || 'network'
+    this.url = info.url || ''
+    this.status = info.status || null
+    this.attempts = info.attempts || 1
+    this.cause = info.cause
+  }
+}
+module.exports = WtfFetchError
@@ -0,0 +1,37 @@
+const parseUrl = require('./parseUrl')
+const isUrl = /^https?:\/\//
+
+/**
+ * @type {import('.').fetchDefaults}
+ */
+const defaults = {
+  lang: 'en',
+  wiki: 'wikipedia',
+  domain: undefined,
+  follow_redirects: true,
+  path: 'api.php', //some 3rd party sites use a weird path
+}
+
+/**
+ * fill-in the default options for a fetch
+ *
+ * @private
+ * @param {string | number | Array<number> | Array<string>} title the input title(s)
+ * @param {string | object} [options] the options, or the language of the wiki
+ * @returns {object} the full options, with the title
+ */
+const makeOptions = function (title, options) {
+  // support lang as 2nd param
+  if (typeof options === 'string') {
+    options = { lang: options }
+  }
+  options = { ...defaults, ...options }
+  options.title = title
+
+  //parse url input
+  if (typeof title === 'string' && isUrl.test(title)) {
+    options = { ...options, ...parseUrl(title) }
+  }
+  return options
+}
+module.exports = makeOptions
@@ -0,0 +1,90 @@
+//responses that every wtf.fetch() can share, when {cache:true}
+const shared = new Map()
+//forget the oldest ones, after this many
+const maxShared = 1000
+
+//the in-memory cache, keeping only the newest responses
+const memoryCache = {
+  get: (url) => shared.get(url),
+  set: (url, data) => {
+    shared.delete(url)
+    shared.set(url, data)
+    if (shared.size > maxShared) {
+      shared.delete(shared.keys().next().value)
+    }
+  },
+}
+
+//a short, file-safe name for a url
+const hashUrl = function (str) {
+  let a = 5381
+  let b = 52711
+  for (let i = 0; i < str.length; i += 1) {
+    let c = str.charCodeAt(i)
+    a = (a * 33 + c) % 4294967291
+    b = (b * 31 + c) % 4294967279
+  }
+  return a.toString(16) + b.toString(16)
+}
+
+//a folder of json files, one for each url
+const diskCache = function (dir) {
+  //(only required when it's used, so browser-builds don't need it)
+  const fs = require('fs')
+  const path = require('path')
+  const file = (url) => path.join(dir, hashUrl(url) + '.json')
+  return {
+    get: (url) => {
+      return new Promise((resolve) => {
+        fs.readFile(file(url), 'utf8', (err, str) => {
+          if (err) {
+            resolve(undefined)
+            return
+          }
+          try {
+            let obj = JSON.parse(str)
+            resolve(obj.url === url ? obj.data : undefined)
+          } catch (e) {
+            resolve(undefined)
+          }
+        })
+      })
+    },
+    set: (url, data) => {
+      return new Promise((resolve) => {
+        fs.mkdir(dir, { recursive: true }, () => {
+          fs.writeFile(file(url), JSON.stringify({ url: url, data: data }), () => resolve())
+        })
+      })
+    },
+  }
+}
+
+/**
+ * normalize the 'cache' option into an async {get, set}
+ *   true - an in-memory cache of the newest responses, shared by all requests
+ *   a string - a directory, for an on-disk cache
+ *   a Map, or any object with get() and set() methods
+ *
+ * @private
+ * @param {*} cache the cache option
+ * @returns {object | null} the cache, with promise-returning methods
+ */
+const makeCache = function (cache) {
+  if (!cache) {
+    return null
+  }
+  if (cache === true) {
+    cache = memoryCache
+  } else if (typeof cache === 'string') {
+    cache = diskCache(cache)
+  }
+  if (typeof cache.get !== 'function' || typeof cache.set !== 'function') {
+    return null
+  }
+  return {
+    get: (url) => Promise.resolve(cache.get(url)),
+    set: (url, data) => Promise.resolve(cache.set(url, data)),
+  }
+}
+module.exports = makeCache
@@ -0,0 +1,98 @@
+const request = require('./request')
+const toQueryString = require('./toQueryString')
+const makeUrl = require('./makeUrl')
+const { isArray } = require('../_lib/helpers')
+
+//the mediawiki api allows 50 titles per-request (500 for bots)
+const CHUNK_SIZE = 50
+
+/**
+ * split the titles into api-sized groups - titles and pageIDs can't be mixed in one request
+ *
+ * @private
+ * @param {string | number | Array<string | number>} title the input titles or pageIDs
+ * @param {number} [size] how many to put in each group
+ * @returns {Array<string | number | Array<string | number>>} the groups
+ */
+const chunk = function (title, size = CHUNK_SIZE) {
+  if (!isArray(title)) {
+    return [title]
+  }
+  let groups = []
+  let ids = title.filter((t) => typeof t === 'number')
+  let titles = title.filter((t) => typeof t !== 'number')
+  ;[titles, ids].forEach((list) => {
+    for (let i = 0; i < list.length; i += size) {
+      groups.push(list.slice(i, i + size))
+    }
+  })
+  return groups
+}
+
+//add-in the pages from a 'continue' response
+const mergeQuery = function (all, data) {
+  let query = data.query || {}
+  all.query = all.query || { pages: {} }
+  Object.keys(query.pages || {}).forEach((id) => {
+    let page = query.pages[id]
+    let had = all.query.pages[id]
+    if (!had) {
+      all.query.pages[id] = page
+      return
+    }
+    //a page's content may only arrive in a later response
+    if (page.revisions && !had.revisions) {
+      had.revisions = page.revisions
+    }
+    Object.keys(page).forEach((k) => {
+      if (had[k] === undefined) {
+        had[k] = page[k]
+      }
+    })
+  })
+  ;['normalized', 'converted', 'redirects', 'interwiki'].forEach((k) => {
+    if (query[k]) {
+      all.query[k] = (all.query[k] || []).concat(query[k])
+    }
+  })
+  return all
+}
+
+//request one url, following any 'continue' responses
+const withContinue = async function (url, headers, options) {
+  let all = {}
+  let next = url
+  //(a guard against a wiki that never stops)
+  for (let i = 0; i < 100; i += 1) {
+    let data = await request(next, headers, options)
+    all = mergeQuery(all, data)
+    if (!data.continue) {
+      break
+    }
+    next = url + '&' + toQueryString(data.continue)
+  }
+  return all
+}
+
+/**
+ * fetch any number of titles or pageIDs, in api-sized requests
+ * merging all the responses into one
+ *
+ * @private
+ * @param {object} options the fetch options, with the input title(s)
+ * @param {object} headers the options for each fetch() call
+ * @returns {Promise<object>} one api response, for all the pages
+ */
+const fetchAll = function (options, headers) {
+  let groups = chunk(options.title, options.chunkSize)
+  let all = groups.map((title) => {
+    let url = makeUrl(Object.assign({}, options, { title: title }))
+    if (!url) {
+      return Promise.resolve({})
+    }
+    return withContinue(url, headers, options)
+  })
+  return Promise.all(all).then((responses) => responses.reduce((h, data) => mergeQuery(h, data), {}))
+}
+
+module.exports = { fetchAll, chunk }
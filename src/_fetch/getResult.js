@@ -1,5 +1,54 @@
+const { isArray } = require('../_lib/helpers')
+const parsePage = require('./parsePage')
+
+//the title, the way we sent it
+const cleanTitle = (str) => String(str).replace(/ /g, '_').trim()
+
+//follow one of the api's {from, to} lists
+const follow = function (list = [], title) {
+  let found = list.find((o) => o.from === title)
+  return found || null
+}
+
+/**
+ * find the page for one input title or pageID, and how the api changed its title
+ *
+ * @private
+ * @param {object} query the 'query' part of the api response
+ * @param {object} byTitle the pages, by their title
+ * @param {string | number} input the title or pageID that was asked-for
+ * @returns {{page: object | null, requested: object}} the page, if there was one
+ */
+const findPage = function (query, byTitle, input) {
+  let requested = { input: input, normalized: null, redirected: null, fragment: null }
+  if (typeof input === 'number') {
+    return { page: query.pages[String(input)] || null, requested }
+  }
+  let title = cleanTitle(input)
+  // 'toronto_raptors' -> 'Toronto raptors'
+  let norm = follow(query.normalized, title)
+  if (norm) {
+    title = norm.to
+    requested.normalized = norm.to
+  }
+  //language variants, like in zh.wikipedia
+  let conv = follow(query.converted, title)
+  if (conv) {
+    title = conv.to
+    requested.normalized = conv.to
+  }
+  let redirect = follow(query.redirects, title)
+  if (redirect) {
+    title = redirect.to
+    requested.redirected = redirect.to
+    requested.fragment = redirect.tofragment || null
+  }
+  return { page: byTitle[title] || null, requested }
+}
+
 /**
  * parses the media wiki api response to something we can use
+ * one result for each input title, in the same order - and null for missing pages
  *
  * the data-format from mediawiki api is nutso
  *
@@ -9,44 +58,41 @@
  * @returns {*} result
  */
 const getResult = function (data, options = {}) {
+  let query = data.query || {}
+  query.pages = query.pages || {}
   //get all the pagesIds from the result
-  let pages = Object.keys(data.query.pages)
-
-  // map over the pageIds to parse out all the information
-  return pages.map((id) => {
-    // get the page by pageID
-    let page = data.query.pages[id] || {}
+  let pages = Object.keys(query.pages)
 
-    // if the page is missing or not found than return null
-    if (page.hasOwnProperty('missing') || page.hasOwnProperty('invalid')) {
-      return null
-    }
-
-    // get the text from the object
-    let text = page.revisions[0]['*']
-    // if the text is not found in the regular place than it is at the other place
-    if (!text && page.revisions[0].slots) {
-      text = page.revisions[0].slots.main['*']
-    }
+  let byTitle = {}
+  pages.forEach((id) => {
+    let page = query.pages[id] || {}
+    byTitle[page.title] = page
+  })
 
-    page.pageprops = page.pageprops || {}
+  //with no input, use every page in the response
+  let inputs = options.title === undefined ? null : options.title
+  if (inputs !== null && !isArray(inputs)) {
+    inputs = [inputs]
+  }
+  let found = []
+  if (options.revision !== undefined && options.revision !== null) {
+    //a specific revision was asked-for
+    let isRev = (p) => p.revisions && String(p.revisions[0].revid) === String(options.revision)
+    let page = pages.map((id) => query.pages[id]).find(isRev)
+    found = [{ page: page || null, requested: null }]
+  } else if (inputs) {
+    found = inputs.map((input) => findPage(query, byTitle, input))
+  } else {
+    found = pages.map((id) => ({ page: query.pages[id], requested: null }))
+  }
 
-    let domain = options.domain
-    if (!domain && options.wiki) {
-      domain = `${options.wiki}.org`
+  // map over the found pages to parse out all the information
+  return found.map(({ page, requested }) => {
+    let res = parsePage(page, options)
+    if (res && requested) {
+      res.meta.requested = requested
     }
-
-    let meta = Object.assign({}, options, {
-      title: page.title,
-      pageID: page.pageid,
-      namespace: page.ns,
-      domain: domain,
-      wikidata: page.pageprops.wikibase_item,
-      description: page.pageprops['wikibase-shortdesc'],
-    })
-
-
-    return { wiki: text, meta: meta }
+    return res
   })
 }
 
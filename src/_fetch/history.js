@@ -0,0 +1,61 @@
+const Document = require('../01-document/Document')
+const request = require('./request')
+const toQueryString = require('./toQueryString')
+const makeUrl = require('./makeUrl')
+const makeOptions = require('./_options')
+const makeHeaders = require('./_headers')
+const parsePage = require('./parsePage')
+
+//the api only returns content for 50 revisions at a time
+const PAGE_SIZE = 50
+
+/**
+ * @typedef historyOptions
+ * @property {number | undefined} [limit] the most revisions to return
+ * @property {string | Date | undefined} [since] stop at revisions older than this
+ */
+
+/**
+ * fetches the revisions of a page, newest-first, and yields a Document for each one
+ *
+ * @param {string | number} title the title, PageID or URL of the page
+ * @param {historyOptions & import('.').fetchDefaults} [options] the fetch options, and the limit or date to stop at
+ * @returns {AsyncGenerator<Document>} each revision of the page
+ * @throws {WtfFetchError} if a request fails
+ */
+const fetchHistory = async function* (title, options = {}) {
+  options = makeOptions(title, options)
+  const headers = makeHeaders(options)
+  const limit = options.limit === undefined ? Infinity : options.limit
+  let base = makeUrl(Object.assign({}, options, { revision: null, timestamp: null }))
+  if (!base) {
+    return
+  }
+  let params = { rvdir: 'older' }
+  if (options.since) {
+    let date = new Date(options.since)
+    params.rvend = isNaN(date.getTime()) ? options.since : date.toISOString()
+  }
+  let count = 0
+  let cont = {}
+  while (count < limit) {
+    params.rvlimit = Math.min(PAGE_SIZE, limit - count)
+    let url = base + '&' + toQueryString(Object.assign({}, params, cont))
+    let data = await request(url, headers, options)
+    let pages = (data.query && data.query.pages) || {}
+    let page = pages[Object.keys(pages)[0]]
+    if (!page || !page.revisions) {
+      return
+    }
+    for (let i = 0; i < page.revisions.length && count < limit; i += 1) {
+      let res = parsePage(page, options, page.revisions[i])
+      count += 1
+      yield new Document(res.wiki, res.meta)
+    }
+    if (!data.continue) {
+      return
+    }
+    cont = data.continue
+  }
+}
+module.exports = fetchHistory
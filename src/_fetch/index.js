@@ -1,11 +1,8 @@
-const unfetch = require('isomorphic-unfetch')
-
-const parseUrl = require('./parseUrl')
-const makeUrl = require('./makeUrl')
+const { fetchAll } = require('./fetchAll')
+const makeOptions = require('./_options')
 const getResult = require('./getResult')
 const parseDoc = require('./parseDoc')
 const makeHeaders = require('./_headers')
-const isUrl = /^https?:\/\//
 
 /**
  * @typedef fetchDefaults
@@ -16,19 +13,17 @@ const isUrl = /^https?:\/\//
  * @property {string | undefined} [lang]
  * @property {string | number | Array<string> | Array<number> | undefined} [title]
  * @property {string | undefined} [Api-User-Agent]
+ * @property {Function | undefined} [fetch] a fetch-compatible function, to make the requests with
+ * @property {boolean | string | object | undefined} [cache] true for an in-memory cache, a directory for an on-disk one, or a Map-like object
+ * @property {number | undefined} [concurrency] how many requests to a wiki can run at once
+ * @property {number | undefined} [rps] how many requests to a wiki can start per-second
+ * @property {number | undefined} [retries] how many times to retry a 429, 5xx, or maxlag response
+ * @property {number | undefined} [retryDelay] the first backoff delay, in milliseconds
+ * @property {number | undefined} [chunkSize] how many titles to ask for in each request - 50, by default
+ * @property {number | undefined} [revision] fetch this revision id, instead of the latest one
+ * @property {string | Date | undefined} [timestamp] fetch the revision that was current at this time
  */
 
-/**
- * @type {fetchDefaults}
- */
-const defaults = {
-  lang: 'en',
-  wiki: 'wikipedia',
-  domain: undefined,
-  follow_redirects: true,
-  path: 'api.php', //some 3rd party sites use a weird path
-}
-
 /**
  * @callback fetchCallback
  * @param {Object} error
@@ -41,26 +36,14 @@ const defaults = {
  * @param {string | number | Array<number> | Array<string>} title the title, PageID, URL or an array of all three of the page(s) you want to fetch
  * @param {fetchDefaults} [options] the options for the fetch or the language of the wiki for the article
  * @param {fetchCallback} [callback] the callback function for the call
- * @returns {Promise<null | Document | Document[]>} either null if the pages is not found, Document if you asked for one result, and a array of Documents if you asked for multiple pages
+ * @returns {Promise<null | Document | Array<Document | null>>} either null if the pages is not found, Document if you asked for one result, and a array of Documents - in the same order, with null for missing pages - if you asked for multiple pages
+ * @throws {WtfFetchError} the promise rejects, if the request fails - unless there is a callback
  */
 const fetch = function (title, options, callback) {
-  // support lang as 2nd param
-  if (typeof options === 'string') {
-    options = { lang: options }
-  }
-  options = { ...defaults, ...options }
-  options.title = title
-
-  //parse url input
-  if (typeof title === 'string' && isUrl.test(title)) {
-    options = { ...options, ...parseUrl(title) }
-  }
-
-  const url = makeUrl(options)
+  options = makeOptions(title, options)
   const headers = makeHeaders(options)
 
-  return unfetch(url, headers)
-    .then((res) => res.json())
+  return fetchAll(options, headers)
     .then((res) => {
       let data = getResult(res, options)
       data = parseDoc(data, title)
@@ -70,11 +53,12 @@ const fetch = function (title, options, callback) {
       return data
     })
     .catch((e) => {
-      console.error(e)
+      //the callback gets the error, instead
       if (callback) {
         callback(e, null)
+        return null
       }
-      return null
+      throw e
     })
 }
 module.exports = fetch
@@ -0,0 +1,57 @@
+//one queue for each host (and its limits), so parallel wtf.fetch() calls share them
+const limiters = {}
+
+const getHost = (url) => url.replace(/^[a-z]+:\/\//i, '').split(/[/?#]/)[0]
+
+//start as many waiting requests as we're allowed to
+const next = function (lim) {
+  if (lim.timer !== null) {
+    return
+  }
+  while (lim.queue.length > 0 && lim.active < lim.concurrency) {
+    //wait for the next free slot, in this second
+    let wait = lim.rps > 0 ? lim.last + 1000 / lim.rps - Date.now() : 0
+    if (wait > 0) {
+      lim.timer = setTimeout(() => {
+        lim.timer = null
+        next(lim)
+      }, wait)
+      return
+    }
+    let job = lim.queue.shift()
+    lim.active += 1
+    lim.last = Date.now()
+    Promise.resolve()
+      .then(job.fn)
+      .then(job.resolve, job.reject)
+      .then(() => {
+        lim.active -= 1
+        next(lim)
+      })
+  }
+}
+
+/**
+ * run an async function, once the host's concurrency and requests-per-second limits allow it
+ *
+ * @private
+ * @param {string} url the url that will be requested
+ * @param {object} options
+ * @param {number} [options.concurrency] how many requests to this host can be running at once
+ * @param {number} [options.rps] how many requests to this host can start, each second
+ * @param {Function} fn the function that makes the request
+ * @returns {Promise<any>} the result of the function
+ */
+const schedule = function (url, options, fn) {
+  let concurrency = options.concurrency > 0 ? options.concurrency : Infinity
+  let rps = options.rps > 0 ? options.rps : 0
+  //(calls with different limits don't change each other's)
+  let key = [getHost(url), concurrency, rps].join('|')
+  limiters[key] = limiters[key] || { concurrency, rps, active: 0, last: 0, queue: [], timer: null }
+  let lim = limiters[key]
+  return new Promise((resolve, reject) => {
+    lim.queue.push({ fn, resolve, reject })
+    next(lim)
+  })
+}
+module.exports = schedule
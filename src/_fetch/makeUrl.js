@@ -1,11 +1,12 @@
 const { isArray } = require('../_lib/helpers')
+const toQueryString = require('./toQueryString')
 
 const isInterWiki = /(wikibooks|wikidata|wikimedia|wikinews|wikipedia|wikiquote|wikisource|wikispecies|wikiversity|wikivoyage|wiktionary|foundation|meta)\.org/
 
 const defaults = {
   action: 'query',
   prop: 'revisions|pageprops', // we use the 'revisions' api here, instead of the Raw api, for its CORS-rules..
-  rvprop: 'content',
+  rvprop: 'ids|timestamp|user|comment|content',
   maxlag: 5,
   rvslots: 'main',
   origin: '*',
@@ -13,19 +14,6 @@ const defaults = {
   redirects: 'true',
 }
 
-/**
- * turns a object into a query string
- * 
- * @private
- * @param {Object<string, string | number | boolean>} obj
- * @returns {string} QueryString
- */
-const toQueryString = function (obj) {
-  return Object.entries(obj)
-    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
-    .join('&')
-}
-
 /**
  * cleans and prepares the tile by replacing the spaces with underscores (_) and trimming the white spaces of the ends
  *
@@ -52,7 +40,10 @@ const makeUrl = function (options) {
   let apiPath = ''
 
   //add support for third party apis
-  if (options.domain) {
+  if (options.domain && /^https?:\/\//.test(options.domain)) {
+    //a full url, like 'http://localhost:8080' - for a local wiki
+    apiPath = `${options.domain.replace(/\/$/, '')}/${options.path}?`
+  } else if (options.domain) {
     //wikimedia is the only api that uses `/w/api` as its path. other wikis use other paths
     let path = isInterWiki.test(options.domain) ? 'w/api.php' : options.path
     apiPath = `https://${options.domain}/${path}?`
@@ -67,6 +58,20 @@ const makeUrl = function (options) {
     delete params.redirects
   }
 
+  //a specific revision, by its id
+  if (options.revision !== undefined && options.revision !== null) {
+    delete params.redirects
+    params.revids = options.revision
+    return `${apiPath}${toQueryString(params)}`
+  }
+  //the revision at a given time
+  if (options.timestamp) {
+    let date = new Date(options.timestamp)
+    params.rvstart = isNaN(date.getTime()) ? options.timestamp : date.toISOString()
+    params.rvdir = 'older'
+    params.rvlimit = 1
+  }
+
   //support numerical ids
   let title = options.title
   if (typeof title === 'number') {
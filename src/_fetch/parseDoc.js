@@ -6,28 +6,20 @@ const { isArray } = require('../_lib/helpers')
  * @private
  * @param {Array} res
  * @param {string | number | Array<number> | Array<string>} title
- * @returns {null| Document | Document[]} null if there are no results or Document if there is one responses and Document array if there are multiple responses
+ * @returns {null| Document | Array<Document | null>} a Document (or null) for one title, and an array - with null for missing pages - for an array of titles
  */
 const parseDoc = function (res, title) {
-  // filter out undefined
-  res = res.filter((o) => o)
-
-
   // put all the responses into Document formats
   let docs = res.map((o) => {
-    return new Document(o.wiki, o.meta)
+    return o ? new Document(o.wiki, o.meta) : null
   })
 
-  // if the list is empty than there are no results
-  if (docs.length === 0) {
-    return null
-  }
-  
-  // if there is only one response then we can get it out of the array
-  if (!isArray(title) && docs.length === 1) {
-    return docs[0]
+  // an array of titles gets an array back, in the same order
+  if (isArray(title)) {
+    return docs
   }
 
-  return docs
+  // otherwise, return the first result
+  return docs.find((doc) => doc) || null
 }
 module.exports = parseDoc
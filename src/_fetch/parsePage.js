@@ -0,0 +1,68 @@
+/**
+ * the metadata for one revision of a page
+ *
+ * @private
+ * @param {object} rev a revision from the api
+ * @returns {object | null} the id, parentId, timestamp, user and comment
+ */
+const getRevision = function (rev) {
+  if (!rev || rev.revid === undefined) {
+    return null
+  }
+  return {
+    id: rev.revid,
+    parentId: rev.parentid || null,
+    timestamp: rev.timestamp || null,
+    user: rev.user === undefined ? null : rev.user,
+    comment: rev.comment === undefined ? null : rev.comment,
+  }
+}
+
+/**
+ * turn one page from the api into wikitext, and the metadata for a Document
+ *
+ * @private
+ * @param {object} page the page from the api
+ * @param {object} options the fetch options
+ * @param {object} [rev] which of its revisions to use - the first one, by default
+ * @returns {{wiki: string, meta: object} | null} the result, or null for a missing page
+ */
+const parsePage = function (page, options, rev) {
+  // if the page is missing or not found than return null
+  if (!page || page.hasOwnProperty('missing') || page.hasOwnProperty('invalid') || !page.revisions) {
+    return null
+  }
+  rev = rev || page.revisions[0]
+  if (!rev) {
+    return null
+  }
+
+  // get the text from the object
+  let text = rev['*']
+  // if the text is not found in the regular place than it is at the other place
+  if (!text && rev.slots) {
+    text = rev.slots.main['*']
+  }
+
+  page.pageprops = page.pageprops || {}
+
+  let domain = options.domain
+  if (!domain && options.wiki) {
+    domain = `${options.wiki}.org`
+  }
+
+  let meta = Object.assign({}, options, {
+    title: page.title,
+    pageID: page.pageid,
+    namespace: page.ns,
+    domain: domain,
+    wikidata: page.pageprops.wikibase_item,
+    description: page.pageprops['wikibase-shortdesc'],
+  })
+  let revision = getRevision(rev)
+  if (revision) {
+    meta.revision = revision
+  }
+  return { wiki: text, meta: meta }
+}
+module.exports = parsePage
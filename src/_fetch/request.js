@@ -0,0 +1,115 @@
+const unfetch = require('isomorphic-unfetch')
+const schedule = require('./limiter')
+const makeCache = require('./cache')
+const WtfFetchError = require('./WtfFetchError')
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+//read a header from a fetch Response, or a plain object
+const getHeader = function (res, name) {
+  let headers = res.headers
+  if (!headers) {
+    return null
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name)
+  }
+  return headers[name] || headers[name.toLowerCase()] || null
+}
+
+// 'Retry-After' is either a number of seconds, or a http-date
+const retryAfter = function (res) {
+  let str = getHeader(res, 'Retry-After')
+  if (!str) {
+    return null
+  }
+  if (/^\s*\d+(\.\d+)?\s*$/.test(str)) {
+    return parseFloat(str) * 1000
+  }
+  let date = Date.parse(str)
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0)
+}
+
+//make one attempt - returns the json, or throws a WtfFetchError
+const attempt = async function (url, init, options) {
+  const transport = options.fetch || unfetch
+  let res
+  try {
+    res = await schedule(url, options, () => transport(url, init))
+  } catch (e) {
+    throw new WtfFetchError(`Request failed: ${e.message}`, { code: 'network', url, cause: e })
+  }
+  let wait = retryAfter(res)
+  let status = res.status || null
+  if (res.ok === false || status >= 400) {
+    let err = new WtfFetchError(`Request failed with status ${status}`, { code: 'http', url, status })
+    err.retry = status === 429 || status >= 500
+    err.wait = wait
+    throw err
+  }
+  let data
+  try {
+    data = await res.json()
+  } catch (e) {
+    throw new WtfFetchError('Response was not valid json', { code: 'json', url, status, cause: e })
+  }
+  //mediawiki api errors come back with a 200 status
+  if (data && data.error) {
+    let code = data.error.code || 'api'
+    let err = new WtfFetchError(data.error.info || code, { code, url, status })
+    //(maxlag responses come with a Retry-After header)
+    err.retry = code === 'maxlag'
+    err.wait = wait
+    throw err
+  }
+  return data
+}
+
+/**
+ * fetch a url, and return its json
+ * with an optional cache, rate-limits, and retries for 429, 5xx, and maxlag responses
+ *
+ * @private
+ * @param {string} url the url to fetch
+ * @param {object} init the options for the fetch() call - method, headers, etc
+ * @param {object} [options]
+ * @param {Function} [options.fetch] a fetch-compatible function to use, instead of the default
+ * @param {*} [options.cache] true, a directory, or a Map-like object
+ * @param {number} [options.concurrency] how many requests to a host can run at once
+ * @param {number} [options.rps] how many requests to a host can start per-second
+ * @param {number} [options.retries] how many times to retry a failed request
+ * @param {number} [options.retryDelay] the first backoff delay, in milliseconds
+ * @returns {Promise<any>} the parsed json
+ */
+const request = async function (url, init, options = {}) {
+  const cache = makeCache(options.cache)
+  if (cache) {
+    let found = await cache.get(url)
+    if (found !== undefined && found !== null) {
+      return found
+    }
+  }
+  const retries = options.retries === undefined ? 3 : options.retries
+  const delay = options.retryDelay === undefined ? 1000 : options.retryDelay
+  for (let i = 0; ; i += 1) {
+    try {
+      let data = await attempt(url, init, options)
+      if (cache) {
+        await cache.set(url, data)
+      }
+      return data
+    } catch (err) {
+      err.attempts = i + 1
+      let canRetry = err.code === 'network' || err.retry === true
+      if (!canRetry || i >= retries) {
+        delete err.retry
+        delete err.wait
+        throw err
+      }
+      //exponential backoff, unless the server told us how long to wait
+      let ms = typeof err.wait === 'number' ? err.wait : delay * Math.pow(2, i)
+      await sleep(ms)
+    }
+  }
+}
+module.exports = request
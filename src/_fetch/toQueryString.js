@@ -0,0 +1,13 @@
+/**
+ * turns a object into a query string
+ *
+ * @private
+ * @param {Object<string, string | number | boolean>} obj
+ * @returns {string} QueryString
+ */
+const toQueryString = function (obj) {
+  return Object.entries(obj)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&')
+}
+module.exports = toQueryString
@@ -0,0 +1,48 @@
+//a bare <br> inside a {{template}} is swapped for a marker, in preProcess,
+//so an infobox can still split its values on it
+// - everywhere else, it's just a space
+const marker = '\uE002'
+const markerReg = /\uE002/g
+
+//is each index inside a {{template}}? (called with increasing indexes)
+const insideTemplates = function (str) {
+  let depth = 0
+  let from = 0
+  return function (at) {
+    for (let i = from; i < at; i += 1) {
+      if (str[i] === '{' && str[i + 1] === '{') {
+        depth += 1
+        i += 1
+      } else if (str[i] === '}' && str[i + 1] === '}' && depth > 0) {
+        depth -= 1
+        i += 1
+      }
+    }
+    from = at
+    return depth > 0
+  }
+}
+
+//turn the markers into spaces, like any other <br>
+const clean = function (str) {
+  if (typeof str !== 'string') {
+    return str
+  }
+  return str.replace(markerReg, ' ')
+}
+
+//put the <br> tags back, for a template's raw wikitext
+const restore = function (str) {
+  if (typeof str !== 'string') {
+    return str
+  }
+  return str.replace(markerReg, '<br>')
+}
+
+module.exports = {
+  marker,
+  reg: markerReg,
+  insideTemplates,
+  clean,
+  restore,
+}
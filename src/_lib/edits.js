@@ -0,0 +1,74 @@
+//changes to the parsed models are kept as 'edits' - a function from its old wikitext to its new wikitext
+//doc.toWikitext() runs them on the original text of each span, and leaves everything else alone
+
+/**
+ * remember a change to this model
+ *
+ * @private
+ * @param {object} model the class instance, like a Link or Template
+ * @param {Function} fn turns its old wikitext into its new wikitext
+ * @returns {object} the model
+ */
+const addEdit = function (model, fn) {
+  let before = model._edit
+  Object.defineProperty(model, '_edit', {
+    enumerable: false,
+    writable: true,
+    configurable: true,
+    value: before ? (str) => fn(before(str)) : fn,
+  })
+  return model
+}
+
+/**
+ * has this model been changed?
+ *
+ * @private
+ * @param {object} model the class instance
+ * @returns {boolean}
+ */
+const isEdited = function (model) {
+  return Boolean(model) && typeof model._edit === 'function'
+}
+
+/**
+ * swap some new text into an original string, for each [start, end) span
+ * - edits inside another edit are applied to its new text, if they can be found
+ *
+ * @private
+ * @param {string} str the original text
+ * @param {object[]} list each edit, as {start, end, before, after}
+ * @returns {string} the patched text
+ */
+const patch = function (str, list) {
+  //biggest-first, for things at the same place
+  list = list.slice(0).sort((a, b) => a.start - b.start || b.end - a.end)
+  let outer = []
+  list.forEach((o) => {
+    let parent = outer.find((p) => o.start >= p.start && o.end <= p.end)
+    if (parent) {
+      if (o.before && parent.after.indexOf(o.before) !== -1) {
+        parent.after = parent.after.replace(o.before, () => o.after)
+      }
+      return
+    }
+    //(drop anything half-overlapping)
+    if (outer.length > 0 && o.start < outer[outer.length - 1].end) {
+      return
+    }
+    outer.push(Object.assign({}, o))
+  })
+  let out = ''
+  let last = 0
+  outer.forEach((o) => {
+    out += str.slice(last, o.start) + o.after
+    last = o.end
+  })
+  return out + str.slice(last)
+}
+
+module.exports = {
+  addEdit,
+  isEdited,
+  patch,
+}
@@ -0,0 +1,78 @@
+//month names, in a few languages
+const months = {}
+const names = [
+  'january february march april may june july august september october november december',
+  'jan feb mar apr may jun jul aug sep oct nov dec',
+  'januar februar märz april mai juni juli august september oktober november dezember',
+  'janvier février mars avril mai juin juillet août septembre octobre novembre décembre',
+  'enero febrero marzo abril mayo junio julio agosto septiembre octubre noviembre diciembre',
+  'gennaio febbraio marzo aprile maggio giugno luglio agosto settembre ottobre novembre dicembre',
+  'janeiro fevereiro março abril maio junho julho agosto setembro outubro novembro dezembro',
+  'januari februari maart april mei juni juli augustus september oktober november december',
+]
+names.forEach((str) => {
+  str.split(' ').forEach((w, i) => {
+    months[w] = i + 1
+  })
+})
+months.sept = 9
+
+const pad = (n) => String(n).padStart(2, '0')
+
+//an iso-string, for as much of the date as we know
+const toIso = function (year, month, day) {
+  if (!year) {
+    return null
+  }
+  let str = String(year)
+  if (month) {
+    str += '-' + pad(month)
+    if (day) {
+      str += '-' + pad(day)
+    }
+  }
+  return str
+}
+
+/**
+ * parse a written date into an iso-date, like '2010-03-04', '2010-03', or '2010'
+ *
+ * @private
+ * @param {string} str
+ * @returns {string | null}
+ */
+const parseDate = function (str) {
+  if (typeof str !== 'string') {
+    return null
+  }
+  str = str.trim().toLowerCase()
+  // 2010-03-04
+  let m = str.match(/^([0-9]{4})(?:-([0-9]{1,2}))?(?:-([0-9]{1,2}))?$/)
+  if (m) {
+    return toIso(m[1], Number(m[2]) || null, Number(m[3]) || null)
+  }
+  // 04.03.2010
+  m = str.match(/^([0-9]{1,2})\.([0-9]{1,2})\.([0-9]{4})$/)
+  if (m) {
+    return toIso(m[3], Number(m[2]), Number(m[1]))
+  }
+  //otherwise, pull-out the parts
+  let words = str.split(/[\s,.]+|\bde\b/).filter((w) => w)
+  let year = null
+  let month = null
+  let day = null
+  words.forEach((w) => {
+    if (/^[0-9]{4}$/.test(w)) {
+      year = w
+    } else if (/^[0-9]{1,2}(st|nd|rd|th|er|º)?$/.test(w)) {
+      day = parseInt(w, 10)
+    } else if (months.hasOwnProperty(w)) {
+      month = months[w]
+    }
+  })
+  if (month === null) {
+    day = null
+  }
+  return toIso(year, month, day)
+}
+module.exports = { parseDate, toIso, months }
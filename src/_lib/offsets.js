@@ -0,0 +1,226 @@
+//when the {offsets:true} option is on, we keep a 'map' alongside the wikitext we're chopping-up
+//it says where each character of the processed text came from, in the original input
+//  - map.start[i] is the original index of the char at i
+//  - map.end[i] is where it ends - a replaced span of text covers its whole original match
+
+/**
+ * @typedef offsetMap
+ * @property {number[]} start
+ * @property {number[]} end
+ */
+
+/**
+ * @typedef offset
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * create a map for some untouched, original text
+ *
+ * @private
+ * @param {string} str the original wikitext
+ * @returns {offsetMap} the map
+ */
+const create = function (str = '') {
+  let map = { start: new Array(str.length), end: new Array(str.length) }
+  for (let i = 0; i < str.length; i += 1) {
+    map.start[i] = i
+    map.end[i] = i + 1
+  }
+  return map
+}
+
+// push a range of one map onto another
+const copy = function (out, map, from, to) {
+  for (let i = from; i < to; i += 1) {
+    out.start.push(map.start[i])
+    out.end.push(map.end[i])
+  }
+}
+
+/**
+ * get a piece of a map, like String.slice()
+ *
+ * @private
+ * @param {offsetMap} map
+ * @param {number} start
+ * @param {number} [end]
+ * @returns {offsetMap | null} the smaller map
+ */
+const slice = function (map, start, end) {
+  if (!map) {
+    return null
+  }
+  return { start: map.start.slice(start, end), end: map.end.slice(start, end) }
+}
+
+/**
+ * join maps together, like String.concat()
+ *
+ * @private
+ * @param {offsetMap[]} maps
+ * @returns {offsetMap} the bigger map
+ */
+const concat = function (maps) {
+  let out = { start: [], end: [] }
+  maps.forEach((m) => copy(out, m, 0, m.start.length))
+  return out
+}
+
+/**
+ * turn a [start, end) range of processed text into a range of the original text
+ *
+ * @private
+ * @param {offsetMap} map
+ * @param {number} start index in the processed text
+ * @param {number} end index in the processed text
+ * @returns {offset | null} where it was in the original text
+ */
+const span = function (map, start, end) {
+  if (!map || start < 0 || end <= start || end > map.start.length) {
+    return null
+  }
+  return { start: map.start[start], end: map.end[end - 1] }
+}
+
+/**
+ * where the map says this index is - even for empty text
+ *
+ * @private
+ * @param {offsetMap} map
+ * @param {number} i
+ * @returns {number} an original index
+ */
+const pointAt = function (map, i) {
+  if (i < map.start.length) {
+    return map.start[i]
+  }
+  return map.end[map.end.length - 1] || 0
+}
+
+// support '$1' and '$&' in string-replacements
+const expand = function (replacement, args) {
+  return replacement.replace(/\$(\$|&|[0-9]{1,2})/g, (all, c) => {
+    if (c === '$') {
+      return '$'
+    }
+    if (c === '&') {
+      return args[0]
+    }
+    let v = args[Number(c)]
+    return typeof v === 'string' ? v : ''
+  })
+}
+
+/**
+ * String.replace(), for an object's `_wiki` (or other key) - but keeping its `_map` in sync
+ * a replacement inherits the original range of the text it replaced.
+ *
+ * @private
+ * @param {object} obj an object holding the text, and maybe a `_map`
+ * @param {RegExp | string} pattern what to look for
+ * @param {string | Function} replacement what to replace it with
+ * @param {string} [key] which property the text is on
+ * @returns {string} the new text
+ */
+const replace = function (obj, pattern, replacement, key = '_wiki') {
+  let str = obj[key] || ''
+  let map = obj._map
+  if (!map) {
+    obj[key] = str.replace(pattern, replacement)
+    return obj[key]
+  }
+  let out = { start: [], end: [] }
+  let last = 0
+  let result = str.replace(pattern, (...args) => {
+    let match = args[0]
+    //(named-groups are passed at the end, if there are any)
+    let at = typeof args[args.length - 1] === 'object' ? args[args.length - 3] : args[args.length - 2]
+    let res = typeof replacement === 'function' ? replacement(...args) : expand(String(replacement), args)
+    res = String(res)
+    //copy-over the untouched text before it
+    copy(out, map, last, at)
+    //if we've just kept some of it, point to exactly that
+    let inside = res.trim() ? match.indexOf(res) : -1
+    if (inside !== -1) {
+      copy(out, map, at + inside, at + inside + res.length)
+    } else {
+      let s = pointAt(map, at)
+      let e = match.length > 0 ? map.end[at + match.length - 1] : s
+      for (let i = 0; i < res.length; i += 1) {
+        out.start.push(s)
+        out.end.push(e)
+      }
+    }
+    last = at + match.length
+    return res
+  })
+  copy(out, map, last, str.length)
+  obj[key] = result
+  obj._map = out
+  return result
+}
+
+/**
+ * find where this piece of text is, looking forward from a given index
+ * - falls-back to matching just its first and last lines
+ *
+ * @private
+ * @param {string} str the text to look in
+ * @param {string} needle the text to look for
+ * @param {number} [from] where to start looking
+ * @returns {number[] | null} [start, end] indexes of the text
+ */
+const locate = function (str, needle, from = 0) {
+  if (!needle) {
+    return null
+  }
+  let i = str.indexOf(needle, from)
+  if (i !== -1) {
+    return [i, i + needle.length]
+  }
+  let lines = needle.split(/\n/).filter((l) => l.trim())
+  if (lines.length === 0) {
+    return null
+  }
+  let start = str.indexOf(lines[0], from)
+  if (start === -1) {
+    return null
+  }
+  let last = lines[lines.length - 1]
+  let end = str.indexOf(last, start)
+  if (end === -1) {
+    return [start, start + lines[0].length]
+  }
+  return [start, end + last.length]
+}
+
+/**
+ * attach a (hidden) offset to any model, like a Sentence or Link
+ *
+ * @private
+ * @param {object} model the class instance
+ * @param {offset | null} offset where it was in the original text
+ * @returns {object} the model
+ */
+const setOffset = function (model, offset) {
+  if (offset) {
+    Object.defineProperty(model, '_offset', {
+      enumerable: false,
+      writable: true,
+      value: offset,
+    })
+  }
+  return model
+}
+
+module.exports = {
+  create,
+  slice,
+  concat,
+  span,
+  replace,
+  locate,
+  setOffset,
+}
@@ -0,0 +1,33 @@
+const Sentence = require('../04-sentence/Sentence')
+
+/**
+ * the sentences of a section - in infoboxes, paragraphs, lists, captions and tables -
+ * and the infobox-field they're in
+ *
+ * @private
+ * @param {object} section
+ * @returns {object[]} [{sentence, key?, data?}]
+ */
+const sentencesOf = function (section) {
+  let list = []
+  section.infoboxes().forEach((box) => {
+    Object.keys(box.data).forEach((k) => list.push({ sentence: box.data[k], key: k, data: box.data }))
+  })
+  section.paragraphs().forEach((p) => {
+    p.sentences().forEach((s) => list.push({ sentence: s }))
+    p.lists().forEach((l) => {
+      l.items().forEach((item) => {
+        let all = [item.sentence(), item.term()].concat(item.definitions())
+        all.forEach((s) => list.push({ sentence: s }))
+      })
+    })
+    p.images().forEach((img) => list.push({ sentence: img.data.caption }))
+  })
+  section.tables().forEach((table) => {
+    table.data.forEach((row) => {
+      Object.keys(row).forEach((k) => list.push({ sentence: row[k] }))
+    })
+  })
+  return list.filter((o) => o.sentence instanceof Sentence)
+}
+module.exports = sentencesOf
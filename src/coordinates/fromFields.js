@@ -0,0 +1,46 @@
+//the names of degree/minute/second fields, in infoboxes and {{location map}}
+const fieldSets = [
+  ['latd', 'latm', 'lats', 'latns', 'longd', 'longm', 'longs', 'longew'],
+  ['lat_deg', 'lat_min', 'lat_sec', 'lat_dir', 'lon_deg', 'lon_min', 'lon_sec', 'lon_dir'],
+  ['lat_d', 'lat_m', 'lat_s', 'lat_ns', 'long_d', 'long_m', 'long_s', 'long_ew'],
+  ['latitude', null, null, null, 'longitude', null, null, null],
+  ['lat', null, null, null, 'long', null, null, null],
+  ['lat', null, null, null, 'lon', null, null, null],
+]
+
+const round = (num) => Math.round(num * 100000) / 100000
+
+//degrees, minutes, seconds, and a hemisphere
+const toDecimal = function (obj, d, m, s, dir) {
+  let deg = parseFloat(obj[d])
+  if (isNaN(deg)) {
+    return null
+  }
+  let min = parseFloat(obj[m]) || 0
+  let sec = parseFloat(obj[s]) || 0
+  let num = Math.abs(deg) + min / 60 + sec / 3600
+  if (deg < 0 || /^[sw]/i.test(obj[dir] || '')) {
+    num *= -1
+  }
+  return round(num)
+}
+
+/**
+ * a lat/lon, from separate degree, minute and second fields
+ *
+ * @private
+ * @param {object} obj key-value strings, with lowercase keys
+ * @returns {object | null} {lat, lon}
+ */
+const fromFields = function (obj) {
+  for (let i = 0; i < fieldSets.length; i += 1) {
+    let f = fieldSets[i]
+    let lat = toDecimal(obj, f[0], f[1], f[2], f[3])
+    let lon = toDecimal(obj, f[4], f[5], f[6], f[7])
+    if (lat !== null && lon !== null) {
+      return { lat, lon }
+    }
+  }
+  return null
+}
+module.exports = fromFields
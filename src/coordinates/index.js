@@ -0,0 +1,128 @@
+const parseParams = require('./params')
+const fromFields = require('./fromFields')
+const parseValue = require('../infobox/value')
+
+const isMap = /^location map[~+]?$/
+const isTitle = /^\{\{\s*coor title/i
+
+const lowerKeys = function (obj) {
+  return Object.keys(obj).reduce((h, k) => {
+    h[k.toLowerCase().trim()] = obj[k]
+    return h
+  }, {})
+}
+
+const isPoint = (o) => o && isFinite(o.lat) && isFinite(o.lon) && typeof o.lat === 'number' && typeof o.lon === 'number'
+
+//the same shape, whatever it came from
+const makePoint = function (latLon, params, extra) {
+  return Object.assign(
+    {
+      lat: latLon.lat,
+      lon: latLon.lon,
+      primary: false,
+      display: null,
+      name: null,
+    },
+    params,
+    extra
+  )
+}
+
+//{{coord|43|39|N|79|23|W|type:city_region:CA-ON|display=title}}
+const fromCoord = function (tmpl) {
+  let json = tmpl.json()
+  let display = json.display || (isTitle.test(tmpl.wikitext()) ? 'title' : 'inline')
+  return makePoint(json, parseParams(json.props), {
+    display: display,
+    name: json.name || null,
+    template: 'coord',
+  })
+}
+
+//{{location map~ |Canada |lat_deg=45.42 |lon_deg=-75.69 |label=Ottawa}}
+const fromMap = function (tmpl) {
+  let json = lowerKeys(tmpl.json())
+  let latLon = fromFields(json)
+  if (latLon === null) {
+    return null
+  }
+  return makePoint(latLon, parseParams({}), {
+    name: json.label || null,
+    map: (json.list || [])[0] || null,
+    template: json.template,
+  })
+}
+
+//latd/longd fields in an infobox
+const fromInfobox = function (infobox) {
+  let json = lowerKeys(infobox.keyValue())
+  let latLon = fromFields(json)
+  if (latLon === null) {
+    return null
+  }
+  let display = json.coordinates_display || json.display || ''
+  return makePoint(latLon, parseParams({}), {
+    display: /title|^t$/i.test(display) ? 'title' : 'inline',
+    name: json.name || null,
+    template: 'infobox ' + infobox.type().toLowerCase(),
+  })
+}
+
+//{{coord}} templates inside an infobox
+const infoboxCoords = function (infobox) {
+  return Object.keys(infobox.data)
+    .map((k) => parseValue(infobox.data[k], k, 'coordinates'))
+    .filter((o) => o.type === 'coordinates')
+    .map((o) => o.value)
+}
+
+/**
+ * every coordinate in the document - from {{coord}} templates, infobox fields,
+ * and {{location map}} markers - in one format
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object[]} the points, with the page's primary one marked
+ */
+const findCoordinates = function (doc) {
+  let points = []
+  let inInfobox = []
+  doc.sections().forEach((sec) => {
+    sec.templates().forEach((tmpl) => {
+      let name = tmpl.data.template || ''
+      if (name === 'coord') {
+        points.push(fromCoord(tmpl))
+      } else if (isMap.test(name)) {
+        points.push(fromMap(tmpl))
+      }
+    })
+    sec.infoboxes().forEach((infobox) => {
+      points.push(fromInfobox(infobox))
+      inInfobox = inInfobox.concat(infoboxCoords(infobox))
+    })
+  })
+  //remove exact duplicates
+  let seen = {}
+  points = points.filter(isPoint).filter((p) => {
+    let key = `${p.lat},${p.lon},${p.globe}`
+    if (seen[key] === true) {
+      return false
+    }
+    seen[key] = true
+    return true
+  })
+  //the one shown at the top of the page - or else the infobox's one
+  let primary = points.find((p) => /title/.test(p.display || ''))
+  if (!primary) {
+    primary = points.find((p) => /^infobox /.test(p.template))
+  }
+  if (!primary) {
+    primary = points.find((p) => inInfobox.some((o) => o.lat === p.lat && o.lon === p.lon))
+  }
+  if (primary) {
+    primary.primary = true
+  }
+  return points
+}
+module.exports = findCoordinates
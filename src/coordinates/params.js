@@ -0,0 +1,51 @@
+//'type:city(2794356)_region:CA-ON' -> {type:'city', population:2794356, region:'CA-ON'}
+const splitParams = function (props = {}) {
+  let str = Object.keys(props)
+    .map((k) => `${k}:${props[k]}`)
+    .join('_')
+  let res = {}
+  str.split(/_(?=[a-z]+:)/i).forEach((part) => {
+    let arr = part.split(':')
+    let key = arr.shift().toLowerCase().trim()
+    if (key) {
+      res[key] = arr.join(':').trim()
+    }
+  })
+  return res
+}
+
+// '30km', '500m', '2000' -> meters
+const toMeters = function (str = '') {
+  let m = String(str).match(/^([0-9.]+) ?(km|m)?$/i)
+  if (m === null || isNaN(Number(m[1]))) {
+    return null
+  }
+  let num = Number(m[1])
+  return m[2] && m[2].toLowerCase() === 'km' ? num * 1000 : num
+}
+
+/**
+ * the 'coordinate parameters' of a {{coord}} template
+ *
+ * @private
+ * @param {object} props the template's 'key:value' params
+ * @returns {object} {type, population, region, globe, dim, scale}
+ */
+const parseParams = function (props) {
+  let obj = splitParams(props)
+  let res = {
+    type: null,
+    population: null,
+    region: obj.region || null,
+    globe: (obj.globe || 'earth').toLowerCase(),
+    dim: toMeters(obj.dim),
+    scale: obj.scale && !isNaN(Number(obj.scale)) ? Number(obj.scale) : null,
+  }
+  let m = (obj.type || '').match(/^([a-z]+)(?:\(([0-9,]+)\))?/i)
+  if (m !== null) {
+    res.type = m[1].toLowerCase()
+    res.population = m[2] ? Number(m[2].replace(/,/g, '')) : null
+  }
+  return res
+}
+module.exports = parseParams
@@ -0,0 +1,48 @@
+//the smallest box around all the points - [west, south, east, north]
+const getBbox = function (points) {
+  if (points.length === 0) {
+    return null
+  }
+  let lats = points.map((p) => p.lat)
+  let lons = points.map((p) => p.lon)
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)]
+}
+
+/**
+ * a geojson FeatureCollection of the document's coordinates
+ *
+ * @private
+ * @param {object[]} points the document's coordinates
+ * @param {string | null} title the article's title
+ * @returns {object} the FeatureCollection
+ */
+const toGeoJson = function (points, title) {
+  //geojson is only for points on earth
+  points = points.filter((p) => p.globe === 'earth')
+  let features = points.map((p) => {
+    let props = {
+      title: title,
+      name: p.name,
+      template: p.template,
+      primary: p.primary,
+      type: p.type,
+    }
+    ;['population', 'region', 'dim', 'scale'].forEach((k) => {
+      if (p[k] !== null && p[k] !== undefined) {
+        props[k] = p[k]
+      }
+    })
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [p.lon, p.lat] },
+      properties: props,
+    }
+  })
+  let res = { type: 'FeatureCollection', features: features }
+  let bbox = getBbox(points)
+  if (bbox) {
+    res.bbox = bbox
+  }
+  return res
+}
+module.exports = toGeoJson
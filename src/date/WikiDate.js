@@ -0,0 +1,113 @@
+const pad = (n, size = 2) => String(n).padStart(size, '0')
+
+//a date, only as precise as it was written - 'May 5, 1990', 'c. 1450', or '3rd century BC'
+const WikiDate = function (data, context = {}) {
+  Object.defineProperty(this, 'data', {
+    enumerable: false,
+    value: data,
+  })
+  //where we found it
+  Object.defineProperty(this, '_context', {
+    enumerable: false,
+    writable: true,
+    value: context,
+  })
+}
+
+//the date itself, without where we found it
+const dateFields = function (d) {
+  return {
+    text: d.text(),
+    iso: d.iso(),
+    year: d.year(),
+    month: d.month(),
+    day: d.day(),
+    era: d.era(),
+    precision: d.precision(),
+    calendar: d.calendar(),
+    approximate: d.approximate(),
+  }
+}
+
+const methods = {
+  text: function () {
+    return this.data.text || ''
+  },
+  year: function () {
+    return this.data.year
+  },
+  month: function () {
+    return this.data.month || null
+  },
+  day: function () {
+    return this.data.day || null
+  },
+  // 'CE' or 'BCE'
+  era: function () {
+    return this.data.era || 'CE'
+  },
+  // 'day', 'month', 'year', 'decade', 'century' or 'millennium'
+  precision: function () {
+    return this.data.precision
+  },
+  // 'gregorian' or 'julian'
+  calendar: function () {
+    return this.data.calendar
+  },
+  approximate: function () {
+    return this.data.approximate === true
+  },
+  isRange: function () {
+    return Boolean(this.data.end)
+  },
+  start: function () {
+    let data = Object.assign({}, this.data, { end: null, julian: null })
+    return new WikiDate(data, this._context)
+  },
+  end: function () {
+    return this.data.end ? new WikiDate(this.data.end, this._context) : null
+  },
+  //the same day, as written in the old-style calendar
+  julian: function () {
+    return this.data.julian ? new WikiDate(this.data.julian, this._context) : null
+  },
+  //astronomical year-numbering - 1 BC is '0000', 300 BC is '-0299'
+  iso: function () {
+    let year = this.data.era === 'BCE' ? 1 - this.data.year : this.data.year
+    let str = year < 0 ? '-' + pad(Math.abs(year), 4) : pad(year, 4)
+    if (this.data.month && (this.data.precision === 'month' || this.data.precision === 'day')) {
+      str += '-' + pad(this.data.month)
+      if (this.data.day && this.data.precision === 'day') {
+        str += '-' + pad(this.data.day)
+      }
+    }
+    return str
+  },
+  sentence: function () {
+    return this._context.sentence || null
+  },
+  // {source, template, key, section}
+  context: function () {
+    let c = this._context
+    return {
+      source: c.source || 'text',
+      template: c.template || null,
+      key: c.key || null,
+      section: c.section === undefined ? null : c.section,
+    }
+  },
+  json: function () {
+    let json = dateFields(this)
+    if (this.data.end) {
+      json.end = dateFields(this.end())
+    }
+    if (this.data.julian) {
+      json.julian = dateFields(this.julian())
+    }
+    return Object.assign(json, this.context())
+  },
+}
+Object.keys(methods).forEach((k) => {
+  WikiDate.prototype[k] = methods[k]
+})
+module.exports = WikiDate
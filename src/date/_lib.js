@@ -0,0 +1,67 @@
+const { months } = require('../_lib/isoDate')
+
+//'BC', 'B.C.E.', 'AD'...
+const isBce = (str) => /^b/i.test(str || '')
+
+//'March', 'mar.', '3'
+const toMonth = function (str) {
+  str = String(str || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\.$/, '')
+  if (/^[0-9]{1,2}$/.test(str)) {
+    let num = Number(str)
+    return num >= 1 && num <= 12 ? num : null
+  }
+  return months[str] || null
+}
+
+//before 15 October 1582 - the day the gregorian calendar began
+const isJulian = function (d) {
+  if (d.era === 'BCE' || d.year < 1582) {
+    return true
+  }
+  if (d.year > 1582) {
+    return false
+  }
+  return (d.month || 1) < 10 || (d.month === 10 && (d.day || 1) < 15)
+}
+
+/**
+ * fill-in a date's defaults - its precision, era and calendar
+ *
+ * @private
+ * @param {object} o {year, month, day, era, precision, calendar, approximate, end, julian, text}
+ * @returns {object | null} the date's data
+ */
+const toData = function (o) {
+  let year = Number(o.year)
+  if (!o.year || isNaN(year) || year === 0) {
+    return null
+  }
+  let month = toMonth(o.month)
+  let day = month ? Number(o.day) || null : null
+  let precision = o.precision
+  if (!precision) {
+    precision = 'year'
+    if (month) {
+      precision = day ? 'day' : 'month'
+    }
+  }
+  let data = {
+    text: o.text || '',
+    year: Math.abs(year),
+    month: month,
+    day: day,
+    era: year < 0 || o.era === 'BCE' ? 'BCE' : 'CE',
+    precision: precision,
+    calendar: null,
+    approximate: o.approximate === true,
+    end: o.end || null,
+    julian: o.julian || null,
+  }
+  data.calendar = o.calendar || (isJulian(data) ? 'julian' : 'gregorian')
+  return data
+}
+
+module.exports = { toData, toMonth, isBce }
@@ -0,0 +1,96 @@
+const parse = require('../template/parse/toJSON')
+const getName = require('../template/parse/toJSON/_getName')
+const aliases = require('../template/custom/aliases')
+const scanDates = require('./scan')
+const { toData } = require('./_lib')
+
+//a year|month|day template - or one with a written date, like {{start date|June 5, 1990}}
+const ymd = function (year, month, day) {
+  if (year && /[a-z]/i.test(year)) {
+    let found = scanDates(year)[0]
+    return found ? found.data : null
+  }
+  return { year, month, day }
+}
+
+//each date template that keeps its data, and the date it describes
+// - ({{circa}}, {{dts}} and {{OldStyleDate}} are found in the text they render)
+const templates = {
+  //{{start date}}, {{birth date}}, {{end date and age}}...
+  start: {
+    order: ['year', 'month', 'day'],
+    date: (obj) => ymd(obj.year, obj.month, obj.day || obj.date),
+  },
+  'start-date': {
+    order: ['text'],
+    date: (obj) => ymd(obj.text || ''),
+  },
+  'birth date and age': {
+    order: ['year', 'month', 'day'],
+    date: (obj) => ymd(obj.year, obj.month, obj.day),
+  },
+  'birth year and age': {
+    order: ['year', 'month'],
+    date: (obj) => ymd(obj.year, obj.month),
+  },
+  'death year and age': {
+    order: ['year', 'birth_year', 'month'],
+    date: (obj) => ymd(obj.year, obj.month),
+  },
+  'birth date and age2': {
+    order: ['at_year', 'at_month', 'at_day', 'year', 'month', 'day'],
+    date: (obj) => ymd(obj.year, obj.month, obj.day),
+  },
+  'death date and given age': {
+    order: ['year', 'month', 'day', 'age'],
+    date: (obj) => ymd(obj.year, obj.month, obj.day),
+  },
+  'birth based on age as of date': {
+    order: ['age', 'year', 'month', 'day'],
+    date: (obj) => {
+      let year = Number(obj.year) - Number(obj.age)
+      return year ? { year: year, approximate: true } : null
+    },
+  },
+  birthdeathage: {
+    order: ['b', 'birth_year', 'birth_month', 'birth_day', 'death_year', 'death_month', 'death_day'],
+    date: (obj) => {
+      if (obj.b && obj.b.toLowerCase() === 'b') {
+        return ymd(obj.birth_year, obj.birth_month, obj.birth_day)
+      }
+      return ymd(obj.death_year, obj.death_month, obj.death_day)
+    },
+  },
+}
+
+//the name we know it by
+const canonical = function (name) {
+  if (templates.hasOwnProperty(name)) {
+    return name
+  }
+  return aliases[name] || null
+}
+
+/**
+ * the date a template describes, if it's a kind of date template
+ *
+ * @private
+ * @param {string} wiki the template's wikitext
+ * @param {string} [text] how the template was rendered
+ * @returns {object | null} {name, data}
+ */
+const fromTemplate = function (wiki, text = '') {
+  let name = getName(wiki) || ''
+  let key = canonical(name)
+  if (!key || !templates.hasOwnProperty(key)) {
+    return null
+  }
+  let obj = parse(wiki, templates[key].order)
+  let parts = templates[key].date(obj)
+  if (!parts) {
+    return null
+  }
+  let data = toData(Object.assign({}, parts, { text: text }))
+  return data ? { name: name, data: data } : null
+}
+module.exports = fromTemplate
@@ -0,0 +1,58 @@
+const WikiDate = require('./WikiDate')
+const scanDates = require('./scan')
+const fromTemplate = require('./fromTemplate')
+const sentencesOf = require('../_lib/sentencesOf')
+
+//blank-out what a template already told us about, so we don't find it twice
+const mask = (text, i, len) => text.slice(0, i) + ' '.repeat(len) + text.slice(i + len)
+
+/**
+ * every date in the document - from date templates, infoboxes, and written-out in sentences -
+ * as a WikiDate, with where it was found
+ *
+ * @private
+ * @param {object} doc
+ * @returns {WikiDate[]}
+ */
+const findDates = function (doc) {
+  let res = []
+  doc.sections().forEach((sec) => {
+    let section = sec.title()
+    //dates from templates, and the text they render
+    let fromTemplates = []
+    sec.templates().forEach((tmpl) => {
+      let found = fromTemplate(tmpl.wikitext(), tmpl.text())
+      if (found) {
+        fromTemplates.push({ data: found.data, name: found.name, used: false })
+      }
+    })
+    sentencesOf(sec).forEach(({ sentence, key }) => {
+      let text = sentence.text()
+      let here = []
+      fromTemplates.forEach((o) => {
+        let i = o.data.text ? text.indexOf(o.data.text) : -1
+        if (o.used || i === -1) {
+          return
+        }
+        o.used = true
+        text = mask(text, i, o.data.text.length)
+        let context = { source: 'template', template: o.name, key: key, section: section, sentence: sentence }
+        here.push({ index: i, date: new WikiDate(o.data, context) })
+      })
+      scanDates(text).forEach((o) => {
+        let context = { source: key ? 'infobox' : 'text', key: key, section: section, sentence: sentence }
+        here.push({ index: o.index, date: new WikiDate(o.data, context) })
+      })
+      here.sort((a, b) => a.index - b.index)
+      here.forEach((o) => res.push(o.date))
+    })
+    //templates that weren't in any sentence
+    fromTemplates.forEach((o) => {
+      if (!o.used) {
+        res.push(new WikiDate(o.data, { source: 'template', template: o.name, section: section }))
+      }
+    })
+  })
+  return res
+}
+module.exports = findDates
@@ -0,0 +1,247 @@
+const { months } = require('../_lib/isoDate')
+const { toData, isBce } = require('./_lib')
+
+const monthNames = Object.keys(months)
+  .sort((a, b) => b.length - a.length)
+  .join('|')
+const M = `(${monthNames})\\.?`
+const ERA = '(BCE|BC|B\\.C\\.E\\.|B\\.C\\.|CE|C\\.E\\.|AD|A\\.D\\.)(?![a-z])'
+const dash = '\\s?[–—-]\\s?'
+//'1999–2003' -> '2003', '300–200 BC' -> '200 BC'
+const endText = (m) => m[0].slice(m[0].indexOf(m[2], m[1].length))
+
+const eraOf = (str) => {
+  if (!str) {
+    return undefined
+  }
+  return isBce(str) ? 'BCE' : 'CE'
+}
+
+//the first year of the 3rd century, or the 2nd millennium BC
+const periodStart = function (num, size, era) {
+  if (era === 'BCE') {
+    return num * size
+  }
+  return (num - 1) * size + 1
+}
+
+//each way a date is written, and its parts
+const patterns = [
+  // 2010-03-04
+  {
+    reg: /\b([0-9]{4})-([0-9]{1,2})-([0-9]{1,2})\b/g,
+    parse: (m) => ({ year: m[1], month: m[2], day: m[3] }),
+  },
+  // 6 July [O.S. 26 June] 1535
+  {
+    reg: new RegExp(`\\b([0-9]{1,2})\\s${M}\\s?\\[O\\.S\\.\\s?(([0-9]{1,2})\\s${M})\\]\\s([0-9]{4})(?![0-9])`, 'gi'),
+    parse: (m) => {
+      let julian = toData({ day: m[4], month: m[5], year: m[6], calendar: 'julian', text: m[3] })
+      return { day: m[1], month: m[2], year: m[6], calendar: 'gregorian', julian: julian }
+    },
+  },
+  // 5 March 1990, 5. März 1990, 5 de marzo de 1990
+  {
+    reg: new RegExp(
+      `\\b([0-9]{1,2})(?:st|nd|rd|th|er|\\.)?\\s(?:de\\s)?${M},?\\s(?:de\\s)?([0-9]{1,4})(?![0-9])(?:\\s?${ERA})?`,
+      'gi'
+    ),
+    parse: (m) => ({ day: m[1], month: m[2], year: m[3], era: eraOf(m[4]) }),
+  },
+  // March 5, 1990
+  {
+    reg: new RegExp(`\\b${M}\\s([0-9]{1,2})(?:st|nd|rd|th)?,?\\s([0-9]{1,4})(?![0-9])(?:\\s?${ERA})?`, 'gi'),
+    parse: (m) => ({ month: m[1], day: m[2], year: m[3], era: eraOf(m[4]) }),
+  },
+  // March 5–7, 1990
+  {
+    reg: new RegExp(`\\b${M}\\s([0-9]{1,2})${dash}([0-9]{1,2}),?\\s([0-9]{4})(?![0-9])`, 'gi'),
+    parse: (m) => ({ month: m[1], day: m[2], year: m[4], end: { month: m[1], day: m[3], year: m[4] } }),
+  },
+  // March 1990, marzo de 1990
+  {
+    reg: new RegExp(`\\b${M}\\s(?:de\\s)?([0-9]{4})(?![0-9])`, 'gi'),
+    parse: (m) => ({ month: m[1], year: m[2] }),
+  },
+  // 300 BC, 300–200 BC
+  {
+    reg: new RegExp(`\\b([0-9]{1,4})(?:${dash}([0-9]{1,4}))?\\s?${ERA}`, 'g'),
+    parse: (m) => {
+      let era = eraOf(m[3])
+      if (m[2]) {
+        return { year: m[1], era: era, end: { year: m[2], era: era, text: endText(m) } }
+      }
+      return { year: m[1], era: era }
+    },
+  },
+  // AD 1066
+  {
+    reg: /\b(?:AD|A\.D\.)\s?([0-9]{1,4})(?![0-9])/g,
+    parse: (m) => ({ year: m[1], era: 'CE' }),
+  },
+  // 1990s
+  {
+    reg: /\b([0-9]{2,3}0)'?s\b/g,
+    parse: (m) => ({ year: m[1], precision: 'decade' }),
+  },
+  // 3rd century BC, 19th-century, 2nd millennium
+  {
+    reg: new RegExp(`\\b([0-9]{1,2})(?:st|nd|rd|th)[\\s-](century|millennium)(?:\\s?${ERA})?`, 'gi'),
+    parse: (m) => {
+      let era = eraOf(m[3])
+      let precision = m[2].toLowerCase()
+      let year = periodStart(Number(m[1]), precision === 'century' ? 100 : 1000, era)
+      return { year: year, era: era, precision: precision }
+    },
+  },
+  // 1990, 1990–95
+  {
+    reg: new RegExp(
+      `(?<![0-9$£€¥.,/])\\b(1[0-9]{3}|20[0-9]{2})(?:${dash}([0-9]{2}|1[0-9]{3}|20[0-9]{2}))?(?![0-9]|'?s\\b|\\s?%|[.,][0-9])`,
+      'g'
+    ),
+    parse: (m) => {
+      let res = { year: m[1] }
+      if (m[2]) {
+        let end = Number(m[2].length === 2 ? m[1].slice(0, 2) + m[2] : m[2])
+        if (end > Number(m[1])) {
+          res.end = { year: end, text: endText(m) }
+        }
+      }
+      return res
+    },
+  },
+]
+
+const approx = /(?:\bc\.|\bca\.|\bcirca|\babout|\baround|\bapproximately)\s?$/i
+// '5–' or '5 March – ', before '7 April 1990'
+const dayBefore = new RegExp(`(?<![0-9])([0-9]{1,2})(?:\\s${M})?${dash}$`, 'i')
+// 'March 5 – ', before 'April 7, 1990'
+const monthDayBefore = new RegExp(`\\b${M}\\s([0-9]{1,2})${dash}$`, 'i')
+const between = /^\s*(?:[–—-]|to|until|till|and)\s*$/i
+const oldStyle = /^\s?[[(]([ON])\.S\.\s?([^\])]*)[\])]/
+const dayMonth = new RegExp(`^([0-9]{1,2})\\s${M}`, 'i')
+const monthDay = new RegExp(`^${M}\\s([0-9]{1,2})`, 'i')
+
+//every match, of every pattern - without overlaps
+const findAll = function (text) {
+  let found = []
+  patterns.forEach((p) => {
+    p.reg.lastIndex = 0
+    let m = p.reg.exec(text)
+    while (m !== null) {
+      found.push({ start: m.index, end: m.index + m[0].length, parts: p.parse(m) })
+      m = p.reg.exec(text)
+    }
+  })
+  found.sort((a, b) => a.start - b.start || b.end - a.end)
+  let res = []
+  found.forEach((o) => {
+    let last = res[res.length - 1]
+    if (!last || o.start >= last.end) {
+      res.push(o)
+    }
+  })
+  return res
+}
+
+//'31 January 1730', or '31 January' - in the same year
+const fromPartial = function (str, year) {
+  let found = findAll(str)[0]
+  if (found) {
+    return found.parts
+  }
+  let m = str.match(dayMonth)
+  if (m) {
+    return { day: m[1], month: m[2], year: year }
+  }
+  m = str.match(monthDay)
+  if (m) {
+    return { month: m[1], day: m[2], year: year }
+  }
+  return null
+}
+
+//the start of '5–7 March 1990', or 'March 5 – April 7, 1990'
+const rangeStart = function (before, parts) {
+  let m = before.match(monthDayBefore)
+  if (m) {
+    return { length: m[0].length, parts: { month: m[1], day: m[2], year: parts.year, era: parts.era } }
+  }
+  m = before.match(dayBefore)
+  if (m && parts.day) {
+    let month = m[2] || parts.month
+    return { length: m[0].length, parts: { day: m[1], month: month, year: parts.year, era: parts.era } }
+  }
+  return null
+}
+
+/**
+ * find every date written in some text - with its precision, era, calendar and range
+ *
+ * @private
+ * @param {string} text
+ * @returns {object[]} [{data, index, length}]
+ */
+const scanDates = function (text = '') {
+  let found = findAll(text)
+  let res = []
+  for (let i = 0; i < found.length; i += 1) {
+    let { start, end, parts } = found[i]
+    //'5–7 March 1990'
+    let pre = parts.end ? null : rangeStart(text.slice(0, start), parts)
+    if (pre) {
+      parts = Object.assign(pre.parts, { end: Object.assign(parts, { text: text.slice(start, end) }) })
+      start -= pre.length
+    }
+    //'1990 to 1995'
+    let next = found[i + 1]
+    if (!parts.end && next && between.test(text.slice(end, next.start))) {
+      let word = text.slice(end, next.start).trim().toLowerCase()
+      if (word !== 'and' || /\bbetween\s$/i.test(text.slice(0, start))) {
+        parts.end = Object.assign(next.parts, { text: text.slice(next.start, next.end) })
+        end = next.end
+        i += 1
+      }
+    }
+    if (parts.end && parts.end.era === 'BCE' && !parts.era) {
+      parts.era = 'BCE'
+    }
+    //'c. 1450'
+    let m = text.slice(0, start).match(approx)
+    if (m) {
+      start -= m[0].length
+      parts.approximate = true
+    }
+    //'11 February 1731 [O.S. 31 January 1730]'
+    m = text.slice(end).match(oldStyle)
+    if (m) {
+      let other = m[2].trim() ? fromPartial(m[2].trim(), parts.year) : null
+      if (m[1] === 'O') {
+        parts.calendar = other ? 'gregorian' : 'julian'
+        parts.julian = other ? toData(Object.assign(other, { calendar: 'julian', text: m[2].trim() })) : null
+      } else if (other) {
+        //'31 January 1730 (N.S. 11 February 1731)'
+        let julian = Object.assign({}, parts, { calendar: 'julian', end: null })
+        julian.text = text.slice(start, end)
+        parts = Object.assign(other, { calendar: 'gregorian', julian: toData(julian) })
+      }
+      end += m[0].length
+      //skip what's inside the brackets
+      while (found[i + 1] && found[i + 1].start < end) {
+        i += 1
+      }
+    }
+    let str = text.slice(start, end)
+    if (parts.end) {
+      parts.end.era = parts.end.era || parts.era
+      parts.end = toData(parts.end)
+    }
+    let data = toData(Object.assign(parts, { text: str }))
+    if (data) {
+      res.push({ data: data, index: start, length: str.length })
+    }
+  }
+  return res
+}
+module.exports = scanDates
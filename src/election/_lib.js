@@ -0,0 +1,46 @@
+// '17,705' -> 17705
+const toNumber = function (str) {
+  if (typeof str === 'number') {
+    return str
+  }
+  let m = String(str || '').match(/[-+−–]?[0-9][0-9,]*(\.[0-9]+)?/)
+  if (m === null) {
+    return null
+  }
+  let num = Number(m[0].replace(/,/g, '').replace(/^[−–]/, '-'))
+  return isNaN(num) ? null : num
+}
+
+//'−12.8', '+14.7', 'new', 'N/A'
+const toSwing = function (str) {
+  if (/^(new|n\/a)?$/i.test(String(str || '').trim())) {
+    return null
+  }
+  return toNumber(str)
+}
+
+//a votes/percent/swing line - like turnout, or majority
+const toLine = function (obj) {
+  if (!obj) {
+    return null
+  }
+  return {
+    votes: toNumber(obj.votes),
+    percent: toNumber(obj.percent),
+    swing: toSwing(obj.swing),
+  }
+}
+
+//compare party names loosely
+const sameName = (a, b) => Boolean(a && b) && a.toLowerCase().trim() === b.toLowerCase().trim()
+
+//mark the one with the most votes as elected
+const topVotes = function (candidates) {
+  let max = Math.max(...candidates.map((c) => c.votes || 0))
+  candidates.forEach((c) => {
+    c.elected = max > 0 && c.votes === max
+  })
+  return candidates
+}
+
+module.exports = { toNumber, toSwing, toLine, sameName, topVotes }
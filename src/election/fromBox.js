@@ -0,0 +1,49 @@
+const { toNumber, toSwing, toLine, sameName, topVotes } = require('./_lib')
+
+/**
+ * an election record from an {{election box begin}} ... {{election box end}} block
+ *
+ * @private
+ * @param {object} json the election box's template data
+ * @returns {object}
+ */
+const fromBox = function (json) {
+  let candidates = (json.candidates || []).map((o) => {
+    return {
+      candidate: o.candidate || null,
+      party: o.party || null,
+      votes: toNumber(o.votes),
+      percent: toNumber(o.percentage),
+      swing: toSwing(o.change),
+      seats: null,
+      elected: /winning candidate/.test(o.template) ? true : null,
+      color: null,
+    }
+  })
+  let summary = json.summary || {}
+  //who won?
+  if (candidates.some((c) => c.elected === true)) {
+    candidates.forEach((c) => {
+      c.elected = c.elected === true
+    })
+  } else if (summary.winner) {
+    candidates.forEach((c) => {
+      c.elected = sameName(c.party, summary.winner)
+    })
+  } else if (json.majority) {
+    topVotes(candidates)
+  }
+  const line = (o) => (o ? toLine({ votes: o.votes, percent: o.percentage, swing: o.change }) : null)
+  let electorate = json.electorate || {}
+  return {
+    title: json.title || null,
+    source: 'election box',
+    candidates: candidates,
+    turnout: line(json.turnout),
+    majority: line(json.majority),
+    electorate: toNumber(electorate['reg. electors'] || electorate.electorate),
+    result: summary.template ? summary.template.match(/gain|hold/)[0] : null,
+    swing: toSwing(summary.swing),
+  }
+}
+module.exports = fromBox
@@ -0,0 +1,55 @@
+const { toNumber, toSwing, sameName } = require('./_lib')
+
+/**
+ * an election record from an {{Infobox election}}
+ *
+ * @private
+ * @param {object} infobox
+ * @param {string} [title] the page's title
+ * @returns {object}
+ */
+const fromInfobox = function (infobox, title) {
+  let data = infobox.keyValue()
+  let get = (k) => (data[k] || '').trim()
+  // '{{decrease}} 6.35 pp' -> -6.35
+  let swing = (k) => {
+    let num = toSwing(get(k))
+    let raw = infobox.get(k)._raw || ''
+    if (num !== null && /\{\{ *decrease/i.test(raw)) {
+      return -Math.abs(num)
+    }
+    return num
+  }
+  let winner = get('after_election')
+  let winnerParty = get('after_party')
+  let candidates = []
+  for (let i = 1; i < 100; i += 1) {
+    let name = get('candidate' + i) || get('nominee' + i) || get('leader' + i)
+    let party = get('party' + i)
+    if (!name && !party) {
+      break
+    }
+    candidates.push({
+      candidate: name || null,
+      party: party || null,
+      votes: toNumber(get('popular_vote' + i)),
+      percent: toNumber(get('percentage' + i)),
+      swing: swing('swing' + i),
+      seats: toNumber(get('seats' + i) || get('seats_after' + i)),
+      elected: winner || winnerParty ? sameName(name, winner) || (!winner && sameName(party, winnerParty)) : null,
+      color: get('color' + i) || get('colour' + i) || null,
+    })
+  }
+  let turnout = toNumber(get('turnout'))
+  return {
+    title: get('election_name') || title || null,
+    source: 'infobox',
+    candidates: candidates,
+    turnout: turnout === null ? null : { votes: null, percent: turnout, swing: null },
+    majority: null,
+    electorate: toNumber(get('registered')),
+    result: null,
+    swing: null,
+  }
+}
+module.exports = fromInfobox
@@ -0,0 +1,106 @@
+const { toNumber, toSwing, toLine, topVotes } = require('./_lib')
+
+const summaryRow = /^(total|turnout|majority|registered|electorate|rejected|invalid|valid|blank)/i
+const colorReg = /background(?:-color)? *: *([^;]+)/i
+
+//which columns are which, by their headers
+const findColumns = function (columns) {
+  let res = {}
+  const add = (k, i) => {
+    res[k] = (res[k] || []).concat(i)
+  }
+  columns.forEach((col, i) => {
+    let last = (col.path[col.path.length - 1] || col.key).toLowerCase()
+    let all = col.path.join(' ').toLowerCase()
+    if (/%|percent|share/.test(last)) {
+      add('percent', i)
+    } else if (/±|swing|change|\+\/[−-]/.test(last)) {
+      add('swing', i)
+    } else if (/seats/.test(all)) {
+      add('seats', i)
+    } else if (/votes?\b/.test(all)) {
+      add('votes', i)
+    } else if (/candidate|nominee/.test(all)) {
+      add('candidate', i)
+    } else if (/party|alliance|list/.test(all)) {
+      add('party', i)
+    }
+  })
+  return res
+}
+
+//a party's colour - from an empty, coloured cell
+const findColor = function (row) {
+  let cell = row.find((c) => !c.text && colorReg.test(c.attributes.style || ''))
+  if (cell) {
+    return cell.attributes.style.match(colorReg)[1].trim()
+  }
+  let bg = row.find((c) => !c.text && c.attributes.bgcolor)
+  return bg ? bg.attributes.bgcolor : null
+}
+
+/**
+ * an election record from a wikitable of results, if it is one
+ *
+ * @private
+ * @param {object} table
+ * @param {string} [title] the section's title
+ * @returns {object | null}
+ */
+const fromTable = function (table, title) {
+  let cols = findColumns(table.columns())
+  if (!cols.votes || (!cols.party && !cols.candidate)) {
+    return null
+  }
+  let res = {
+    title: table.caption() || title || null,
+    source: 'table',
+    candidates: [],
+    turnout: null,
+    majority: null,
+    electorate: null,
+    result: null,
+    swing: null,
+  }
+  //the first of these columns with something in it
+  const get = (row, k) => {
+    let found = (cols[k] || []).find((i) => row[i].text)
+    return found === undefined ? '' : row[found].text
+  }
+  table
+    .grid()
+    .filter((row) => !row.every((c) => c.header))
+    .forEach((row) => {
+      let label = (row.find((c) => c.text) || {}).text || ''
+      if (summaryRow.test(label)) {
+        let line = toLine({ votes: get(row, 'votes'), percent: get(row, 'percent'), swing: get(row, 'swing') })
+        if (/^turnout/i.test(label)) {
+          res.turnout = line
+        } else if (/^majority/i.test(label)) {
+          res.majority = line
+        } else if (/^(registered|electorate)/i.test(label)) {
+          res.electorate = line.votes
+        }
+        return
+      }
+      let candidate = {
+        candidate: get(row, 'candidate') || null,
+        party: get(row, 'party') || null,
+        votes: toNumber(get(row, 'votes')),
+        percent: toNumber(get(row, 'percent')),
+        swing: toSwing(get(row, 'swing')),
+        seats: toNumber(get(row, 'seats')),
+        elected: null,
+        color: findColor(row),
+      }
+      if (candidate.candidate || candidate.party) {
+        res.candidates.push(candidate)
+      }
+    })
+  //one winner, of a race between candidates
+  if (cols.candidate && !cols.seats) {
+    topVotes(res.candidates)
+  }
+  return res.candidates.length > 0 ? res : null
+}
+module.exports = fromTable
@@ -0,0 +1,32 @@
+const fromBox = require('./fromBox')
+const fromInfobox = require('./fromInfobox')
+const fromTable = require('./fromTable')
+
+/**
+ * every election result in the document - from election boxes, election infoboxes, and tables of results
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object[]} normalized election records
+ */
+const findElections = function (doc) {
+  let res = []
+  doc.sections().forEach((sec) => {
+    sec.infoboxes().forEach((infobox) => {
+      if (/election/i.test(infobox.type())) {
+        res.push(fromInfobox(infobox, doc.title()))
+      }
+    })
+    sec.templates('election box').forEach((tmpl) => {
+      res.push(fromBox(tmpl.json()))
+    })
+    sec.tables().forEach((table) => {
+      let found = fromTable(table, sec.title())
+      if (found) {
+        res.push(found)
+      }
+    })
+  })
+  return res
+}
+module.exports = findElections
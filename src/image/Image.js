@@ -72,6 +72,9 @@ const methods = {
   text: function () {
     return ''
   },
+  offset: function () {
+    return this._offset || null
+  },
   wikitext: function () {
     return this.data.wiki || ''
   },
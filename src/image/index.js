@@ -3,6 +3,8 @@ const Image = require('./Image')
 const parseTemplate = require('../template/parse/toJSON')
 const parseSentence = require('../04-sentence').fromText
 const nested_find = require('./nested_find')
+const markers = require('../reference/markers')
+const { replace, span, setOffset } = require('../_lib/offsets')
 //regexes:
 const isFile = new RegExp('(' + i18n.images.join('|') + '):', 'i')
 let fileNames = `(${i18n.images.join('|')})`
@@ -43,7 +45,7 @@ const oneImage = function (img, doc) {
       file: file,
       lang: doc._lang,
       domain: doc._domain,
-      wiki: img,
+      wiki: markers.strip(img),
     }
     //try to grab other metadata, too
     img = img.replace(/^\[\[/, '')
@@ -68,19 +70,18 @@ const oneImage = function (img, doc) {
 }
 
 const parseImages = function (paragraph, doc) {
-  let wiki = paragraph.wiki
   //parse+remove scary '[[ [[]] ]]' stuff
-  let matches = nested_find(wiki)
+  let matches = nested_find(paragraph.wiki)
   matches.forEach(function (s) {
     if (isFile.test(s) === true) {
       paragraph.images = paragraph.images || []
       let img = oneImage(s, doc)
       if (img) {
-        paragraph.images.push(img)
+        let at = paragraph.wiki.indexOf(s)
+        paragraph.images.push(setOffset(img, span(paragraph._map, at, at + s.length)))
       }
-      wiki = wiki.replace(s, '')
+      replace(paragraph, s, '', 'wiki')
     }
   })
-  paragraph.wiki = wiki
 }
 module.exports = parseImages
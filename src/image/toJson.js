@@ -29,6 +29,9 @@ const toJson = function (img, options) {
   if (options.alt !== false && img.data.alt) {
     json.alt = img.alt()
   }
+  if (img.offset()) {
+    json.offset = img.offset()
+  }
   return json
 }
 module.exports = toJson
@@ -1,4 +1,9 @@
 const fetch = require('./_fetch')
+const fetchHistory = require('./_fetch/history')
+const WtfFetchError = require('./_fetch/WtfFetchError')
+const fromDump = require('./_dump')
+const expand = require('./_expand')
+const diff = require('./_diff')
 const version = require('./_version')
 const Document = require('./01-document/Document')
 
@@ -17,23 +22,39 @@ const models = {
   Infobox: require('./infobox/Infobox'),
   Link: require('./link/Link'),
   List: require('./list/List'),
+  ListItem: require('./list/ListItem'),
   Reference: require('./reference/Reference'),
   Table: require('./table/Table'),
   Template: require('./template/Template'),
+  WikiDate: require('./date/WikiDate'),
   http: require('./_lib/fetch'),
   wtf: wtf,
 }
 let templates = require('./template/custom')
 let infoboxes = require('./infobox/_infoboxes')
+let schemas = require('./infobox/_schemas')
 
 wtf.fetch = function (title, options, cb) {
   return fetch(title, options, cb)
 }
+wtf.fetchHistory = function (title, options) {
+  return fetchHistory(title, options)
+}
+wtf.fromDump = function (stream, options) {
+  return fromDump(stream, options)
+}
+wtf.expand = function (wiki, options) {
+  return expand(wiki, options)
+}
+wtf.diff = function (a, b) {
+  return diff(a, b)
+}
 wtf.extend = function (fn) {
-  fn(models, templates, infoboxes)
+  fn(models, templates, infoboxes, schemas)
   return this
 }
 wtf.plugin = wtf.extend
 wtf.version = version
+wtf.WtfFetchError = WtfFetchError
 
 module.exports = wtf
@@ -2,6 +2,13 @@ const toJson = require('./toJson')
 const Image = require('../image/Image')
 const { isArray } = require('../_lib/helpers')
 const Sentence = require('../04-sentence/Sentence')
+const parseSentence = require('../04-sentence').fromText
+const setParam = require('../template/setParam')
+const { addEdit, isEdited } = require('../_lib/edits')
+const rawParams = require('../template/parse/toJSON/_rawParams')
+const parseValue = require('./value')
+const schema = require('./schema')
+const { fieldYear } = require('../money/parse')
 
 const normalize = (str = '') => {
   str = str.toLowerCase()
@@ -9,8 +16,16 @@ const normalize = (str = '') => {
   return str.trim()
 }
 
+//remember where a value came from
+const hide = function (s, key, raw) {
+  if (s instanceof Sentence) {
+    Object.defineProperty(s, '_key', { enumerable: false, writable: true, value: key })
+    Object.defineProperty(s, '_raw', { enumerable: false, writable: true, value: raw })
+  }
+}
+
 //a formal key-value data table about a topic
-const Infobox = function (obj, wiki) {
+const Infobox = function (obj, wiki, raw) {
   this._type = obj.type
   this.domain = obj.domain
   Object.defineProperty(this, 'data', {
@@ -21,6 +36,10 @@ const Infobox = function (obj, wiki) {
     enumerable: false,
     value: wiki,
   })
+  let params = rawParams(raw || wiki)
+  Object.keys(this.data).forEach((k) => {
+    hide(this.data[k], k, typeof params[k] === 'string' ? params[k] : null)
+  })
 }
 
 const methods = {
@@ -85,9 +104,43 @@ const methods = {
     options = options || {}
     return toJson(this, options)
   },
+  offset: function () {
+    return this._offset || null
+  },
   wikitext: function () {
+    if (isEdited(this)) {
+      return this._edit(this.wiki || '')
+    }
     return this.wiki || ''
   },
+  set: function (key, val) {
+    addEdit(this, (str) => setParam(str, key, val))
+    //update our data, too
+    let k = Object.keys(this.data).find((o) => normalize(o) === normalize(key)) || key
+    this.data[k] = parseSentence(String(val))
+    hide(this.data[k], k, String(val))
+    return this
+  },
+  //normalized values - numbers, dates, coordinates, urls and lists
+  typed: function () {
+    return Object.keys(this.data).reduce((h, k) => {
+      if (this.data[k] instanceof Sentence) {
+        h[k] = parseValue(this.data[k], k)
+        if (h[k].type === 'money' && h[k].value.year === null) {
+          h[k].value.year = fieldYear(this.data, k)
+        }
+      }
+      return h
+    }, {})
+  },
+  //which of our known schemas it is - 'person', 'settlement'...
+  schema: function () {
+    return schema.findSchema(this._type)
+  },
+  //typed values, by the schema's canonical field-names
+  normalized: function () {
+    return schema.normalize(this)
+  },
   keyValue: function () {
     return Object.keys(this.data).reduce((h, k) => {
       if (this.data[k]) {
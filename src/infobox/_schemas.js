@@ -0,0 +1,553 @@
+//canonical fields for common kinds of infobox
+// - which infobox templates each one is for, and what their params may be called
+// - 'aliases' are the english param names, and 'de', 'fr', 'es' are what those wikis call it
+// add more with wtf.extend((models, templates, infoboxes, schemas) => {})
+module.exports = {
+  person: {
+    templates: {
+      en: [
+        'person',
+        'biography',
+        'officeholder',
+        'writer',
+        'scientist',
+        'artist',
+        'actor',
+        'musical artist',
+        'philosopher',
+        'royalty',
+        'military person',
+        'sportsperson',
+        'football biography',
+      ],
+      de: ['person'],
+      fr: ['biographie', 'biographie2', 'personnalité'],
+      es: ['persona', 'de persona', 'biografía'],
+    },
+    fields: {
+      name: { type: 'text', aliases: ['name', 'full_name'], de: ['name'], fr: ['nom'], es: ['nombre'] },
+      birth_name: {
+        type: 'text',
+        aliases: ['birth_name', 'birthname'],
+        de: ['geburtsname'],
+        fr: ['nom de naissance'],
+        es: ['nombre de nacimiento'],
+      },
+      birth_date: {
+        type: 'date',
+        aliases: ['birth_date', 'born', 'date_of_birth', 'birthdate', 'dob'],
+        de: ['geburtsdatum'],
+        fr: ['date de naissance'],
+        es: ['fecha de nacimiento'],
+      },
+      birth_place: {
+        type: 'text',
+        aliases: ['birth_place', 'place_of_birth', 'birthplace'],
+        de: ['geburtsort'],
+        fr: ['lieu de naissance'],
+        es: ['lugar de nacimiento'],
+      },
+      death_date: {
+        type: 'date',
+        aliases: ['death_date', 'died', 'date_of_death', 'deathdate', 'dod'],
+        de: ['sterbedatum'],
+        fr: ['date de décès', 'date de mort'],
+        es: ['fecha de fallecimiento', 'fecha de defunción'],
+      },
+      death_place: {
+        type: 'text',
+        aliases: ['death_place', 'place_of_death', 'deathplace'],
+        de: ['sterbeort'],
+        fr: ['lieu de décès', 'lieu de mort'],
+        es: ['lugar de fallecimiento', 'lugar de defunción'],
+      },
+      nationality: {
+        type: 'text',
+        aliases: ['nationality', 'citizenship'],
+        de: ['staatsangehörigkeit'],
+        fr: ['nationalité'],
+        es: ['nacionalidad'],
+      },
+      occupation: {
+        type: 'list',
+        aliases: ['occupation', 'profession', 'occupations'],
+        de: ['beruf'],
+        fr: ['activité', 'activités'],
+        es: ['ocupación'],
+      },
+      spouse: {
+        type: 'list',
+        aliases: ['spouse', 'spouses', 'partner'],
+        de: ['ehepartner'],
+        fr: ['conjoint'],
+        es: ['cónyuge', 'pareja'],
+      },
+      children: { type: 'text', aliases: ['children'], de: ['kinder'], fr: ['enfant', 'enfants'], es: ['hijos'] },
+      known_for: {
+        type: 'text',
+        aliases: ['known_for', 'notable_works'],
+        de: ['bekannt für'],
+        fr: ['œuvres principales'],
+        es: ['conocido por'],
+      },
+      height: { type: 'number', aliases: ['height', 'height_m'], de: ['größe'], fr: ['taille'], es: ['altura'] },
+      website: {
+        type: 'url',
+        aliases: ['website', 'url', 'homepage'],
+        de: ['website', 'webseite'],
+        fr: ['site web'],
+        es: ['sitio web', 'web'],
+      },
+    },
+  },
+
+  settlement: {
+    templates: {
+      en: [
+        'settlement',
+        'city',
+        'town',
+        'village',
+        'uk place',
+        'australian place',
+        'german location',
+        'french commune',
+        'italian comune',
+      ],
+      de: ['ort', 'gemeinde in deutschland', 'ort in deutschland', 'gemeinde in österreich', 'ort in der schweiz'],
+      fr: ['commune de france', 'localité', 'ville'],
+      es: ['de entidad subnacional', 'de localidad', 'de ciudad', 'localidad'],
+    },
+    fields: {
+      name: {
+        type: 'text',
+        aliases: ['name', 'official_name'],
+        de: ['name'],
+        fr: ['nom'],
+        es: ['nombre', 'nombre oficial'],
+      },
+      country: {
+        type: 'text',
+        aliases: ['country', 'subdivision_name'],
+        de: ['staat', 'land'],
+        fr: ['pays'],
+        es: ['país'],
+      },
+      region: {
+        type: 'text',
+        aliases: ['state', 'region', 'subdivision_name1'],
+        de: ['bundesland', 'kanton'],
+        fr: ['région'],
+        es: ['provincia', 'estado', 'región'],
+      },
+      population: {
+        type: 'number',
+        aliases: ['population_total', 'population', 'pop'],
+        de: ['einwohner'],
+        fr: ['population'],
+        es: ['población', 'población_total'],
+      },
+      area: {
+        type: 'number',
+        aliases: ['area_total_km2', 'area_km2', 'area'],
+        de: ['fläche'],
+        fr: ['superficie'],
+        es: ['superficie'],
+      },
+      elevation: {
+        type: 'number',
+        aliases: ['elevation_m', 'elevation'],
+        de: ['höhe'],
+        fr: ['altitude'],
+        es: ['altitud'],
+      },
+      coordinates: {
+        type: 'coordinates',
+        aliases: ['coordinates', 'coords'],
+        de: ['koordinaten'],
+        fr: ['coordonnées'],
+        es: ['coordenadas'],
+      },
+      established: {
+        type: 'date',
+        aliases: ['established_date', 'established', 'founded'],
+        de: ['gründung', 'gegründet'],
+        fr: ['fondation', 'création'],
+        es: ['fundación'],
+      },
+      timezone: {
+        type: 'text',
+        aliases: ['timezone', 'utc_offset'],
+        de: ['zeitzone'],
+        fr: ['fuseau horaire'],
+        es: ['huso horario'],
+      },
+      postal_code: {
+        type: 'text',
+        aliases: ['postal_code', 'postcode', 'zip_code'],
+        de: ['plz', 'postleitzahl'],
+        fr: ['code postal'],
+        es: ['código postal'],
+      },
+      leader: {
+        type: 'text',
+        aliases: ['leader_name', 'mayor'],
+        de: ['bürgermeister'],
+        fr: ['maire'],
+        es: ['alcalde'],
+      },
+      website: {
+        type: 'url',
+        aliases: ['website', 'url'],
+        de: ['website', 'webseite'],
+        fr: ['site web'],
+        es: ['sitio web', 'web'],
+      },
+    },
+  },
+
+  company: {
+    templates: {
+      en: ['company', 'dot-com company', 'airline', 'brewery', 'law firm'],
+      de: ['unternehmen'],
+      fr: ['société', 'entreprise'],
+      es: ['de empresa', 'empresa'],
+    },
+    fields: {
+      name: { type: 'text', aliases: ['name'], de: ['name'], fr: ['nom'], es: ['nombre'] },
+      type: {
+        type: 'text',
+        aliases: ['type', 'legal_form'],
+        de: ['rechtsform'],
+        fr: ['forme juridique'],
+        es: ['tipo'],
+      },
+      industry: { type: 'list', aliases: ['industry'], de: ['branche'], fr: ['activité'], es: ['industria', 'sector'] },
+      founded: {
+        type: 'date',
+        aliases: ['founded', 'foundation', 'established'],
+        de: ['gründungsdatum', 'gründung'],
+        fr: ['création'],
+        es: ['fundación'],
+      },
+      founders: {
+        type: 'list',
+        aliases: ['founder', 'founders'],
+        de: ['gründer'],
+        fr: ['fondateur', 'fondateurs'],
+        es: ['fundador', 'fundadores'],
+      },
+      headquarters: {
+        type: 'text',
+        aliases: ['hq_location', 'headquarters', 'location', 'hq_location_city'],
+        de: ['sitz'],
+        fr: ['siège'],
+        es: ['sede'],
+      },
+      key_people: { type: 'list', aliases: ['key_people'], de: ['leitung'], fr: ['direction'], es: ['personas clave'] },
+      products: {
+        type: 'list',
+        aliases: ['products', 'services'],
+        de: ['produkte'],
+        fr: ['produits'],
+        es: ['productos'],
+      },
+      revenue: { type: 'money', aliases: ['revenue'], de: ['umsatz'], fr: ["chiffre d'affaires"], es: ['ingresos'] },
+      employees: {
+        type: 'number',
+        aliases: ['num_employees', 'employees'],
+        de: ['mitarbeiterzahl', 'mitarbeiter'],
+        fr: ['effectif'],
+        es: ['empleados'],
+      },
+      parent: {
+        type: 'text',
+        aliases: ['parent'],
+        de: ['mutterunternehmen'],
+        fr: ['société mère'],
+        es: ['matriz', 'empresa matriz'],
+      },
+      website: {
+        type: 'url',
+        aliases: ['website', 'homepage', 'url'],
+        de: ['homepage', 'website'],
+        fr: ['site web'],
+        es: ['sitio web', 'web'],
+      },
+    },
+  },
+
+  film: {
+    templates: {
+      en: ['film'],
+      de: ['film'],
+      fr: ['cinéma (film)', 'film'],
+      es: ['de película', 'película'],
+    },
+    fields: {
+      name: {
+        type: 'text',
+        aliases: ['name', 'title'],
+        de: ['dt', 'ot', 'titel'],
+        fr: ['titre'],
+        es: ['título', 'nombre'],
+      },
+      directors: {
+        type: 'list',
+        aliases: ['director', 'directed_by'],
+        de: ['regie'],
+        fr: ['réalisation'],
+        es: ['dirección', 'director'],
+      },
+      producers: {
+        type: 'list',
+        aliases: ['producer', 'producers'],
+        de: ['produzent'],
+        fr: ['production'],
+        es: ['producción', 'productor'],
+      },
+      writers: { type: 'list', aliases: ['writer', 'screenplay'], de: ['drehbuch'], fr: ['scénario'], es: ['guion'] },
+      starring: {
+        type: 'list',
+        aliases: ['starring', 'cast'],
+        de: ['darsteller'],
+        fr: ['acteur', 'acteurs'],
+        es: ['reparto', 'protagonistas'],
+      },
+      music: { type: 'list', aliases: ['music'], de: ['musik'], fr: ['musique'], es: ['música'] },
+      cinematography: {
+        type: 'text',
+        aliases: ['cinematography'],
+        de: ['kamera'],
+        fr: ['photographie'],
+        es: ['fotografía'],
+      },
+      editing: { type: 'text', aliases: ['editing'], de: ['schnitt'], fr: ['montage'], es: ['montaje'] },
+      studio: {
+        type: 'list',
+        aliases: ['studio', 'production_companies'],
+        de: ['produktionsunternehmen'],
+        fr: ['société de production'],
+        es: ['productora'],
+      },
+      distributor: {
+        type: 'list',
+        aliases: ['distributor'],
+        de: ['verleih'],
+        fr: ['distribution'],
+        es: ['distribución'],
+      },
+      released: {
+        type: 'date',
+        aliases: ['released', 'release_date'],
+        de: ['ej', 'erscheinungsjahr'],
+        fr: ['sortie'],
+        es: ['estreno'],
+      },
+      runtime: {
+        type: 'number',
+        aliases: ['runtime', 'running_time'],
+        de: ['len', 'länge'],
+        fr: ['durée'],
+        es: ['duración'],
+      },
+      country: { type: 'text', aliases: ['country'], de: ['pl', 'produktionsland'], fr: ['pays'], es: ['país'] },
+      language: { type: 'text', aliases: ['language'], de: ['os', 'originalsprache'], fr: ['langue'], es: ['idioma'] },
+      budget: { type: 'money', aliases: ['budget'], de: ['budget'], fr: ['budget'], es: ['presupuesto'] },
+      gross: {
+        type: 'money',
+        aliases: ['gross', 'box_office'],
+        de: ['einspielergebnis'],
+        fr: ['recettes'],
+        es: ['recaudación'],
+      },
+    },
+  },
+
+  album: {
+    templates: {
+      en: ['album'],
+      de: ['musikalbum'],
+      fr: ['musique (œuvre)', 'album'],
+      es: ['de álbum', 'álbum'],
+    },
+    fields: {
+      name: { type: 'text', aliases: ['name', 'title'], de: ['titel'], fr: ['titre'], es: ['nombre'] },
+      artist: { type: 'text', aliases: ['artist'], de: ['künstler', 'interpret'], fr: ['artiste'], es: ['artista'] },
+      type: { type: 'text', aliases: ['type'], de: ['typ'], fr: ['type'], es: ['tipo'] },
+      released: {
+        type: 'date',
+        aliases: ['released', 'release_date'],
+        de: ['veröffentlichung'],
+        fr: ['sorti', 'sortie'],
+        es: ['publicación', 'lanzamiento'],
+      },
+      recorded: {
+        type: 'text',
+        aliases: ['recorded'],
+        de: ['aufnahme'],
+        fr: ['enregistré', 'enregistrement'],
+        es: ['grabación', 'grabado'],
+      },
+      studio: { type: 'list', aliases: ['studio'], de: ['studio'], fr: ['studio'], es: ['estudio'] },
+      genre: { type: 'list', aliases: ['genre', 'genres'], de: ['genre', 'genres'], fr: ['genre'], es: ['género'] },
+      length: {
+        type: 'text',
+        aliases: ['length', 'duration'],
+        de: ['länge', 'spielzeit'],
+        fr: ['durée'],
+        es: ['duración'],
+      },
+      label: { type: 'list', aliases: ['label'], de: ['label'], fr: ['label'], es: ['discográfica', 'sello'] },
+      producers: {
+        type: 'list',
+        aliases: ['producer', 'producers'],
+        de: ['produktion', 'produzent'],
+        fr: ['producteur'],
+        es: ['productor'],
+      },
+      previous: {
+        type: 'text',
+        aliases: ['prev_title', 'last_album'],
+        de: ['vorheriges album'],
+        fr: ['album précédent'],
+        es: ['álbum anterior'],
+      },
+      next: {
+        type: 'text',
+        aliases: ['next_title', 'next_album'],
+        de: ['nächstes album'],
+        fr: ['album suivant'],
+        es: ['álbum posterior'],
+      },
+    },
+  },
+
+  book: {
+    templates: {
+      en: ['book', 'novel'],
+      de: ['literarisches werk', 'buch'],
+      fr: ['livre', 'littérature'],
+      es: ['de libro', 'libro'],
+    },
+    fields: {
+      name: { type: 'text', aliases: ['name', 'title'], de: ['titel'], fr: ['titre'], es: ['título', 'nombre'] },
+      authors: { type: 'list', aliases: ['author', 'authors'], de: ['autor'], fr: ['auteur'], es: ['autor'] },
+      illustrator: {
+        type: 'text',
+        aliases: ['illustrator'],
+        de: ['illustrator'],
+        fr: ['illustrateur'],
+        es: ['ilustrador'],
+      },
+      country: { type: 'text', aliases: ['country'], de: ['land'], fr: ['pays'], es: ['país'] },
+      language: {
+        type: 'text',
+        aliases: ['language'],
+        de: ['sprache', 'originalsprache'],
+        fr: ['langue'],
+        es: ['idioma'],
+      },
+      series: { type: 'text', aliases: ['series'], de: ['reihe'], fr: ['série'], es: ['serie'] },
+      genre: { type: 'list', aliases: ['genre', 'genres'], de: ['gattung', 'genre'], fr: ['genre'], es: ['género'] },
+      publisher: { type: 'text', aliases: ['publisher'], de: ['verlag'], fr: ['éditeur'], es: ['editorial'] },
+      published: {
+        type: 'date',
+        aliases: ['pub_date', 'release_date', 'published'],
+        de: ['erscheinungsjahr', 'erstausgabe'],
+        fr: ['date de parution', 'parution'],
+        es: ['fecha', 'publicación'],
+      },
+      pages: { type: 'number', aliases: ['pages'], de: ['seiten'], fr: ['pages'], es: ['páginas'] },
+      isbn: { type: 'text', aliases: ['isbn'], de: ['isbn'], fr: ['isbn'], es: ['isbn'] },
+      oclc: { type: 'text', aliases: ['oclc'], de: ['oclc'], fr: ['oclc'], es: ['oclc'] },
+    },
+  },
+
+  'sports team': {
+    templates: {
+      en: [
+        'football club',
+        'sports team',
+        'basketball club',
+        'ice hockey team',
+        'baseball team',
+        'nfl team',
+        'rugby team',
+        'nba team',
+      ],
+      de: ['fußballverein', 'sportverein', 'verein'],
+      fr: ['club sportif', 'club de football', 'équipe sportive'],
+      es: ['de equipo de fútbol', 'de club deportivo', 'equipo deportivo'],
+    },
+    fields: {
+      name: {
+        type: 'text',
+        aliases: ['clubname', 'name', 'full_name', 'fullname'],
+        de: ['name'],
+        fr: ['nom'],
+        es: ['nombre'],
+      },
+      nickname: {
+        type: 'list',
+        aliases: ['nickname', 'nicknames'],
+        de: ['spitzname'],
+        fr: ['surnom'],
+        es: ['apodo', 'apodos'],
+      },
+      sport: { type: 'text', aliases: ['sport'], de: ['sportart'], fr: ['sport'], es: ['deporte'] },
+      founded: {
+        type: 'date',
+        aliases: ['founded', 'established'],
+        de: ['gegründet', 'gründung'],
+        fr: ['fondation', 'création'],
+        es: ['fundación'],
+      },
+      league: { type: 'text', aliases: ['league', 'current_league'], de: ['liga'], fr: ['championnat'], es: ['liga'] },
+      ground: {
+        type: 'text',
+        aliases: ['ground', 'stadium', 'arena', 'venue'],
+        de: ['stadion', 'spielstätte'],
+        fr: ['stade'],
+        es: ['estadio'],
+      },
+      capacity: { type: 'number', aliases: ['capacity'], de: ['plätze'], fr: ['capacité'], es: ['capacidad'] },
+      city: { type: 'text', aliases: ['city', 'location'], de: ['ort'], fr: ['ville'], es: ['ciudad', 'localidad'] },
+      owner: {
+        type: 'list',
+        aliases: ['owner', 'owners'],
+        de: ['eigentümer'],
+        fr: ['propriétaire'],
+        es: ['propietario'],
+      },
+      chairman: {
+        type: 'text',
+        aliases: ['chairman', 'president'],
+        de: ['präsident', 'vorstand'],
+        fr: ['président'],
+        es: ['presidente'],
+      },
+      manager: {
+        type: 'text',
+        aliases: ['manager', 'coach', 'head_coach'],
+        de: ['trainer'],
+        fr: ['entraîneur'],
+        es: ['entrenador'],
+      },
+      colours: {
+        type: 'list',
+        aliases: ['colours', 'colors', 'team_colors'],
+        de: ['vereinsfarben', 'farben'],
+        fr: ['couleurs'],
+        es: ['colores'],
+      },
+      website: {
+        type: 'url',
+        aliases: ['website', 'url'],
+        de: ['homepage', 'website'],
+        fr: ['site web'],
+        es: ['web', 'sitio web'],
+      },
+    },
+  },
+}
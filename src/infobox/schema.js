@@ -0,0 +1,84 @@
+const schemas = require('./_schemas')
+const parseValue = require('./value')
+const Sentence = require('../04-sentence/Sentence')
+const { fieldYear } = require('../money/parse')
+
+//compare names loosely - 'Birth_date', 'birth date'
+const squash = (str = '') => str.toLowerCase().replace(/[-_\s]+/g, ' ').trim()
+
+//every name a field may go by, and which language it's in
+const namesOf = function (key, field) {
+  let names = [{ name: key, lang: 'en' }]
+  Object.keys(field).forEach((k) => {
+    if (Array.isArray(field[k])) {
+      let lang = k === 'aliases' ? 'en' : k
+      field[k].forEach((name) => names.push({ name, lang }))
+    }
+  })
+  return names
+}
+
+//which schema, and which language's template-name it matched
+const lookup = function (type) {
+  type = squash(type)
+  let names = Object.keys(schemas)
+  for (let i = 0; i < names.length; i += 1) {
+    let templates = schemas[names[i]].templates || {}
+    if (squash(names[i]) === type) {
+      return { name: names[i], lang: 'en' }
+    }
+    let lang = Object.keys(templates).find((k) => templates[k].some((str) => squash(str) === type))
+    if (lang) {
+      return { name: names[i], lang: lang }
+    }
+  }
+  return null
+}
+
+/**
+ * which schema is for this type of infobox
+ *
+ * @private
+ * @param {string} type the infobox's type, like 'settlement'
+ * @returns {string | null} the schema's name
+ */
+const findSchema = function (type) {
+  let found = lookup(type)
+  return found ? found.name : null
+}
+
+/**
+ * the infobox's data, by the canonical field-names of its schema
+ *
+ * @private
+ * @param {object} infobox
+ * @returns {object | null} {field: {type, value, text}}, or null if there's no schema for it
+ */
+const normalize = function (infobox) {
+  let schema = lookup(infobox.type())
+  if (schema === null) {
+    return null
+  }
+  let byName = {}
+  Object.keys(infobox.data).forEach((k) => {
+    if (infobox.data[k] instanceof Sentence && infobox.data[k].text() && !byName[squash(k)]) {
+      byName[squash(k)] = k
+    }
+  })
+  let fields = schemas[schema.name].fields || {}
+  return Object.keys(fields).reduce((h, key) => {
+    let found = namesOf(key, fields[key]).find((o) => byName[squash(o.name)])
+    if (found) {
+      let k = byName[squash(found.name)]
+      //'population' is english and french - so go by the template
+      let lang = found.lang === 'en' ? schema.lang : found.lang
+      h[key] = parseValue(infobox.data[k], k, fields[key].type, lang)
+      if (h[key].type === 'money' && h[key].value.year === null) {
+        h[key].value.year = fieldYear(infobox.data, k)
+      }
+    }
+    return h
+  }, {})
+}
+
+module.exports = { findSchema, normalize }
@@ -0,0 +1,247 @@
+const parseSentence = require('../04-sentence').fromText
+const parseTemplate = require('../template/parse/toJSON')
+const parseCoord = require('../template/custom/text-and-data/geo/_lib')
+const { parseDate, toIso } = require('../_lib/isoDate')
+const { parseMoney, isMoneyKey } = require('../money/parse')
+const { scales } = require('../money/_currencies')
+const convertTemplates = require('../template/custom/text-and-data/convert')
+const { units: convertUnits, findUnit, toSi, si } = require('../template/custom/text-and-data/convert/_lib')
+
+//templates that are a list of things
+const listTemplates = /^(ubl|unbulleted list|plainlist|plain list|flatlist|flat list|hlist|bulleted list|ordered list|collapsible list)$/
+const breaks = /<br *\/?>|\n\s*[*#]?\s*/i
+// '416, 647' - a list of numbers (but not '2,794,356')
+const numberList = /^-?[0-9][0-9.]*(?:\s*[,;]\s+-?[0-9][0-9.]*)+$/
+
+//canonical names for units, by how they're written
+const units = {
+  'km²': 'km2',
+  km2: 'km2',
+  'sq km': 'km2',
+  'mi²': 'mi2',
+  mi2: 'mi2',
+  'sq mi': 'mi2',
+  'm²': 'm2',
+  m2: 'm2',
+  ha: 'ha',
+  acres: 'acre',
+  km: 'km',
+  mi: 'mi',
+  m: 'm',
+  cm: 'cm',
+  mm: 'mm',
+  ft: 'ft',
+  in: 'in',
+  kg: 'kg',
+  lb: 'lb',
+  '%': '%',
+}
+const unitNames = Object.keys(units)
+  .sort((a, b) => b.length - a.length)
+  .map((u) => u.replace(/%/, '\\%'))
+// '1.2 million' - (but not '1.2 m', which is metres)
+const scaleWords = Object.keys(scales)
+  .filter((w) => w.length > 2)
+  .sort((a, b) => b.length - a.length)
+const scale = `(?:\\s*(${scaleWords.join('|')})\\b\\.?)?`
+const numberReg = new RegExp(`^(-?[0-9][0-9,]*(?:\\.[0-9]+)?)${scale}\\s*(${unitNames.join('|')})?(?![a-z])`, 'i')
+// '1.234.567,5' or '2 165 423' - on de, fr, es wikis
+const localReg = new RegExp(`^(-?[0-9](?:[. \u00a0]?[0-9])*(?:,[0-9]+)?)${scale}\\s*(${unitNames.join('|')})?(?![a-z])`, 'i')
+// 'area_total_km2', 'elevation_m'
+const keyUnit = /_(km2|sq_mi|m2|ha|km|mi|m|ft|cm|kg|lb)$/
+
+//{{name|...}}, if the whole value is one template
+const oneTemplate = function (raw) {
+  let m = raw.match(/^\{\{([^|}]+)(\||\}\})/)
+  if (m === null || /\}\}$/.test(raw) === false) {
+    return null
+  }
+  //(no other templates next to it)
+  let depth = 0
+  for (let i = 0; i < raw.length - 1; i += 1) {
+    if (raw.substr(i, 2) === '{{') {
+      depth += 1
+      i += 1
+    } else if (raw.substr(i, 2) === '}}') {
+      depth -= 1
+      i += 1
+      if (depth === 0 && i < raw.length - 1) {
+        return null
+      }
+    }
+  }
+  return m[1].trim().toLowerCase().replace(/_/g, ' ')
+}
+
+//{{birth date|1950|1|2}} -> '1950-01-02'
+const fromDateTemplate = function (raw) {
+  let obj = parseTemplate(raw)
+  let nums = (obj.list || []).filter((s) => /^[0-9]{1,4}$/.test(s.trim())).map(Number)
+  if (nums.length === 0) {
+    let keys = ['year', 'month', 'day']
+    nums = keys.filter((k) => obj[k]).map((k) => Number(obj[k]))
+  }
+  return toIso(nums[0] || null, nums[1] || null, nums[2] || null)
+}
+
+//{{URL|example.com}}, or [http://example.com Example]
+const findUrl = function (raw, name) {
+  if (name === 'url' || name === 'official url' || name === 'official website') {
+    let obj = parseTemplate(raw)
+    let url = (obj.list || [])[0] || obj['1'] || obj.url || ''
+    if (url && !/^[a-z]+:\/\//i.test(url)) {
+      url = 'http://' + url
+    }
+    return url || null
+  }
+  let m = raw.trim().match(/^\[?(https?:\/\/[^\s\]]+)(?: [^\]]*)?\]?$/i)
+  return m ? m[1] : null
+}
+
+//split a list of things into their plaintext
+const findList = function (raw, name) {
+  let items = []
+  if (name && listTemplates.test(name)) {
+    let obj = parseTemplate(raw)
+    items = obj.list || []
+    // {{plainlist| * one * two}}
+    if (items.length === 1) {
+      items = items[0].split(/\n\s*[*#]\s*/)
+    }
+  } else if (breaks.test(raw)) {
+    items = raw.split(breaks)
+  } else if (numberList.test(raw)) {
+    items = raw.split(/\s*[,;]\s*/)
+  }
+  items = items.map((str) => parseSentence(str.replace(/^\s*[*#]\s*/, '')).text()).filter((str) => str)
+  return items.length > 1 ? items : null
+}
+
+//'1,234,567 (2020)', '630 km²', '1.85 m', '1.2 million'
+const findNumber = function (text, key, lang) {
+  let local = lang && lang !== 'en'
+  let m = text.match(local ? localReg : numberReg)
+  if (m === null) {
+    return null
+  }
+  //it should be the whole value - '416, 647' is not one number
+  let rest = text.slice(m[0].length).replace(/\([^)]*\)|\[[^\]]*\]/g, '')
+  if (/[0-9]/.test(rest)) {
+    return null
+  }
+  let str = local ? m[1].replace(/[. \u00a0]/g, '').replace(/,/, '.') : m[1].replace(/,/g, '')
+  let num = Number(str)
+  if (isNaN(num)) {
+    return null
+  }
+  if (m[2]) {
+    num = Math.round(num * scales[m[2].toLowerCase()][1] * 100) / 100
+  }
+  let unit = m[3] ? units[m[3].toLowerCase()] || null : null
+  if (!unit && keyUnit.test(key)) {
+    unit = key.match(keyUnit)[1].replace(/^sq_mi$/, 'mi2')
+  }
+  return { value: num, unit: unit }
+}
+
+//{{convert|8848|m}} -> {value:8848, unit:'m', si:{value:8848, unit:'m'}}
+const findQuantity = function (raw, name) {
+  if (!name || !convertTemplates.hasOwnProperty(name)) {
+    return null
+  }
+  let list = []
+  convertTemplates[name](raw, list)
+  let data = list[0]
+  if (!data || !data.si) {
+    return null
+  }
+  let obj = { value: data.value, unit: data.unit, si: data.si }
+  if (data.range) {
+    obj.range = data.range
+  }
+  return obj
+}
+
+//each kind of value, and how to find it
+const parsers = {
+  coordinates: ({ raw, name }) => {
+    if (name === 'coord' || name === 'coor dms' || name === 'coor dec') {
+      let obj = parseCoord(raw)
+      if (typeof obj.lat === 'number' && typeof obj.lon === 'number') {
+        return { value: { lat: obj.lat, lon: obj.lon } }
+      }
+    }
+    return null
+  },
+  date: ({ raw, name, text }, hinted) => {
+    if (name && /date/.test(name)) {
+      let iso = fromDateTemplate(raw)
+      if (iso) {
+        return { value: iso }
+      }
+    }
+    //a written date, with at-least a month
+    let iso = text.length <= 30 ? parseDate(text) : null
+    if (iso && (hinted || (iso.length > 4 && /[a-z]/i.test(text)))) {
+      return { value: iso }
+    }
+    return null
+  },
+  url: ({ raw, name }) => {
+    let url = findUrl(raw, name)
+    return url ? { value: url } : null
+  },
+  list: ({ raw, name }) => {
+    let list = findList(raw, name)
+    return list ? { value: list } : null
+  },
+  quantity: ({ raw, name, text, key, lang }, hinted) => {
+    let quantity = findQuantity(raw, name)
+    //'8,848 m' - when we're told it's a measurement
+    if (!quantity && hinted) {
+      let num = findNumber(text, key, lang)
+      let unit = num && num.unit ? findUnit(num.unit) : null
+      if (unit) {
+        let type = convertUnits[unit].type
+        quantity = { value: num.value, unit: unit, si: { value: toSi(num.value, unit), unit: si[type] } }
+      }
+    }
+    return quantity ? { value: quantity } : null
+  },
+  money: ({ text, key, lang }, hinted) => {
+    let isMoney = hinted || isMoneyKey(key)
+    let money = parseMoney(text, isMoney, lang)
+    return money ? { value: money } : null
+  },
+  number: ({ text, key, lang }) => findNumber(text, key, lang),
+}
+const order = ['coordinates', 'date', 'url', 'list', 'quantity', 'money', 'number']
+
+/**
+ * a normalized javascript value for an infobox property
+ *
+ * @private
+ * @param {object} sentence the parsed value
+ * @param {string} [key] the property name
+ * @param {string} [type] the kind of value it should be, if we know
+ * @param {string} [lang] which wiki's number-format it uses, if we know
+ * @returns {object} {type, value, text}
+ */
+const parseValue = function (sentence, key = '', type, lang) {
+  let text = sentence.text()
+  let raw = (sentence._raw || sentence.wikitext() || '').trim()
+  let ctx = { text, raw, lang, name: oneTemplate(raw), key: sentence._key || key }
+  let types = type ? [type] : order
+  for (let i = 0; i < types.length; i += 1) {
+    let found = parsers[types[i]] ? parsers[types[i]](ctx, Boolean(type)) : null
+    if (found) {
+      let res = { type: types[i], value: found.value, text: text }
+      if (found.unit !== undefined) {
+        res.unit = found.unit
+      }
+      return res
+    }
+  }
+  return { type: 'text', value: text, text: text }
+}
+module.exports = parseValue
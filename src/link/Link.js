@@ -1,4 +1,5 @@
 const wikis = require('../_data/interwiki')
+const { addEdit, isEdited } = require('../_lib/edits')
 
 const defaults = {
   type: 'internal',
@@ -11,6 +12,22 @@ const Link = function (data) {
     value: data,
   })
 }
+//point [[old|text]] to a new page, keeping how it looks
+const retarget = function (raw, wiki, page) {
+  let m = raw.match(/^\[\[([^|\]]*)(\|[\s\S]*)?\]\]([a-z]*)$/i)
+  if (!m) {
+    return raw
+  }
+  let target = m[1]
+  let hash = target.indexOf('#')
+  let head = hash === -1 ? target : target.slice(0, hash)
+  let anchor = hash === -1 ? '' : target.slice(hash)
+  //keep any 'fr:' or ':' prefix
+  let prefix = wiki ? head.slice(0, head.lastIndexOf(':') + 1) : head.match(/^:?/)[0]
+  let text = m[2] || '|' + target
+  return `[[${prefix}${page}${anchor}${text}]]${m[3] || ''}`
+}
+
 const methods = {
   text: function (str) {
     if (str !== undefined) {
@@ -37,15 +54,28 @@ const methods = {
     if (anchor) {
       obj.anchor = anchor
     }
+    if (this._offset) {
+      obj.offset = this._offset
+    }
     return obj
   },
+  offset: function () {
+    return this._offset || null
+  },
   wikitext: function () {
+    if (isEdited(this)) {
+      return this._edit(this.data.raw || '')
+    }
     let txt = this.data.raw || ''
     return txt
   },
   page: function (str) {
-    if (str !== undefined) {
+    if (str !== undefined && str !== this.data.page) {
       this.data.page = str
+      if (this.data.raw && this.type() !== 'external') {
+        let wiki = this.data.wiki
+        addEdit(this, (raw) => retarget(raw, wiki, str))
+      }
     }
     return this.data.page
   },
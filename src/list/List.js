@@ -10,7 +10,7 @@ const toText = (list, options) => {
     .join('\n')
 }
 
-const List = function (data, wiki = '') {
+const List = function (data, wiki = '', items = []) {
   Object.defineProperty(this, 'data', {
     enumerable: false,
     value: data,
@@ -19,12 +19,25 @@ const List = function (data, wiki = '') {
     enumerable: false,
     value: wiki,
   })
+  Object.defineProperty(this, '_items', {
+    enumerable: false,
+    value: items,
+  })
 }
 
 const methods = {
+  //a flat list of sentences, one for each line
   lines() {
     return this.data
   },
+  //every item, in order - each with its depth, type and children
+  items() {
+    return this._items
+  },
+  //just the top-level items
+  tree() {
+    return this._items.filter((item) => item.parent() === null)
+  },
   links(clue) {
     let links = []
     this.lines().forEach((s) => {
@@ -45,6 +58,9 @@ const methods = {
   text() {
     return toText(this.data)
   },
+  offset() {
+    return this._offset || null
+  },
   wikitext() {
     return this.wiki || ''
   },
@@ -0,0 +1,86 @@
+const setDefaults = require('../_lib/setDefaults')
+const defaults = {}
+
+/**
+ * one line of a list - with its depth, and any nested lines under it
+ *
+ * @class
+ * @param {object} data
+ */
+const ListItem = function (data) {
+  Object.defineProperty(this, 'data', {
+    enumerable: false,
+    value: data,
+  })
+}
+
+const methods = {
+  //how many bullets deep it is - '**' is 2
+  depth() {
+    return this.data.depth
+  },
+  // 'unordered', 'ordered', or 'definition'
+  type() {
+    return this.data.type
+  },
+  //its place in an ordered list, starting at 1
+  number() {
+    return this.data.number || null
+  },
+  sentence() {
+    return this.data.sentence
+  },
+  // the '; term' of a definition list
+  term() {
+    return this.data.term || null
+  },
+  // the ': definition' of a term
+  definition() {
+    return this.data.definitions[0] || null
+  },
+  definitions() {
+    return this.data.definitions
+  },
+  children() {
+    return this.data.children
+  },
+  parent() {
+    return this.data.parent || null
+  },
+  links() {
+    return this.data.sentence.links()
+  },
+  text() {
+    return this.data.sentence.text()
+  },
+  offset() {
+    return this.data.sentence.offset()
+  },
+  wikitext() {
+    return this.data.wiki || ''
+  },
+  json(options) {
+    options = setDefaults(options, defaults)
+    let json = this.data.sentence.json(options)
+    json.depth = this.depth()
+    json.type = this.type()
+    if (this.number() !== null) {
+      json.number = this.number()
+    }
+    if (this.term()) {
+      json.term = this.term().text()
+    }
+    if (this.definitions().length > 0) {
+      json.definitions = this.definitions().map((s) => s.text())
+    }
+    if (this.children().length > 0) {
+      json.children = this.children().map((item) => item.json(options))
+    }
+    return json
+  },
+}
+
+Object.keys(methods).forEach((k) => {
+  ListItem.prototype[k] = methods[k]
+})
+module.exports = ListItem
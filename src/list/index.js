@@ -1,5 +1,8 @@
 const List = require('./List')
+const makeTree = require('./tree')
 const parseSentence = require('../04-sentence/').fromText
+const offsets = require('../_lib/offsets')
+const markers = require('../reference/markers')
 const list_reg = /^[#*:;|]+/
 const bullet_reg = /^\*+[^:,|]{4}/
 const number_reg = /^ ?#[^:,|]{4}/
@@ -13,35 +16,38 @@ const isList = function (line) {
 //make bullets/numbers into human-readable *'s
 const cleanList = function (list) {
   let number = 1
-  list = list.filter((l) => l)
+  list = list.filter((l) => l.wiki)
   for (let i = 0; i < list.length; i++) {
     let line = list[i]
     //add # numberings formatting
-    if (line.match(number_reg)) {
-      line = line.replace(/^ ?#*/, number + ') ')
-      line = line + '\n'
+    if (line.wiki.match(number_reg)) {
+      offsets.replace(line, /^ ?#*/, number + ') ', 'wiki')
+      line.wiki = line.wiki + '\n'
       number += 1
-    } else if (line.match(list_reg)) {
+    } else if (line.wiki.match(list_reg)) {
       number = 1
-      line = line.replace(list_reg, '')
+      offsets.replace(line, list_reg, '', 'wiki')
     }
-    list[i] = parseSentence(line)
+    list[i] = parseSentence(line.wiki, line._map)
   }
   return list
 }
 
-const grabList = function (lines, i) {
+//(mapOf returns the offset-map for a line, if there is one)
+const grabList = function (lines, i, mapOf) {
   let sub = []
   for (let o = i; o < lines.length; o++) {
     if (isList(lines[o])) {
-      sub.push(lines[o])
+      sub.push({ wiki: lines[o], _map: mapOf(o) })
     } else {
       break
     }
   }
-  sub = sub.filter((a) => a && has_word.test(a))
-  sub = cleanList(sub)
-  return sub
+  //(a line with only a <ref> in it is empty)
+  sub = sub.filter((a) => a.wiki && has_word.test(markers.strip(a.wiki)))
+  //(before the lines are cleaned-up)
+  let items = makeTree(sub)
+  return { lines: cleanList(sub), items: items }
 }
 
 const parseList = function (paragraph) {
@@ -49,18 +55,36 @@ const parseList = function (paragraph) {
   let lines = wiki.split(/\n/g)
   let lists = []
   let theRest = []
+  //where each line starts, for offsets
+  let starts = []
+  lines.reduce((n, line) => {
+    starts.push(n)
+    return n + line.length + 1
+  }, 0)
+  let restMaps = []
+  const mapOf = (n) => offsets.slice(paragraph._map, starts[n], starts[n] + lines[n].length)
   for (let i = 0; i < lines.length; i++) {
     if (isList(lines[i])) {
-      let sub = grabList(lines, i)
+      let { lines: sub, items } = grabList(lines, i, mapOf)
       if (sub.length > 0) {
-        lists.push(sub)
+        let list = new List(sub, markers.strip(wiki), items)
+        if (paragraph._map) {
+          let end = starts[i + sub.length - 1] + lines[i + sub.length - 1].length
+          offsets.setOffset(list, offsets.span(paragraph._map, starts[i], end))
+        }
+        lists.push(list)
         i += sub.length - 1
       }
     } else {
       theRest.push(lines[i])
+      //(include its newline)
+      restMaps.push(offsets.slice(paragraph._map, starts[i], starts[i] + lines[i].length + 1))
     }
   }
-  paragraph.lists = lists.map((l) => new List(l, wiki))
+  paragraph.lists = lists
   paragraph.wiki = theRest.join('\n')
+  if (paragraph._map) {
+    paragraph._map = offsets.slice(offsets.concat(restMaps), 0, paragraph.wiki.length)
+  }
 }
 module.exports = parseList
@@ -0,0 +1,93 @@
+const ListItem = require('./ListItem')
+const parseSentence = require('../04-sentence/').fromText
+const offsets = require('../_lib/offsets')
+const markerReg = /^ ?[#*:;|]* */
+
+const types = {
+  '*': 'unordered',
+  '#': 'ordered',
+  ';': 'definition',
+  ':': 'definition',
+}
+
+//a sentence from part of a line
+const sentenceOf = function (line, start, end) {
+  let str = line.wiki.slice(start, end)
+  let trimmed = str.trim()
+  start += str.indexOf(trimmed)
+  return parseSentence(trimmed, offsets.slice(line._map, start, start + trimmed.length))
+}
+
+//split '; term : definition' at the first colon that isn't in a link or template
+const splitTerm = function (str) {
+  let depth = 0
+  for (let i = 0; i < str.length; i += 1) {
+    let c = str[i]
+    if (c === '[' || c === '{') {
+      depth += 1
+    } else if (c === ']' || c === '}') {
+      depth -= 1
+    } else if (c === ':' && depth <= 0 && str.substr(i, 3) !== '://') {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * turn a list's lines into a tree of ListItems, by their bullets
+ *
+ * @private
+ * @param {object[]} lines the list's wiki lines (and their offset maps)
+ * @returns {ListItem[]} every item, in order
+ */
+const makeTree = function (lines) {
+  let items = []
+  let stack = []
+  let lastTerm = null
+  lines.forEach((line) => {
+    let marker = line.wiki.match(markerReg)[0]
+    let bullets = marker.replace(/[\s|]/g, '')
+    let depth = bullets.length || 1
+    let type = types[bullets[bullets.length - 1]] || 'unordered'
+    let sentence = sentenceOf(line, marker.length)
+    // '; term' followed by ': definition' lines
+    if (lastTerm && bullets[depth - 1] === ':' && bullets.slice(0, -1) === lastTerm.bullets.slice(0, -1)) {
+      lastTerm.item.data.definitions.push(sentence)
+      return
+    }
+    let data = { depth, type, sentence, wiki: line.wiki, children: [], definitions: [], parent: null }
+    lastTerm = null
+    if (bullets[depth - 1] === ';') {
+      let at = splitTerm(line.wiki.slice(marker.length))
+      if (at === -1) {
+        data.term = sentence
+      } else {
+        data.term = sentenceOf(line, marker.length, marker.length + at)
+        data.definitions.push(sentenceOf(line, marker.length + at + 1))
+      }
+    }
+    //find its parent
+    while (stack.length > 0 && stack[stack.length - 1].depth() >= depth) {
+      stack.pop()
+    }
+    let item = new ListItem(data)
+    data.parent = stack[stack.length - 1] || null
+    let siblings = data.parent ? data.parent.children() : items.filter((o) => o.parent() === null)
+    //count-up through a run of numbered items
+    if (type === 'ordered') {
+      let prev = siblings[siblings.length - 1]
+      data.number = prev && prev.type() === 'ordered' ? prev.number() + 1 : 1
+    }
+    if (data.parent) {
+      data.parent.data.children.push(item)
+    }
+    if (data.term) {
+      lastTerm = { bullets, item }
+    }
+    stack.push(item)
+    items.push(item)
+  })
+  return items
+}
+module.exports = makeTree
@@ -0,0 +1,115 @@
+//the iso-4217 code for each way of writing a currency - symbols, codes and template-names
+const iso = {
+  $: 'USD',
+  us$: 'USD',
+  usd: 'USD',
+  us: 'USD',
+  dollars: 'USD',
+  a$: 'AUD',
+  au$: 'AUD',
+  aud: 'AUD',
+  c$: 'CAD',
+  ca$: 'CAD',
+  cad: 'CAD',
+  nz$: 'NZD',
+  nzd: 'NZD',
+  hk$: 'HKD',
+  hkd: 'HKD',
+  s$: 'SGD',
+  sgd: 'SGD',
+  r$: 'BRL',
+  brl: 'BRL',
+  '£': 'GBP',
+  'gb£': 'GBP',
+  gbp: 'GBP',
+  uk: 'GBP',
+  pounds: 'GBP',
+  '€': 'EUR',
+  'm€': 'EUR',
+  eur: 'EUR',
+  euro: 'EUR',
+  euros: 'EUR',
+  '¥': 'JPY',
+  jpy: 'JPY',
+  yen: 'JPY',
+  'cn¥': 'CNY',
+  cny: 'CNY',
+  rmb: 'CNY',
+  yuan: 'CNY',
+  '₹': 'INR',
+  inr: 'INR',
+  rs: 'INR',
+  'rs.': 'INR',
+  rupee: 'INR',
+  rupees: 'INR',
+  'india rs': 'INR',
+  'indian rupee': 'INR',
+  'indian rupees': 'INR',
+  'indian rupee symbol': 'INR',
+  '₨': 'PKR',
+  pkr: 'PKR',
+  '₩': 'KRW',
+  krw: 'KRW',
+  'sk won': 'KRW',
+  '₱': 'PHP',
+  php: 'PHP',
+  'philippine peso': 'PHP',
+  '₽': 'RUB',
+  rub: 'RUB',
+  ruble: 'RUB',
+  'russian ruble': 'RUB',
+  '৳': 'BDT',
+  bdt: 'BDT',
+  chf: 'CHF',
+  sfr: 'CHF',
+  sek: 'SEK',
+  sek2: 'SEK',
+  nok: 'NOK',
+  nok2: 'NOK',
+  dkk: 'DKK',
+  dkk2: 'DKK',
+  czk: 'CZK',
+  '₪': 'ILS',
+  ils: 'ILS',
+  nis: 'ILS',
+  shekel: 'ILS',
+  sheqel: 'ILS',
+  myr: 'MYR',
+  ttd: 'TTD',
+  zar: 'ZAR',
+  '₺': 'TRY',
+  try: 'TRY',
+  'turkish lira': 'TRY',
+}
+
+//'billion', 'bn' -> 1000000000
+const scales = {
+  thousand: ['thousand', 1e3],
+  k: ['thousand', 1e3],
+  lakh: ['lakh', 1e5],
+  lakhs: ['lakh', 1e5],
+  million: ['million', 1e6],
+  millions: ['million', 1e6],
+  mn: ['million', 1e6],
+  m: ['million', 1e6],
+  crore: ['crore', 1e7],
+  crores: ['crore', 1e7],
+  billion: ['billion', 1e9],
+  billions: ['billion', 1e9],
+  bn: ['billion', 1e9],
+  b: ['billion', 1e9],
+  trillion: ['trillion', 1e12],
+  tn: ['trillion', 1e12],
+  //(on other wikis)
+  mio: ['million', 1e6],
+  millionen: ['million', 1e6],
+  millones: ['million', 1e6],
+  mrd: ['billion', 1e9],
+  md: ['billion', 1e9],
+  milliarde: ['billion', 1e9],
+  milliarden: ['billion', 1e9],
+  milliard: ['billion', 1e9],
+  milliards: ['billion', 1e9],
+}
+
+module.exports = { iso, scales }
@@ -0,0 +1,76 @@
+const { scanMoney, parseMoney, fieldYear, isMoneyKey } = require('./parse')
+const sentencesOf = require('../_lib/sentencesOf')
+
+const toResult = function (o, text, sentence) {
+  return {
+    amount: o.amount,
+    currency: o.currency,
+    year: o.year,
+    scale: o.scale,
+    text: text,
+    sentence: sentence,
+  }
+}
+
+/**
+ * every amount of money in the document - in sentences, lists, infoboxes, tables and templates -
+ * with its currency, scale, year, and the sentence it's in
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object[]} [{amount, currency, year, scale, text, sentence}]
+ */
+const findMoney = function (doc) {
+  let lang = doc.lang()
+  let res = []
+  doc.sections().forEach((sec) => {
+    let sentences = sentencesOf(sec)
+    let found = []
+    //where each one was, in its sentence
+    let spans = []
+    sentences.forEach(({ sentence, key, data }) => {
+      let text = sentence.text()
+      let list = scanMoney(text, lang)
+      //'budget = 1.2 billion' - with no currency
+      if (list.length === 0 && isMoneyKey(key)) {
+        let money = parseMoney(text, true, lang)
+        list = money ? [Object.assign(money, { text: text, index: 0 })] : []
+      }
+      list.forEach((o) => {
+        if (key && o.year === null) {
+          o.year = fieldYear(data, key)
+        }
+        let result = toResult(o, o.text, sentence)
+        found.push(result)
+        spans.push({ result: result, sentence: sentence, start: o.index, end: o.index + o.text.length })
+      })
+    })
+    //{{Inflation|US|100|1990}}, {{Format price|1234567}} - their year or scale isn't in the text
+    sec.templates().forEach((tmpl) => {
+      let money = tmpl.json().money
+      let text = tmpl.text()
+      if (!money) {
+        return
+      }
+      let where = sentences.find(({ sentence }) => text && sentence.text().indexOf(text) !== -1)
+      let sentence = where ? where.sentence : null
+      //'US${{Inflation|US|100|1990}}' was found in the text, already
+      if (sentence) {
+        let start = sentence.text().indexOf(text)
+        let end = start + text.length
+        let span = spans.find((o) => o.sentence === sentence && o.start < end && start < o.end)
+        if (span) {
+          let { result } = span
+          result.currency = result.currency || money.currency
+          result.year = result.year || money.year
+          result.scale = result.scale || money.scale
+          return
+        }
+      }
+      found.push(toResult(money, text, sentence))
+    })
+    res = res.concat(found)
+  })
+  return res
+}
+module.exports = findMoney
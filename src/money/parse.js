@@ -0,0 +1,153 @@
+const { iso, scales } = require('./_currencies')
+
+const escape = (str) => str.replace(/[.$]/g, '\\$&')
+const alt = (arr) =>
+  arr
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(escape)
+    .join('|')
+
+//written before the amount - '$1.2 billion', 'US$89.95 billion', '€107.70'
+const prefixes = ['US$', 'A$', 'AU$', 'C$', 'CA$', 'NZ$', 'HK$', 'S$', 'R$', 'CN¥', 'GB£', '$', '£', '€', '¥', '₹', '₨']
+  .concat(['₩', '₱', '₽', '৳', '₪', '₺', 'Rs.', 'Rs', 'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CHF', 'CAD', 'AUD'])
+//written after it - '5 million euros'
+const suffixes = ['USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CHF', 'CAD', 'AUD', '€', 'euro', 'euros', 'dollars', 'pounds']
+  .concat(['yen', 'rupees'])
+
+const num = '[0-9][0-9,]*(?:\\.[0-9]+)?'
+const scale = `(?: ?(${alt(Object.keys(scales))})\\b\\.?)?`
+const before = new RegExp(`(?<![a-z0-9])(${alt(prefixes)}) ?(${num})${scale}`, 'gi')
+const after = new RegExp(`(?<![a-z0-9.,$£€¥])(${num})${scale} (${alt(suffixes)})(?![a-z])`, 'gi')
+const bare = new RegExp(`^(${num})${scale}`, 'i')
+// '1.234,5' or '2 165 423,5' - on de, fr, es wikis
+const localNum = /[0-9]{1,3}(?:[. \u00a0][0-9]{3})+(?:,[0-9]+)?|[0-9]+,[0-9]+/g
+const fromLocal = (text) => text.replace(localNum, (str) => str.replace(/[. \u00a0]/g, '').replace(',', '.'))
+//infobox fields that are money - 'revenue', 'net_income', 'gdp_ppp' - but not 'revenue_year'
+const moneyKey = /(^|_)(revenue|budget|gross|box_office|income|profit|assets|equity|capital|cost|price|funding|endowment|salary|gdp)(_|$)/
+const notMoney = /(year|rank|date|growth)$/
+// '(2017)', '(FY 2017)'
+const yearAfter = /^ ?\((?:fy ?)?([12][0-9]{3})\)/i
+
+/**
+ * the iso-4217 code for a currency symbol, code, or template-name
+ *
+ * @private
+ * @param {string} str
+ * @returns {string | null}
+ */
+const isoCode = function (str) {
+  return iso[String(str || '').toLowerCase().trim()] || null
+}
+
+/**
+ * a normalized amount of money - '1.2', 'billion' -> 1200000000
+ *
+ * @private
+ * @param {string} amount
+ * @param {string} [word] a scale, like 'million'
+ * @param {string} [currency] its iso-code
+ * @param {number} [year]
+ * @returns {object | null} {amount, currency, year, scale}
+ */
+const toMoney = function (amount, word, currency, year) {
+  let n = Number(String(amount || '').replace(/,/g, ''))
+  if (!amount || isNaN(n)) {
+    return null
+  }
+  let [name, mult] = scales[String(word || '').toLowerCase()] || [null, 1]
+  return {
+    amount: Math.round(n * mult * 100) / 100,
+    currency: currency || null,
+    year: year || null,
+    scale: name,
+  }
+}
+
+/**
+ * every amount of money written in some text
+ *
+ * @private
+ * @param {string} text
+ * @param {string} [lang] which wiki's number-format it uses
+ * @returns {object[]} [{amount, currency, year, scale, text, index}]
+ */
+const scanMoney = function (text = '', lang) {
+  if (lang && lang !== 'en') {
+    text = fromLocal(text)
+  }
+  let found = []
+  const add = (m, amount, word, cur) => {
+    let end = m.index + m[0].length
+    let y = text.slice(end).match(yearAfter)
+    let res = toMoney(amount, word, isoCode(cur), y ? Number(y[1]) : null)
+    if (res) {
+      found.push(Object.assign(res, { text: m[0], index: m.index }))
+    }
+  }
+  for (let m of text.matchAll(before)) {
+    add(m, m[2], m[3], m[1])
+  }
+  for (let m of text.matchAll(after)) {
+    //(not if it's in one we've got)
+    if (!found.some((o) => m.index >= o.index && m.index < o.index + o.text.length)) {
+      add(m, m[1], m[2], m[3])
+    }
+  }
+  return found.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * the amount of money at the start of some text - like an infobox value
+ *
+ * @private
+ * @param {string} text
+ * @param {boolean} [isMoney] if we know it's money, and may not have a currency
+ * @param {string} [lang] which wiki's number-format it uses
+ * @returns {object | null} {amount, currency, year, scale}
+ */
+const parseMoney = function (text = '', isMoney, lang) {
+  text = text.trim()
+  if (lang && lang !== 'en') {
+    text = fromLocal(text)
+  }
+  let first = scanMoney(text)[0]
+  //(only symbols or nothing before it)
+  if (first && /^[^a-z0-9]*$/i.test(text.slice(0, first.index))) {
+    return { amount: first.amount, currency: first.currency, year: first.year, scale: first.scale }
+  }
+  let m = isMoney ? text.match(bare) : null
+  if (m) {
+    let y = text.slice(m[0].length).match(yearAfter)
+    return toMoney(m[1], m[2], null, y ? Number(y[1]) : null)
+  }
+  return null
+}
+
+/**
+ * is this infobox field an amount of money?
+ *
+ * @private
+ * @param {string} [key]
+ * @returns {boolean}
+ */
+const isMoneyKey = function (key = '') {
+  return moneyKey.test(key) && !notMoney.test(key)
+}
+
+/**
+ * the year of an infobox's money-field, from the field next to it -
+ * 'revenue_year' for 'revenue', or 'income_year' for 'operating_income'
+ *
+ * @private
+ * @param {object} data the infobox's properties
+ * @param {string} key
+ * @returns {number | null}
+ */
+const fieldYear = function (data, key) {
+  let names = [key + '_year', key.replace(/^.*_/, '') + '_year']
+  let found = names.find((k) => data[k] && data[k].text && /[12][0-9]{3}/.test(data[k].text()))
+  return found ? Number(data[found].text().match(/[12][0-9]{3}/)[0]) : null
+}
+
+module.exports = { isoCode, toMoney, scanMoney, parseMoney, isMoneyKey, fieldYear }
@@ -0,0 +1,26 @@
+/**
+ * every measurement in the document - from {{convert}}, {{cvt}}, {{height}} and friends -
+ * with its number, unit, and the same amount in SI units
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object[]} [{value, unit, si, range?, template, text}]
+ */
+const findQuantities = function (doc) {
+  let res = []
+  doc.templates().forEach((tmpl) => {
+    let data = tmpl.json()
+    if (!data.si || typeof data.value !== 'number') {
+      return
+    }
+    let obj = { value: data.value, unit: data.unit, si: data.si }
+    if (data.range) {
+      obj.range = data.range
+    }
+    obj.template = data.template
+    obj.text = tmpl.text()
+    res.push(obj)
+  })
+  return res
+}
+module.exports = findQuantities
@@ -1,4 +1,10 @@
 const encode = require('../_lib/encode')
+const { addEdit } = require('../_lib/edits')
+const { toCitation } = require('./citation')
+const citeKey = require('./citation/_key')
+const toBibtex = require('./citation/toBibtex')
+const toRis = require('./citation/toRis')
+const toCsl = require('./citation/toCsl')
 
 //also called 'citations'
 const Reference = function (data, wiki) {
@@ -10,6 +16,15 @@ const Reference = function (data, wiki) {
     enumerable: false,
     value: wiki,
   })
+  //<ref name="" group=""> attributes, and its footnote number
+  let props = { name: null, group: null, number: null }
+  Object.keys(props).forEach((k) => {
+    Object.defineProperty(this, '_' + k, {
+      enumerable: false,
+      writable: true,
+      value: props[k],
+    })
+  })
 }
 
 const methods = {
@@ -36,11 +51,47 @@ const methods = {
   text: function () {
     return '' //nah, skip these.
   },
+  name: function () {
+    return this._name
+  },
+  group: function () {
+    return this._group
+  },
+  //the footnote number, as it would be rendered - like [3]
+  number: function () {
+    return this._number
+  },
+  //normalized authors, dates, identifiers, and things
+  citation: function () {
+    return toCitation(this.data)
+  },
+  bibtex: function () {
+    let cite = this.citation()
+    return toBibtex(cite, citeKey(cite, this._name))
+  },
+  ris: function () {
+    let cite = this.citation()
+    return toRis(cite, citeKey(cite, this._name))
+  },
+  csl: function () {
+    let cite = this.citation()
+    return toCsl(cite, citeKey(cite, this._name))
+  },
+  offset: function () {
+    return this._offset || null
+  },
   wikitext: function () {
     return this.wiki || ''
   },
+  remove: function () {
+    addEdit(this, () => '')
+    return this
+  },
   json: function (options = {}) {
     let json = this.data || {}
+    if (this._offset) {
+      json = Object.assign({}, json, { offset: this._offset })
+    }
     //encode them, for mongodb
     if (options.encode === true) {
       json = Object.assign({}, json)
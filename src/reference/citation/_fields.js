@@ -0,0 +1,45 @@
+//the many names a citation param can have, by its normalized field
+// - (keys are compared lowercase, without spaces, dashes or underscores)
+module.exports = {
+  title: ['title', 'titel', 'titre', 'título', 'titolo'],
+  chapter: ['chapter', 'contribution', 'kapitel', 'chapitre', 'capítulo', 'capitolo', 'hoofdstuk'],
+  date: ['date', 'datum', 'fecha', 'data'],
+  year: ['year', 'jahr', 'année', 'año', 'anno', 'ano', 'jaar'],
+  accessDate: ['accessdate', 'zugriff', 'consultéle', 'fechaacceso', 'accesso', 'acessodata', 'dataacesso', 'bezochtdatum'],
+  archiveUrl: ['archiveurl', 'archivurl', 'urlarchivo', 'urlarchivio', 'arquivourl', 'archiefurl'],
+  archiveDate: ['archivedate', 'archivdatum', 'fechaarchivo', 'dataarchivio', 'arquivodata', 'archiefdatum'],
+  urlStatus: ['urlstatus', 'deadurl', 'offline', 'urlmorto', 'urlmuerta'],
+  url: ['url', 'chapterurl', 'lien'],
+  publisher: ['publisher', 'verlag', 'éditeur', 'editorial', 'editore', 'editora', 'uitgever'],
+  work: [
+    'work',
+    'website',
+    'newspaper',
+    'journal',
+    'magazine',
+    'periodical',
+    'encyclopedia',
+    'werk',
+    'sammelwerk',
+    'périodique',
+    'site',
+    'obra',
+    'periódico',
+    'publicación',
+    'sito',
+    'opera',
+    'pubblicazione',
+    'jornal',
+    'tijdschrift',
+  ],
+  location: ['location', 'place', 'ort', 'lieu', 'ubicación', 'città', 'local', 'plaats'],
+  volume: ['volume', 'band', 'jahrgang', 'tome', 'volumen', 'deel'],
+  issue: ['issue', 'number', 'nummer', 'numéro', 'número', 'numero'],
+  pages: ['pages', 'page', 'seiten', 'seite', 'páginas', 'página', 'pagine', 'pagina', 'pp', 'p'],
+  language: ['language', 'sprache', 'langue', 'idioma', 'lingua', 'língua', 'taal'],
+  doi: ['doi'],
+  isbn: ['isbn', 'isbn13'],
+  pmid: ['pmid'],
+  arxiv: ['arxiv', 'eprint'],
+  oclc: ['oclc'],
+}
@@ -0,0 +1,21 @@
+/**
+ * a short id for a citation - like 'smith2010'
+ *
+ * @private
+ * @param {object} cite the normalized citation
+ * @param {string | null} [name] the <ref name="">, if it has one
+ * @returns {string}
+ */
+const citeKey = function (cite, name) {
+  if (name) {
+    return name.replace(/[\s,{}]+/g, '_')
+  }
+  let word = cite.authors[0] ? cite.authors[0].last : (cite.title || '').split(/\s+/)[0]
+  word = (word || 'ref')
+    .normalize('NFD')
+    .replace(/[^a-z0-9]/gi, '')
+    .toLowerCase()
+  let year = cite.date ? cite.date.slice(0, 4) : ''
+  return (word || 'ref') + year
+}
+module.exports = citeKey
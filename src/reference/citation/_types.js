@@ -0,0 +1,42 @@
+//citation templates, and the kind of source they cite
+// - including some versions from other-language wikis
+module.exports = {
+  citation: 'generic',
+  cite: 'generic',
+  'cite web': 'web',
+  'cite news': 'news',
+  'cite press release': 'news',
+  'cite magazine': 'magazine',
+  'cite journal': 'journal',
+  'cite conference': 'journal',
+  'cite book': 'book',
+  'cite encyclopedia': 'book',
+  'cite thesis': 'thesis',
+  'cite report': 'report',
+  'cite arxiv': 'arxiv',
+  // de
+  internetquelle: 'web',
+  literatur: 'book',
+  // fr
+  'lien web': 'web',
+  article: 'journal',
+  ouvrage: 'book',
+  // es
+  'cita web': 'web',
+  'cita noticia': 'news',
+  'cita publicación': 'journal',
+  'cita libro': 'book',
+  // it
+  'cita news': 'news',
+  'cita pubblicazione': 'journal',
+  // pt
+  'citar web': 'web',
+  'citar jornal': 'news',
+  'citar periódico': 'journal',
+  'citar livro': 'book',
+  // nl
+  'citeer web': 'web',
+  'citeer nieuws': 'news',
+  'citeer journal': 'journal',
+  'citeer boek': 'book',
+}
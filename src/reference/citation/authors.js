@@ -0,0 +1,109 @@
+const lastNames = /^(last|surname|nachname|nom|apellidos?|cognome|[uú]ltimo|achternaam)([0-9]*)$/
+const firstNames = /^(first|given|vorname|prénom|nombre|nome|primeiro|voornaam)([0-9]*)$/
+const fullNames = /^(authors?|autor|autoren|auteur|autore)([0-9]*)$/
+const vancouver = /^vauthors$/
+
+/**
+ * split a 'Last, First' or 'First Last' name
+ *
+ * @private
+ * @param {string} str
+ * @returns {{first: string, last: string}}
+ */
+const splitName = function (str) {
+  str = str.trim()
+  if (str.indexOf(',') !== -1) {
+    let [last, first] = str.split(/,/)
+    return { first: first.trim(), last: last.trim() }
+  }
+  let words = str.split(/ +/)
+  let last = words.pop()
+  return { first: words.join(' '), last: last }
+}
+
+//'Smith, John; Doe, Jane' or 'John Smith and Jane Doe'
+const splitList = function (str) {
+  let list = str.split(/ *; *| and | und | et | y | e | en /)
+  //'Hans Müller, Peter Schmidt'
+  if (list.length === 1) {
+    let parts = str.split(/ *, */)
+    if (parts.length > 1 && parts.every((p) => / /.test(p.trim()))) {
+      list = parts
+    }
+  }
+  return list.filter((s) => s.trim())
+}
+
+//'Liu W, Brock A, ((World Health Organization)), et al' - as 'Surname Initials'
+const splitVancouver = function (str) {
+  return str
+    .split(/ *, */)
+    .map((s) => s.trim())
+    .filter((s) => s && !/^et ?al\.?$/i.test(s))
+    .map((s) => {
+      //((double-brackets)) keep a name as it's written
+      let m = s.match(/^\(\((.*)\)\)$/)
+      if (m) {
+        return { first: '', last: m[1].trim() }
+      }
+      let words = s.split(/ +/)
+      if (words.length === 1) {
+        return { first: '', last: words[0] }
+      }
+      let first = words.pop()
+      return { first: first, last: words.join(' ') }
+    })
+}
+
+/**
+ * every author of a citation, in order
+ *
+ * @private
+ * @param {object} data the citation params, with normalized keys
+ * @returns {Array<{first: string, last: string}>}
+ */
+const parseAuthors = function (data) {
+  let byNum = {}
+  const get = (n) => {
+    byNum[n] = byNum[n] || { first: '', last: '' }
+    return byNum[n]
+  }
+  let lists = []
+  Object.keys(data).forEach((k) => {
+    let val = data[k]
+    if (typeof val !== 'string' || !val.trim()) {
+      return
+    }
+    let m = k.match(lastNames)
+    if (m) {
+      get(Number(m[2] || 1)).last = val.trim()
+      return
+    }
+    m = k.match(firstNames)
+    if (m) {
+      get(Number(m[2] || 1)).first = val.trim()
+      return
+    }
+    if (vancouver.test(k)) {
+      lists.push({ n: 1, names: splitVancouver(val) })
+      return
+    }
+    m = k.match(fullNames)
+    if (m) {
+      lists.push({ n: Number(m[2] || 1), names: splitList(val).map(splitName) })
+    }
+  })
+  let authors = Object.keys(byNum)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((n) => byNum[n])
+    .filter((o) => o.last)
+  //full-name params, if there were no first/last ones
+  if (authors.length === 0) {
+    lists.sort((a, b) => a.n - b.n).forEach((o) => {
+      authors = authors.concat(o.names)
+    })
+  }
+  return authors
+}
+module.exports = parseAuthors
@@ -0,0 +1,91 @@
+//sum the digits of an isbn, by their weights
+const checksum = function (digits, weights) {
+  return digits.reduce((sum, d, i) => sum + d * weights[i % weights.length], 0)
+}
+
+//isbn-10 check-digit
+const isbn10 = function (str) {
+  let digits = str
+    .slice(0, 9)
+    .split('')
+    .map(Number)
+  let weights = [10, 9, 8, 7, 6, 5, 4, 3, 2]
+  let check = (11 - (checksum(digits, weights) % 11)) % 11
+  return check === 10 ? 'X' : String(check)
+}
+
+//isbn-13 check-digit
+const isbn13 = function (str) {
+  let digits = str
+    .slice(0, 12)
+    .split('')
+    .map(Number)
+  return String((10 - (checksum(digits, [1, 3]) % 10)) % 10)
+}
+
+const parsers = {
+  // 10.1000/xyz123 - doi's are case-insensitive
+  doi: (str) => {
+    str = str.replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:)/i, '').trim()
+    return /^10\.[0-9]{4,9}\/\S+$/.test(str) ? str.toLowerCase() : null
+  },
+  // always as an isbn-13
+  isbn: (str) => {
+    str = str
+      .replace(/^isbn:?/i, '')
+      .replace(/[\s-]/g, '')
+      .toUpperCase()
+    if (/^[0-9]{9}[0-9X]$/.test(str)) {
+      if (isbn10(str) !== str[9]) {
+        return null
+      }
+      str = '978' + str.slice(0, 9)
+      return str + isbn13(str)
+    }
+    if (/^97[89][0-9]{10}$/.test(str)) {
+      return isbn13(str) === str[12] ? str : null
+    }
+    return null
+  },
+  pmid: (str) => {
+    str = str.trim()
+    return /^[0-9]{1,8}$/.test(str) ? str : null
+  },
+  // 1501.00001v2, or hep-th/9901001
+  arxiv: (str) => {
+    str = str.replace(/^arxiv:/i, '').trim()
+    if (/^[0-9]{4}\.[0-9]{4,5}(v[0-9]+)?$/.test(str) || /^[a-z-]+(\.[a-z]{2})?\/[0-9]{7}(v[0-9]+)?$/i.test(str)) {
+      return str
+    }
+    return null
+  },
+  oclc: (str) => {
+    str = str.replace(/^(ocm|ocn|on)/i, '').trim()
+    return /^[0-9]{1,12}$/.test(str) ? str : null
+  },
+}
+
+/**
+ * validate and normalize identifiers like DOIs and ISBNs
+ *
+ * @private
+ * @param {object} raw the identifier params
+ * @returns {{identifiers: object, invalid: object}} the good ones, and the bad ones as-given
+ */
+const parseIdentifiers = function (raw) {
+  let identifiers = {}
+  let invalid = {}
+  Object.keys(parsers).forEach((k) => {
+    if (typeof raw[k] !== 'string' || !raw[k].trim()) {
+      return
+    }
+    let val = parsers[k](raw[k])
+    if (val === null) {
+      invalid[k] = raw[k].trim()
+    } else {
+      identifiers[k] = val
+    }
+  })
+  return { identifiers, invalid }
+}
+module.exports = parseIdentifiers
@@ -0,0 +1,118 @@
+const types = require('./_types')
+const fields = require('./_fields')
+const parseAuthors = require('./authors')
+const { parseDate } = require('../../_lib/isoDate')
+const parseIdentifiers = require('./identifiers')
+
+//compare param names loosely - 'access-date', 'accessdate', 'Access date'
+const squash = (str) => str.toLowerCase().replace(/[\s_-]/g, '')
+
+//which field each param-name is for
+const aliases = {}
+Object.keys(fields).forEach((k) => {
+  fields[k].forEach((name) => {
+    aliases[name] = k
+  })
+})
+
+const statuses = {
+  dead: 'dead',
+  yes: 'dead',
+  ja: 'dead',
+  si: 'dead',
+  sí: 'dead',
+  sì: 'dead',
+  true: 'dead',
+  live: 'live',
+  no: 'live',
+  nein: 'live',
+  false: 'live',
+  unfit: 'unfit',
+  usurped: 'usurped',
+  deviated: 'deviated',
+}
+
+//what kind of source the template describes
+const getType = function (json) {
+  let name = (json.template === 'citation' ? json.type : json.template) || ''
+  name = name.toLowerCase().trim()
+  return types[name] || types['cite ' + name] || 'generic'
+}
+
+// - url-status=dead, or deadurl=yes, or an archive-url on its own
+const urlStatus = function (str, archiveUrl) {
+  if (str) {
+    return statuses[str.toLowerCase().trim()] || null
+  }
+  return archiveUrl ? 'dead' : null
+}
+
+//the plain-text <ref>some text</ref> kind
+const fromInline = function (sentence) {
+  let text = sentence && sentence.text ? sentence.text() : ''
+  let link = sentence && sentence.links ? sentence.links().find((l) => l.type() === 'external') : null
+  return { title: text || null, url: link ? link.site() : null }
+}
+
+/**
+ * a normalized citation, from a reference's template data
+ *
+ * @private
+ * @param {object} json the reference's data
+ * @returns {object} the citation
+ */
+const toCitation = function (json = {}) {
+  let params = {}
+  let found = {}
+  Object.keys(json).forEach((k) => {
+    if (k === 'template' || k === 'type' || typeof json[k] !== 'string') {
+      return
+    }
+    let key = squash(k)
+    params[key] = json[k]
+    let field = aliases[key]
+    //(first one wins)
+    if (field && !found[field] && json[k].trim()) {
+      found[field] = json[k].trim()
+    }
+  })
+  let type = json.type === 'inline' ? 'inline' : getType(json)
+  if (type === 'inline') {
+    found = Object.assign(found, fromInline(json.inline))
+  }
+  let { identifiers, invalid } = parseIdentifiers(found)
+  return {
+    type: type,
+    title: found.title || null,
+    chapter: found.chapter || null,
+    authors: parseAuthors(params),
+    date: parseDate(found.date) || parseDate(found.year),
+    accessDate: parseDate(found.accessDate),
+    archiveDate: parseDate(found.archiveDate),
+    publisher: found.publisher || null,
+    work: found.work || null,
+    location: found.location || null,
+    volume: found.volume || null,
+    issue: found.issue || null,
+    pages: found.pages || null,
+    language: found.language || null,
+    url: found.url || null,
+    archiveUrl: found.archiveUrl || null,
+    urlStatus: urlStatus(found.urlStatus, found.archiveUrl),
+    identifiers: identifiers,
+    invalidIdentifiers: invalid,
+  }
+}
+
+/**
+ * is this template-name a kind of citation?
+ *
+ * @private
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isCitation = function (name = '') {
+  return types.hasOwnProperty(name.toLowerCase().trim())
+}
+
+module.exports = { toCitation, isCitation }
@@ -0,0 +1,60 @@
+const bibTypes = {
+  news: 'article',
+  magazine: 'article',
+  journal: 'article',
+  book: 'book',
+  thesis: 'phdthesis',
+  report: 'techreport',
+}
+
+//escape latex special-characters
+const escape = function (str) {
+  return String(str)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}')
+}
+
+/**
+ * a citation, as a BibTeX entry
+ *
+ * @private
+ * @param {object} cite the normalized citation
+ * @param {string} key the bibtex cite-key
+ * @returns {string}
+ */
+const toBibtex = function (cite, key) {
+  let ids = cite.identifiers
+  let type = bibTypes[cite.type] || 'misc'
+  if (type === 'book' && cite.chapter) {
+    type = 'incollection'
+  }
+  let fields = [
+    ['author', cite.authors.map((a) => (a.first ? `${a.last}, ${a.first}` : a.last)).join(' and ')],
+    ['title', cite.chapter || cite.title],
+    ['booktitle', cite.chapter ? cite.title : null],
+    [type === 'article' ? 'journal' : 'howpublished', type === 'article' || type === 'misc' ? cite.work : null],
+    ['publisher', cite.publisher],
+    ['address', cite.location],
+    ['year', cite.date ? cite.date.slice(0, 4) : null],
+    ['month', cite.date && cite.date.length > 4 ? String(Number(cite.date.slice(5, 7))) : null],
+    ['volume', cite.volume],
+    ['number', cite.issue],
+    ['pages', cite.pages ? cite.pages.replace(/ *[-–—] */g, '--') : null],
+    ['language', cite.language],
+    ['url', cite.url],
+    ['urldate', cite.accessDate],
+    ['doi', ids.doi],
+    ['isbn', ids.isbn],
+    ['pmid', ids.pmid],
+    ['eprint', ids.arxiv],
+    ['archiveprefix', ids.arxiv ? 'arXiv' : null],
+  ]
+  let lines = fields
+    .filter((a) => a[1])
+    //(urls and dois are verbatim)
+    .map(([k, v]) => `  ${k} = {${/^(url|doi)$/.test(k) ? v : escape(v)}}`)
+  return `@${type}{${key},\n${lines.join(',\n')}\n}`
+}
+module.exports = toBibtex
@@ -0,0 +1,59 @@
+const cslTypes = {
+  web: 'webpage',
+  news: 'article-newspaper',
+  magazine: 'article-magazine',
+  journal: 'article-journal',
+  book: 'book',
+  thesis: 'thesis',
+  report: 'report',
+  arxiv: 'article',
+  generic: 'document',
+  inline: 'document',
+}
+
+// '2010-03' -> {'date-parts': [[2010, 3]]}
+const toDate = function (iso) {
+  if (!iso) {
+    return undefined
+  }
+  return { 'date-parts': [iso.split('-').map(Number)] }
+}
+
+/**
+ * a citation, as CSL-JSON - for Zotero, Pandoc, and citeproc
+ *
+ * @private
+ * @param {object} cite the normalized citation
+ * @param {string} id
+ * @returns {object}
+ */
+const toCsl = function (cite, id) {
+  let ids = cite.identifiers
+  let csl = {
+    id: id,
+    type: cite.chapter && cite.type === 'book' ? 'chapter' : cslTypes[cite.type] || 'document',
+    title: cite.chapter || cite.title || undefined,
+    'container-title': cite.chapter ? cite.title : cite.work || undefined,
+    author: cite.authors.map((a) => ({ family: a.last, given: a.first || undefined })),
+    issued: toDate(cite.date),
+    accessed: toDate(cite.accessDate),
+    publisher: cite.publisher || undefined,
+    'publisher-place': cite.location || undefined,
+    volume: cite.volume || undefined,
+    issue: cite.issue || undefined,
+    page: cite.pages || undefined,
+    language: cite.language || undefined,
+    URL: cite.url || (ids.arxiv ? `https://arxiv.org/abs/${ids.arxiv}` : undefined),
+    DOI: ids.doi,
+    ISBN: ids.isbn,
+    PMID: ids.pmid,
+  }
+  //(leave-out anything empty)
+  Object.keys(csl).forEach((k) => {
+    if (csl[k] === undefined || (Array.isArray(csl[k]) && csl[k].length === 0)) {
+      delete csl[k]
+    }
+  })
+  return csl
+}
+module.exports = toCsl
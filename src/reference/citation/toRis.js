@@ -0,0 +1,63 @@
+const risTypes = {
+  web: 'ELEC',
+  news: 'NEWS',
+  magazine: 'MGZN',
+  journal: 'JOUR',
+  book: 'BOOK',
+  thesis: 'THES',
+  report: 'RPRT',
+  arxiv: 'UNPB',
+}
+
+// '2010-03-04' -> '2010/03/04/'
+const risDate = function (iso) {
+  if (!iso) {
+    return null
+  }
+  let [y, m = '', d = ''] = iso.split('-')
+  return `${y}/${m}/${d}/`
+}
+
+/**
+ * a citation, as an RIS record - for EndNote, Mendeley, and others
+ *
+ * @private
+ * @param {object} cite the normalized citation
+ * @param {string} id
+ * @returns {string}
+ */
+const toRis = function (cite, id) {
+  let ids = cite.identifiers
+  let type = risTypes[cite.type] || 'GEN'
+  if (type === 'BOOK' && cite.chapter) {
+    type = 'CHAP'
+  }
+  let [start, end] = (cite.pages || '').split(/ *[-–—] */)
+  let tags = [['TY', type], ['ID', id]]
+  cite.authors.forEach((a) => {
+    tags.push(['AU', a.first ? `${a.last}, ${a.first}` : a.last])
+  })
+  tags = tags.concat([
+    ['TI', cite.chapter || cite.title],
+    ['T2', cite.chapter ? cite.title : cite.work],
+    ['PY', cite.date ? cite.date.slice(0, 4) : null],
+    ['DA', risDate(cite.date)],
+    ['PB', cite.publisher],
+    ['CY', cite.location],
+    ['VL', cite.volume],
+    ['IS', cite.issue],
+    ['SP', start],
+    ['EP', end],
+    ['LA', cite.language],
+    ['UR', cite.url],
+    ['Y2', risDate(cite.accessDate)],
+    ['DO', ids.doi],
+    ['SN', ids.isbn],
+    ['AN', ids.pmid],
+    ['M1', ids.arxiv ? `arXiv:${ids.arxiv}` : null],
+  ])
+  let lines = tags.filter((a) => a[1]).map(([k, v]) => `${k}  - ${v}`)
+  lines.push('ER  - ')
+  return lines.join('\n')
+}
+module.exports = toRis
@@ -2,10 +2,24 @@ const parse = require('../template/parse/toJSON')
 //const parse = require('../../templates/wikipedia/page').citation;
 const parseSentence = require('../04-sentence').fromText
 const Reference = require('./Reference')
+const markers = require('./markers')
+const breaks = require('../_lib/breaks')
+const { isCitation } = require('./citation')
+const { replace, span, setOffset } = require('../_lib/offsets')
+
+//every <ref> tag - <ref>..</ref>, <ref name="">..</ref> or <ref name=""/>
+const refReg = / ?<ref\b([^>]{0,200}?)(?:\/>|>([\s\S]{0,1800}?)<\/ref>) ?/gi
+// name="foo" group=note
+const attrReg = /\b(name|group)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'/>]+))/gi
 
 //structured Cite templates - <ref>{{Cite..</ref>
 const hasCitation = function (str) {
-  return /^ *\{\{ *(cite|citation)/i.test(str) && /\}\} *$/.test(str) && /citation needed/i.test(str) === false
+  let m = str.match(/^ *\{\{ *([^|}]+)/)
+  if (m === null || /\}\} *$/.test(str) === false) {
+    return false
+  }
+  let name = m[1].replace(/_/g, ' ')
+  return (/^(cite|citation)/i.test(name) || isCitation(name)) && /citation needed/i.test(str) === false
 }
 
 const parseCitation = function (tmpl) {
@@ -26,45 +40,103 @@ const parseInline = function (str) {
   }
 }
 
-//parse <ref></ref> xml tags
-const parseRefs = function (section) {
-  let references = []
-  let wiki = section._wiki
+const parseAttrs = function (str = '') {
+  let attrs = { name: null, group: null }
+  str.replace(attrReg, (_, key, a, b, c) => {
+    let val = (a !== undefined ? a : b !== undefined ? b : c).trim()
+    attrs[key.toLowerCase()] = val || null
+  })
+  return attrs
+}
 
-  wiki = wiki.replace(/ ?<ref>([\s\S]{0,1800}?)<\/ref> ?/gi, function (all, tmpl) {
-    if (hasCitation(tmpl)) {
-      let obj = parseCitation(tmpl)
-      if (obj) {
-        references.push({ json: obj, wiki: all })
+//find the end of a {{template}}, from its opening braces
+const closeBraces = function (str, start) {
+  let depth = 0
+  for (let i = start; i < str.length - 1; i += 1) {
+    if (str[i] === '{' && str[i + 1] === '{') {
+      depth += 1
+      i += 1
+    } else if (str[i] === '}' && str[i + 1] === '}') {
+      depth -= 1
+      i += 1
+      if (depth === 0) {
+        return i + 1
       }
-      wiki = wiki.replace(tmpl, '')
-    } else {
-      references.push({ json: parseInline(tmpl), wiki: all })
     }
-    return ' '
+  }
+  return str.length
+}
+
+//refs defined inside {{reflist|refs=..}} or <references>..</references> are definitions, not citations
+const listRanges = function (wiki) {
+  let ranges = []
+  wiki.replace(/\{\{ *(reflist|references|notelist)\b/gi, (m, _, at) => {
+    let end = closeBraces(wiki, at)
+    let group = wiki.slice(at, end).match(/\| *group *= *([^|}]+)/i)
+    ranges.push({ start: at, end: end, group: group ? group[1].trim().replace(/^["']|["']$/g, '') : null })
+    return m
+  })
+  wiki.replace(/<references\b([^>]*)>([\s\S]*?)<\/references>/gi, (m, attrs, _, at) => {
+    ranges.push({ start: at, end: at + m.length, group: parseAttrs(attrs).group })
+    return m
   })
+  return ranges
+}
 
-  //<ref name=""/>
-  wiki = wiki.replace(/ ?<ref [^>]{0,200}?\/> ?/gi, ' ')
+//parse <ref></ref> xml tags
+const parseRefs = function (section) {
+  let references = []
+  let sites = []
+  // where this ref was, in the original text
+  const offset = (all, at) => {
+    let str = all.trim()
+    let from = at + all.indexOf(str)
+    return span(section._map, from, from + str.length)
+  }
+  let ranges = listRanges(section._wiki)
 
-  //<ref name=""></ref>
-  wiki = wiki.replace(/ ?<ref [^>]{0,200}>([\s\S]{0,1800}?)<\/ref> ?/gi, function (all, tmpl) {
-    if (hasCitation(tmpl)) {
-      let obj = parseCitation(tmpl)
+  replace(section, refReg, function (all, attrStr, tmpl, at) {
+    all = breaks.clean(all)
+    tmpl = breaks.clean(tmpl)
+    let attrs = parseAttrs(attrStr)
+    let list = ranges.find((r) => at >= r.start && at < r.end)
+    let site = {
+      id: sites.length,
+      name: attrs.name,
+      group: attrs.group || (list ? list.group : null),
+      inList: Boolean(list),
+      wiki: all.trim(),
+      ref: null,
+    }
+    sites.push(site)
+    //a named ref with no content is a re-use of it
+    let isReuse = tmpl === undefined || (attrs.name && tmpl.trim() === '')
+    if (!isReuse) {
+      let obj = null
+      if (hasCitation(tmpl)) {
+        let json = parseCitation(tmpl)
+        //(named citations have always kept just their template)
+        obj = json ? { json: json, wiki: attrStr ? tmpl : all } : null
+      } else {
+        obj = { json: parseInline(tmpl), wiki: all }
+      }
       if (obj) {
-        references.push({ json: obj, wiki: tmpl })
+        let ref = setOffset(new Reference(obj.json, obj.wiki), offset(all, at))
+        ref._name = site.name
+        ref._group = site.group
+        site.ref = ref
+        references.push(ref)
       }
-      wiki = wiki.replace(tmpl, '')
-    } else {
-      references.push({ json: parseInline(tmpl), wiki: all })
     }
-    return ' '
+    return markers.make(site.id) + ' '
   })
 
+  //the <references>..</references> wrapper - its refs are already parsed
+  replace(section, / ?<references\b[^>]{0,200}?(?:\/>|>[\s\S]*?<\/references>) ?/gi, ' ')
   //now that we're done with xml, do a generic + dangerous xml-tag removal
-  wiki = wiki.replace(/ ?<[ /]?[a-z0-9]{1,8}[a-z0-9=" ]{2,20}[ /]?> ?/g, ' ') //<samp name="asd">
-  section._references = references.map((obj) => new Reference(obj.json, obj.wiki))
-  section._wiki = wiki
+  replace(section, / ?<[ /]?[a-z0-9]{1,8}[a-z0-9=" ]{2,20}[ /]?> ?/g, ' ') //<samp name="asd">
+  section._references = references
+  section._refSites = sites
 }
 
 module.exports = parseRefs
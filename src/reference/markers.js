@@ -0,0 +1,60 @@
+//each <ref> tag is swapped for a marker, while we parse the section,
+//so we can tell which sentence it was cited in
+// - they use unicode 'private-use' characters, that shouldn't be in any wikitext
+const open = '\uE000'
+const close = '\uE001'
+const markerReg = /\uE000(\d+)\uE001/g
+const hasMarker = /\uE000\d+\uE001/
+
+//the marker for the n-th ref in a section
+const make = (n) => open + n + close
+
+//remove any markers from some text
+const strip = function (str) {
+  if (typeof str !== 'string' || hasMarker.test(str) === false) {
+    return str
+  }
+  return str.replace(markerReg, '')
+}
+
+//the ids of the markers, in order
+const find = function (str) {
+  let ids = []
+  if (typeof str === 'string') {
+    str.replace(markerReg, (_, n) => ids.push(Number(n)))
+  }
+  return ids
+}
+
+//put the original <ref> tags back, for wikitext
+const restore = function (str, sites = []) {
+  if (typeof str !== 'string' || hasMarker.test(str) === false) {
+    return str
+  }
+  return str.replace(markerReg, (_, n) => (sites[n] ? sites[n].wiki : ''))
+}
+
+//remove markers from every string in some plain json
+const stripDeep = function (obj) {
+  if (typeof obj === 'string') {
+    return strip(obj)
+  }
+  if (Array.isArray(obj)) {
+    return obj.map(stripDeep)
+  }
+  if (obj && typeof obj === 'object' && Object.getPrototypeOf(obj) === Object.prototype) {
+    Object.keys(obj).forEach((k) => {
+      obj[k] = stripDeep(obj[k])
+    })
+  }
+  return obj
+}
+
+module.exports = {
+  reg: markerReg,
+  make,
+  strip,
+  find,
+  restore,
+  stripDeep,
+}
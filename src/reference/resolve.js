@@ -0,0 +1,83 @@
+const Sentence = require('../04-sentence/Sentence')
+
+//every sentence in a section - in paragraphs, lists, captions, infoboxes and tables
+const allSentences = function (section) {
+  let list = []
+  section.paragraphs().forEach((p) => {
+    list = list.concat(p.sentences())
+    p.lists().forEach((l) => {
+      list = list.concat(l.lines())
+      l.items().forEach((item) => {
+        list = list.concat(item.sentence(), item.term() || [], item.definitions())
+      })
+    })
+    p.images().forEach((img) => list.push(img.data.caption))
+  })
+  section._infoboxes.forEach((box) => {
+    Object.keys(box.data).forEach((k) => list.push(box.data[k]))
+  })
+  section._tables.forEach((table) => {
+    table.data.forEach((row) => {
+      Object.keys(row).forEach((k) => list.push(row[k]))
+    })
+  })
+  return list.filter((s) => s instanceof Sentence)
+}
+
+/**
+ * connect each <ref name=""/> to the reference it re-uses, give every cited reference
+ * its footnote-number, and tell each sentence which references it cites
+ *
+ * @private
+ * @param {object[]} sections every section of the document, in order
+ */
+const resolve = function (sections) {
+  const key = (site) => `${site.group || ''}|${site.name}`
+  //the first definition of each name wins
+  let byName = new Map()
+  sections.forEach((sec) => {
+    sec._refSites.forEach((site) => {
+      if (site.name && site.ref && !byName.has(key(site))) {
+        byName.set(key(site), site.ref)
+      }
+    })
+  })
+  sections.forEach((sec) => {
+    sec._refSites.forEach((site) => {
+      site.resolved = site.name ? byName.get(key(site)) || site.ref : site.ref
+    })
+  })
+  //number them by group, in the order they are first cited
+  let counts = {}
+  sections.forEach((sec) => {
+    sec._refSites.forEach((site) => {
+      let ref = site.resolved
+      if (site.inList || !ref || ref._number !== null) {
+        return
+      }
+      let group = site.group || ''
+      counts[group] = (counts[group] || 0) + 1
+      ref._number = counts[group]
+    })
+  })
+  //a repeated definition gets the same number as the first one
+  sections.forEach((sec) => {
+    sec._refSites.forEach((site) => {
+      if (site.ref && site.resolved !== site.ref) {
+        site.ref._number = site.resolved._number
+      }
+    })
+  })
+  //which references each sentence cites
+  sections.forEach((sec) => {
+    allSentences(sec).forEach((s) => {
+      let refs = (s.data.refs || []).map((id) => sec._refSites[id] && sec._refSites[id].resolved)
+      Object.defineProperty(s, '_references', {
+        enumerable: false,
+        writable: true,
+        value: refs.filter((ref, i) => ref && refs.indexOf(ref) === i),
+      })
+    })
+  })
+}
+module.exports = resolve
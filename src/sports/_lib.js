@@ -0,0 +1,81 @@
+const { parseDate } = require('../_lib/isoDate')
+const flags = require('../_data/flags')
+const fifa = require('../_data/fifa')
+
+//regional-indicator pairs, and black-flag + tag-character sequences (england, scotland, wales)
+const flagEmoji = /[\u{1F1E6}-\u{1F1FF}\u{1F3F3}\u{1F3F4}\u{E0020}-\u{E007F}]+/gu
+const startsWithFlag = /^[\u{1F1E6}-\u{1F1FF}\u{1F3F3}\u{1F3F4}]/u
+
+// '17', '+12', '−3' -> 17, 12, -3
+const toNumber = function (str) {
+  if (typeof str === 'number') {
+    return str
+  }
+  let m = String(str || '').match(/[-+−–]?[0-9][0-9,]*(\.[0-9]+)?/)
+  if (m === null) {
+    return null
+  }
+  let num = Number(m[0].replace(/,/g, '').replace(/^[−–]/, '-'))
+  return isNaN(num) ? null : num
+}
+
+// '4–2', '7 – 1', '3-3 (4–2 p)' -> [4, 2]
+const splitScore = function (str) {
+  let m = String(str || '').match(/([0-9]+) *[-–−:] *([0-9]+)/)
+  if (m === null) {
+    return [null, null]
+  }
+  return [Number(m[1]), Number(m[2])]
+}
+
+//an iso-date, if we can tell, or else the written one
+const toDate = function (str) {
+  str = String(str || '').trim()
+  return parseDate(str) || str || null
+}
+
+//drop any flag-emoji, and '(C)' qualification-markers
+const cleanName = function (str) {
+  str = String(str || '').trim()
+  let hasFlag = startsWithFlag.test(str)
+  str = str
+    .replace(flagEmoji, '')
+    .replace(/ \([A-Z]{1,2}\)$/, '')
+    .replace(/ +/g, ' ')
+    .trim()
+  //'🇫🇷 france' is a team, but in '🏴 england Club' it's the club's country
+  if (hasFlag && !flags.some((a) => a[2] === str)) {
+    let found = flags.filter((a) => str.indexOf(a[2] + ' ') === 0).sort((a, b) => b[2].length - a[2].length)[0]
+    if (found) {
+      str = str.slice(found[2].length).trim()
+    }
+  }
+  //'france' -> 'France'
+  if (str === str.toLowerCase()) {
+    str = str.replace(/(^| )([a-z])/g, (_, a, b) => a + b.toUpperCase())
+  }
+  return str || null
+}
+
+//'{{fb-rt|CRO}}' -> 'Croatia' - (these templates render nothing, for a fifa code)
+const fromFlagTemplate = function (wiki) {
+  let m = String(wiki || '').match(/\{\{\s*fb(?:-rt|u|u-rt)?\s*\|\s*([a-z]{3})\s*(?:\||\}\})/i)
+  if (m === null) {
+    return null
+  }
+  let code = m[1].toLowerCase()
+  code = fifa[code] || code
+  let found = flags.find((a) => a[1] === code)
+  return found ? cleanName(found[2]) : m[1].toUpperCase()
+}
+
+//the team with the higher score, if there is one
+const byScore = function (teams) {
+  let [a, b] = teams
+  if (typeof a.score !== 'number' || typeof b.score !== 'number' || a.score === b.score) {
+    return null
+  }
+  return a.score > b.score ? a.name : b.name
+}
+
+module.exports = { toNumber, splitScore, toDate, cleanName, fromFlagTemplate, byScore }
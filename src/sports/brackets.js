@@ -0,0 +1,42 @@
+const { toNumber, cleanName, byScore } = require('./_lib')
+
+//a scoreline, from the template's team object
+const toTeam = function (obj = {}) {
+  let score = typeof obj.score === 'number' ? obj.score : toNumber(obj.score)
+  return {
+    name: cleanName(obj.team),
+    score: score,
+    seed: obj.seed || null,
+  }
+}
+
+/**
+ * a tournament bracket - of any size - from a {{4TeamBracket}}-like template.
+ * The winner of a match is the team that goes-on to the next round,
+ * or else the one with the higher score.
+ *
+ * @private
+ * @param {object} json the template's data
+ * @returns {object}
+ */
+const fromBracket = function (json) {
+  let rounds = (json.rounds || []).map((round) => round.map((pair) => pair.map(toTeam)))
+  rounds = rounds.map((round, i) => {
+    let next = [].concat(...(rounds[i + 1] || [])).map((team) => team.name)
+    return round.map((teams) => {
+      let winner = teams.find((team) => team.name && next.indexOf(team.name) !== -1)
+      return {
+        round: i + 1,
+        teams: teams,
+        winner: winner ? winner.name : byScore(teams),
+      }
+    })
+  })
+  return {
+    source: json.template,
+    size: rounds.length > 0 ? rounds[0].length * 2 : 0,
+    rounds: rounds,
+    champion: rounds.length > 0 && rounds[rounds.length - 1].length === 1 ? rounds[rounds.length - 1][0].winner : null,
+  }
+}
+module.exports = fromBracket
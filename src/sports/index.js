@@ -0,0 +1,51 @@
+const { boxes, fromBox, fromGameLog, fromFightRecord } = require('./matches')
+const fromBracket = require('./brackets')
+const { fromSportsTable, fromTable } = require('./standings')
+const { players, toPlayer, fromRoster } = require('./squads')
+
+/**
+ * every sports result in the document, in a common shape -
+ * matches (from football boxes, game logs and fight records), tournament brackets,
+ * league standings, and squad lists
+ *
+ * @private
+ * @param {object} doc
+ * @returns {object} {matches, brackets, standings, squads}
+ */
+const findSports = function (doc) {
+  let res = { matches: [], brackets: [], standings: [], squads: [] }
+  let title = doc.title() || null
+  doc.sections().forEach((sec) => {
+    let squad = []
+    sec.templates().forEach((tmpl) => {
+      let json = tmpl.json()
+      let name = json.template || ''
+      if (boxes.test(name)) {
+        res.matches.push(fromBox(json, tmpl._raw))
+      } else if (name === 'mlb game log section') {
+        res.matches = res.matches.concat(fromGameLog(json, title))
+      } else if (name === 'mma record start') {
+        res.matches = res.matches.concat(fromFightRecord(json, title))
+      } else if (name === 'playoffbracket') {
+        res.brackets.push(fromBracket(json))
+      } else if (name === 'sports table') {
+        res.standings.push(fromSportsTable(json, sec.title()))
+      } else if (players.hasOwnProperty(name)) {
+        squad.push(toPlayer(json))
+      } else if (name === 'NBA roster statistics') {
+        squad = squad.concat(fromRoster(json))
+      }
+    })
+    if (squad.length > 0) {
+      res.squads.push({ title: sec.title() || title, players: squad })
+    }
+    sec.tables().forEach((table) => {
+      let found = fromTable(table, sec.title())
+      if (found) {
+        res.standings.push(found)
+      }
+    })
+  })
+  return res
+}
+module.exports = findSports
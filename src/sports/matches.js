@@ -0,0 +1,110 @@
+const { toNumber, splitScore, toDate, cleanName, fromFlagTemplate, byScore } = require('./_lib')
+const rawParams = require('../template/parse/toJSON/_rawParams')
+
+//{{football box}}, {{basketballbox}}, {{hockeybox}} ...
+const boxes = /^(football|basketball|hockey|ice hockey|rugby|handball|volleyball) ?box( collapsible)?$/
+
+/**
+ * a match from a {{football box}}-like template
+ *
+ * @private
+ * @param {object} json the template's data
+ * @param {string} [raw] the template's wikitext, before its inner templates were parsed
+ * @returns {object}
+ */
+const fromBox = function (json, raw) {
+  let params = rawParams(raw)
+  //'{{fb|FRA}}' is 'France', but '{{fb-rt|FRA}}' is nothing
+  const teamName = (k, alias) => cleanName(json[k] || json[alias]) || fromFlagTemplate(params[k] || params[alias])
+  let scores = splitScore(json.score)
+  if (json.score1 !== undefined || json.score2 !== undefined) {
+    scores = [toNumber(json.score1), toNumber(json.score2)]
+  }
+  let teams = [
+    { name: teamName('team1', 'home'), score: scores[0] },
+    { name: teamName('team2', 'away'), score: scores[1] },
+  ]
+  return {
+    source: json.template,
+    date: toDate(json.date),
+    venue: json.stadium || json.venue || json.arena || json.location || null,
+    round: json.round || json.stage || null,
+    teams: teams,
+    winner: byScore(teams),
+    attendance: toNumber(json.attendance),
+  }
+}
+
+// '2-1' -> 2 wins
+const winsOf = (str) => toNumber(String(str || '').split(/[-–−]/)[0])
+
+/**
+ * matches from a {{MLB game log section}} - the score is written winner-first,
+ * so we see who won by the team's running record
+ *
+ * @private
+ * @param {object} json the template's data
+ * @param {string} [team] the page's team
+ * @returns {object[]}
+ */
+const fromGameLog = function (json, team) {
+  let wins = 0
+  return (json.data || []).map((row) => {
+    let scores = splitScore(row.score)
+    //did the record go-up?
+    if (row.record && scores[0] !== null) {
+      let won = winsOf(row.record) > wins
+      wins = winsOf(row.record) || wins
+      let [high, low] = scores[0] > scores[1] ? scores : [scores[1], scores[0]]
+      scores = won ? [high, low] : [low, high]
+    }
+    let teams = [
+      { name: team || null, score: scores[0] },
+      { name: cleanName((row.opponent || '').replace(/^(@|vs\.?) */, '')), score: scores[1] },
+    ]
+    return {
+      source: json.template,
+      date: toDate(row.date),
+      venue: row.stadium || null,
+      round: null,
+      teams: teams,
+      winner: byScore(teams),
+      attendance: toNumber(row.attendance),
+    }
+  })
+}
+
+/**
+ * bouts from an {{MMA record start}} table
+ *
+ * @private
+ * @param {object} json the template's data
+ * @param {string} [fighter] the page's fighter
+ * @returns {object[]}
+ */
+const fromFightRecord = function (json, fighter) {
+  return (json.data || []).map((row) => {
+    let teams = [
+      { name: fighter || null, score: null },
+      { name: cleanName(row.opponent), score: null },
+    ]
+    let res = (row.res || '').toLowerCase()
+    let winner = null
+    if (/^win/.test(res)) {
+      winner = teams[0].name
+    } else if (/^loss/.test(res)) {
+      winner = teams[1].name
+    }
+    return {
+      source: json.template,
+      date: toDate(row.date),
+      venue: row.location || null,
+      round: toNumber(row.round),
+      teams: teams,
+      winner: winner,
+      attendance: null,
+    }
+  })
+}
+
+module.exports = { boxes, fromBox, fromGameLog, fromFightRecord }
@@ -0,0 +1,35 @@
+const { toNumber, cleanName } = require('./_lib')
+
+//player templates, and how they name things
+const players = {
+  'fs player': (o) => ({ number: o.no, name: o.name, position: o.pos, nationality: o.nat }),
+  'fs2 player': (o) => ({ number: o.no, name: o.name, position: o.pos, nationality: o.nat }),
+  'nat fs player': (o) => ({ number: o.no, name: o.name, position: o.pos, club: o.club }),
+  'nat fs g player': (o) => ({ number: o.no, name: o.name, position: o.pos, club: o.club }),
+  player: (o) => ({ number: o.number, name: o.name, nationality: o.country }),
+}
+
+/**
+ * one player of a squad, from its template's data
+ *
+ * @private
+ * @param {object} json
+ * @returns {object}
+ */
+const toPlayer = function (json) {
+  let o = players[json.template](json)
+  return {
+    number: toNumber(o.number),
+    name: cleanName(o.name),
+    position: o.position || null,
+    nationality: o.nationality || null,
+    club: o.club || null,
+  }
+}
+
+//the players of an {{NBA roster statistics start}} table
+const fromRoster = function (json) {
+  return (json.data || []).map((row) => toPlayer({ template: 'player', name: row.player }))
+}
+
+module.exports = { players, toPlayer, fromRoster }
@@ -0,0 +1,124 @@
+const { toNumber, cleanName } = require('./_lib')
+
+//which column is which, by its header
+const headers = {
+  position: /^(pos|position|rank|rk|#)$/,
+  team: /^(team|club|nation|country|side)$/,
+  played: /^(pld|p|gp|g|played|games|mp)$/,
+  won: /^(w|won|wins)$/,
+  drawn: /^(d|drawn|draws|t|tied|ties)$/,
+  lost: /^(l|lost|losses)$/,
+  goalsFor: /^(gf|f|pf|rf|for)$/,
+  goalsAgainst: /^(ga|a|pa|ra|against)$/,
+  points: /^(pts|points|pt)$/,
+}
+
+//how many points each result is worth, in each style of {{sports table}}
+const scoring = {
+  wdl: { win: 3, draw: 1, loss: 0, otloss: 0 },
+  wl_otl: { win: 2, draw: 1, loss: 0, otloss: 1 },
+}
+
+//a team's points, from its results
+const pointsOf = function (o, json) {
+  let style = scoring[(json.style || 'wdl').toLowerCase()]
+  if (!style) {
+    return null
+  }
+  let given = json.points || {}
+  let worth = (k) => (isFinite(parseFloat(given[k])) ? Number(given[k]) : style[k])
+  let points = o.win * worth('win') + (o.draw + o.tie) * worth('draw') + o.loss * worth('loss')
+  return points + o.otloss * style.otloss + (o.adjust_points || 0)
+}
+
+const emptyRow = function () {
+  return {
+    position: null,
+    team: null,
+    played: null,
+    won: null,
+    drawn: null,
+    lost: null,
+    goalsFor: null,
+    goalsAgainst: null,
+    points: null,
+  }
+}
+
+/**
+ * a league table from a {{sports table}} module
+ *
+ * @private
+ * @param {object} json the template's data
+ * @param {string} [title] the section's title
+ * @returns {object}
+ */
+const fromSportsTable = function (json, title) {
+  let rows = Object.keys(json.teams || {}).map((k, i) => {
+    let o = json.teams[k]
+    return Object.assign(emptyRow(), {
+      position: i + 1,
+      team: cleanName(o.name) || k,
+      played: o.win + o.draw + o.loss + o.tie + o.otloss,
+      won: o.win,
+      drawn: o.draw + o.tie,
+      lost: o.loss + o.otloss,
+      goalsFor: o.goals_for,
+      goalsAgainst: o.goals_against,
+      points: pointsOf(o, json),
+    })
+  })
+  return {
+    source: 'sports table',
+    title: json.header || title || null,
+    date: json.date || null,
+    rows: rows,
+  }
+}
+
+/**
+ * a league table from a wikitable - with a team column, and points or wins
+ *
+ * @private
+ * @param {object} table
+ * @param {string} [title] the section's title
+ * @returns {object | null}
+ */
+const fromTable = function (table, title) {
+  let cols = {}
+  table.columns().forEach((col, i) => {
+    let last = (col.path[col.path.length - 1] || col.key).toLowerCase().replace(/\.$/, '').trim()
+    let k = Object.keys(headers).find((h) => headers[h].test(last))
+    if (k && cols[k] === undefined) {
+      cols[k] = i
+    }
+  })
+  if (cols.team === undefined || (cols.points === undefined && (cols.won === undefined || cols.lost === undefined))) {
+    return null
+  }
+  let rows = []
+  table
+    .grid()
+    .filter((row) => !row.every((c) => c.header))
+    .forEach((row) => {
+      let res = emptyRow()
+      Object.keys(cols).forEach((k) => {
+        let text = row[cols[k]] ? row[cols[k]].text : ''
+        res[k] = k === 'team' ? cleanName(text) : toNumber(text)
+      })
+      if (res.team) {
+        rows.push(res)
+      }
+    })
+  if (rows.length === 0) {
+    return null
+  }
+  return {
+    source: 'table',
+    title: table.caption() || title || null,
+    date: null,
+    rows: rows,
+  }
+}
+
+module.exports = { fromSportsTable, fromTable }
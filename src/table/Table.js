@@ -1,5 +1,7 @@
 const setDefaults = require('../_lib/setDefaults')
 const toJson = require('./toJson')
+const buildGrid = require('./grid')
+const { castValue } = require('./grid/types')
 const defaults = {}
 
 const normalize = function (key = '') {
@@ -10,7 +12,15 @@ const normalize = function (key = '') {
   return key
 }
 
-const Table = function (data, wiki = '') {
+//quote a value for csv, if it needs it
+const csvCell = function (str = '') {
+  if (/[",\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"'
+  }
+  return str
+}
+
+const Table = function (data, wiki = '', raw = '') {
   Object.defineProperty(this, 'data', {
     enumerable: false,
     value: data,
@@ -19,6 +29,21 @@ const Table = function (data, wiki = '') {
     enumerable: false,
     value: wiki,
   })
+  Object.defineProperty(this, '_raw', {
+    enumerable: false,
+    value: raw,
+  })
+}
+
+//parse the grid, the first time we need it
+const getGrid = function (table) {
+  if (!table._grid) {
+    Object.defineProperty(table, '_grid', {
+      enumerable: false,
+      value: buildGrid(table._wiki, table._raw),
+    })
+  }
+  return table._grid
 }
 
 const methods = {
@@ -78,11 +103,44 @@ const methods = {
     options = setDefaults(options, defaults)
     return toJson(this.data, options)
   },
+  //every row, as an array of cells - with rowspans and colspans filled-in
+  grid() {
+    return getGrid(this).grid
+  },
+  // the '|+' caption
+  caption() {
+    return getGrid(this).caption
+  },
+  //each column's name, its header-path, and the type of values in it
+  columns() {
+    return getGrid(this).columns
+  },
+  //each row as an object, with typed values
+  toRecords() {
+    let { grid, headerRows, columns } = getGrid(this)
+    return grid.slice(headerRows).map((row) => {
+      return columns.reduce((h, col, c) => {
+        h[col.key] = castValue(row[c].text, col.type)
+        return h
+      }, {})
+    })
+  },
+  toCSV() {
+    let { grid, headerRows, columns } = getGrid(this)
+    let lines = [columns.map((col) => csvCell(col.key)).join(',')]
+    grid.slice(headerRows).forEach((row) => {
+      lines.push(row.map((cell) => csvCell(cell.text)).join(','))
+    })
+    return lines.join('\n')
+  },
 
   text() {
     return ''
   },
 
+  offset() {
+    return this._offset || null
+  },
   wikitext() {
     return this._wiki || ''
   },
@@ -0,0 +1,57 @@
+const attrReg = /([a-z][a-z0-9_:-]*) *= *("[^"]*"|'[^']*'|[^\s"'|]+)/gi
+
+//split on a separator, but not inside [[links]] or {{templates}}
+const splitTop = function (str, sep) {
+  let parts = []
+  let depth = 0
+  let last = 0
+  for (let i = 0; i < str.length; i += 1) {
+    let two = str.substr(i, 2)
+    if (two === '[[' || two === '{{') {
+      depth += 1
+      i += 1
+    } else if (two === ']]' || two === '}}') {
+      depth -= 1
+      i += 1
+    } else if (depth <= 0 && str.substr(i, sep.length) === sep) {
+      parts.push(str.slice(last, i))
+      last = i + sep.length
+      i += sep.length - 1
+    }
+  }
+  parts.push(str.slice(last))
+  return parts
+}
+
+/**
+ * parse html-style attributes - 'style="color:red" rowspan=2'
+ *
+ * @private
+ * @param {string} str
+ * @returns {object | null} the attributes, or null if it isn't only attributes
+ */
+const parseAttributes = function (str = '') {
+  let res = {}
+  let rest = str.replace(attrReg, (_, key, val) => {
+    res[key.toLowerCase()] = val.replace(/^["']|["']$/g, '').trim()
+    return ''
+  })
+  if (rest.trim() !== '') {
+    return null
+  }
+  return res
+}
+
+// 'style="x" | content' -> {attributes, content}
+const splitCell = function (str) {
+  let parts = splitTop(str, '|')
+  if (parts.length > 1) {
+    let attributes = parseAttributes(parts[0])
+    if (attributes !== null) {
+      return { attributes, content: parts.slice(1).join('|').trim() }
+    }
+  }
+  return { attributes: {}, content: str.trim() }
+}
+
+module.exports = { splitTop, splitCell, parseAttributes }
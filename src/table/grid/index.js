@@ -0,0 +1,131 @@
+const parseSentence = require('../../04-sentence/').fromText
+const tokenize = require('./tokenize')
+const sortKey = require('./sortKey')
+const { inferType } = require('./types')
+
+const toSpan = function (str) {
+  let num = parseInt(str, 10)
+  return num > 0 ? Math.min(num, 1000) : 1
+}
+
+//the plaintext of some cell wikitext
+const toText = (str) => parseSentence(str).text().trim()
+
+const makeCell = function (tok, raw) {
+  let attributes = Object.assign({}, tok.attributes)
+  let cell = {
+    text: toText(tok.content),
+    header: tok.header,
+    rowspan: toSpan(attributes.rowspan),
+    colspan: toSpan(attributes.colspan),
+    attributes: attributes,
+    sortKey: sortKey(attributes, raw ? raw.content : ''),
+  }
+  delete attributes.rowspan
+  delete attributes.colspan
+  return cell
+}
+
+const emptyCell = () => ({ text: '', header: false, rowspan: 1, colspan: 1, attributes: {}, sortKey: null })
+
+//place each cell in every row and column it spans
+const expand = function (rows) {
+  let grid = rows.map(() => [])
+  rows.forEach((cells, r) => {
+    let c = 0
+    cells.forEach((cell) => {
+      while (grid[r][c]) {
+        c += 1
+      }
+      for (let dr = 0; dr < cell.rowspan && r + dr < rows.length; dr += 1) {
+        for (let dc = 0; dc < cell.colspan; dc += 1) {
+          grid[r + dr][c + dc] = cell
+        }
+      }
+      c += cell.colspan
+    })
+  })
+  //fill any holes
+  let width = Math.max(0, ...grid.map((row) => row.length))
+  return grid.map((row) => {
+    for (let c = 0; c < width; c += 1) {
+      row[c] = row[c] || emptyCell()
+    }
+    return row
+  })
+}
+
+//'Votes' over '#' and '%' -> ['Votes', '#'], ['Votes', '%']
+const columnPaths = function (grid, headerRows) {
+  let width = grid[0] ? grid[0].length : 0
+  //skip a title-row that spans the whole table
+  let rows = grid.slice(0, headerRows)
+  if (rows.length > 1 && rows[0][0].colspan >= width) {
+    rows = rows.slice(1)
+  }
+  let paths = []
+  for (let c = 0; c < width; c += 1) {
+    let path = []
+    rows.forEach((row, r) => {
+      let cell = row[c]
+      //(a rowspan'd header only counts once)
+      if (cell.text && (r === 0 || rows[r - 1][c] !== cell)) {
+        path.push(cell.text)
+      }
+    })
+    paths.push(path)
+  }
+  return paths
+}
+
+//give each column a unique name
+const columnKeys = function (paths) {
+  let seen = {}
+  return paths.map((path, i) => {
+    let key = path.join(' / ') || `col${i + 1}`
+    seen[key] = (seen[key] || 0) + 1
+    return seen[key] > 1 ? `${key} (${seen[key]})` : key
+  })
+}
+
+/**
+ * a table as a matrix of cells - with its spans expanded - and its header rows as column-paths
+ *
+ * @private
+ * @param {string} wiki the table's wikitext
+ * @param {string} [raw] the same table, before its templates were parsed
+ * @returns {object} {caption, attributes, grid, headerRows, columns}
+ */
+const buildGrid = function (wiki, raw) {
+  let toks = tokenize(wiki)
+  let rawToks = raw ? tokenize(raw) : null
+  //only use the raw cells if they line-up
+  let aligned =
+    rawToks &&
+    rawToks.rows.length === toks.rows.length &&
+    rawToks.rows.every((row, r) => row.length === toks.rows[r].length)
+  let rows = toks.rows.map((row, r) => row.map((tok, c) => makeCell(tok, aligned ? rawToks.rows[r][c] : null)))
+  let grid = expand(rows)
+  let headerRows = 0
+  while (headerRows < grid.length && grid[headerRows].every((cell) => cell.header)) {
+    headerRows += 1
+  }
+  let paths = columnPaths(grid, headerRows)
+  let keys = columnKeys(paths)
+  let columns = paths.map((path, c) => {
+    //(a 'Total' that spans columns isn't a value)
+    let texts = grid
+      .slice(headerRows)
+      .filter((row) => row[c].colspan === 1)
+      .map((row) => row[c].text)
+    return { key: keys[c], path: path, type: inferType(texts) }
+  })
+  return {
+    caption: toks.caption ? toText(toks.caption.content) || null : null,
+    attributes: toks.attributes,
+    grid: grid,
+    headerRows: headerRows,
+    columns: columns,
+  }
+}
+module.exports = buildGrid
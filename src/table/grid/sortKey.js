@@ -0,0 +1,51 @@
+const parseTemplate = require('../../template/parse/toJSON')
+const { parseDate, toIso } = require('../../_lib/isoDate')
+
+//templates that give a cell a different sort-order
+const sortTemplates = {
+  // {{sort|key|display}}
+  sort: (obj) => obj.list[0] || null,
+  // {{sortname|first|last}}
+  sortname: (obj) => {
+    let [first, last] = obj.list
+    return last ? `${last}, ${first || ''}`.trim() : first || null
+  },
+  // {{nts|1234}}
+  nts: (obj) => obj.list[0] || null,
+  // {{dts|2020|5|4}}
+  dts: (obj) => {
+    let nums = obj.list.filter((s) => /^[0-9]{1,4}$/.test(s)).map(Number)
+    if (nums.length > 0 && nums.length === obj.list.length) {
+      return toIso(nums[0], nums[1] || null, nums[2] || null)
+    }
+    return parseDate(obj.list.join(' '))
+  },
+}
+
+/**
+ * the value a sortable column orders this cell by
+ *
+ * @private
+ * @param {object} attributes the cell's attributes
+ * @param {string} [raw] the cell's wikitext, before its templates were parsed
+ * @returns {string | null}
+ */
+const sortKey = function (attributes, raw = '') {
+  if (attributes['data-sort-value'] !== undefined) {
+    return attributes['data-sort-value']
+  }
+  let m = raw.match(/\{\{ *(sort|sortname|nts|dts) *\|/i)
+  if (m === null) {
+    return null
+  }
+  let start = raw.indexOf(m[0])
+  let end = raw.indexOf('}}', start)
+  if (end === -1) {
+    return null
+  }
+  let obj = parseTemplate(raw.slice(start, end + 2))
+  obj.list = (obj.list || []).map((s) => String(s).trim())
+  let key = sortTemplates[m[1].toLowerCase()](obj)
+  return key ? String(key) : null
+}
+module.exports = sortKey
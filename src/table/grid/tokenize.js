@@ -0,0 +1,71 @@
+const { splitTop, splitCell, parseAttributes } = require('./attributes')
+
+//one row's cells - '| a || b' or '! a !! b'
+const splitCells = function (line, header) {
+  let str = line.slice(1)
+  let parts = splitTop(str, '||')
+  if (header) {
+    parts = parts.reduce((arr, s) => arr.concat(splitTop(s, '!!')), [])
+  }
+  return parts.map((s) => {
+    let cell = splitCell(s)
+    cell.header = header
+    return cell
+  })
+}
+
+/**
+ * read a table's rows and cells, with their attributes
+ *
+ * @private
+ * @param {string} wiki the table's wikitext
+ * @returns {object} {attributes, caption, rows}
+ */
+const tokenize = function (wiki = '') {
+  let res = { attributes: {}, caption: null, rows: [] }
+  let row = []
+  let last = null //the cell that newlines get added to
+  let depth = 0
+  let lines = wiki.replace(/\r/g, '').split(/\n/)
+  lines.forEach((line, i) => {
+    line = line.trim()
+    //a nested table goes into the cell
+    if (depth > 0 || (i > 0 && /^\{\|/.test(line))) {
+      if (/^\{\|/.test(line)) {
+        depth += 1
+      } else if (/^\|\}/.test(line)) {
+        depth -= 1
+      }
+      if (last) {
+        last.content += '\n' + line
+      }
+      return
+    }
+    if (/^\{\|/.test(line)) {
+      res.attributes = parseAttributes(line.slice(2)) || {}
+    } else if (/^\|\}/.test(line)) {
+      return
+    } else if (/^\|\+/.test(line)) {
+      let cell = splitCell(line.slice(2))
+      res.caption = cell
+      last = cell
+    } else if (/^\|-/.test(line)) {
+      if (row.length > 0) {
+        res.rows.push(row)
+      }
+      row = []
+      last = null
+    } else if (/^[|!]/.test(line)) {
+      let cells = splitCells(line, line[0] === '!')
+      row = row.concat(cells)
+      last = cells[cells.length - 1]
+    } else if (last && line) {
+      last.content += '\n' + line
+    }
+  })
+  if (row.length > 0) {
+    res.rows.push(row)
+  }
+  return res
+}
+module.exports = tokenize
@@ -0,0 +1,53 @@
+const { parseDate } = require('../../_lib/isoDate')
+
+const isEmpty = /^(?:[—–?-]|n\/a)?$/i
+const numReg = /^[-+−]?[0-9][0-9,]*(\.[0-9]+)?$/
+const percentReg = /^[-+−]?[0-9][0-9,]*(\.[0-9]+)? ?%$/
+
+const toNumber = (str) => Number(str.replace(/[,%\s]/g, '').replace(/^−/, '-'))
+
+//how to recognize, and read, each type of value
+const types = {
+  percent: {
+    test: (str) => percentReg.test(str),
+    cast: toNumber,
+  },
+  number: {
+    test: (str) => numReg.test(str),
+    cast: toNumber,
+  },
+  date: {
+    test: (str) => /[a-z-]/i.test(str) && parseDate(str) !== null,
+    cast: (str) => parseDate(str),
+  },
+}
+
+/**
+ * the kind of values in a column - 'number', 'percent', 'date', or 'text'
+ *
+ * @private
+ * @param {string[]} texts the column's values
+ * @returns {string}
+ */
+const inferType = function (texts) {
+  let vals = texts.map((s) => s.trim()).filter((s) => !isEmpty.test(s))
+  if (vals.length === 0) {
+    return 'text'
+  }
+  let found = Object.keys(types).find((k) => vals.every((s) => types[k].test(s)))
+  return found || 'text'
+}
+
+//a javascript value, for this type of column
+const castValue = function (str, type) {
+  str = (str || '').trim()
+  if (isEmpty.test(str)) {
+    return null
+  }
+  if (types[type] && types[type].test(str)) {
+    return types[type].cast(str)
+  }
+  return str
+}
+
+module.exports = { inferType, castValue }
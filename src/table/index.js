@@ -1,13 +1,15 @@
 const parseTable = require('./parse')
 const Table = require('./Table')
+const markers = require('../reference/markers')
+const breaks = require('../_lib/breaks')
+const { replace, span, setOffset } = require('../_lib/offsets')
 //const table_reg = /\{\|[\s\S]+?\|\}/g; //the largest-cities table is ~70k chars.
 const openReg = /^\s*\{\|/
 const closeReg = /^\s*\|\}/
 
 //tables can be recursive, so looky-here.
-const findTables = function (section) {
+const findStrings = function (wiki) {
   let list = []
-  let wiki = section._wiki
   let lines = wiki.split('\n')
   let stack = []
   for (let i = 0; i < lines.length; i += 1) {
@@ -28,16 +30,28 @@ const findTables = function (section) {
       stack[stack.length - 1] += '\n' + lines[i]
     }
   }
+  return list
+}
+
+const findTables = function (section, beforeTemplates) {
+  let list = findStrings(section._wiki)
+  //the same tables, with their templates still in them
+  let raw = beforeTemplates ? findStrings(beforeTemplates) : []
+  if (raw.length !== list.length) {
+    raw = []
+  }
   //work-em together for a Table class
   let tables = []
-  list.forEach((str) => {
+  list.forEach((str, i) => {
     if (str) {
+      let at = section._wiki.indexOf(str)
+      let offset = span(section._map, at, at + str.length)
       //also re-remove a newline at the end of the table (awkward)
-      wiki = wiki.replace(str + '\n', '')
-      wiki = wiki.replace(str, '')
+      replace(section, str + '\n', '')
+      replace(section, str, '')
       let data = parseTable(str)
       if (data && data.length > 0) {
-        tables.push(new Table(data, str))
+        tables.push(setOffset(new Table(data, markers.strip(str), markers.strip(breaks.clean(raw[i] || ''))), offset))
       }
     }
   })
@@ -45,7 +59,6 @@ const findTables = function (section) {
   if (tables.length > 0) {
     section._tables = tables
   }
-  section._wiki = wiki
 }
 
 module.exports = findTables
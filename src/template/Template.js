@@ -1,4 +1,6 @@
 const toText = require('../04-sentence').fromText
+const setParam = require('./setParam')
+const { addEdit, isEdited } = require('../_lib/edits')
 
 const methods = {
   text: function () {
@@ -6,14 +8,33 @@ const methods = {
     return toText(str).text()
   },
   json: function () {
+    if (this._offset) {
+      return Object.assign({}, this.data, { offset: this._offset })
+    }
     return this.data || {}
   },
+  offset: function () {
+    return this._offset || null
+  },
   wikitext: function () {
+    if (isEdited(this)) {
+      return this._edit(this.wiki || '')
+    }
     return this.wiki || ''
   },
+  set: function (key, val) {
+    addEdit(this, (str) => setParam(str, key, val))
+    //update our data, too
+    if (/^[0-9]+$/.test(String(key)) && this.data.list) {
+      this.data.list[Number(key) - 1] = val
+    } else {
+      this.data[String(key).toLowerCase().trim()] = val
+    }
+    return this
+  },
 }
 
-const Template = function (data, text = '', wiki = '') {
+const Template = function (data, text = '', wiki = '', raw = '') {
   Object.defineProperty(this, 'data', {
     enumerable: false,
     value: data,
@@ -26,6 +47,11 @@ const Template = function (data, text = '', wiki = '') {
     enumerable: false,
     value: wiki,
   })
+  //(before its inner templates were parsed)
+  Object.defineProperty(this, '_raw', {
+    enumerable: false,
+    value: raw,
+  })
 }
 
 Object.keys(methods).forEach((k) => {
@@ -9,7 +9,6 @@ let aliases = {
   localyear: 'currentyear',
   'birth date based on age at death': 'birth based on age as of date',
   'bare anchored list': 'anchored list',
-  cvt: 'convert',
   cricon: 'flagicon',
   sfrac: 'frac',
   sqrt: 'radic',
@@ -0,0 +1,108 @@
+const { units, si, findUnit } = require('./_units')
+const fudge = 1e-14
+
+//how it's written between the two numbers of a range
+const seps = {
+  '-': '–',
+  '–': '–',
+  to: ' to ',
+  'to(-)': ' to ',
+  and: ' and ',
+  'and(-)': ' and ',
+  or: ' or ',
+  x: ' × ',
+  '×': ' × ',
+  by: ' by ',
+  '+/-': ' ± ',
+  '±': ' ± ',
+}
+
+// '1,234.5' -> 1234.5
+const toNumber = function (str) {
+  str = String(str || '')
+    .replace(/,/g, '')
+    .replace(/^[−–]/, '-')
+    .trim()
+  if (!/^-?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:e-?[0-9]+)?$/i.test(str)) {
+    return null
+  }
+  return Number(str)
+}
+
+// '1230' -> -1, '1.25' -> 2
+const precisionOf = function (str, keepZeros) {
+  str = String(str).replace(/,/g, '')
+  let m = str.match(/\.([0-9]+)/)
+  if (m) {
+    return m[1].length
+  }
+  if (keepZeros) {
+    return 0
+  }
+  return -(str.match(/0*$/)[0].length || 0) || 0
+}
+
+//convert a value from one unit to another
+const convert = function (num, from, to) {
+  let a = units[from]
+  let b = units[to]
+  let base = num * a.si + (a.offset || 0)
+  return (base - (b.offset || 0)) / b.si
+}
+
+//the value in si-units
+const toSi = function (num, unit) {
+  let a = units[unit]
+  let val = num * a.si + (a.offset || 0)
+  return Math.round(val * 1e6) / 1e6
+}
+
+// Module:Convert's default rounding - the input's precision, moved by the size of the conversion,
+// but always with two significant figures
+const defaultPrecision = function (str, from, to, out) {
+  //(temperatures keep their trailing zeros, and don't scale)
+  let temp = units[from].type === 'temperature'
+  let prec = precisionOf(str, temp)
+  if (!temp) {
+    prec += Math.floor(Math.log10(units[to].si / units[from].si) + fudge)
+  }
+  if (out !== 0 && isFinite(out)) {
+    let minprec = 1 - Math.floor(Math.log10(Math.abs(out)) + fudge)
+    prec = Math.max(prec, minprec)
+  }
+  return prec
+}
+
+//add commas - '5280' -> '5,280'
+const commas = function (str) {
+  let [int, dec] = String(str).split('.')
+  int = int.replace(/\B(?=([0-9]{3})+(?![0-9]))/g, ',')
+  return dec === undefined ? int : int + '.' + dec
+}
+
+//round to some number of decimal places - (or tens, if it's negative)
+const round = function (num, prec) {
+  let str
+  if (prec >= 0) {
+    str = num.toFixed(Math.min(prec, 20))
+  } else {
+    let mult = Math.pow(10, -prec)
+    str = String(Math.round(num / mult) * mult)
+  }
+  if (/^-0(\.0*)?$/.test(str)) {
+    str = str.slice(1)
+  }
+  return commas(str)
+}
+
+//the symbol, or name, of a unit
+const label = function (unit, abbr, plural, us) {
+  let u = units[unit]
+  if (abbr) {
+    return u.symbol
+  }
+  let names = (us && u.us) || u.name
+  return plural ? names[1] : names[0]
+}
+
+module.exports = { units, si, findUnit, seps, toNumber, convert, toSi, defaultPrecision, round, commas, label }
@@ -0,0 +1,127 @@
+// https://en.wikipedia.org/wiki/Module:Convert/documentation/conversion_data
+// - each unit's symbol, its name (and plural), its size in si-units, and what it's converted to by default
+let units = {
+  //length
+  m: { type: 'length', symbol: 'm', name: ['metre', 'metres'], us: ['meter', 'meters'], si: 1, to: 'ft' },
+  km: { type: 'length', symbol: 'km', name: ['kilometre', 'kilometres'], us: ['kilometer', 'kilometers'], si: 1000, to: 'mi' },
+  cm: { type: 'length', symbol: 'cm', name: ['centimetre', 'centimetres'], us: ['centimeter', 'centimeters'], si: 0.01, to: 'in' },
+  mm: { type: 'length', symbol: 'mm', name: ['millimetre', 'millimetres'], us: ['millimeter', 'millimeters'], si: 0.001, to: 'in' },
+  mi: { type: 'length', symbol: 'mi', name: ['mile', 'miles'], si: 1609.344, to: 'km' },
+  ft: { type: 'length', symbol: 'ft', name: ['foot', 'feet'], si: 0.3048, to: 'm' },
+  in: { type: 'length', symbol: 'in', name: ['inch', 'inches'], si: 0.0254, to: 'mm' },
+  yd: { type: 'length', symbol: 'yd', name: ['yard', 'yards'], si: 0.9144, to: 'm' },
+  nmi: { type: 'length', symbol: 'nmi', name: ['nautical mile', 'nautical miles'], si: 1852, to: 'km' },
+  //area
+  km2: { type: 'area', symbol: 'km2', name: ['square kilometre', 'square kilometres'], si: 1e6, to: 'sqmi' },
+  m2: { type: 'area', symbol: 'm2', name: ['square metre', 'square metres'], si: 1, to: 'sqft' },
+  ha: { type: 'area', symbol: 'ha', name: ['hectare', 'hectares'], si: 1e4, to: 'acre' },
+  acre: { type: 'area', symbol: 'acres', name: ['acre', 'acres'], si: 4046.8564224, to: 'ha' },
+  sqmi: { type: 'area', symbol: 'sq mi', name: ['square mile', 'square miles'], si: 2589988.110336, to: 'km2' },
+  sqft: { type: 'area', symbol: 'sq ft', name: ['square foot', 'square feet'], si: 0.09290304, to: 'm2' },
+  //volume
+  m3: { type: 'volume', symbol: 'm3', name: ['cubic metre', 'cubic metres'], si: 1, to: 'cuft' },
+  L: { type: 'volume', symbol: 'L', name: ['litre', 'litres'], us: ['liter', 'liters'], si: 0.001, to: 'USgal' },
+  cuft: { type: 'volume', symbol: 'cu ft', name: ['cubic foot', 'cubic feet'], si: 0.028316846592, to: 'm3' },
+  USgal: { type: 'volume', symbol: 'US gal', name: ['US gallon', 'US gallons'], si: 0.003785411784, to: 'L' },
+  impgal: { type: 'volume', symbol: 'imp gal', name: ['imperial gallon', 'imperial gallons'], si: 0.00454609, to: 'L' },
+  //mass
+  kg: { type: 'mass', symbol: 'kg', name: ['kilogram', 'kilograms'], si: 1, to: 'lb' },
+  g: { type: 'mass', symbol: 'g', name: ['gram', 'grams'], si: 0.001, to: 'oz' },
+  t: { type: 'mass', symbol: 't', name: ['tonne', 'tonnes'], si: 1000, to: 'ST' },
+  lb: { type: 'mass', symbol: 'lb', name: ['pound', 'pounds'], si: 0.45359237, to: 'kg' },
+  oz: { type: 'mass', symbol: 'oz', name: ['ounce', 'ounces'], si: 0.028349523125, to: 'g' },
+  st: { type: 'mass', symbol: 'st', name: ['stone', 'stone'], si: 6.35029318, to: 'kg' },
+  ST: { type: 'mass', symbol: 'short tons', name: ['short ton', 'short tons'], si: 907.18474, to: 't' },
+  LT: { type: 'mass', symbol: 'long tons', name: ['long ton', 'long tons'], si: 1016.0469088, to: 't' },
+  //speed
+  'km/h': { type: 'speed', symbol: 'km/h', name: ['kilometre per hour', 'kilometres per hour'], si: 1 / 3.6, to: 'mph' },
+  mph: { type: 'speed', symbol: 'mph', name: ['mile per hour', 'miles per hour'], si: 0.44704, to: 'km/h' },
+  'm/s': { type: 'speed', symbol: 'm/s', name: ['metre per second', 'metres per second'], si: 1, to: 'ft/s' },
+  'ft/s': { type: 'speed', symbol: 'ft/s', name: ['foot per second', 'feet per second'], si: 0.3048, to: 'm/s' },
+  kn: { type: 'speed', symbol: 'kn', name: ['knot', 'knots'], si: 1852 / 3600, to: 'km/h' },
+  //temperature - (these have an offset, too)
+  C: { type: 'temperature', symbol: '°C', name: ['degree Celsius', 'degrees Celsius'], si: 1, offset: 273.15, to: 'F' },
+  F: { type: 'temperature', symbol: '°F', name: ['degree Fahrenheit', 'degrees Fahrenheit'], si: 5 / 9, offset: 255.3722222222222, to: 'C' },
+  K: { type: 'temperature', symbol: 'K', name: ['kelvin', 'kelvins'], si: 1, offset: 0, to: 'C' },
+  //power
+  W: { type: 'power', symbol: 'W', name: ['watt', 'watts'], si: 1, to: 'hp' },
+  kW: { type: 'power', symbol: 'kW', name: ['kilowatt', 'kilowatts'], si: 1000, to: 'hp' },
+  MW: { type: 'power', symbol: 'MW', name: ['megawatt', 'megawatts'], si: 1e6, to: 'hp' },
+  hp: { type: 'power', symbol: 'hp', name: ['horsepower', 'horsepower'], si: 745.69987158227022, to: 'kW' },
+}
+
+//the si-unit of each kind of unit
+const si = {
+  length: 'm',
+  area: 'm2',
+  volume: 'm3',
+  mass: 'kg',
+  speed: 'm/s',
+  temperature: 'K',
+  power: 'W',
+}
+
+//other ways the units are written
+const aliases = {
+  meter: 'm',
+  metre: 'm',
+  kilometer: 'km',
+  kilometre: 'km',
+  mile: 'mi',
+  foot: 'ft',
+  feet: 'ft',
+  inch: 'in',
+  yard: 'yd',
+  sqkm: 'km2',
+  'km²': 'km2',
+  'sq km': 'km2',
+  'm²': 'm2',
+  sqm: 'm2',
+  hectare: 'ha',
+  acres: 'acre',
+  'sq mi': 'sqmi',
+  'mi2': 'sqmi',
+  'sq ft': 'sqft',
+  'ft2': 'sqft',
+  l: 'L',
+  litre: 'L',
+  liter: 'L',
+  'm³': 'm3',
+  cuft: 'cuft',
+  'ft3': 'cuft',
+  usgal: 'USgal',
+  impgal: 'impgal',
+  kilogram: 'kg',
+  gram: 'g',
+  tonne: 't',
+  pound: 'lb',
+  lbs: 'lb',
+  ounce: 'oz',
+  kph: 'km/h',
+  kmh: 'km/h',
+  'km/hr': 'km/h',
+  knot: 'kn',
+  '°c': 'C',
+  '°f': 'F',
+  c: 'C',
+  f: 'F',
+  k: 'K',
+  w: 'W',
+  kw: 'kW',
+  mw: 'MW',
+}
+
+//find the unit, however it's written
+const findUnit = function (str = '') {
+  str = str.trim()
+  if (units.hasOwnProperty(str)) {
+    return str
+  }
+  let lower = str.toLowerCase()
+  if (units.hasOwnProperty(lower)) {
+    return lower
+  }
+  return aliases[lower] || aliases[str] || null
+}
+
+module.exports = { units, si, findUnit }
@@ -0,0 +1,242 @@
+const parse = require('../../../parse/toJSON')
+const lib = require('./_lib')
+const { units, findUnit, seps, toNumber, convert, toSi, round, commas, label } = lib
+
+const positional = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+//the params {{height}} accepts, for each unit (order matters)
+const heightAliases = {
+  m: ['m', 'meter', 'metre', 'meters', 'metres'],
+  cm: ['cm', 'centimeter', 'centimetre', 'centimeters', 'centimetres'],
+  ft: ['ft', 'foot', 'feet'],
+  in: ['in', 'inch', 'inches'],
+}
+
+//'ft yd' -> ['ft', 'yd']
+const outUnits = function (str, from) {
+  if (!str) {
+    return [units[from].to]
+  }
+  if (str === 'ftin' || str === 'ft in') {
+    return units[from].type === 'length' ? ['ftin'] : [units[from].to]
+  }
+  let list = findUnit(str) ? [findUnit(str)] : str.split(/ +/).map(findUnit)
+  list = list.filter((u) => u && u !== from && units[u].type === units[from].type)
+  return list.length > 0 ? list : [units[from].to]
+}
+
+//'5 ft 6 in', or '5 feet 6 inches'
+const feetInches = function (meters, abbr) {
+  let inches = Math.round(meters / 0.0254)
+  let ft = Math.floor(inches / 12)
+  inches -= ft * 12
+  return `${ft} ${label('ft', abbr, ft !== 1)} ${inches} ${label('in', abbr, inches !== 1)}`
+}
+
+//the input's rounding, for an output value
+const precisionFor = function (obj, input, to, out) {
+  if (toNumber(obj.sigfig) !== null && out !== 0) {
+    return toNumber(obj.sigfig) - 1 - Math.floor(Math.log10(Math.abs(out)) + 1e-14)
+  }
+  //'5 ft 10 in' is more precise
+  if (input.sub) {
+    let extra = input.sub.unit === 'in' ? 1 : 0
+    return lib.defaultPrecision(input.sub.str, input.sub.unit, to, out) + extra
+  }
+  return lib.defaultPrecision(input.strs[0], input.unit, to, out)
+}
+
+//read the numbers and units, from the template's params
+const readInput = function (args) {
+  let input = { strs: [args[0]], sep: null, sub: null }
+  let i = 1
+  if (seps.hasOwnProperty(args[1]) && toNumber(args[2]) !== null) {
+    input.sep = args[1]
+    input.strs.push(args[2])
+    i = 3
+  }
+  input.unit = findUnit(args[i])
+  i += 1
+  // {{convert|5|ft|10|in}}
+  let subUnit = findUnit(args[i + 1])
+  let sameType = subUnit && input.unit && units[subUnit].type === units[input.unit].type
+  if (input.sep === null && toNumber(args[i]) !== null && sameType) {
+    input.sub = { str: args[i], unit: subUnit }
+    i += 2
+  }
+  input.out = args[i]
+  input.precision = args[i + 1]
+  input.nums = input.strs.map(toNumber)
+  if (input.sub) {
+    let sub = toNumber(input.sub.str) * (units[input.sub.unit].si / units[input.unit].si)
+    input.nums[0] = Math.round((input.nums[0] + sub) * 1e6) / 1e6
+  }
+  return input
+}
+
+/**
+ * the quantity, and wikipedia's text, for a {{convert}} template
+ *
+ * @private
+ * @param {object} obj the parsed template
+ * @param {string} [abbrDefault] the template's default 'abbr' param
+ * @returns {object | null} {text, quantity}
+ */
+const doConvert = function (obj, abbrDefault = 'out') {
+  let args = []
+  for (let i = 0; i < positional.length && obj[positional[i]] !== undefined; i += 1) {
+    args.push(obj[positional[i]].trim())
+  }
+  let input = readInput(args)
+  if (!input.unit || input.nums.some((n) => n === null)) {
+    return null
+  }
+  let unit = input.unit
+  let temp = units[unit].type === 'temperature'
+  let abbr = (obj.abbr || abbrDefault).toLowerCase()
+  let disp = (obj.disp || 'b').toLowerCase()
+  let us = /^us/i.test(obj.sp || '')
+  let adj = obj.adj === 'on'
+  //which are names, and which are symbols
+  let abbrIn = abbr === 'on' || abbr === 'in' || abbr === 'values' || (temp && abbr !== 'off')
+  let abbrOut = abbr !== 'off' && abbr !== 'in' && disp !== 'or'
+  if (disp === 'flip') {
+    ;[abbrIn, abbrOut] = [abbr !== 'off', abbr === 'on' || abbr === 'values']
+  }
+  let sep = input.sep ? seps[input.sep] : ''
+  let single = input.nums.length === 1
+  let isOne = (str) => single && Number(String(str).replace(/,/g, '')) === 1
+
+  //the input, as written
+  let inText
+  if (input.sub) {
+    let [a, b] = [input.strs[0], input.sub.str]
+    inText = `${commas(a)} ${label(unit, abbrIn, !isOne(a), us)} ${b} ${label(input.sub.unit, abbrIn, !isOne(b), us)}`
+  } else {
+    let nums = input.strs.map((s) => commas(s.replace(/,/g, ''))).join(sep)
+    if (adj && !abbrIn) {
+      inText = `${nums}-${label(unit, false, false, us)}`
+    } else {
+      inText = `${nums} ${label(unit, abbrIn, !isOne(input.strs[0]), us)}`
+    }
+  }
+  //each output unit
+  let outTexts = outUnits(input.out, unit).map((to) => {
+    if (to === 'ftin') {
+      return input.nums.map((n) => feetInches(toSi(n, unit), abbrOut)).join(sep)
+    }
+    let vals = input.nums.map((n) => convert(n, unit, to))
+    let prec = toNumber(input.precision)
+    if (prec === null) {
+      prec = Math.max(...vals.map((v) => precisionFor(obj, input, to, v)))
+    }
+    let strs = vals.map((v) => round(v, prec))
+    return `${strs.join(sep)} ${label(to, abbrOut, !isOne(strs[0]), us)}`
+  })
+
+  let text = `${inText} (${outTexts.join('; ')})`
+  if (disp === 'or') {
+    text = `${inText} or ${outTexts[0]}`
+  } else if (disp === 'flip') {
+    text = `${outTexts[0]} (${inText})`
+  } else if (disp === 'sqbr') {
+    text = `${inText} [${outTexts.join('; ')}]`
+  } else if (disp === 'comma') {
+    text = `${inText}, ${outTexts.join(', ')}`
+  } else if (disp === 'slash') {
+    text = `${inText}/${outTexts.join('/')}`
+  } else if (disp === 'out' || disp === 'output only') {
+    text = outTexts.join('; ')
+  }
+
+  let quantity = {
+    value: input.nums[0],
+    unit: unit,
+    si: { value: toSi(input.nums[0], unit), unit: lib.si[units[unit].type] },
+  }
+  if (!single) {
+    quantity.range = input.nums
+    quantity.si.range = input.nums.map((n) => toSi(n, unit))
+  }
+  return { text, quantity }
+}
+
+//how it was written, if we don't know the unit
+const fallback = function (obj) {
+  if (seps.hasOwnProperty(obj.b)) {
+    if (obj.d) {
+      return `${obj.a} ${obj.b} ${obj.c} ${obj.d}`
+    }
+    return `${obj.a} ${obj.b} ${obj.c}`
+  }
+  return `${obj.a} ${obj.b}`
+}
+
+//{{convert}}, with a different default
+const makeConvert = function (abbrDefault) {
+  return (tmpl, list) => {
+    let obj = parse(tmpl, positional)
+    let res = doConvert(obj, abbrDefault)
+    if (res === null) {
+      return fallback(obj)
+    }
+    list.push(Object.assign({ template: obj.template }, res.quantity))
+    return res.text
+  }
+}
+
+let templates = {
+  //https://en.wikipedia.org/wiki/Template:Convert
+  convert: makeConvert('out'),
+  //https://en.wikipedia.org/wiki/Template:Cvt
+  cvt: makeConvert('on'),
+
+  //https://en.wikipedia.org/wiki/Template:Height
+  height: (tmpl, list) => {
+    let obj = parse(tmpl)
+    //{{height|meter=1.77}}
+    let val = {}
+    Object.keys(heightAliases).forEach((unit) => {
+      let k = heightAliases[unit].find((alias) => obj.hasOwnProperty(alias))
+      val[unit] = k ? obj[k] : undefined
+    })
+    let args = null
+    if (val.m || val.cm) {
+      args = val.m ? [val.m, 'm', 'ftin'] : [val.cm, 'cm', 'ftin']
+    } else if (val.ft || val.in) {
+      args = val.ft ? [val.ft, 'ft', val.in || '0', 'in', 'm'] : [val.in, 'in', 'cm']
+    }
+    let res = null
+    if (args) {
+      let params = { abbr: obj.abbr || 'on', precision: obj.precision }
+      args.forEach((a, i) => (params[positional[i]] = a))
+      res = doConvert(params)
+    }
+    //keep what it says, if we can't convert it
+    if (res === null) {
+      list.push(obj)
+      return Object.keys(val)
+        .filter((unit) => val[unit])
+        .map((unit) => val[unit] + unit)
+        .join(' ')
+    }
+    list.push(Object.assign({ template: 'height' }, res.quantity))
+    return res.text
+  },
+}
+
+//{{km to mi|10}}
+const shortcuts = ['km to mi', 'mi to km', 'm to ft', 'ft to m', 'kg to lb', 'lb to kg']
+shortcuts.forEach((name) => {
+  let [from, to] = name.split(' to ')
+  templates[name] = (tmpl, list) => {
+    let obj = parse(tmpl, ['a'])
+    let res = doConvert(Object.assign({}, obj, { b: from, c: to }))
+    if (res === null) {
+      return obj.a || ''
+    }
+    list.push(Object.assign({ template: name }, res.quantity))
+    return res.text
+  }
+})
+
+module.exports = templates
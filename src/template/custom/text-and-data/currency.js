@@ -1,4 +1,5 @@
 const parse = require('../../parse/toJSON')
+const { isoCode, toMoney, parseMoney } = require('../../../money/parse')
 
 const codes = {
   '£': 'GB£', // https://en.wikipedia.org/wiki/Template:GBP
@@ -83,6 +84,12 @@ const parseCurrency = (tmpl, list) => {
   } else if (code === 'uk') {
     o.code = code = 'gbp'
   }
+  //its numeric value, and iso-code
+  let currency = isoCode(code) || isoCode(o.code)
+  let money = currency ? parseMoney((o.amount || '').replace(/&nbsp;|\u00a0/g, ' '), true) : null
+  if (money) {
+    o.money = Object.assign(money, { currency })
+  }
   let str = `${codes[code] || ''}${o.amount || ''}`
   //support unknown currencies after the number - like '5 BTC'
   if (o.code && !codes[o.code.toLowerCase()]) {
@@ -91,8 +98,64 @@ const parseCurrency = (tmpl, list) => {
   return str
 }
 
+//the currency of each price-index
+const indexes = {
+  us: 'USD',
+  'us-gdp': 'USD',
+  uk: 'GBP',
+  'uk-gdp': 'GBP',
+  ca: 'CAD',
+  au: 'AUD',
+  nz: 'NZD',
+  jp: 'JPY',
+  in: 'INR',
+  ch: 'CHF',
+  de: 'EUR',
+  fr: 'EUR',
+  it: 'EUR',
+  es: 'EUR',
+}
+
+//'1200000000' -> '1.2 billion'
+const formatPrice = function (n, digits) {
+  let words = [
+    [1e12, 'trillion'],
+    [1e9, 'billion'],
+    [1e6, 'million'],
+  ]
+  let found = words.find((a) => Math.abs(n) >= a[0])
+  if (found) {
+    return [String(Number((n / found[0]).toFixed(digits))) + ' ' + found[1], found[1]]
+  }
+  return [n.toLocaleString('en-US'), null]
+}
+
 let templates = {
   currency: parseCurrency,
+
+  //https://en.wikipedia.org/wiki/Template:Inflation
+  // - we don't have the price-index, so we keep the original amount, and its year
+  inflation: (tmpl, list) => {
+    let o = parse(tmpl, ['index', 'value', 'start_year', 'end_year'])
+    let year = Number(o.start_year) || null
+    o.money = toMoney(o.value, null, indexes[(o.index || '').toLowerCase()], year)
+    list.push(o)
+    return o.value || ''
+  },
+
+  //https://en.wikipedia.org/wiki/Template:Format_price
+  'format price': (tmpl, list) => {
+    let o = parse(tmpl, ['price', 'digits'])
+    let n = Number((o.price || '').replace(/,/g, ''))
+    if (!o.price || isNaN(n)) {
+      list.push(o)
+      return o.price || ''
+    }
+    let [str, scale] = formatPrice(n, o.digits === undefined ? 2 : Number(o.digits) || 0)
+    o.money = { amount: n, currency: null, year: null, scale: scale }
+    list.push(o)
+    return str
+  },
 }
 //and the others fit the same pattern
 Object.keys(codes).forEach((k) => {
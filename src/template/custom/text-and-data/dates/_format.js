@@ -36,9 +36,9 @@ const ymd = function (arr) {
     let num = parseInt(arr[i], 10)
     if (isNaN(num) === false) {
       obj[units[i]] = num //we good.
-    } else if (units[i] === 'month' && monthName.hasOwnProperty(arr[i])) {
+    } else if (units[i] === 'month' && monthName.hasOwnProperty(String(arr[i]).toLowerCase())) {
       //try for month-name, like 'january
-      let month = monthName[arr[i]]
+      let month = monthName[String(arr[i]).toLowerCase()]
       obj[units[i]] = month
     } else {
       //we dead. so skip this unit
@@ -33,6 +33,10 @@ const parsers = {
   date: (tmpl, list) => {
     let order = ['year', 'month', 'date', 'hour', 'minute', 'second', 'timezone']
     let obj = parse(tmpl, order)
+    //support 'one property' version - {{start date|June 5, 1990}}
+    if (obj.year && /[a-z]/i.test(obj.year)) {
+      return parsers.natural_date(tmpl, list)
+    }
     let data = fmt.ymd([obj.year, obj.month, obj.date || obj.day])
     obj.text = fmt.toText(data) //make the replacement string
     if (obj.timezone) {
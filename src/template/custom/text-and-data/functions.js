@@ -1,5 +1,6 @@
 const parse = require('../../parse/toJSON')
 const lib = require('../_lib')
+const { toMoney } = require('../../../money/parse')
 
 let templates = {
   // https://en.wikipedia.org/wiki/Template:Math
@@ -235,10 +236,16 @@ let templates = {
       c: 10000000,
       lc: 1000000000000,
     }
+    const scales = { k: 'thousand', m: 'million', b: 'billion', t: 'trillion', l: 'lakh', c: 'crore', lc: 'lakh crore' }
+    let amount = o.rupee_value
     if (o.currency_formatting) {
       let multiplier = mults[o.currency_formatting] || 1
       o.rupee_value = o.rupee_value * multiplier
     }
+    o.money = toMoney(o.rupee_value, null, 'INR')
+    if (o.money && amount !== o.rupee_value) {
+      o.money.scale = scales[o.currency_formatting] || null
+    }
     return `inr ${o.rupee_value || ''}`
   },
 
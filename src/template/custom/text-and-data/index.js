@@ -3,6 +3,7 @@ module.exports = Object.assign(
   require('./shorthand'),
   require('./functions'),
   require('./currency'),
+  require('./convert'),
   require('./dates'),
   require('./geo'),
   require('./misc'),
@@ -29,10 +29,18 @@ const parseTeam = function (obj, round, team) {
 const playoffBracket = function (tmpl) {
   let rounds = []
   let obj = parse(tmpl)
-  //try some rounds
-  for (let i = 1; i < 7; i += 1) {
+  //how many rounds it has - 'rd5-team01'
+  let last = 0
+  Object.keys(obj).forEach((k) => {
+    let m = k.match(/^rd([0-9]+)-team/)
+    if (m !== null) {
+      last = Math.max(last, Number(m[1]))
+    }
+  })
+  for (let i = 1; i <= last; i += 1) {
     let round = []
-    for (let t = 1; t < 16; t += 2) {
+    //any number of teams - 8, 16, 32, 64...
+    for (let t = 1; ; t += 2) {
       let key = `rd${i}-team`
       if (obj[key + t] || obj[key + zeroPad(t)]) {
         let one = parseTeam(obj, i, t)
@@ -68,16 +68,26 @@ let sports = {
       byTeam[team] = {
         name: obj[`name_${team}`],
         win: Number(obj[`win_${team}`]) || 0,
+        draw: Number(obj[`draw_${team}`]) || 0,
         loss: Number(obj[`loss_${team}`]) || 0,
         tie: Number(obj[`tie_${team}`]) || 0,
         otloss: Number(obj[`otloss_${team}`]) || 0,
         goals_for: Number(obj[`gf_${team}`]) || 0,
         goals_against: Number(obj[`ga_${team}`]) || 0,
+        adjust_points: Number(obj[`adjust_points_${team}`]) || 0,
       }
     })
     let res = {
+      template: 'sports table',
       date: obj.update,
       header: obj.table_header,
+      style: obj.style || 'WDL',
+      //points for each result, if they're not the style's usual ones
+      points: {
+        win: obj.win_points,
+        draw: obj.draw_points,
+        loss: obj.loss_points,
+      },
       teams: byTeam,
     }
     list.push(res)
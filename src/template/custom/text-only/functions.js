@@ -119,9 +119,13 @@ module.exports = {
 
   //https://en.wikipedia.org/wiki/Template:OldStyleDate
   oldstyledate: (tmpl) => {
-    let order = ['date', 'year']
+    let order = ['date', 'year', 'julian']
     let obj = parse(tmpl, order)
-    return obj.year ? obj.date + ' ' + obj.year : obj.date
+    let str = obj.date
+    if (obj.julian) {
+      str += ` [O.S. ${obj.julian}]`
+    }
+    return obj.year ? str + ' ' + obj.year : str
   },
 
   //formatting things - https://en.wikipedia.org/wiki/Template:Nobold
@@ -317,20 +321,6 @@ module.exports = {
     return `1/${obj.b}`
   },
 
-  //https://en.wikipedia.org/wiki/Template:Convert#Ranges_of_values
-  convert: (tmpl) => {
-    let order = ['num', 'two', 'three', 'four']
-    let obj = parse(tmpl, order)
-    //todo: support plural units
-    if (obj.two === '-' || obj.two === 'to' || obj.two === 'and') {
-      if (obj.four) {
-        return `${obj.num} ${obj.two} ${obj.three} ${obj.four}`
-      }
-      return `${obj.num} ${obj.two} ${obj.three}`
-    }
-    return `${obj.num} ${obj.two}`
-  },
-
   // Large number of aliases - https://en.wikipedia.org/wiki/Template:Tl
   tl: (tmpl) => {
     let order = ['first', 'second']
@@ -1,28 +1,40 @@
 const findTemplates = require('./find/01-nested')
 const parseTemplate = require('./parse')
 const sortOut = require('./sortOut')
+const markers = require('../reference/markers')
+const breaks = require('../_lib/breaks')
+const { replace, span } = require('../_lib/offsets')
 
 // return a flat list of all {{templates}}
-const allTemplates = function (wiki, doc) {
+const allTemplates = function (section, doc) {
   let list = []
   //nested data-structure of templates
-  let nested = findTemplates(wiki)
+  let nested = findTemplates(section._wiki)
   //recursive template-parser
   const parseNested = function (obj, parent) {
     obj.parent = parent
+    //(before its inner templates are swapped-out)
+    let raw = obj.body
     //do tail-first recursion
     if (obj.children && obj.children.length > 0) {
       obj.children.forEach((ch) => parseNested(ch, obj))
     }
+    //(with any <br> markers still in it)
+    let marked = obj.body
+    obj.body = breaks.clean(marked)
     //parse template into json, return replacement wikitext
     let [text, json] = parseTemplate(obj, doc)
     obj.wiki = text
     if (json) {
+      let at = section._map ? section._wiki.indexOf(marked) : -1
+      //(the <ref> markers stay in the section text, but not in the template)
       list.push({
         name: obj.name,
-        wiki: obj.body,
-        text: text,
-        json: json,
+        wiki: markers.strip(obj.body),
+        raw: markers.strip(breaks.restore(raw)),
+        text: markers.strip(text),
+        json: markers.stripDeep(json),
+        offset: span(section._map, at, at + marked.length),
       })
     }
     //remove the text from every parent
@@ -32,22 +44,22 @@ const allTemplates = function (wiki, doc) {
         removeIt(node.parent, body, out)
       }
     }
-    removeIt(obj, obj.body, obj.wiki)
-    wiki = wiki.replace(obj.body, obj.wiki)
+    removeIt(obj, marked, obj.wiki)
+    replace(section, marked, obj.wiki)
   }
   //kick it off
   nested.forEach((node) => parseNested(node, null))
   //remove the templates from our wiki text
   nested.forEach((node) => {
-    wiki = wiki.replace(node.body, node.wiki)
+    replace(section, node.body, node.wiki)
   })
-  return { list: list, wiki: wiki }
+  return list
 }
 
 //find + parse all templates in the section
 const process = function (section, doc) {
   // find+parse them all
-  let { list, wiki } = allTemplates(section._wiki, doc)
+  let list = allTemplates(section, doc)
   // split-out references and infoboxes
   let domain = doc ? doc._domain : null
   let { infoboxes, references, templates } = sortOut(list, domain)
@@ -60,8 +72,6 @@ const process = function (section, doc) {
   section._infoboxes = section._infoboxes.concat(infoboxes)
   section._references = section._references.concat(references)
   section._templates = section._templates.concat(templates)
-
-  section._wiki = wiki
 }
 
 module.exports = process
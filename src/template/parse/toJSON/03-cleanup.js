@@ -1,3 +1,4 @@
+const markers = require('../../../reference/markers')
 const whoCares = {
   classname: true,
   style: true,
@@ -20,8 +21,8 @@ const cleanup = function (obj) {
     if (whoCares[k.toLowerCase()] === true) {
       delete obj[k]
     }
-    //remove empty values, too
-    if (obj[k] === null || obj[k] === '') {
+    //remove empty values, too - (or ones with only a <ref> in them)
+    if (obj[k] === null || markers.strip(obj[k]) === '') {
       delete obj[k]
     }
   })
@@ -0,0 +1,17 @@
+const pipeSplitter = require('./01-pipe-splitter')
+const keyMaker = require('./02-keyMaker')
+const strip = require('./_strip')
+
+/**
+ * the wikitext of each param, with its templates still in it
+ *
+ * @private
+ * @param {string} wiki the template's wikitext
+ * @returns {object} {key: wikitext}
+ */
+const rawParams = function (wiki = '') {
+  let arr = pipeSplitter(strip(wiki))
+  arr.shift()
+  return keyMaker(arr)
+}
+module.exports = rawParams
@@ -0,0 +1,126 @@
+const normalize = (str = '') => {
+  str = str.toLowerCase()
+  str = str.replace(/[-_]/g, ' ')
+  return str.trim()
+}
+
+/**
+ * find the top-level '|' pipes in a template, ignoring any inside [[links]] or {{templates}}
+ *
+ * @private
+ * @param {string} wiki the template text, with its '{{' and '}}'
+ * @returns {number[]} the index of each pipe
+ */
+const findPipes = function (wiki) {
+  let pipes = []
+  let depth = 0
+  for (let i = 2; i < wiki.length - 2; i += 1) {
+    let two = wiki.substr(i, 2)
+    if (two === '{{' || two === '[[') {
+      depth += 1
+      i += 1
+    } else if ((two === '}}' || two === ']]') && depth > 0) {
+      depth -= 1
+      i += 1
+    } else if (wiki[i] === '|' && depth === 0) {
+      pipes.push(i)
+    }
+  }
+  return pipes
+}
+
+/**
+ * split a param like ' name = Toronto\n' into its parts
+ *
+ * @private
+ * @param {string} str the text between two pipes
+ * @returns {object} the key (if any), and where the value starts and ends
+ */
+const parseParam = function (str) {
+  let eq = str.indexOf('=')
+  let nested = str.search(/\[\[|\{\{/)
+  let hasKey = eq !== -1 && (nested === -1 || eq < nested)
+  let from = hasKey ? eq + 1 : 0
+  let val = str.slice(from)
+  let start = from + (val.length - val.replace(/^\s+/, '').length)
+  let end = str.replace(/\s+$/, '').length
+  if (end < start) {
+    end = start
+  }
+  return {
+    key: hasKey ? str.slice(0, eq) : null,
+    start: start,
+    end: end,
+  }
+}
+
+/**
+ * add a new param, in the same style as the last one
+ *
+ * @private
+ * @param {string} wiki the template text
+ * @param {string} key the name of the param
+ * @param {string} val its value
+ * @param {string} last the text of the last param
+ * @returns {string} the new template text
+ */
+const addParam = function (wiki, key, val, last) {
+  let str = `|${key}=${val}`
+  let before = wiki.slice(0, wiki.length - 2)
+  if (last !== null) {
+    let p = parseParam(last)
+    if (p.key !== null) {
+      //copy its whitespace
+      let pre = p.key.match(/^\s*/)[0]
+      let post = p.key.match(/\s*$/)[0]
+      let trail = last.slice(p.end)
+      let space = last.slice(p.key.length + 1, p.start)
+      str = `|${pre}${key}${post}=${space}${val}${trail}`
+      return before + str + '}}'
+    }
+  }
+  //put it before any newline at the end
+  let trail = before.match(/\s*$/)[0]
+  return before.slice(0, before.length - trail.length) + str + trail + '}}'
+}
+
+/**
+ * change the value of a param in a template's wikitext, leaving the rest of it as-is
+ * - numbers set the nth un-named param, like {{{1}}}
+ *
+ * @private
+ * @param {string} wiki the template text, like '{{foo|bar=baz}}'
+ * @param {string | number} key the name of the param
+ * @param {string} val its new value
+ * @returns {string} the new template text
+ */
+const setParam = function (wiki, key, val) {
+  val = String(val)
+  let pipes = findPipes(wiki)
+  let params = pipes.map((n, i) => {
+    let end = pipes[i + 1] !== undefined ? pipes[i + 1] : wiki.length - 2
+    let str = wiki.slice(n + 1, end)
+    return Object.assign(parseParam(str), { offset: n + 1, str: str })
+  })
+  let found = null
+  if (typeof key === 'number' || /^[0-9]+$/.test(key)) {
+    let n = Number(key)
+    let unnamed = params.filter((p) => p.key === null)
+    found = unnamed[n - 1] || null
+    //add it as a named param
+    if (!found) {
+      key = String(n)
+    }
+  } else {
+    found = params.find((p) => p.key !== null && normalize(p.key) === normalize(key)) || null
+  }
+  if (found) {
+    let start = found.offset + found.start
+    let end = found.offset + found.end
+    return wiki.slice(0, start) + val + wiki.slice(end)
+  }
+  let last = params.length > 0 ? params[params.length - 1].str : null
+  return addParam(wiki, key, val, last)
+}
+
+module.exports = setParam
@@ -1,6 +1,8 @@
 const Infobox = require('../infobox/Infobox')
 const Reference = require('../reference/Reference')
+const citation = require('../reference/citation')
 const Template = require('./Template')
+const { setOffset } = require('../_lib/offsets')
 const isCitation = /^(cite |citation)/i
 
 const referenceTypes = {
@@ -22,19 +24,19 @@ const sortOut = function (list, domain) {
     let json = obj.json
     let kind = json.template || json.type || json.name
     // is it a Reference?
-    if (referenceTypes[kind] === true || isCitation.test(kind) === true) {
-      res.references.push(new Reference(json, obj.wiki))
+    if (referenceTypes[kind] === true || isCitation.test(kind) === true || citation.isCitation(kind)) {
+      res.references.push(setOffset(new Reference(json, obj.wiki), obj.offset))
       return
     }
     // is it an Infobox?
     if (json.template === 'infobox' && json.subbox !== 'yes') {
       json.domain = domain //infoboxes need this for images, i guess
       json.data = json.data || {} //validate it a little
-      res.infoboxes.push(new Infobox(json, obj.wiki))
+      res.infoboxes.push(setOffset(new Infobox(json, obj.wiki, obj.raw), obj.offset))
       return
     }
     // otherwise, it's just a template
-    res.templates.push(new Template(json, obj.text, obj.wiki))
+    res.templates.push(setOffset(new Template(json, obj.text, obj.wiki, obj.raw), obj.offset))
   })
   return res
 }
@@ -0,0 +1,182 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+test('citation fields', (t) => {
+  const str = `Foo.<ref>{{cite web |last1=Smith |first1=John |last2=Doe |first2=Jane |title=Thing |url=http://x.com |date=March 3, 2010 |access-date=2012-01-02 |archive-url=http://archive.org/x |archive-date=1 April 2013 |website=Example |publisher=Foo}}</ref>`
+  const cite = wtf(str).reference().citation()
+  t.equal(cite.type, 'web', 'type')
+  t.equal(cite.title, 'Thing', 'title')
+  t.deepEqual(
+    cite.authors,
+    [
+      { first: 'John', last: 'Smith' },
+      { first: 'Jane', last: 'Doe' },
+    ],
+    'authors'
+  )
+  t.equal(cite.date, '2010-03-03', 'date')
+  t.equal(cite.accessDate, '2012-01-02', 'access-date')
+  t.equal(cite.archiveDate, '2013-04-01', 'archive-date')
+  t.equal(cite.work, 'Example', 'website')
+  t.equal(cite.publisher, 'Foo', 'publisher')
+  t.equal(cite.url, 'http://x.com', 'url')
+  t.equal(cite.archiveUrl, 'http://archive.org/x', 'archive-url')
+  t.equal(cite.urlStatus, 'dead', 'archived url is dead by default')
+  t.end()
+})
+
+test('citation authors', (t) => {
+  let arr = [
+    ['{{cite book|author=Bob Jones}}', [{ first: 'Bob', last: 'Jones' }]],
+    ['{{cite book|author=Jones, Bob}}', [{ first: 'Bob', last: 'Jones' }]],
+    [
+      '{{cite book|authors=A. B. Cee; D. Ee}}',
+      [
+        { first: 'A. B.', last: 'Cee' },
+        { first: 'D.', last: 'Ee' },
+      ],
+    ],
+    ['{{cite book|surname=Orwell|given=George}}', [{ first: 'George', last: 'Orwell' }]],
+    [
+      '{{Literatur|Autor=Hans Müller, Peter Schmidt|Titel=Buch}}',
+      [
+        { first: 'Hans', last: 'Müller' },
+        { first: 'Peter', last: 'Schmidt' },
+      ],
+    ],
+    ['{{Ouvrage|nom1=Hugo|prénom1=Victor|titre=Les Misérables}}', [{ first: 'Victor', last: 'Hugo' }]],
+    [
+      '{{cite journal|vauthors=Liu W, Brock A, ((World Health Organization)), Van der Berg JH, et al}}',
+      [
+        { first: 'W', last: 'Liu' },
+        { first: 'A', last: 'Brock' },
+        { first: '', last: 'World Health Organization' },
+        { first: 'JH', last: 'Van der Berg' },
+      ],
+    ],
+  ]
+  arr.forEach((a) => {
+    let cite = wtf(`Foo.<ref>${a[0]}</ref>`).reference().citation()
+    t.deepEqual(cite.authors, a[1], a[0])
+  })
+  t.end()
+})
+
+test('citation dates', (t) => {
+  let arr = [
+    ['2010-03-04', '2010-03-04'],
+    ['March 2010', '2010-03'],
+    ['4 March 2010', '2010-03-04'],
+    ['Mar 4, 2010', '2010-03-04'],
+    ['4. März 2010', '2010-03-04'],
+    ['4 mars 2010', '2010-03-04'],
+    ['4 de marzo de 2010', '2010-03-04'],
+    ['04.03.2010', '2010-03-04'],
+    ['circa forever', null],
+  ]
+  arr.forEach((a) => {
+    let cite = wtf(`Foo.<ref>{{cite news|title=x|date=${a[0]}}}</ref>`).reference().citation()
+    t.equal(cite.date, a[1], a[0])
+  })
+  let cite = wtf(`Foo.<ref>{{cite news|title=x|year=1999}}</ref>`).reference().citation()
+  t.equal(cite.date, '1999', 'year')
+  t.end()
+})
+
+test('citation identifiers', (t) => {
+  let str = `Foo.<ref>{{cite journal|title=J|doi=doi:10.1000/XYZ123|pmid=12345|isbn=0-306-40615-2|oclc=ocm12345|arxiv=1501.00001v2}}</ref>`
+  let cite = wtf(str).reference().citation()
+  t.deepEqual(
+    cite.identifiers,
+    { doi: '10.1000/xyz123', isbn: '9780306406157', pmid: '12345', arxiv: '1501.00001v2', oclc: '12345' },
+    'normalized'
+  )
+  t.deepEqual(cite.invalidIdentifiers, {}, 'all valid')
+
+  str = `Foo.<ref>{{cite book|title=B|isbn=978-0-306-40615-8|doi=12.34|pmid=abc}}</ref>`
+  cite = wtf(str).reference().citation()
+  t.deepEqual(cite.identifiers, {}, 'none valid')
+  t.deepEqual(cite.invalidIdentifiers, { isbn: '978-0-306-40615-8', doi: '12.34', pmid: 'abc' }, 'kept invalid ones')
+  t.end()
+})
+
+test('citation i18n and url-status', (t) => {
+  let cite = wtf(`Foo.<ref>{{Internetquelle|url=http://a.de|titel=Seite|zugriff=2020-05-01|offline=ja}}</ref>`)
+    .reference()
+    .citation()
+  t.equal(cite.type, 'web', 'de type')
+  t.equal(cite.title, 'Seite', 'de title')
+  t.equal(cite.accessDate, '2020-05-01', 'de access-date')
+  t.equal(cite.urlStatus, 'dead', 'de offline')
+
+  cite = wtf(`Foo.<ref>{{cita libro|título=El libro|editorial=Planeta|año=2004}}</ref>`).reference().citation()
+  t.equal(cite.type, 'book', 'es type')
+  t.equal(cite.publisher, 'Planeta', 'es publisher')
+  t.equal(cite.date, '2004', 'es year')
+
+  cite = wtf(`Foo.<ref>{{cite web|url=http://a.com|title=A|url-status=live}}</ref>`).reference().citation()
+  t.equal(cite.urlStatus, 'live', 'live')
+  cite = wtf(`Foo.<ref>{{cite web|url=http://a.com|title=A|dead-url=yes}}</ref>`).reference().citation()
+  t.equal(cite.urlStatus, 'dead', 'old dead-url param')
+
+  cite = wtf(`Foo.<ref>Some book, [http://b.com here]</ref>`).reference().citation()
+  t.equal(cite.type, 'inline', 'inline ref')
+  t.equal(cite.url, 'http://b.com', 'inline url')
+  t.end()
+})
+
+test('citation exporters', (t) => {
+  const str = `Foo.<ref name="nat">{{cite journal|last=Jones|first=Bob|title=On 50% of R&D|journal=Nature|volume=3|issue=2|pages=1–10|date=May 1999|doi=10.1000/xyz}}</ref>`
+  let ref = wtf(str).reference()
+  t.equal(
+    ref.bibtex(),
+    `@article{nat,
+  author = {Jones, Bob},
+  title = {On 50\\% of R\\&D},
+  journal = {Nature},
+  year = {1999},
+  month = {5},
+  volume = {3},
+  number = {2},
+  pages = {1--10},
+  doi = {10.1000/xyz}
+}`,
+    'bibtex'
+  )
+  t.equal(
+    ref.ris(),
+    `TY  - JOUR
+ID  - nat
+AU  - Jones, Bob
+TI  - On 50% of R&D
+T2  - Nature
+PY  - 1999
+DA  - 1999/05//
+VL  - 3
+IS  - 2
+SP  - 1
+EP  - 10
+DO  - 10.1000/xyz
+ER  - `,
+    'ris'
+  )
+  t.deepEqual(
+    ref.csl(),
+    {
+      id: 'nat',
+      type: 'article-journal',
+      title: 'On 50% of R&D',
+      'container-title': 'Nature',
+      author: [{ family: 'Jones', given: 'Bob' }],
+      issued: { 'date-parts': [[1999, 5]] },
+      volume: '3',
+      issue: '2',
+      page: '1–10',
+      DOI: '10.1000/xyz',
+    },
+    'csl-json'
+  )
+  let other = wtf(`Foo.<ref>{{cite book|last=Orwell|title=1984|date=1949}}</ref>`).reference()
+  t.ok(/^@book\{orwell1949,/.test(other.bibtex()), 'generated cite-key')
+  t.end()
+})
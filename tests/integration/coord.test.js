@@ -84,3 +84,65 @@ test('Parse DMS-missing', function (t) {
   t.equal(obj.lon, want.lon, 'DMS-2-lon')
   t.end()
 })
+
+test('locations', function (t) {
+  let str = `{{Infobox settlement
+| name = Toronto
+| coordinates = {{coord|43|39|N|79|23|W|type:city(2794356)_region:CA-ON|dim:30km|display=inline,title}}
+}}
+'''Toronto''' is a city.
+{{Location map+ |Canada |width=300 |places=
+ {{Location map~ |Canada |lat_deg=45.42 |lon_deg=-75.69 |label=Ottawa}}
+ {{Location map~ |Canada |lat=49.28 |long=-123.12 |label=[[Vancouver]]}}
+}}
+The landing site {{coord|0.6744|N|23.4731|E|globe:moon|type:landmark|scale:5000}} is far away.`
+  let doc = wtf(str)
+  let arr = doc.locations()
+  t.equal(arr.length, 4, 'found four')
+  let first = arr[0]
+  t.equal(first.primary, true, 'title-coord is primary')
+  t.equal(first.type, 'city', 'type')
+  t.equal(first.population, 2794356, 'population')
+  t.equal(first.region, 'CA-ON', 'region')
+  t.equal(first.dim, 30000, 'dim in meters')
+  t.equal(first.globe, 'earth', 'earth')
+  t.equal(arr[1].name, 'Ottawa', 'location map label')
+  t.equal(arr[1].template, 'location map~', 'location map template')
+  t.equal(arr[2].name, 'Vancouver', 'location map decimal')
+  t.equal(arr[2].lon, -123.12, 'location map lon')
+  t.equal(arr[3].globe, 'moon', 'moon globe')
+  t.equal(arr[3].scale, 5000, 'scale')
+  t.equal(arr[3].primary, false, 'not primary')
+
+  let geo = doc.geojson()
+  t.equal(geo.type, 'FeatureCollection', 'geojson')
+  t.equal(geo.features.length, 3, 'no moon in geojson')
+  t.deepEqual(geo.features[0].geometry, { type: 'Point', coordinates: [-79.38333, 43.65] }, 'lon-lat order')
+  t.equal(geo.features[0].properties.title, 'Toronto', 'has title')
+  t.equal(geo.features[0].properties.template, 'coord', 'has source template')
+  t.deepEqual(geo.bbox, [-123.12, 43.65, -75.69, 49.28], 'bbox')
+  t.end()
+})
+
+test('infobox latd/longd locations', function (t) {
+  let str = `{{Infobox settlement
+| name = Toronto
+| latd=43 |latm=42 |lats= |latNS=N
+| longd=79 |longm=24 |longs= |longEW=W
+}}
+'''Toronto''' is a city. {{coord|43.1|-79.2}}`
+  let arr = wtf(str).locations()
+  t.equal(arr.length, 2, 'found both')
+  let box = arr.find((o) => o.template === 'infobox settlement')
+  t.equal(box.lat, 43.7, 'infobox lat')
+  t.equal(box.lon, -79.4, 'infobox lon')
+  t.equal(box.primary, true, 'infobox is primary')
+  t.equal(arr.find((o) => o.template === 'coord').primary, false, 'inline coord is not primary')
+
+  //coor title templates
+  arr = wtf(`hello {{Coor title dms|51|26|30|N|4|55|0|E|type:landmark}} world`).locations()
+  t.equal(arr[0].display, 'title', 'coor title')
+  t.equal(arr[0].primary, true, 'coor title is primary')
+  t.deepEqual(wtf('no places').geojson(), { type: 'FeatureCollection', features: [] }, 'empty geojson')
+  t.end()
+})
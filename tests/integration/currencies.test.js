@@ -88,3 +88,33 @@ test('inrConvert-templates', function (t) {
 
   t.end()
 })
+
+test('currency-data', function (t) {
+  let doc = wtf('and now {{US$|21.20&nbsp;billion}}')
+  t.deepEqual(doc.template().json().money, { amount: 21200000000, currency: 'USD', year: null, scale: 'billion' }, 'us$')
+
+  doc = wtf('{{Currency|1,000|JPY}} world')
+  t.deepEqual(doc.template().json().money, { amount: 1000, currency: 'JPY', year: null, scale: null }, 'currency yen')
+
+  doc = wtf('{{nombre|107.70|€}}')
+  t.equal(doc.template().json().money.currency, 'EUR', 'nombre euro')
+
+  doc = wtf('{{Unité|107.70}}')
+  t.equal(doc.template().json().money, undefined, 'not money')
+
+  doc = wtf('{{INRConvert|93896|c}}')
+  t.deepEqual(doc.template().json().money, { amount: 938960000000, currency: 'INR', year: null, scale: 'crore' }, 'inr')
+
+  doc = wtf('it cost {{Inflation|US|1000|1900}}')
+  t.equal(doc.text(), 'it cost 1000', 'inflation text')
+  t.deepEqual(doc.template().json().money, { amount: 1000, currency: 'USD', year: 1900, scale: null }, 'inflation')
+
+  doc = wtf('{{Format price|1234567890}}')
+  t.equal(doc.text(), '1.23 billion', 'format price text')
+  t.equal(doc.template().json().money.amount, 1234567890, 'format price')
+
+  doc = wtf('{{US$|{{Format price|{{Inflation|US|1200000000|1900}}}}}}')
+  t.equal(doc.text(), 'US$1.2 billion', 'nested text')
+  t.equal(doc.template('us$').json().money.amount, 1200000000, 'nested amount')
+  t.end()
+})
@@ -141,3 +141,111 @@ test('age templates', (t) => {
   })
   t.end()
 })
+
+test('date templates render', (t) => {
+  const arr = [
+    ['{{start date|June 5, 1990}}', 'June 5, 1990'],
+    ['{{birth date|1950|January|2}}', 'January 2, 1950'],
+    ['{{OldStyleDate|6 July|1535|26 June}}', '6 July [O.S. 26 June] 1535'],
+    ['{{OldStyleDate|6 July|1535}}', '6 July 1535'],
+  ]
+  arr.forEach((a) => {
+    t.equal(wtf(a[0]).text(), a[1], a[0])
+  })
+  t.end()
+})
+
+test('written dates', (t) => {
+  const arr = [
+    ['on 5 March 1990.', '1990-03-05', 'day', 'gregorian'],
+    ['on March 5, 1990.', '1990-03-05', 'day', 'gregorian'],
+    ['in March 1990.', '1990-03', 'month', 'gregorian'],
+    ['built c. 1450.', '1450', 'year', 'julian'],
+    ['in 44 BC.', '-0043', 'year', 'julian'],
+    ['in the 3rd century BC.', '-0299', 'century', 'julian'],
+    ['in the 19th century.', '1801', 'century', 'gregorian'],
+    ['in the 1990s.', '1990', 'decade', 'gregorian'],
+    ['el 5 de marzo de 1990.', '1990-03-05', 'day', 'gregorian'],
+  ]
+  arr.forEach((a) => {
+    let date = wtf(a[0]).dates()[0]
+    t.deepEqual([date.iso(), date.precision(), date.calendar()], a.slice(1), a[0])
+  })
+  let date = wtf('It was built c. 1450.').dates()[0]
+  t.equal(date.approximate(), true, 'approximate')
+  t.equal(date.text(), 'c. 1450', 'approximate text')
+  date = wtf('The 3rd century BC.').dates()[0]
+  t.deepEqual([date.year(), date.era()], [300, 'BCE'], 'era')
+  t.deepEqual(wtf('It had 1,500 people, and cost $1990.').dates(), [], 'not dates')
+  t.end()
+})
+
+test('date ranges', (t) => {
+  const arr = [
+    ['from 1990 to 1995', '1990', '1995'],
+    ['between 1990 and 1995', '1990', '1995'],
+    ['1990–95', '1990', '1995'],
+    ['5–7 March 1990', '1990-03-05', '1990-03-07'],
+    ['March 5–7, 1990', '1990-03-05', '1990-03-07'],
+    ['5 March – 7 April 1990', '1990-03-05', '1990-04-07'],
+    ['300–200 BC', '-0299', '-0199'],
+  ]
+  arr.forEach((a) => {
+    let date = wtf(a[0]).dates()[0]
+    t.equal(date.isRange(), true, a[0] + ' is range')
+    t.deepEqual([date.start().iso(), date.end().iso()], a.slice(1), a[0])
+  })
+  t.equal(wtf('in 1990 and 1995').dates().length, 2, 'not a range')
+  //the end's own text
+  const ends = [
+    ['1999–2003', '2003'],
+    ['1990–95', '95'],
+    ['5–7 March 1990', '7 March 1990'],
+    ['300–200 BC', '200 BC'],
+    ['from 1990 to 1995', '1995'],
+  ]
+  ends.forEach((a) => {
+    t.equal(wtf(a[0]).dates()[0].end().text(), a[1], a[0] + ' end text')
+  })
+  t.end()
+})
+
+test('julian dates', (t) => {
+  let date = wtf('He was born {{OldStyleDate|11 February|1731|31 January}}.').dates()[0]
+  t.equal(date.calendar(), 'gregorian', 'new-style')
+  t.equal(date.iso(), '1731-02-11', 'new-style date')
+  t.equal(date.julian().iso(), '1731-01-31', 'old-style date')
+  t.equal(date.julian().calendar(), 'julian', 'old-style calendar')
+  date = wtf('on 3 September 1752 (O.S.).').dates()[0]
+  t.equal(date.calendar(), 'julian', 'marked old-style')
+  t.equal(date.text(), '3 September 1752 (O.S.)', 'marked old-style text')
+  t.end()
+})
+
+test('doc.dates()', (t) => {
+  let doc = wtf(`{{Infobox person
+| name = Joe
+| birth_date = {{birth date|1950|1|2}}
+| death_date = c. 1450
+}}
+He was born {{birth date and age|1950|1|2}} and moved in 1990.
+
+== Later ==
+{{Start date|2001|3|4}}`)
+  let arr = doc.dates()
+  t.equal(arr.length, 5, 'five dates')
+  t.deepEqual(
+    arr[0].context(),
+    { source: 'template', template: 'birth date', key: 'birth_date', section: '' },
+    'infobox template'
+  )
+  t.deepEqual(arr[1].context(), { source: 'infobox', template: null, key: 'death_date', section: '' }, 'infobox')
+  t.equal(arr[2].context().template, 'birth date and age', 'sentence template')
+  t.equal(arr[2].sentence().text(), 'He was born January 2, 1950 and moved in 1990.', 'sentence')
+  t.deepEqual([arr[3].iso(), arr[3].context().source], ['1990', 'text'], 'written date')
+  t.deepEqual([arr[4].iso(), arr[4].context().section], ['2001-03-04', 'Later'], 'section')
+  let json = arr[4].json()
+  t.equal(json.precision, 'day', 'json precision')
+  t.equal(json.template, 'start date', 'json template')
+  t.end()
+})
@@ -0,0 +1,104 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+const before = `{{Infobox band
+| name = Rush
+| origin = Toronto
+| genre = Rock
+}}
+'''Rush''' was a [[Canada|Canadian]] rock band. They formed in 1968.<ref>{{cite web|title=Rush bio|url=http://a.com}}</ref>
+
+== History ==
+The band was founded by [[Alex Lifeson]]. They toured often.
+
+== Awards ==
+They won many awards. Some were Juno awards.
+
+[[Category:Canadian rock music groups]]
+[[Category:Musical groups established in 1968]]`
+
+const after = `{{Infobox band
+| name = Rush
+| origin = Willowdale, Toronto
+| label = Anthem
+}}
+'''Rush''' was a [[Canada|Canadian]] rock band. They formed in 1968 in Willowdale.<ref>{{cite web|title=Rush bio|url=http://b.com}}</ref>
+
+== Band history ==
+The band was founded by [[Alex Lifeson]]. They toured often. [[Neil Peart]] joined in 1974.
+
+== Legacy ==
+They are still popular.
+
+[[Category:Canadian rock music groups]]
+[[Category:Juno Award winners]]`
+
+test('diff', (t) => {
+  let changes = wtf.diff(wtf(before), wtf(after))
+  let of = (type) => changes.filter((c) => c.type === type)
+
+  t.deepEqual(
+    of('section'),
+    [
+      { type: 'section', action: 'removed', title: 'Awards' },
+      { type: 'section', action: 'added', title: 'Legacy' },
+      { type: 'section', action: 'renamed', from: 'History', to: 'Band history' },
+    ],
+    'sections'
+  )
+  t.deepEqual(
+    of('infobox').map((c) => [c.action, c.key, c.old, c.new]),
+    [
+      ['changed', 'origin', 'Toronto', 'Willowdale, Toronto'],
+      ['removed', 'genre', 'Rock', null],
+      ['added', 'label', null, 'Anthem'],
+    ],
+    'infobox keys'
+  )
+  t.equal(of('infobox')[0].infobox, 'band', 'infobox type')
+  t.deepEqual(
+    of('category').map((c) => [c.action, c.category]),
+    [
+      ['removed', 'Musical groups established in 1968'],
+      ['added', 'Juno Award winners'],
+    ],
+    'categories'
+  )
+  t.deepEqual(
+    of('link').map((c) => [c.action, c.link.page]),
+    [['added', 'Neil Peart']],
+    'links'
+  )
+  t.deepEqual(
+    of('reference').map((c) => [c.action, c.reference.url]),
+    [
+      ['removed', 'http://a.com'],
+      ['added', 'http://b.com'],
+    ],
+    'references'
+  )
+  t.deepEqual(
+    of('sentence').map((c) => [c.action, c.section, c.old, c.new]),
+    [
+      ['changed', '', 'They formed in 1968.', 'They formed in 1968 in Willowdale.'],
+      ['added', 'Band history', null, 'Neil Peart joined in 1974.'],
+    ],
+    'sentences'
+  )
+  t.end()
+})
+
+test('diff-same', (t) => {
+  t.deepEqual(wtf.diff(before, before), [], 'no changes')
+  t.deepEqual(wtf.diff(wtf(before, { offsets: true }), wtf(before)), [], 'ignores offsets')
+  let changes = wtf.diff('', 'hello there. [[Category:Greetings]]')
+  t.deepEqual(
+    changes,
+    [
+      { type: 'section', action: 'added', title: '' },
+      { type: 'category', action: 'added', category: 'Greetings' },
+    ],
+    'from empty'
+  )
+  t.end()
+})
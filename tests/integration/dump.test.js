@@ -0,0 +1,92 @@
+const test = require('tape')
+const { Readable } = require('stream')
+const wtf = require('../lib')
+
+const xml = `<mediawiki xmlns="http://www.mediawiki.org/xml/export-0.10/" xml:lang="en">
+  <siteinfo>
+    <sitename>Wikipedia</sitename>
+    <namespaces>
+      <namespace key="0" case="first-letter" />
+    </namespaces>
+  </siteinfo>
+  <page>
+    <title>AccessibleComputing</title>
+    <ns>0</ns>
+    <id>10</id>
+    <redirect title="Computer accessibility" />
+    <revision>
+      <id>854851586</id>
+      <text bytes="111" xml:space="preserve">#REDIRECT [[Computer accessibility]]</text>
+    </revision>
+  </page>
+  <page>
+    <title>Anarchism</title>
+    <ns>0</ns>
+    <id>12</id>
+    <revision>
+      <id>1001</id>
+      <text bytes="99" xml:space="preserve">'''Anarchism''' is a &quot;political philosophy&quot; &amp; movement.&lt;ref&gt;cite&lt;/ref&gt;
+
+==History==
+Café culture [[Pierre-Joseph Proudhon|Proudhon]].</text>
+    </revision>
+  </page>
+  <page>
+    <title>Talk:Anarchism</title>
+    <ns>1</ns>
+    <id>13</id>
+    <revision>
+      <id>1002</id>
+      <text bytes="0" />
+    </revision>
+  </page>
+</mediawiki>`
+
+// split it into awkward little chunks
+const makeStream = function (str, size = 7) {
+  let buf = Buffer.from(str, 'utf-8')
+  let chunks = []
+  for (let i = 0; i < buf.length; i += size) {
+    chunks.push(buf.slice(i, i + size))
+  }
+  return Readable.from(chunks)
+}
+
+test('fromDump yields every page', async function (t) {
+  let docs = []
+  for await (const doc of wtf.fromDump(makeStream(xml))) {
+    docs.push(doc)
+  }
+  t.equal(docs.length, 3, 'three pages')
+  t.equal(docs[0].isRedirect(), true, 'first is a redirect')
+  t.equal(docs[0].redirectTo().page, 'Computer accessibility', 'redirect target')
+
+  let doc = docs[1]
+  t.equal(doc.title(), 'Anarchism', 'title')
+  t.equal(doc.pageID(), 12, 'page id')
+  t.equal(doc.sentence().text(), 'Anarchism is a "political philosophy" & movement.', 'decoded entities')
+  t.equal(doc.references().length, 1, 'found reference')
+  t.equal(doc.section('history').text(), 'Café culture Proudhon.', 'multi-byte chars across chunks')
+  t.equal(doc.link().page(), 'Pierre-Joseph Proudhon', 'link')
+
+  t.equal(docs[2].namespace(), 1, 'namespace')
+  t.equal(docs[2].pageID(), 13, 'page id, not revision id')
+  t.equal(docs[2].wikitext(), '', 'self-closing text')
+  t.end()
+})
+
+test('fromDump options', async function (t) {
+  let titles = []
+  for await (const doc of wtf.fromDump(makeStream(xml, 50), { namespace: 0, skip_redirects: true })) {
+    titles.push(doc.title())
+  }
+  t.deepEqual(titles, ['Anarchism'], 'namespace + redirect filter')
+
+  titles = []
+  for await (const doc of wtf.fromDump(makeStream(xml, 1000), { namespace: [0, 1], lang: 'fr' })) {
+    titles.push(doc.title())
+    t.equal(doc.language(), 'fr', 'passed-down lang')
+  }
+  t.deepEqual(titles, ['AccessibleComputing', 'Anarchism', 'Talk:Anarchism'], 'namespace list')
+  t.end()
+})
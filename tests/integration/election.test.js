@@ -0,0 +1,154 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+test('election box', (t) => {
+  let str = `{{Election box begin | title=[[2019 United Kingdom general election|General election 2019]]: Strangford}}
+{{Election box candidate with party link|
+  |party      = Democratic Unionist Party
+  |candidate  = [[Jim Shannon]]
+  |votes      = 17,705
+  |percentage = 47.2
+  |change     = −12.8
+}}
+{{Election box candidate
+  |party      = Alliance Party of Northern Ireland
+  |candidate  = Kellie Armstrong
+  |votes      = 10,634
+  |percentage = 28.4
+  |change     = +14.7
+}}
+{{Election box majority
+  |votes      = 7,071
+  |percentage = 18.8
+  |change     = −27.7
+}}
+{{Election box turnout
+  |votes      = 37,485
+  |percentage = 56.8
+  |change     = −3.3
+}}
+{{Election box registered electors
+  |reg. electors = 66,006
+}}
+{{Election box hold with party link
+  |winner     = Democratic Unionist Party
+  |swing      = −13.8
+}}
+{{Election box end}}`
+  let doc = wtf(str)
+  t.equal(doc.template().json().title, 'General election 2019: Strangford', 'template has title')
+  let arr = doc.elections()
+  t.equal(arr.length, 1, 'one election')
+  let res = arr[0]
+  t.equal(res.source, 'election box', 'source')
+  t.equal(res.title, 'General election 2019: Strangford', 'title')
+  t.equal(res.candidates.length, 2, 'with-party-link candidates too')
+  t.deepEqual(
+    res.candidates[0],
+    {
+      candidate: 'Jim Shannon',
+      party: 'Democratic Unionist Party',
+      votes: 17705,
+      percent: 47.2,
+      swing: -12.8,
+      seats: null,
+      elected: true,
+      color: null,
+    },
+    'first candidate'
+  )
+  t.equal(res.candidates[1].elected, false, 'second not elected')
+  t.deepEqual(res.turnout, { votes: 37485, percent: 56.8, swing: -3.3 }, 'turnout')
+  t.deepEqual(res.majority, { votes: 7071, percent: 18.8, swing: -27.7 }, 'majority')
+  t.equal(res.electorate, 66006, 'electorate')
+  t.equal(res.result, 'hold', 'hold')
+  t.equal(res.swing, -13.8, 'swing')
+  t.end()
+})
+
+test('election infobox', (t) => {
+  let str = `{{Infobox election
+| election_name = 2019 Canadian federal election
+| turnout = 67.0% ({{increase}} 0.7 pp)
+| candidate1 = [[Justin Trudeau]]
+| party1 = Liberal Party of Canada
+| colour1 = D71920
+| seats1 = 157
+| popular_vote1 = 6,018,728
+| percentage1 = 33.12%
+| swing1 = {{decrease}} 6.35 pp
+| candidate2 = [[Andrew Scheer]]
+| party2 = Conservative Party of Canada
+| seats2 = 121
+| popular_vote2 = 6,239,227
+| percentage2 = 34.34%
+| swing2 = {{increase}} 2.45 pp
+| after_election = Justin Trudeau
+| after_party = Liberal Party of Canada
+}}`
+  let res = wtf(str).elections()[0]
+  t.equal(res.source, 'infobox', 'source')
+  t.equal(res.title, '2019 Canadian federal election', 'title')
+  t.equal(res.turnout.percent, 67, 'turnout')
+  let [a, b] = res.candidates
+  t.equal(a.candidate, 'Justin Trudeau', 'candidate')
+  t.equal(a.votes, 6018728, 'votes')
+  t.equal(a.percent, 33.12, 'percent')
+  t.equal(a.swing, -6.35, 'decrease is negative')
+  t.equal(b.swing, 2.45, 'increase is positive')
+  t.equal(a.seats, 157, 'seats')
+  t.equal(a.color, 'D71920', 'colour')
+  t.equal(a.elected, true, 'elected')
+  t.equal(b.elected, false, 'not elected')
+  t.end()
+})
+
+test('election tables', (t) => {
+  let str = `==Results==
+{| class="wikitable"
+|+ Results by party
+! colspan=2 | Party !! Votes !! % !! ±
+|-
+| style="background-color:#D71920" | || [[Liberal Party of Canada|Liberal]] || 6,018,728 || 33.12 || −6.35
+|-
+| style="background-color:#1A4782" | || [[Conservative Party of Canada|Conservative]] || 6,239,227 || 34.34 || +2.45
+|-
+| colspan=2 | Total || 18,170,880 || 100.00 ||
+|}
+
+==Mayor==
+{| class="wikitable"
+! Candidate !! Votes !! %
+|-
+| [[John Tory]] || 479,659 || 63.49
+|-
+| Jennifer Keesmaat || 178,193 || 23.59
+|-
+| Turnout || 755,477 || 41.0
+|}
+
+==Other==
+{| class="wikitable"
+! Year !! Population
+|-
+| 2016 || 2,731,571
+|}`
+  let arr = wtf(str).elections()
+  t.equal(arr.length, 2, 'two election tables')
+  let [parties, mayor] = arr
+  t.equal(parties.source, 'table', 'source')
+  t.equal(parties.title, 'Results by party', 'caption is title')
+  t.equal(parties.candidates.length, 2, 'total row is not a party')
+  t.equal(parties.candidates[0].party, 'Liberal', 'party')
+  t.equal(parties.candidates[0].color, '#D71920', 'party colour')
+  t.equal(parties.candidates[0].swing, -6.35, 'swing')
+  t.equal(parties.candidates[1].votes, 6239227, 'votes')
+  t.equal(parties.candidates[0].elected, null, 'unknown who won')
+
+  t.equal(mayor.title, 'Mayor', 'section title')
+  t.equal(mayor.candidates[0].candidate, 'John Tory', 'candidate')
+  t.equal(mayor.candidates[0].elected, true, 'most votes is elected')
+  t.equal(mayor.candidates[1].elected, false, 'runner-up')
+  t.deepEqual(mayor.turnout, { votes: 755477, percent: 41, swing: null }, 'turnout row')
+  t.end()
+})
@@ -0,0 +1,110 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+const templates = {
+  Hello: 'Hello {{{1|world}}}!<noinclude>[[Category:Greeting templates]]</noinclude>',
+  Wrap: '<includeonly>{{Hello|{{{name}}}}}</includeonly><noinclude>some docs</noinclude>',
+  Only: 'junk<onlyinclude>{{#if:{{{x|}}}|yes|no}}</onlyinclude>more junk',
+  Loop: 'a {{Loop}}',
+  Sw: '{{#switch: {{{1}}} | a | b = AB | c = C | #default = D}}',
+  List: '* one\n* two',
+}
+
+const expand = async (str) => {
+  let doc = await wtf.expand(str, { resolver: templates, title: 'Talk:Foo bar/baz' })
+  return doc.toWikitext()
+}
+
+test('expand-templates', async (t) => {
+  let arr = [
+    ['{{hello}}', 'Hello world!'],
+    ['{{Hello|there}}', 'Hello there!'],
+    ['{{template:hello| x }}', 'Hello  x !'],
+    ['{{Hello|a=b}}', 'Hello world!'],
+    ['{{Hello|[[a|b]]}}', 'Hello [[a|b]]!'],
+    ['{{ {{lc:HELLO}} }}', 'Hello world!'],
+    ['{{Wrap|name=Bob}}', 'Hello Bob!'],
+    ['{{Only|x=1}}', 'yes'],
+    ['{{Only}}', 'no'],
+    ['{{Loop}}', 'a {{Loop}}'],
+    ['{{sw|a}}', 'AB'],
+    ['{{sw|b}}', 'AB'],
+    ['{{sw|c}}', 'C'],
+    ['{{sw|z}}', 'D'],
+    ['x\n{{List}}', 'x\n\n* one\n* two'],
+    ['{{cite web|title={{uc:t}}}}', '{{cite web|title=T}}'],
+    ['{{#invoke:foo|bar}}', '{{#invoke:foo|bar}}'],
+    ['[[Foo|{{Hello}}]]', '[[Foo|Hello world!]]'],
+  ]
+  for (const a of arr) {
+    t.equal(await expand(a[0]), a[1], a[0])
+  }
+  t.end()
+})
+
+test('expand-parser-functions', async (t) => {
+  let arr = [
+    ['{{#if: x | yes | no}}', 'yes'],
+    ['{{#if: | yes | no}}', 'no'],
+    ['{{#if: {{{1|}}} | yes }}', ''],
+    ['{{#ifeq: 01 | 1 | same | diff}}', 'same'],
+    ['{{#ifeq: a | b | same | diff}}', 'diff'],
+    ['{{#switch: x | x | y = XY }}', 'XY'],
+    ['{{#switch: q | a = 1 | fallback }}', 'fallback'],
+    ['{{#switch: 1.0 | 1 = one | two }}', 'one'],
+    ['{{#expr: 2*(3+4)}}', '14'],
+    ['{{#expr: 10 mod 3}}', '1'],
+    ['{{#expr: 2^3^2}}', '64'],
+    ['{{#expr: 3.14159 round 2}}', '3.14'],
+    ['{{#expr: 1 and 0 or 1}}', '1'],
+    ['{{#expr: 1/0}}', '<strong class="error">Expression error: Division by zero.</strong>'],
+    ['{{#ifexpr: 2 > 1 | big | small}}', 'big'],
+    ['{{#iferror: {{#expr: 1/0}} | bad | good}}', 'bad'],
+    ['{{#iferror: {{#expr: 1/1}} | bad | good}}', 'good'],
+  ]
+  for (const a of arr) {
+    t.equal(await expand(a[0]), a[1], a[0])
+  }
+  t.end()
+})
+
+test('expand-magic-words', async (t) => {
+  let arr = [
+    ['{{lc:FOO}} {{uc:bar}} {{ucfirst:baz}} {{lcfirst:ABC}}', 'foo BAR Baz aBC'],
+    ['{{PAGENAME}}', 'Foo bar/baz'],
+    ['{{NAMESPACE}}', 'Talk'],
+    ['{{FULLPAGENAME}}', 'Talk:Foo bar/baz'],
+    ['{{BASEPAGENAME}}', 'Foo bar'],
+    ['{{SUBPAGENAME}}', 'baz'],
+    ['{{PAGENAMEE}}', 'Foo_bar/baz'],
+    ['{{padleft:7|3}}', '007'],
+    ['{{padright:ab|5|-}}', 'ab---'],
+    ['{{urlencode:a b&c}}', 'a+b%26c'],
+    ['{{formatnum:1234567.5}}', '1,234,567.5'],
+    ['a{{!}}b', 'a|b'],
+    ['{{{1|def}}} {{{2}}}', 'def {{{2}}}'],
+    ['<nowiki>{{Hello}}</nowiki>', '<nowiki>{{Hello}}</nowiki>'],
+  ]
+  for (const a of arr) {
+    t.equal(await expand(a[0]), a[1], a[0])
+  }
+  t.end()
+})
+
+test('expand-then-parse', async (t) => {
+  let resolver = (name) => {
+    if (name === 'Band') {
+      return Promise.resolve("'''{{{1}}}''' is a [[{{{genre|rock}}} band]] from {{{2}}}.")
+    }
+    return null
+  }
+  let doc = await wtf.expand('{{Band|Rush|[[Toronto]]}} They formed in {{birth date|1968|1|1}}.', { resolver })
+  t.equal(doc.sentence(0).text(), 'Rush is a rock band from Toronto.', 'first sentence')
+  t.equal(doc.link(0).page(), 'rock band', 'link from template')
+  t.equal(doc.link(1).page(), 'Toronto', 'link from param')
+  t.equal(doc.templates().length, 1, 'unknown template left for the parser')
+
+  doc = await wtf.expand('no templates here', {})
+  t.equal(doc.text(), 'no templates here', 'no resolver')
+  t.end()
+})
@@ -55,3 +55,24 @@ test('extend infoboxes', (t) => {
   t.equal(wtf(str).infoboxes().length, 1, 'found infobox')
   t.end()
 })
+
+test('extend infobox schemas', (t) => {
+  let str = `{{Infobox ship
+| Ship name = HMS Victory
+| Ship launched = 7 May 1765
+}}`
+  t.equal(wtf(str).infobox().normalized(), null, 'no schema yet')
+  wtf.extend((models, templates, infoboxes, schemas) => {
+    schemas.ship = {
+      templates: { en: ['ship'] },
+      fields: {
+        name: { type: 'text', aliases: ['ship name'] },
+        launched: { type: 'date', aliases: ['ship launched'], de: ['stapellauf'] },
+      },
+    }
+  })
+  let obj = wtf(str).infobox().normalized()
+  t.equal(obj.name.value, 'HMS Victory', 'found name')
+  t.equal(obj.launched.value, '1765-05-07', 'found date')
+  t.end()
+})
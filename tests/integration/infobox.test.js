@@ -74,3 +74,123 @@ test('nested-london-infobox', function (t) {
   t.equal(obj[`name`], 'hello', 'found name val')
   t.end()
 })
+
+test('infobox-typed', function (t) {
+  let str = `{{Infobox settlement
+| name = Toronto
+| population_total = 2,794,356 (2021)
+| population_metro = 6.2 million
+| area_total_km2 = 630.2
+| elevation_m = 76
+| coordinates = {{coord|43|39|N|79|23|W|display=inline,title}}
+| established_date = {{start date|1834|3|6}}
+| website = {{URL|toronto.ca}}
+| leader_name = {{ubl|[[Olivia Chow]]|Jane Doe}}
+| neighbourhoods = {{plainlist|
+* [[Yorkville]]
+* [[The Annex]]
+}}
+| founded = March 6, 1834
+| height = 1.85 m
+| children = 416, 647
+}}`
+  let box = wtf(str).infobox()
+  let obj = box.typed()
+  t.deepEqual(obj.name, { type: 'text', value: 'Toronto', text: 'Toronto' }, 'text')
+  t.equal(obj.population_total.type, 'number', 'population is a number')
+  t.equal(obj.population_total.value, 2794356, 'population value')
+  t.equal(obj.population_total.text, '2,794,356 (2021)', 'kept original text')
+  t.equal(obj.population_metro.value, 6200000, 'scale word')
+  t.equal(obj.area_total_km2.value, 630.2, 'area value')
+  t.equal(obj.area_total_km2.unit, 'km2', 'unit from key')
+  t.equal(obj.elevation_m.unit, 'm', 'elevation unit')
+  t.equal(obj.height.value, 1.85, 'height value')
+  t.equal(obj.height.unit, 'm', 'unit from text')
+  t.deepEqual(obj.children, { type: 'list', value: ['416', '647'], text: '416, 647' }, 'list of numbers')
+  t.equal(obj.coordinates.type, 'coordinates', 'coord type')
+  t.deepEqual(obj.coordinates.value, { lat: 43.65, lon: -79.38333 }, 'coord value')
+  t.deepEqual(obj.established_date, { type: 'date', value: '1834-03-06', text: obj.established_date.text }, 'date template')
+  t.equal(obj.founded.type, 'date', 'written date')
+  t.equal(obj.founded.value, '1834-03-06', 'written date value')
+  t.deepEqual(obj.website, { type: 'url', value: 'http://toronto.ca', text: 'toronto.ca' }, 'url')
+  t.deepEqual(obj.leader_name.value, ['Olivia Chow', 'Jane Doe'], 'ubl list')
+  t.deepEqual(obj.neighbourhoods.value, ['Yorkville', 'The Annex'], 'plainlist')
+  //from one property
+  t.equal(box.get('population_total').value().value, 2794356, 'get().value()')
+  t.deepEqual(box.get('nope').value(), { type: 'text', value: '', text: '' }, 'missing key')
+  t.end()
+})
+
+test('infobox-typed-br-lists', function (t) {
+  let str = `{{Infobox person
+| name = Jane Doe
+| occupation = Baker<br>Writer
+| genre = Poetry<br/>Fiction
+| known_for = Bread<br />Books
+}}
+She was a baker.<br>And a writer.`
+  let doc = wtf(str)
+  let obj = doc.infobox().typed()
+  t.deepEqual(obj.occupation.value, ['Baker', 'Writer'], '<br>')
+  t.equal(obj.occupation.text, 'Baker Writer', 'text is unchanged')
+  t.deepEqual(obj.genre.value, ['Poetry', 'Fiction'], '<br/>')
+  t.deepEqual(obj.known_for.value, ['Bread', 'Books'], '<br />')
+  t.equal(doc.text(), 'She was a baker. And a writer.', 'no marker in the text')
+  t.end()
+})
+
+test('infobox-normalized', function (t) {
+  let box = wtf(`{{Infobox person
+| name = Ada Lovelace
+| born = {{birth date|1815|12|10|df=y}}
+| place_of_birth = [[London]]
+| died = 27 November 1852
+| occupation = {{hlist|Mathematician|writer}}
+| unknown_param = foo
+}}`).infobox()
+  t.equal(box.schema(), 'person', 'person schema')
+  let obj = box.normalized()
+  t.deepEqual(Object.keys(obj), ['name', 'birth_date', 'birth_place', 'death_date', 'occupation'], 'canonical keys')
+  t.equal(obj.birth_date.value, '1815-12-10', 'born -> birth_date')
+  t.equal(obj.birth_place.value, 'London', 'place_of_birth -> birth_place')
+  t.equal(obj.death_date.value, '1852-11-27', 'died -> death_date')
+  t.deepEqual(obj.occupation.value, ['Mathematician', 'writer'], 'occupation list')
+
+  //localized ones
+  box = wtf(`{{Infobox Unternehmen
+| Name = Siemens
+| Gründungsdatum = 12. Oktober 1847
+| Mitarbeiterzahl = 320.000
+| Sitz = [[München]]
+}}`).infobox()
+  t.equal(box.schema(), 'company', 'de company')
+  obj = box.normalized()
+  t.equal(obj.founded.value, '1847-10-12', 'de founded')
+  t.equal(obj.employees.value, 320000, 'de number-format')
+  t.equal(obj.headquarters.text, 'München', 'de headquarters')
+
+  box = wtf(`{{Infobox Commune de France
+| nom = Lyon
+| population = 522 250
+| superficie = 47,87
+}}`).infobox()
+  obj = box.normalized()
+  t.equal(box.schema(), 'settlement', 'fr settlement')
+  t.equal(obj.population.value, 522250, 'fr population')
+  t.equal(obj.area.value, 47.87, 'fr decimal')
+
+  box = wtf(`{{Ficha de película
+| título = Roma
+| dirección = [[Alfonso Cuarón]]
+| estreno = 2018
+}}`).infobox()
+  t.equal(box.schema(), 'film', 'es film')
+  t.deepEqual(box.normalized().name.value, 'Roma', 'es title')
+
+  box = wtf(`{{Infobox galaxy
+| name = Andromeda Galaxy
+}}`).infobox()
+  t.equal(box.schema(), null, 'no schema')
+  t.equal(box.normalized(), null, 'no normalized data')
+  t.end()
+})
@@ -99,7 +99,9 @@ test('plurals / singular - all should exist', (t) => {
                     "The Club's move in 1997 to its current location at 201 E. Ontario Street was not without controversy because the club demolished its former interior space designed by Ludwig Mies van der Rohe and moved only the central staircase to the new gallery space.",
                   links: [{ type: 'internal', page: 'Ludwig Mies van der Rohe' }],
                 },
-                { text: 'However, the new space is 19000 sqft, which is 7000 sqft larger than the old space.' },
+                {
+                  text: 'However, the new space is 19,000 square feet (1,800 m2), which is 7,000 square feet (650 m2) larger than the old space.',
+                },
               ],
             },
           ],
@@ -115,6 +117,8 @@ test('plurals / singular - all should exist', (t) => {
               lat: 41.89327,
               lon: -87.62251,
             },
+            { template: 'convert', value: 19000, unit: 'sqft', si: { value: 1765.15776, unit: 'm2' } },
+            { template: 'convert', value: 7000, unit: 'sqft', si: { value: 650.32128, unit: 'm2' } },
           ],
           infoboxes: [
             {
@@ -98,3 +98,70 @@ test('ordered list', function (t) {
   t.equal(doc.text(), '1. first item\n\n2. second item\n\n3. third item', 'text 4')
   t.end()
 })
+
+test('nested list items', function (t) {
+  let str = `Intro.
+
+* one [[Apple]]
+** one-a
+** one-b
+*** deep
+* two
+# first
+# second
+#* bullet under second
+# third`
+  let list = wtf(str).list()
+  t.deepEqual(
+    list.lines().map((s) => s.text()),
+    ['one Apple', 'one-a', 'one-b', 'deep', 'two', '1) first', '2) second', '3) * bullet under second', '4) third'],
+    'lines are unchanged'
+  )
+  let items = list.items()
+  t.equal(items.length, 9, 'every item')
+  t.deepEqual(
+    items.map((item) => item.depth()),
+    [1, 2, 2, 3, 1, 1, 1, 2, 1],
+    'depths'
+  )
+  let tree = list.tree()
+  t.equal(tree.length, 5, 'top-level items')
+  t.equal(tree[0].children().length, 2, 'children')
+  t.equal(tree[0].children()[1].children()[0].text(), 'deep', 'grand-child')
+  t.equal(tree[0].children()[0].parent(), tree[0], 'parent')
+  t.equal(tree[0].links()[0].page(), 'Apple', 'item links')
+  t.equal(tree[1].type(), 'unordered', 'unordered')
+  t.equal(tree[3].type(), 'ordered', 'ordered')
+  t.equal(tree[3].text(), 'second', 'no number in text')
+  t.deepEqual(
+    tree.map((item) => item.number()),
+    [null, null, 1, 2, 3],
+    'numbers'
+  )
+  t.equal(tree[3].children()[0].type(), 'unordered', 'bullet under a number')
+  t.end()
+})
+
+test('definition list items', function (t) {
+  let str = `Intro.
+
+; Term : its [[definition]]
+; Other term
+: def one
+: def two
+; Website : http://example.com`
+  let items = wtf(str).list().items()
+  t.equal(items.length, 3, 'three terms')
+  t.equal(items[0].type(), 'definition', 'type')
+  t.equal(items[0].term().text(), 'Term', 'inline term')
+  t.equal(items[0].definition().text(), 'its definition', 'inline definition')
+  t.equal(items[0].definition().links()[0].page(), 'definition', 'definition link')
+  t.equal(items[1].term().text(), 'Other term', 'term')
+  t.deepEqual(
+    items[1].definitions().map((s) => s.text()),
+    ['def one', 'def two'],
+    'definitions on the next lines'
+  )
+  t.equal(items[2].definition().text(), 'http://example.com', 'colon in url')
+  t.end()
+})
@@ -54,9 +54,9 @@ test('misc templates', (t) => {
   const arr = [
     [`hello {{refn|group=groupname|name=name|Contents of the footnote}} world`, 'hello world'],
     [`hello {{tag|ref|content=haha}} world`, 'hello <ref >haha</ref> world'],
-    [`{{convert|70|m}}`, '70 m'],
-    [`{{convert|7|and|8|km}}`, '7 and 8 km'],
-    [`{{convert|7|to|8|mi}}`, '7 to 8 mi'],
+    [`{{convert|70|m}}`, '70 metres (230 ft)'],
+    [`{{convert|7|and|8|km}}`, '7 and 8 kilometres (4.3 and 5.0 mi)'],
+    [`{{convert|7|to|8|mi}}`, '7 to 8 miles (11 to 13 km)'],
     [`{{ill|Joke|fr|Blague|hu|Vicc|de|Witz}}`, 'Joke'],
     [`hello {{small|2 February}}`, 'hello 2 February'],
     [`{{tiw|Hatnote}}`, 'Hatnote'],
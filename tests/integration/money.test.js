@@ -0,0 +1,85 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+test('money in sentences', (t) => {
+  let doc = wtf(`It made $1.2 billion in 1990, and spent {{GBP|5 million}} (2001).
+* a prize of 5,000 euros`)
+  let arr = doc.money()
+  t.equal(arr.length, 3, 'three amounts')
+  t.deepEqual(
+    [arr[0].amount, arr[0].currency, arr[0].scale, arr[0].year],
+    [1200000000, 'USD', 'billion', null],
+    'dollars'
+  )
+  t.deepEqual([arr[1].amount, arr[1].currency, arr[1].year], [5000000, 'GBP', 2001], 'pounds, with a year')
+  t.equal(arr[1].text, 'GB£5 million', 'text')
+  t.equal(arr[1].sentence.text(), 'It made $1.2 billion in 1990, and spent GB£5 million (2001).', 'sentence')
+  t.deepEqual([arr[2].amount, arr[2].currency], [5000, 'EUR'], 'in a list')
+  t.deepEqual(wtf('in 2019 the $ rose 5%').money(), [], 'no amount')
+  t.end()
+})
+
+test('money in infoboxes', (t) => {
+  let doc = wtf(`{{Infobox company
+| name = Microsoft Corporation
+| revenue = {{Increase}} {{US$|89.95&nbsp;billion|link=yes}}
+| revenue_year = 2017
+| operating_income = {{Increase}} {{US$|22.27&nbsp;billion}}
+| income_year = 2017
+| num_employees = 124,000
+}}
+{{Infobox film
+| name = Jaws
+| budget = 9 million
+| gross = $476.5 million
+}}`)
+  let arr = doc.money()
+  t.equal(arr.length, 4, 'four amounts')
+  t.deepEqual(
+    [arr[0].amount, arr[0].currency, arr[0].year],
+    [89950000000, 'USD', 2017],
+    'revenue, with its year'
+  )
+  t.equal(arr[1].year, 2017, 'income_year')
+  t.deepEqual([arr[2].amount, arr[2].currency, arr[2].scale], [9000000, null, 'million'], 'budget with no currency')
+
+  let typed = doc.infobox(0).typed()
+  t.deepEqual(
+    typed.revenue,
+    {
+      type: 'money',
+      value: { amount: 89950000000, currency: 'USD', year: 2017, scale: 'billion' },
+      text: 'US$89.95 billion',
+    },
+    'typed revenue'
+  )
+  t.equal(typed.num_employees.type, 'number', 'employees are not money')
+  t.equal(doc.infobox(1).normalized().gross.value.amount, 476500000, 'normalized gross')
+  t.end()
+})
+
+test('money on other wikis', (t) => {
+  let doc = wtf(`{{Infobox Unternehmen
+| Name = Beispiel AG
+| Umsatz = 1,2 Mrd. Euro (2019)
+}}`)
+  let money = doc.infobox().normalized().revenue.value
+  t.deepEqual(money, { amount: 1200000000, currency: 'EUR', year: 2019, scale: 'billion' }, 'de revenue')
+  t.end()
+})
+
+test('money in templates', (t) => {
+  let doc = wtf(`It cost {{Inflation|US|100|1990}} then, and sold for {{Format price|1234567}}. It made {{US$|7 million}}.`)
+  let arr = doc.money()
+  t.equal(arr.length, 3, 'three amounts')
+  t.deepEqual([arr[1].amount, arr[1].currency, arr[1].year], [100, 'USD', 1990], 'inflation')
+  t.deepEqual([arr[2].amount, arr[2].scale, arr[2].text], [1234567, 'million', '1.23 million'], 'format price')
+  t.equal(arr[2].sentence.text(), 'It cost 100 then, and sold for 1.23 million.', 'sentence')
+  //the template's year, for an amount found in the text
+  arr = wtf(`It cost US\${{Inflation|US|100|1990}} then.`).money()
+  t.equal(arr.length, 1, 'one amount')
+  t.deepEqual([arr[0].amount, arr[0].currency, arr[0].year, arr[0].text], [100, 'USD', 1990, 'US$100'], 'inflation year')
+  arr = wtf(`It cost {{INRConvert|50|c}}.`).money()
+  t.deepEqual([arr.length, arr[0].amount, arr[0].scale], [1, 500000000, 'crore'], 'INRConvert scale')
+  t.end()
+})
@@ -0,0 +1,98 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+const str = `{{Infobox person
+| name = Toronto Guy
+| birth_place = [[Toronto]]
+}}
+'''Toronto Guy''' is a [[person]] from [[Toronto|the city]].<ref name="a">{{cite web|title=Foo|url=http://x.com}}</ref> He was born {{birth date|1950|3|2}}.
+
+[[File:Cat.jpg|thumb|A cat]]
+He also [[likes]] [http://dogs.com dogs].
+
+== History ==
+* one [[item]]
+* two
+Some history here.<ref>plain ref</ref>
+
+{| class="wikitable"
+! a !! b
+|-
+| 1 || 2
+|}
+Last sentence.
+[[Category:People]]`
+
+const slice = (o) => str.slice(o.start, o.end)
+
+test('offsets-off-by-default', (t) => {
+  let doc = wtf(str)
+  t.equal(doc.section(0).offset(), null, 'no section offset')
+  t.equal(doc.sentence(0).offset(), null, 'no sentence offset')
+  t.equal(doc.link(1).offset(), null, 'no link offset')
+  t.equal(doc.json().sections[0].offset, undefined, 'no offset in json')
+  t.end()
+})
+
+test('offsets', (t) => {
+  let doc = wtf(str, { offsets: true })
+  let sections = doc.sections()
+  t.equal(slice(sections[0].offset()).slice(0, 16), '{{Infobox person', 'section 0 start')
+  t.equal(slice(sections[1].offset()).slice(0, 13), '== History ==', 'section 1 start')
+  t.equal(slice(sections[1].offset()).trim().slice(-14), 'Last sentence.', 'section 1 end')
+
+  let paragraphs = doc.paragraphs()
+  t.equal(slice(paragraphs[1].offset()), '[[File:Cat.jpg|thumb|A cat]]\nHe also [[likes]] [http://dogs.com dogs].', 'paragraph')
+
+  let sentences = doc.sentences()
+  t.equal(slice(sentences[0].offset()), "'''Toronto Guy''' is a [[person]] from [[Toronto|the city]].", 'sentence 0')
+  t.equal(slice(sentences[1].offset()), 'He was born {{birth date|1950|3|2}}.', 'sentence 1')
+  t.equal(slice(sentences[2].offset()), 'He also [[likes]] [http://dogs.com dogs].', 'sentence 2')
+  t.equal(slice(sentences[4].offset()), 'Last sentence.', 'last sentence')
+
+  let link = doc.link('person')
+  t.equal(slice(link.offset()), '[[person]]', 'link')
+  let ext = doc.links().find((l) => l.type() === 'external')
+  t.equal(slice(ext.offset()), '[http://dogs.com dogs]', 'external link')
+
+  let tmpl = doc.templates().find((o) => o.wikitext().match(/birth date/))
+  t.equal(slice(tmpl.offset()), '{{birth date|1950|3|2}}', 'template')
+
+  let refs = doc.references()
+  t.equal(slice(refs[0].offset()), '<ref name="a">{{cite web|title=Foo|url=http://x.com}}</ref>', 'named reference')
+  t.equal(slice(refs[1].offset()), '<ref>plain ref</ref>', 'reference')
+
+  t.equal(slice(doc.table().offset()), '{| class="wikitable"\n! a !! b\n|-\n| 1 || 2\n|}', 'table')
+  t.equal(slice(doc.image().offset()), '[[File:Cat.jpg|thumb|A cat]]', 'image')
+  t.equal(slice(doc.infobox().offset()).slice(-30), '| birth_place = [[Toronto]]\n}}', 'infobox')
+  t.equal(slice(doc.list().offset()), '* one [[item]]\n* two', 'list')
+  t.equal(slice(doc.list().lines()[0].offset()), 'one [[item]]', 'list line')
+  t.end()
+})
+
+test('offsets-in-json', (t) => {
+  let doc = wtf(str, { offsets: true })
+  let json = doc.json()
+  let section = json.sections[0]
+  t.deepEqual(section.offset, doc.section(0).offset(), 'section json')
+  t.deepEqual(section.paragraphs[0].offset, doc.paragraph(0).offset(), 'paragraph json')
+  t.deepEqual(section.paragraphs[0].sentences[0].offset, doc.sentence(0).offset(), 'sentence json')
+  t.deepEqual(section.paragraphs[0].sentences[0].links[0].offset, doc.link('person').offset(), 'link json')
+  t.deepEqual(section.images[0].offset, doc.image().offset(), 'image json')
+  t.deepEqual(section.references[0].offset, doc.reference().offset(), 'reference json')
+  let tmpl = doc.templates().find((o) => o.wikitext().match(/birth date/))
+  t.deepEqual(tmpl.json().offset, tmpl.offset(), 'template json')
+  t.ok(section.templates.find((o) => o.offset), 'section templates json')
+  t.ok(Array.isArray(doc.table().json()), 'table json is still just its rows')
+  t.end()
+})
+
+test('offsets-after-preprocess', (t) => {
+  let wiki = `<!-- a comment -->Hello [[world]]. <gallery>\nFile:A.jpg\n</gallery>\n__NOTOC__\nIt is {{nowrap|big}} here.`
+  let doc = wtf(wiki, { offsets: true })
+  let link = doc.link('world')
+  t.equal(wiki.slice(link.offset().start, link.offset().end), '[[world]]', 'link after comment')
+  let s = doc.sentences()[1]
+  t.equal(wiki.slice(s.offset().start, s.offset().end), 'It is {{nowrap|big}} here.', 'sentence after gallery')
+  t.end()
+})
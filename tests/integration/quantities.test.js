@@ -0,0 +1,76 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+test('convert-text', (t) => {
+  let arr = [
+    ['{{convert|70|m}}', '70 metres (230 ft)'],
+    ['{{convert|100|km|mi}}', '100 kilometres (62 mi)'],
+    ['{{convert|5280|ft|m}}', '5,280 feet (1,610 m)'],
+    ['{{convert|1970|acre|ha}}', '1,970 acres (800 ha)'],
+    ['{{convert|20|C|F}}', '20 °C (68 °F)'],
+    ['{{convert|100|C}}', '100 °C (212 °F)'],
+    ['{{convert|5|ft|10|in}}', '5 feet 10 inches (1.78 m)'],
+    ['{{convert|7|to|8|mi|km}}', '7 to 8 miles (11 to 13 km)'],
+    ['{{convert|10|-|20|km}}', '10–20 kilometres (6.2–12.4 mi)'],
+    ['{{convert|10|km|adj=on}}', '10-kilometre (6.2 mi)'],
+    ['{{convert|70|m|ft|disp=flip}}', '230 feet (70 m)'],
+    ['{{convert|70|m|ft|disp=or}}', '70 metres or 230 feet'],
+    ['{{convert|70|m|ft yd}}', '70 metres (230 ft; 77 yd)'],
+    ['{{convert|1.5|m|ft in}}', '1.5 metres (4 ft 11 in)'],
+    ['{{convert|70|m|abbr=on}}', '70 m (230 ft)'],
+    ['{{cvt|70|m}}', '70 m (230 ft)'],
+    ['{{height|m=1.80}}', '1.80 m (5 ft 11 in)'],
+    ['{{height|ft=6|in=2}}', '6 ft 2 in (1.88 m)'],
+    ['{{height|meter=1.77}}', '1.77 m (5 ft 10 in)'],
+    ['{{km to mi|10}}', '10 kilometres (6.2 mi)'],
+    ['{{convert|12|furlong}}', '12 furlong'],
+  ]
+  arr.forEach((a) => {
+    t.equal(wtf(a[0]).text(), a[1], a[0])
+  })
+  t.end()
+})
+
+test('convert-data', (t) => {
+  let doc = wtf(`The peak is {{convert|8848|m|ft}} high, and the trail is {{cvt|10|to|20|km}} long.`)
+  let arr = doc.templates().map((tmpl) => tmpl.json())
+  t.deepEqual(
+    arr[0],
+    { template: 'convert', value: 8848, unit: 'm', si: { value: 8848, unit: 'm' } },
+    'convert data'
+  )
+  t.deepEqual(arr[1].range, [10, 20], 'range')
+  t.deepEqual(arr[1].si, { value: 10000, unit: 'm', range: [10000, 20000] }, 'si range')
+  //keep the params, if it can't be converted
+  let json = wtf('{{height|metre=tall}}').templates()[0].json()
+  t.deepEqual(json, { template: 'height', metre: 'tall' }, 'unconverted height')
+  t.end()
+})
+
+test('doc.quantities()', (t) => {
+  let doc = wtf(`The space is {{convert|19000|sqft|m2}}, and it weighs {{convert|3|lb|kg}}.
+* {{height|ft=6|in=2}}`)
+  let arr = doc.quantities()
+  t.equal(arr.length, 3, 'three quantities')
+  t.deepEqual([arr[0].value, arr[0].unit], [19000, 'sqft'], 'area')
+  t.deepEqual(arr[0].si, { value: 1765.15776, unit: 'm2' }, 'area in si')
+  t.equal(arr[0].text, '19,000 square feet (1,800 m2)', 'text')
+  t.deepEqual(arr[1].si, { value: 1.360777, unit: 'kg' }, 'mass in si')
+  t.equal(arr[2].template, 'height', 'height template')
+  t.deepEqual(wtf('no measurements here').quantities(), [], 'none')
+  t.end()
+})
+
+test('typed quantity in infobox', (t) => {
+  let doc = wtf(`{{Infobox mountain
+| name = Mount Everest
+| elevation_m = {{convert|8848|m|ft}}
+| length = 12 km
+}}`)
+  let typed = doc.infobox().typed()
+  t.equal(typed.elevation_m.type, 'quantity', 'quantity type')
+  t.deepEqual(typed.elevation_m.value, { value: 8848, unit: 'm', si: { value: 8848, unit: 'm' } }, 'quantity value')
+  t.equal(typed.elevation_m.text, '8,848 metres (29,030 ft)', 'quantity text')
+  t.equal(typed.length.type, 'number', 'written measurement is still a number')
+  t.end()
+})
@@ -71,6 +71,86 @@ test('inline-test', (t) => {
   t.equal(refs[1].date, 'August 2003', 'got data 2')
   t.end()
 })
+test('named and re-used refs', (t) => {
+  const str = `Foo is a thing.<ref name="a">{{cite web|title=Alpha}}</ref> Bar is too.<ref name="b" /> Baz is.<ref>plain one</ref><ref name="a"/>
+
+A note here.<ref group="note">some note</ref> And more.<ref group="note" name="n2">another note</ref>
+
+== References ==
+{{reflist|refs=
+<ref name="b">{{cite web|title=Beta}}</ref>
+<ref name="unused">{{cite web|title=Gamma}}</ref>
+}}`
+  const doc = wtf(str)
+  let a = doc.references().find((r) => r.name() === 'a')
+  t.equal(a.title(), 'Alpha', 'name')
+  t.equal(a.number(), 1, 'first number')
+  t.equal(a.group(), null, 'no group')
+  let sentences = doc.sentences()
+  t.deepEqual(
+    sentences[1].references().map((r) => r.title()),
+    ['Beta'],
+    'resolved reuse from reflist'
+  )
+  t.equal(sentences[1].references()[0].number(), 2, 'reflist number by first-use')
+  t.deepEqual(
+    sentences[2].references().map((r) => r.number()),
+    [3, 1],
+    'two refs in one sentence'
+  )
+  t.equal(sentences[2].references()[1], a, 'reuse is the same object')
+  t.equal(sentences[3].references()[0].group(), 'note', 'group')
+  t.equal(sentences[3].references()[0].number(), 1, 'numbered within its group')
+  t.equal(sentences[4].references()[0].number(), 2, 'second in group')
+  let unused = doc.references().find((r) => r.name() === 'unused')
+  t.equal(unused.number(), null, 'never-cited ref has no number')
+  t.equal(sentences[0].text(), 'Foo is a thing.', 'text is clean')
+  t.end()
+})
+
+test('ref re-used before its definition', (t) => {
+  const str = `First.<ref name="x" /> Second.<ref>other</ref> Third.<ref name="x">the definition</ref> Fourth.<ref name="x">the definition</ref>`
+  const doc = wtf(str)
+  let s = doc.sentences()
+  t.equal(s[0].references().length, 1, 'found later definition')
+  t.equal(s[0].references()[0].number(), 1, 'numbered where first cited')
+  t.equal(s[1].references()[0].number(), 2, 'next one')
+  t.equal(s[2].references()[0], s[0].references()[0], 'same ref')
+  t.equal(s[3].references()[0], s[0].references()[0], 'duplicate definition resolves to the first')
+  t.equal(doc.references()[2].number(), 1, 'duplicate gets the same number')
+  t.end()
+})
+
+test('refs in lists and infoboxes', (t) => {
+  const str = `{{Infobox person
+| name = Jim<ref name="birth">born here</ref>
+}}
+* one line<ref name="birth"/>
+* two line
+
+<references>
+<ref name="late">late one</ref>
+</references>`
+  const doc = wtf(str)
+  let line = doc.list().lines()[0]
+  t.equal(line.text(), 'one line', 'list text')
+  t.equal(line.references()[0].name(), 'birth', 'list line ref')
+  t.equal(doc.list().lines()[1].references().length, 0, 'no ref')
+  t.equal(doc.infobox().get('name').references()[0].number(), 1, 'infobox value ref')
+  t.equal(doc.infobox().get('name').text(), 'Jim', 'infobox text')
+  t.end()
+})
+
+test('ref offsets', (t) => {
+  const str = `Hello there.<ref name="a">first</ref> Again.<ref name="a"/>`
+  const doc = wtf(str, { offsets: true })
+  let s = doc.sentences()[1]
+  t.equal(str.slice(s.offset().start, s.offset().end), 'Again.', 'sentence offset')
+  let { start, end } = s.references()[0].offset()
+  t.equal(str.slice(start, end), '<ref name="a">first</ref>', 'ref offset')
+  t.end()
+})
+
 // test('inline-test', t => {
 //   const str = `"Through Magic Doorways".<ref name="quote">[http://www.imdb.com/name/nm3225194/ Allen Morris IMDb profile]</ref> `;
 //   const arr = wtf(str).citations();
@@ -0,0 +1,215 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+test('sports football box', (t) => {
+  let str = `{{Football box
+|date = {{Start date|2018|7|15|df=y}}
+|round = [[2018 FIFA World Cup Final|Final]]
+|team1 = {{fb-rt|FRA}}
+|score = 4–2
+|team2 = {{fb|CRO}}
+|goals1 = [[Mario Mandžukić|Mandžukić]] {{goal|18|o.g.}}
+|stadium = [[Luzhniki Stadium]], [[Moscow]]
+|attendance = 78,011
+}}`
+  let match = wtf(str).sports().matches[0]
+  t.equal(match.date, '2018-07-15', 'date')
+  t.equal(match.venue, 'Luzhniki Stadium, Moscow', 'venue')
+  t.equal(match.round, 'Final', 'round')
+  t.deepEqual(match.teams, [{ name: 'France', score: 4 }, { name: 'Croatia', score: 2 }], 'teams')
+  t.equal(match.winner, 'France', 'winner')
+  t.equal(match.attendance, 78011, 'attendance')
+  t.end()
+})
+
+test('sports football box with club flags', (t) => {
+  let str = `{{Football box collapsible
+|date = 28 May 2019
+|team1 = [[Tottenham Hotspur F.C.|Tottenham Hotspur]] {{flagicon|ENG}}
+|score = 0–2
+|team2 = {{flagicon|ENG}} [[Liverpool F.C.|Liverpool]]
+|stadium = [[Metropolitano Stadium]], [[Madrid]]
+}}`
+  let match = wtf(str).sports().matches[0]
+  t.deepEqual(match.teams, [{ name: 'Tottenham Hotspur', score: 0 }, { name: 'Liverpool', score: 2 }], 'teams')
+  t.equal(match.winner, 'Liverpool', 'winner')
+  t.end()
+})
+
+test('sports game logs', (t) => {
+  let str = `{{MLB game log section|month=April|style=|hide=y}}
+|- style="background-color:#ffbbbb"
+| 1 || April 2 || @ [[Kansas City Royals|Royals]] || 7 – 1 || [[Gil Meche|Meche]] (1-0)|| '''[[Curt Schilling|Schilling]]''' (0-1) || || 41,257 || 0-1
+|- style="background-color:#bbffbb"
+| 2 || April 4 || @ [[Kansas City Royals|Royals]] || 7 – 1 || '''[[Josh Beckett|Beckett]]''' (1-0) || [[Odalis Pérez|Pérez]] (0 – 1) || || 22,348 || 1-1
+{{MLB game log section end}}`
+  let matches = wtf(str, { title: 'Boston Red Sox' }).sports().matches
+  t.equal(matches.length, 2, 'two games')
+  t.equal(matches[0].winner, 'Royals', 'lost the first')
+  t.deepEqual(matches[1].teams, [{ name: 'Boston Red Sox', score: 7 }, { name: 'Royals', score: 1 }], 'won the second')
+
+  str = `{{MMA record start}}
+|-
+|{{no2}}Loss
+|align=center|4–5
+|[[Ryan Jimmo]]
+|TKO (punches)
+|PFP: Wanted
+|{{dts|2008|November|29}}
+|align=center|1
+|align=center|2:24
+|[[Dartmouth, Nova Scotia]], Canada
+|
+{{end}}`
+  let bout = wtf(str, { title: 'Jason Day' }).sports().matches[0]
+  t.equal(bout.winner, 'Ryan Jimmo', 'bout winner')
+  t.equal(bout.venue, 'Dartmouth, Nova Scotia, Canada', 'bout venue')
+  t.equal(bout.round, 1, 'bout round')
+  t.equal(bout.date, '2008-11-29', 'bout date')
+  t.end()
+})
+
+test('sports brackets', (t) => {
+  let str = `{{8TeamBracket
+| RD1-seed1 = 1
+| RD1-team1 = Boston
+| RD1-score1 = 4
+| RD1-seed2 = 8
+| RD1-team2 = Montreal
+| RD1-score2 = 3
+| RD1-team3 = A
+| RD1-team4 = B
+| RD1-team5 = C
+| RD1-team6 = D
+| RD1-team7 = E
+| RD1-team8 = F
+| RD2-team1 = Boston
+| RD2-team2 = B
+| RD2-team3 = C
+| RD2-team4 = F
+| RD3-team1 = Boston
+| RD3-score1 = 2
+| RD3-team2 = F
+| RD3-score2 = 1
+}}`
+  let bracket = wtf(str).sports().brackets[0]
+  t.equal(bracket.size, 8, 'size')
+  t.deepEqual(
+    bracket.rounds.map((r) => r.length),
+    [4, 2, 1],
+    'rounds'
+  )
+  t.equal(bracket.rounds[0][1].winner, 'B', 'winner goes-on')
+  t.equal(bracket.champion, 'Boston', 'champion')
+
+  //a 32-team one
+  str = '{{32TeamBracket\n'
+  for (let r = 1; r <= 5; r += 1) {
+    let teams = 32 / Math.pow(2, r - 1)
+    for (let i = 1; i <= teams; i += 1) {
+      str += `| RD${r}-team${String(i).padStart(2, '0')} = Team ${i}\n`
+    }
+  }
+  str += '}}'
+  bracket = wtf(str).sports().brackets[0]
+  t.equal(bracket.size, 32, 'size 32')
+  t.deepEqual(
+    bracket.rounds.map((r) => r.length),
+    [16, 8, 4, 2, 1],
+    '32-team rounds'
+  )
+  t.end()
+})
+
+test('sports standings', (t) => {
+  let str = `==Table==
+{| class="wikitable"
+! Pos !! Team !! Pld !! W !! D !! L !! GF !! GA !! GD !! Pts
+|-
+| 1 || [[Manchester City F.C.|Manchester City]] (C) || 38 || 32 || 2 || 4 || 106 || 27 || +79 || 98
+|-
+| 2 || [[Liverpool F.C.|Liverpool]] || 38 || 30 || 7 || 1 || 89 || 22 || +67 || 97
+|}
+{{Sports table
+|update=April 10, 2021
+|team1=TOR |team2=EDM
+|name_TOR=Toronto Maple Leafs
+|win_TOR=25 |loss_TOR=10 |otloss_TOR=4 |gf_TOR=120 |ga_TOR=90
+|name_EDM=Edmonton Oilers
+|win_EDM=22 |loss_EDM=15 |otloss_EDM=1
+}}`
+  let standings = wtf(str).sports().standings
+  t.equal(standings.length, 2, 'two tables')
+  let table = standings.find((s) => s.source === 'table')
+  t.equal(table.title, 'Table', 'title')
+  t.deepEqual(
+    table.rows[0],
+    {
+      position: 1,
+      team: 'Manchester City',
+      played: 38,
+      won: 32,
+      drawn: 2,
+      lost: 4,
+      goalsFor: 106,
+      goalsAgainst: 27,
+      points: 98,
+    },
+    'first row'
+  )
+  let module = standings.find((s) => s.source === 'sports table')
+  t.equal(module.rows[0].team, 'Toronto Maple Leafs', 'module team')
+  t.equal(module.rows[0].played, 39, 'module played')
+  t.equal(module.rows[1].position, 2, 'module position')
+  t.end()
+})
+
+test('sports table with draws', (t) => {
+  let str = `{{#invoke:sports table|main|style=WDL
+|team1=ARS |team2=CHE
+|name_ARS=[[Arsenal F.C.|Arsenal]]
+|win_ARS=26 |draw_ARS=6 |loss_ARS=6 |gf_ARS=88 |ga_ARS=43
+|name_CHE=[[Chelsea F.C.|Chelsea]]
+|win_CHE=18 |draw_CHE=9 |loss_CHE=11 |adjust_points_CHE=-2
+}}`
+  let rows = wtf(str).sports().standings[0].rows
+  t.deepEqual(
+    rows[0],
+    {
+      position: 1,
+      team: 'Arsenal',
+      played: 38,
+      won: 26,
+      drawn: 6,
+      lost: 6,
+      goalsFor: 88,
+      goalsAgainst: 43,
+      points: 84,
+    },
+    'draws and points'
+  )
+  t.equal(rows[1].points, 61, 'adjusted points')
+  t.end()
+})
+
+test('sports squads', (t) => {
+  let str = `==Squad==
+{{Fs start}}
+{{Fs player|no=1|nat=ESP|pos=GK|name=[[David de Gea]]}}
+{{Fs player|no=2|nat=SWE|pos=DF|name=[[Victor Lindelöf]]}}
+{{Fs end}}
+==National team==
+{{nat fs g player|no=1|pos=GK|name=[[Hugo Lloris]]|caps=104|club=[[Tottenham Hotspur F.C.|Tottenham Hotspur]]|clubnat=ENG}}
+{{player|9|ESP|[[Fernando Torres]]}}`
+  let squads = wtf(str).sports().squads
+  t.equal(squads.length, 2, 'two squads')
+  t.equal(squads[0].title, 'Squad', 'title')
+  t.deepEqual(
+    squads[0].players[1],
+    { number: 2, name: 'Victor Lindelöf', position: 'DF', nationality: 'SWE', club: null },
+    'fs player'
+  )
+  t.equal(squads[1].players[0].club, 'Tottenham Hotspur', 'club')
+  t.equal(squads[1].players[1].number, 9, 'player number')
+  t.end()
+})
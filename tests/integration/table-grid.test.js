@@ -0,0 +1,97 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+const election = `{| class="wikitable sortable" style="text-align:right"
+|+ 2019 election results
+|-
+! rowspan=2 | Party
+! colspan=2 | Votes
+! rowspan=2 | Date
+|-
+! # !! %
+|-
+| style="text-align:left" | [[Liberal Party|Liberal]] || 6,018,728 || 33.12% || October 21, 2019
+|-
+| {{sortname|Andrew|Scheer}} || data-sort-value="6239227" | 6,239,227 || 34.34% || {{dts|2019|10|21}}
+|-
+| colspan=2 | Total || 100% || —
+|}`
+
+test('table grid', (t) => {
+  let table = wtf(election).table()
+  let grid = table.grid()
+  t.equal(grid.length, 5, 'five rows')
+  t.deepEqual(
+    grid.map((row) => row.length),
+    [4, 4, 4, 4, 4],
+    'every row is 4 wide'
+  )
+  t.equal(grid[0][0], grid[1][0], 'rowspan fills down')
+  t.equal(grid[0][1], grid[0][2], 'colspan fills across')
+  t.equal(grid[0][1].colspan, 2, 'colspan')
+  t.equal(grid[0][0].rowspan, 2, 'rowspan')
+  t.equal(grid[1][2].text, '%', 'inline header cell')
+  t.equal(grid[1][2].header, true, 'is header')
+  t.equal(grid[2][0].text, 'Liberal', 'cell text')
+  t.equal(grid[2][0].header, false, 'not header')
+  t.deepEqual(grid[2][0].attributes, { style: 'text-align:left' }, 'cell attributes')
+  t.equal(grid[3][1].sortKey, '6239227', 'data-sort-value')
+  t.equal(grid[3][0].sortKey, 'Scheer, Andrew', '{{sortname}}')
+  t.equal(grid[3][3].sortKey, '2019-10-21', '{{dts}}')
+  t.equal(grid[4][0], grid[4][1], 'body colspan')
+  t.end()
+})
+
+test('table columns', (t) => {
+  let table = wtf(election).table()
+  t.equal(table.caption(), '2019 election results', 'caption')
+  let cols = table.columns()
+  t.deepEqual(
+    cols.map((c) => c.key),
+    ['Party', 'Votes / #', 'Votes / %', 'Date'],
+    'column keys'
+  )
+  t.deepEqual(cols[1].path, ['Votes', '#'], 'header path')
+  t.deepEqual(
+    cols.map((c) => c.type),
+    ['text', 'number', 'percent', 'date'],
+    'column types'
+  )
+  let rows = table.toRecords()
+  t.equal(rows.length, 3, 'three records')
+  t.deepEqual(rows[0], { Party: 'Liberal', 'Votes / #': 6018728, 'Votes / %': 33.12, Date: '2019-10-21' }, 'typed record')
+  t.equal(rows[2].Date, null, 'dash is null')
+  let csv = table.toCSV().split('\n')
+  t.equal(csv[0], 'Party,Votes / #,Votes / %,Date', 'csv header')
+  t.equal(csv[1], 'Liberal,"6,018,728",33.12%,"October 21, 2019"', 'csv quoting')
+  t.equal(csv.length, 4, 'csv rows')
+  t.end()
+})
+
+test('table grid without headers', (t) => {
+  let str = `{| class="wikitable"
+| a || b
+|-
+| rowspan="2" | c || "quoted" d
+|-
+| e
+|}`
+  let table = wtf(str).table()
+  t.equal(table.caption(), null, 'no caption')
+  t.deepEqual(
+    table.grid().map((row) => row.map((c) => c.text)),
+    [
+      ['a', 'b'],
+      ['c', '"quoted" d'],
+      ['c', 'e'],
+    ],
+    'rowspan shifts the next cell over'
+  )
+  t.deepEqual(
+    table.columns().map((c) => c.key),
+    ['col1', 'col2'],
+    'default keys'
+  )
+  t.equal(table.toCSV().split('\n')[2], 'c,"""quoted"" d"', 'csv escapes quotes')
+  t.end()
+})
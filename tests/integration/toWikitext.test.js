@@ -0,0 +1,89 @@
+const test = require('tape')
+const wtf = require('../lib')
+
+const str = `{{Infobox person
+| name        = Toronto Guy <!-- his name -->
+| birth_place = [[Toronto]]
+}}
+'''Toronto Guy''' is a [[person]] from [[Toronto|the city]].<ref name="a">{{cite web|title=Foo|url=http://x.com}}</ref> He was born {{birth date|1950|3|2}}.&nbsp;Cool.
+
+== History ==
+* one [[item]]s
+Some history here.<ref>plain ref</ref>
+[[Category:People]]`
+
+test('toWikitext-unchanged', (t) => {
+  t.equal(wtf(str).toWikitext(), str, 'no changes')
+  t.equal(wtf(str, { offsets: true }).toWikitext(), str, 'no changes with offsets')
+  t.equal(wtf('').toWikitext(), '', 'empty')
+  let redirect = '#REDIRECT [[Toronto]]'
+  t.equal(wtf(redirect).toWikitext(), redirect, 'redirect')
+  t.end()
+})
+
+test('toWikitext-edits', (t) => {
+  ;[true, false].forEach((offsets) => {
+    let doc = wtf(str, { offsets: offsets })
+    doc.infobox().set('name', 'Toronto Man')
+    doc.infobox().set('death_place', '[[Ottawa]]')
+    doc.link('person').page('Human')
+    doc.link('item').page('Thing')
+    doc.links().find((l) => l.text() === 'the city').page('Toronto, Ontario')
+    doc.reference(1).remove()
+    doc.templates().find((tmpl) => /birth date/.test(tmpl.wikitext())).set(1, 1951)
+    let want = `{{Infobox person
+| name        = Toronto Man
+| birth_place = [[Toronto]]
+| death_place = [[Ottawa]]
+}}
+'''Toronto Guy''' is a [[Human|person]] from [[Toronto, Ontario|the city]].<ref name="a">{{cite web|title=Foo|url=http://x.com}}</ref> He was born {{birth date|1951|3|2}}.&nbsp;Cool.
+
+== History ==
+* one [[Thing|item]]s
+Some history here.
+[[Category:People]]`
+    t.equal(doc.toWikitext(), want, `edits - offsets:${offsets}`)
+    t.equal(doc.references().length, 1, 'reference removed')
+    t.equal(doc.infobox().get('name').text(), 'Toronto Man', 'infobox data updated')
+  })
+  t.end()
+})
+
+test('toWikitext-nested', (t) => {
+  let wiki = `{{Infobox person
+| name = Guy
+| birth_place = [[Toronto]]
+}}
+Hi [[Toronto]] and [[fr:Paris]] and [[Montreal#Old|old]] x.`
+  let doc = wtf(wiki)
+  doc.infobox().set('name', 'Man')
+  doc.infobox().links()[0].page('Toronto, Ontario')
+  doc.links().forEach((l) => {
+    if (l.wiki()) {
+      l.page('Lyon')
+    }
+    if (l.anchor()) {
+      l.page('Montréal')
+    }
+  })
+  let want = `{{Infobox person
+| name = Man
+| birth_place = [[Toronto, Ontario|Toronto]]
+}}
+Hi [[Toronto]] and [[fr:Lyon|fr:Paris]] and [[Montréal#Old|old]] x.`
+  t.equal(doc.toWikitext(), want, 'link inside changed infobox')
+  t.end()
+})
+
+test('template-set', (t) => {
+  let doc = wtf(`Hello {{foo|bar|a = b}} there.`)
+  let tmpl = doc.template()
+  tmpl.set('a', 'c')
+  t.equal(tmpl.wikitext(), '{{foo|bar|a = c}}', 'named param')
+  tmpl.set(1, 'baz')
+  t.equal(tmpl.wikitext(), '{{foo|baz|a = c}}', 'numbered param')
+  tmpl.set('new', '[[x|y]]')
+  t.equal(tmpl.wikitext(), '{{foo|baz|a = c|new = [[x|y]]}}', 'added param')
+  t.equal(doc.toWikitext(), 'Hello {{foo|baz|a = c|new = [[x|y]]}} there.', 'toWikitext')
+  t.end()
+})
@@ -743,7 +743,7 @@ test('tables - get - if the clue is a number return the tables at that index', (
 test('templates - get - return all templates', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'Arts_Club_of_Chicago.txt'), 'utf-8')
   let doc = wtf(str)
-  const expected = [13, 12, 5, 4, 4, 7, 7, 18]
+  const expected = [13, 12, 5, 7, 7, 7, 7, 4, 4, 7, 7, 18]
   t.deepEqual(
     doc.templates().map((te) => te.json().template.length),
     expected,
@@ -763,7 +763,7 @@ test('templates - get - if the clue is a number return the templates at that ind
 test('templates - get - if the clue is any other type then return all templates', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'Arts_Club_of_Chicago.txt'), 'utf-8')
   let doc = wtf(str)
-  const expected = [13, 12, 5, 4, 4, 7, 7, 18]
+  const expected = [13, 12, 5, 7, 7, 7, 7, 4, 4, 7, 7, 18]
   t.deepEqual(
     doc.templates().map((te) => te.json().template.length),
     expected,
@@ -776,7 +776,7 @@ test('templates - get - if the clue is any other type then return all templates'
 test('references - get - return all templates', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'Arts_Club_of_Chicago.txt'), 'utf-8')
   let doc = wtf(str)
-  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,31,0,0,0,0,31,71,0,0,0,0,0,0,0,13,13,0,0,10,0,0,0'
+  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,0,31,0,0,0,31,71,0,0,0,0,0,0,0,0,0,13,13,10,0,0,0'
   t.equal(
     doc
       .references()
@@ -798,7 +798,7 @@ test('references - get - if the clue is a number return the references at that i
 test('references - get - if the clue is any other type then return all references', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'Arts_Club_of_Chicago.txt'), 'utf-8')
   let doc = wtf(str)
-  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,31,0,0,0,0,31,71,0,0,0,0,0,0,0,13,13,0,0,10,0,0,0'
+  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,0,31,0,0,0,31,71,0,0,0,0,0,0,0,0,0,13,13,10,0,0,0'
   t.deepEqual(
     doc
       .references('string')
@@ -814,7 +814,7 @@ test('references - get - if the clue is any other type then return all reference
 test('citations - get - return all templates', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'Arts_Club_of_Chicago.txt'), 'utf-8')
   let doc = wtf(str)
-  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,31,0,0,0,0,31,71,0,0,0,0,0,0,0,13,13,0,0,10,0,0,0'
+  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,0,31,0,0,0,31,71,0,0,0,0,0,0,0,0,0,13,13,10,0,0,0'
   t.equal(
     doc
       .citations()
@@ -836,7 +836,7 @@ test('citations - get - if the clue is a number return the citations at that ind
 test('citations - get - if the clue is any other type then return all references', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'Arts_Club_of_Chicago.txt'), 'utf-8')
   let doc = wtf(str)
-  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,31,0,0,0,0,31,71,0,0,0,0,0,0,0,13,13,0,0,10,0,0,0'
+  const expected = '19,3,33,32,44,0,0,0,0,0,0,0,0,31,0,0,0,31,71,0,0,0,0,0,0,0,0,0,13,13,10,0,0,0'
   t.equal(
     doc
       .citations('string')
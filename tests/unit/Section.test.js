@@ -269,7 +269,7 @@ test('images - get', (t) => {
 test('references - get', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'United-Kingdom.txt'), 'utf-8')
   let sec = wtf(str).section(0)
-  const expected = '15,104,58,38,50,0,0,0,30,33,34,0,71,0,56,85,16,59,64,29,0,0,0,0,0,26,60,0,35,87,90,42,0,0'
+  const expected = '15,56,85,104,58,16,59,64,29,0,0,0,0,38,0,50,0,0,0,26,60,30,33,34,0,35,0,71,87,0,90,42,0,0'
   t.equal(
     sec
       .references()
@@ -292,7 +292,7 @@ test('references - get - number', (t) => {
 test('references - get', (t) => {
   let str = fs.readFileSync(path.join(__dirname, '../', 'cache', 'United-Kingdom.txt'), 'utf-8')
   let sec = wtf(str).section(0)
-  const expected = '15,104,58,38,50,0,0,0,30,33,34,0,71,0,56,85,16,59,64,29,0,0,0,0,0,26,60,0,35,87,90,42,0,0'
+  const expected = '15,56,85,104,58,16,59,64,29,0,0,0,0,38,0,50,0,0,0,26,60,30,33,34,0,35,0,71,87,0,90,42,0,0'
   t.equal(
     sec
       .citations()
@@ -0,0 +1,115 @@
+const test = require('tape')
+const fetch = require('../../../src/_fetch')
+const { chunk } = require('../../../src/_fetch/fetchAll')
+
+//a tiny mediawiki api, for the 'titles' and 'pageids' params
+const mockWiki = function () {
+  let calls = []
+  let ids = {}
+  let transport = (url) => {
+    calls.push(url)
+    let params = new URL(url).searchParams
+    let query = { pages: {}, normalized: [], redirects: [] }
+    let titles = params.get('titles') ? params.get('titles').split('|') : []
+    titles.forEach((str) => {
+      let title = str.replace(/_/g, ' ')
+      title = title.charAt(0).toUpperCase() + title.substr(1)
+      if (title !== str) {
+        query.normalized.push({ from: str, to: title })
+      }
+      if (title === 'Old name') {
+        query.redirects.push({ from: title, to: 'New name', tofragment: 'History' })
+        title = 'New name'
+      }
+      if (/^Missing/.test(title)) {
+        query.pages['-' + title.length] = { ns: 0, title: title, missing: '' }
+        return
+      }
+      ids[title] = ids[title] || 1000 + Object.keys(ids).length
+      let id = ids[title]
+      query.pages[id] = { pageid: id, ns: 0, title: title, revisions: [{ '*': `'''${title}''' is a page.` }] }
+    })
+    let pageids = params.get('pageids') ? params.get('pageids').split('|') : []
+    pageids.forEach((id) => {
+      query.pages[id] = { pageid: Number(id), ns: 0, title: 'Page ' + id, revisions: [{ '*': 'page ' + id }] }
+    })
+    //only send half the content, then continue
+    let data = { batchcomplete: '', query: query }
+    let keys = Object.keys(query.pages).filter((k) => query.pages[k].revisions)
+    if (keys.length > 1 && !params.get('rvcontinue')) {
+      keys.slice(keys.length / 2).forEach((k) => delete query.pages[k].revisions)
+      data.continue = { rvcontinue: '123|456', continue: '||' }
+    }
+    return Promise.resolve({ ok: true, status: 200, headers: {}, json: () => Promise.resolve(data) })
+  }
+  transport.calls = calls
+  return transport
+}
+
+test('chunk', (t) => {
+  let arr = []
+  for (let i = 0; i < 120; i += 1) {
+    arr.push('title ' + i)
+  }
+  let groups = chunk(arr)
+  t.deepEqual(
+    groups.map((g) => g.length),
+    [50, 50, 20],
+    '50 at a time'
+  )
+  t.deepEqual(chunk(['a', 1, 'b', 2]), [['a', 'b'], [1, 2]], 'titles and ids separately')
+  t.deepEqual(chunk('a'), ['a'], 'single title')
+  t.end()
+})
+
+test('fetch many titles', async (t) => {
+  let transport = mockWiki()
+  let titles = []
+  for (let i = 0; i < 120; i += 1) {
+    titles.push(i === 60 ? 'Missing page' : 'Title ' + i)
+  }
+  let docs = await fetch(titles, { domain: 'http://mock.test', fetch: transport })
+  t.equal(docs.length, 120, 'all results')
+  t.equal(docs[0].title(), 'Title 0', 'first')
+  t.equal(docs[119].title(), 'Title 119', 'last')
+  t.equal(docs[60], null, 'null for missing page')
+  t.ok(
+    docs.every((doc, i) => i === 60 || doc.title() === titles[i]),
+    'input order'
+  )
+  t.ok(
+    docs.every((doc) => doc === null || doc.text() !== ''),
+    'all content, after continue'
+  )
+  t.equal(transport.calls.length, 6, '3 chunks, each with a continue')
+  t.end()
+})
+
+test('normalized and redirected titles', async (t) => {
+  let transport = mockWiki()
+  let docs = await fetch(['old_name', 'toronto', 'Missing', 4, 'Paris'], { domain: 'http://mock.test', fetch: transport })
+  t.deepEqual(
+    docs.map((doc) => (doc ? doc.title() : null)),
+    ['New name', 'Toronto', null, 'Page 4', 'Paris'],
+    'in order'
+  )
+  t.deepEqual(
+    docs[0].requested(),
+    { input: 'old_name', normalized: 'Old name', redirected: 'New name', fragment: 'History' },
+    'redirected'
+  )
+  t.deepEqual(
+    docs[1].requested(),
+    { input: 'toronto', normalized: 'Toronto', redirected: null, fragment: null },
+    'normalized'
+  )
+  t.equal(docs[3].requested().input, 4, 'pageID')
+  t.equal(docs[4].requested().normalized, null, 'unchanged')
+
+  //a single title still returns a document
+  let doc = await fetch('toronto', { domain: 'http://mock.test', fetch: transport })
+  t.equal(doc.title(), 'Toronto', 'one doc')
+  doc = await fetch('Missing', { domain: 'http://mock.test', fetch: transport })
+  t.equal(doc, null, 'one missing doc')
+  t.end()
+})
@@ -61,6 +61,7 @@ test('parse a normal case', (t) => {
         namespace: 0,
         wikidata: undefined,
         description: undefined,
+        requested: { input: 'Team_Liquid', normalized: 'Team Liquid', redirected: null, fragment: null },
       }
     }
   ]
@@ -119,7 +120,8 @@ test('parse a normal case from wikimedia', (t) => {
         namespace: 0,
         domain: 'wiktionary.org',
         wikidata: undefined,
-        description: undefined
+        description: undefined,
+        requested: { input: 'casa', normalized: null, redirected: null, fragment: null },
       }
     }
   ]
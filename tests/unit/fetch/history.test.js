@@ -0,0 +1,103 @@
+const test = require('tape')
+const fetch = require('../../../src/_fetch')
+const fetchHistory = require('../../../src/_fetch/history')
+
+//120 revisions of one page, newest-first
+const revisions = []
+for (let i = 120; i > 0; i -= 1) {
+  revisions.push({
+    revid: 1000 + i,
+    parentid: i > 1 ? 999 + i : 0,
+    timestamp: new Date(Date.UTC(2020, 0, i)).toISOString().replace('.000', ''),
+    user: 'User' + i,
+    comment: 'edit ' + i,
+    slots: { main: { '*': `Version ${i} of the page.` } },
+  })
+}
+
+const respond = (data) => Promise.resolve({ ok: true, status: 200, headers: {}, json: () => Promise.resolve(data) })
+
+//a mock api, for the 'revids', 'rvstart', and 'rvlimit' params
+const mockWiki = function () {
+  let calls = []
+  let transport = (url) => {
+    calls.push(url)
+    let params = new URL(url).searchParams
+    let page = { pageid: 7, ns: 0, title: 'Toronto' }
+    let list = revisions
+    if (params.get('revids')) {
+      list = list.filter((r) => String(r.revid) === params.get('revids'))
+      if (list.length === 0) {
+        return respond({ query: { badrevids: { [params.get('revids')]: { missing: '' } } } })
+      }
+    }
+    if (params.get('rvstart')) {
+      list = list.filter((r) => r.timestamp <= params.get('rvstart'))
+    }
+    if (params.get('rvend')) {
+      list = list.filter((r) => r.timestamp >= params.get('rvend'))
+    }
+    let start = Number(params.get('rvcontinue') || 0)
+    let limit = Number(params.get('rvlimit') || 1)
+    page.revisions = list.slice(start, start + limit)
+    let data = { query: { pages: { 7: page } } }
+    if (start + limit < list.length && params.get('rvlimit')) {
+      data.continue = { rvcontinue: String(start + limit), continue: '||' }
+    }
+    return respond(data)
+  }
+  transport.calls = calls
+  return transport
+}
+
+test('fetch a revision', async (t) => {
+  let transport = mockWiki()
+  let opts = { domain: 'http://mock.test', fetch: transport }
+  let doc = await fetch('Toronto', Object.assign({ revision: 1050 }, opts))
+  t.equal(doc.text(), 'Version 50 of the page.', 'revision text')
+  t.deepEqual(
+    doc.revision(),
+    { id: 1050, parentId: 1049, timestamp: '2020-02-19T00:00:00Z', user: 'User50', comment: 'edit 50' },
+    'revision metadata'
+  )
+  t.ok(/revids=1050/.test(transport.calls[0]), 'revids param')
+
+  doc = await fetch('Toronto', Object.assign({ revision: 99 }, opts))
+  t.equal(doc, null, 'missing revision')
+
+  doc = await fetch('Toronto', Object.assign({ timestamp: '2020-01-10T12:00:00Z' }, opts))
+  t.equal(doc.revision().id, 1010, 'revision as-of a time')
+  t.ok(/rvdir=older/.test(transport.calls[2]), 'older revisions')
+
+  doc = await fetch('Toronto', opts)
+  t.equal(doc.revision().id, 1120, 'latest revision')
+  t.end()
+})
+
+test('fetchHistory', async (t) => {
+  let transport = mockWiki()
+  let opts = { domain: 'http://mock.test', fetch: transport }
+  let ids = []
+  for await (const doc of fetchHistory('Toronto', opts)) {
+    ids.push(doc.revision().id)
+  }
+  t.equal(ids.length, 120, 'all revisions')
+  t.equal(ids[0], 1120, 'newest first')
+  t.equal(ids[119], 1001, 'oldest last')
+  t.equal(transport.calls.length, 3, 'followed continue')
+
+  let docs = []
+  for await (const doc of fetchHistory('Toronto', Object.assign({ limit: 60 }, opts))) {
+    docs.push(doc)
+  }
+  t.equal(docs.length, 60, 'limit')
+  t.equal(docs[59].text(), 'Version 61 of the page.', 'text')
+  t.equal(docs[0].title(), 'Toronto', 'title')
+
+  docs = []
+  for await (const doc of fetchHistory('Toronto', Object.assign({ since: '2020-04-01' }, opts))) {
+    docs.push(doc)
+  }
+  t.equal(docs[docs.length - 1].revision().timestamp, '2020-04-01T00:00:00Z', 'since')
+  t.end()
+})
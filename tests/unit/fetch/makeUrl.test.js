@@ -16,7 +16,7 @@ const tests = [
         "Tanja Morel"
       ]
     },
-    url: 'https://en.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=content&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&titles=Marina_Gilardoni%7CJessica_Kilian%7CTanja_Morel'
+    url: 'https://en.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=ids%7Ctimestamp%7Cuser%7Ccomment%7Ccontent&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&titles=Marina_Gilardoni%7CJessica_Kilian%7CTanja_Morel'
   },
   {
     options: {
@@ -26,7 +26,7 @@ const tests = [
       "path": "api.php",
       "title": "casa"
     },
-    url: 'https://it.wiktionary.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=content&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&titles=casa'
+    url: 'https://it.wiktionary.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=ids%7Ctimestamp%7Cuser%7Ccomment%7Ccontent&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&titles=casa'
   },
   {
     options: {
@@ -36,7 +36,7 @@ const tests = [
       "Api-User-Agent": "wtf_wikipedia test script - <spencermountain@gmail.com>",
       "title": 5321546
     },
-    url: 'https://nl.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=content&maxlag=5&rvslots=main&origin=*&format=json&pageids=5321546'
+    url: 'https://nl.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=ids%7Ctimestamp%7Cuser%7Ccomment%7Ccontent&maxlag=5&rvslots=main&origin=*&format=json&pageids=5321546'
   },
   {
     options: {
@@ -46,7 +46,7 @@ const tests = [
       "Api-User-Agent": "wtf_wikipedia test script - <spencermountain@gmail.com>",
       "title": [145422, 3120522]
     },
-    url: 'https://en.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=content&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&pageids=145422%7C3120522'
+    url: 'https://en.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=ids%7Ctimestamp%7Cuser%7Ccomment%7Ccontent&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&pageids=145422%7C3120522'
   },
   {
     options: {
@@ -56,7 +56,7 @@ const tests = [
       "Api-User-Agent": "wtf_wikipedia test script - <spencermountain@gmail.com>",
       "title": "Team_Liquid"
     },
-    url: 'https://liquipedia.net/counterstrike/api.php?action=query&prop=revisions%7Cpageprops&rvprop=content&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&titles=Team_Liquid'
+    url: 'https://liquipedia.net/counterstrike/api.php?action=query&prop=revisions%7Cpageprops&rvprop=ids%7Ctimestamp%7Cuser%7Ccomment%7Ccontent&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&titles=Team_Liquid'
   },
   {
     options: {
@@ -65,7 +65,7 @@ const tests = [
       "Api-User-Agent": "wtf_wikipedia test script - <spencermountain@gmail.com>",
       "title":  [145422, 3120522]
     },
-    url: 'https://en.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=content&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&pageids=145422%7C3120522'
+    url: 'https://en.wikipedia.org/w/api.php?action=query&prop=revisions%7Cpageprops&rvprop=ids%7Ctimestamp%7Cuser%7Ccomment%7Ccontent&maxlag=5&rvslots=main&origin=*&format=json&redirects=true&pageids=145422%7C3120522'
   },
   {
     options: {},
@@ -0,0 +1,187 @@
+const test = require('tape')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const request = require('../../../src/_fetch/request')
+const fetch = require('../../../src/_fetch')
+const WtfFetchError = require('../../../src/_fetch/WtfFetchError')
+
+//a fake response, like fetch() returns
+const respond = function (status, body, headers = {}) {
+  return {
+    ok: status < 400,
+    status: status,
+    headers: { get: (k) => headers[k] || null },
+    json: () => (typeof body === 'string' ? Promise.reject(new Error('bad json')) : Promise.resolve(body)),
+  }
+}
+
+//a mock transport, that plays responses in order
+const mock = function (responses) {
+  let calls = []
+  let fn = (url) => {
+    calls.push(url)
+    let res = responses[Math.min(calls.length - 1, responses.length - 1)]
+    return res instanceof Error ? Promise.reject(res) : Promise.resolve(res)
+  }
+  fn.calls = calls
+  return fn
+}
+
+const page = {
+  query: {
+    pages: {
+      1: { pageid: 1, ns: 0, title: 'Toronto', revisions: [{ slots: { main: { '*': 'Toronto is a [[city]].' } } }] },
+    },
+  },
+}
+
+test('custom transport', async (t) => {
+  let transport = mock([respond(200, page)])
+  let doc = await fetch('Toronto', { domain: 'http://localhost:8080', fetch: transport })
+  t.equal(transport.calls.length, 1, 'one call')
+  t.ok(transport.calls[0].indexOf('http://localhost:8080/api.php?') === 0, 'local url')
+  t.equal(doc.title(), 'Toronto', 'title')
+  t.equal(doc.link().page(), 'city', 'parsed')
+  t.end()
+})
+
+test('retries', async (t) => {
+  let opts = { retryDelay: 1 }
+  let transport = mock([respond(503, {}), respond(429, {}, { 'Retry-After': '0' }), respond(200, { ok: 1 })])
+  let res = await request('http://a.test/1', {}, { ...opts, fetch: transport })
+  t.deepEqual(res, { ok: 1 }, 'retried 5xx and 429')
+  t.equal(transport.calls.length, 3, '3 attempts')
+
+  let maxlag = { error: { code: 'maxlag', info: 'Waiting for a database server', lag: 7 } }
+  transport = mock([respond(200, maxlag, { 'Retry-After': '0' }), respond(200, { ok: 2 })])
+  res = await request('http://a.test/2', {}, { ...opts, fetch: transport })
+  t.deepEqual(res, { ok: 2 }, 'retried maxlag')
+
+  transport = mock([new Error('ECONNREFUSED'), respond(200, { ok: 3 })])
+  res = await request('http://a.test/3', {}, { ...opts, fetch: transport })
+  t.deepEqual(res, { ok: 3 }, 'retried network error')
+  t.end()
+})
+
+test('WtfFetchError', async (t) => {
+  let opts = { retryDelay: 1, retries: 2 }
+  let transport = mock([respond(503, {})])
+  try {
+    await request('http://b.test/1', {}, { ...opts, fetch: transport })
+    t.fail('should reject')
+  } catch (e) {
+    t.ok(e instanceof WtfFetchError, 'typed error')
+    t.equal(e.code, 'http', 'code')
+    t.equal(e.status, 503, 'status')
+    t.equal(e.attempts, 3, 'attempts')
+    t.equal(e.url, 'http://b.test/1', 'url')
+  }
+
+  transport = mock([respond(404, {})])
+  await request('http://b.test/2', {}, { ...opts, fetch: transport }).catch((e) => {
+    t.equal(e.status, 404, '404')
+    t.equal(transport.calls.length, 1, 'no retry on 404')
+  })
+
+  transport = mock([respond(200, { error: { code: 'badvalue', info: 'Unrecognized value' } })])
+  await request('http://b.test/3', {}, { ...opts, fetch: transport }).catch((e) => {
+    t.equal(e.code, 'badvalue', 'api error code')
+    t.equal(e.message, 'Unrecognized value', 'api error info')
+  })
+
+  transport = mock([respond(200, 'not json')])
+  await request('http://b.test/4', {}, { ...opts, fetch: transport }).catch((e) => {
+    t.equal(e.code, 'json', 'json error')
+  })
+
+  //wtf.fetch rejects
+  transport = mock([respond(500, {})])
+  await fetch('Toronto', { domain: 'http://b.test', fetch: transport, retries: 0 }).catch((e) => {
+    t.equal(e.code, 'http', 'fetch rejects')
+  })
+  //..or calls-back, without rejecting
+  transport = mock([respond(500, {})])
+  let called = null
+  let res = await fetch('Toronto', { domain: 'http://b.test', fetch: transport, retries: 0 }, (err) => (called = err))
+  t.equal(res, null, 'resolves null with a callback')
+  t.ok(called instanceof WtfFetchError, 'callback got error')
+  t.end()
+})
+
+test('cache', async (t) => {
+  let cache = new Map()
+  let transport = mock([respond(200, { n: 1 }), respond(200, { n: 2 })])
+  let a = await request('http://c.test/1', {}, { cache, fetch: transport })
+  let b = await request('http://c.test/1', {}, { cache, fetch: transport })
+  t.deepEqual(a, b, 'same response')
+  t.equal(transport.calls.length, 1, 'one request')
+  t.deepEqual(cache.get('http://c.test/1'), { n: 1 }, 'keyed by url')
+
+  await request('http://c.test/2', {}, { cache, fetch: transport })
+  t.equal(transport.calls.length, 2, 'new url, new request')
+
+  //on-disk
+  let dir = path.join(os.tmpdir(), 'wtf-cache-' + Date.now())
+  transport = mock([respond(200, { n: 3 })])
+  await request('http://c.test/3', {}, { cache: dir, fetch: transport })
+  let res = await request('http://c.test/3', {}, { cache: dir, fetch: transport })
+  t.deepEqual(res, { n: 3 }, 'disk cache')
+  t.equal(transport.calls.length, 1, 'read from disk')
+  fs.readdirSync(dir).forEach((f) => fs.unlinkSync(path.join(dir, f)))
+  fs.rmdirSync(dir)
+  t.end()
+})
+
+test('in-memory cache', async (t) => {
+  let transport = mock([respond(200, {})])
+  for (let i = 0; i <= 1000; i += 1) {
+    await request('http://m.test/' + i, {}, { cache: true, fetch: transport })
+  }
+  await request('http://m.test/1000', {}, { cache: true, fetch: transport })
+  t.equal(transport.calls.length, 1001, 'newest response is cached')
+  await request('http://m.test/0', {}, { cache: true, fetch: transport })
+  t.equal(transport.calls.length, 1002, 'oldest response is forgotten')
+  t.end()
+})
+
+test('limits', async (t) => {
+  let active = 0
+  let most = 0
+  let transport = () => {
+    active += 1
+    most = Math.max(most, active)
+    return new Promise((resolve) =>
+      setTimeout(() => {
+        active -= 1
+        resolve(respond(200, {}))
+      }, 5)
+    )
+  }
+  let all = []
+  for (let i = 0; i < 6; i += 1) {
+    all.push(request('http://d.test/' + i, {}, { concurrency: 2, fetch: transport }))
+  }
+  await Promise.all(all)
+  t.equal(most, 2, 'concurrency')
+
+  let start = Date.now()
+  all = []
+  for (let i = 0; i < 3; i += 1) {
+    all.push(request('http://e.test/' + i, {}, { rps: 20, fetch: mock([respond(200, {})]) }))
+  }
+  await Promise.all(all)
+  t.ok(Date.now() - start >= 90, 'requests-per-second')
+
+  //other limits, to the same host
+  active = 0
+  most = 0
+  all = []
+  for (let i = 0; i < 6; i += 1) {
+    all.push(request('http://d.test/' + i, {}, { concurrency: 1, fetch: transport }))
+    all.push(request('http://d.test/' + i, {}, { concurrency: 4, fetch: transport }))
+  }
+  await Promise.all(all)
+  t.equal(most, 5, 'limits are kept apart')
+  t.end()
+})
@@ -5,8 +5,11 @@ declare class Document {
   citation(clue?: number): Reference | null
   coordinate(clue?: number): object | null
   coordinates(clue?: number): object[]
+  dates(): WikiDate[]
   debug(): Document
   domain(str?: string): string | null
+  elections(): election[]
+  geojson(): object
   images(clue?: string | number): Image[]
   image(clue?: string | number): Image | null
   infoboxes(clue?: number): Infobox[]
@@ -22,28 +25,35 @@ declare class Document {
   link(clue?: number): string | null
   lists(clue?: number): List[]
   list(clue?: number): List | null
+  locations(): location[]
+  money(): moneyMention[]
   namespace(ns?: string): string | null
   ns: (ns?: string) => string | null
   pageID(id?: number): number | null
   paragraph(clue?: string | number): Paragraph | null
   paragraphs(clue?: string | number): Paragraph[]
+  quantities(): quantityMention[]
   plaintext: (options?: object) => string
   redirect: () => null | object
   redirects: () => null | object
   redirectsTo: () => null | object
   redirectTo(): null | object
+  revision(): null | { id: number; parentId: number | null; timestamp: string | null; user: string | null; comment: string | null }
+  requested(): null | { input: string | number; normalized: string | null; redirected: string | null; fragment: string | null }
   references(clue?: number): Reference[]
   reference(clue?: number): Reference | null
   section(clue?: string | number): Section | null
   sections(clue?: string | number): Section[]
   sentence(clue?: number): Sentence | null
   sentences(clue?: string | number): Sentence[]
+  sports(): sports
   tables(clue?: number): List[]
   table(clue?: number): List | null
   templates(clue?: number): List[]
   template(clue?: number): List | null
   text(options?: object): string
   title(str?: string): null | string
+  toWikitext(): string
   url(): string | null
   wikidata(id?: string): string | null
   wikitext(): string
@@ -78,6 +88,7 @@ declare class Section {
   templates(clue?: string | number): object | object[]
   text(options: object): string
   title(): string
+  offset(): offset | null
   wikitext(): string
 }
 
@@ -89,34 +100,75 @@ declare class Infobox {
   json(options: object): object
   keyValue(): object
   links(clue?: string): Link[]
+  set(key: string, val: string): Infobox
   template: () => string
   text(): string
   type(): string
+  typed(): { [key: string]: typedValue }
+  schema(): string | null
+  normalized(): { [key: string]: typedValue } | null
+  offset(): offset | null
   wikitext(): string
 }
 
 declare class Template {
   json(): object
+  set(key: string | number, val: string | number): Template
   text(): string
+  offset(): offset | null
   wikitext(): string
 }
 
+declare class WikiDate {
+  text(): string
+  year(): number
+  month(): number | null
+  day(): number | null
+  era(): 'CE' | 'BCE'
+  precision(): 'day' | 'month' | 'year' | 'decade' | 'century' | 'millennium'
+  calendar(): 'gregorian' | 'julian'
+  approximate(): boolean
+  isRange(): boolean
+  start(): WikiDate
+  end(): WikiDate | null
+  julian(): WikiDate | null
+  iso(): string
+  sentence(): Sentence | null
+  context(): dateContext
+  json(): object
+}
+
 declare class Table {
+  caption(): string | null
+  columns(): tableColumn[]
   get(keys?: string | string[]): object
+  grid(): tableCell[][]
   json(options: object): object
   keyval(options: object): object
   keyValue(options: object): object
   keyvalue(options: object): object
   links(n?: string): Link[]
   text(): string
+  toCSV(): string
+  toRecords(): object[]
+  offset(): offset | null
   wikitext(): string
 }
 
 declare class Reference {
   json(options?: object): object
   links(n?: string | number): Link[]
+  remove(): Reference
+  name(): string | null
+  group(): string | null
+  number(): number | null
+  citation(): citation
+  bibtex(): string
+  ris(): string
+  csl(): object
   text(): string
   title(): string
+  offset(): offset | null
   wikitext(): string
 }
 
@@ -129,6 +181,7 @@ declare class Paragraph {
   references(): Reference[]
   sentences(): Sentence[]
   text(options?: object): string
+  offset(): offset | null
   wikitext(): string
 }
 
@@ -144,12 +197,14 @@ declare class Image {
   thumb(size?: number): string
   thumbnail(size?: number): string
   url(): string
+  offset(): offset | null
   wikitext(): string
 }
 
 declare class Link {
   text(): string;
   json(): object;
+  offset(): offset | null;
   wikitext(): string;
   page(str?: string): string;
   anchor(str?: string): string;
@@ -162,8 +217,28 @@ declare class Link {
 declare class List {
   json(options?: object): object
   lines(): object[]
+  items(): ListItem[]
+  tree(): ListItem[]
   links(clue: string): Link[]
   text(): string
+  offset(): offset | null
+  wikitext(): string
+}
+
+declare class ListItem {
+  depth(): number
+  type(): 'unordered' | 'ordered' | 'definition'
+  number(): number | null
+  sentence(): Sentence
+  term(): Sentence | null
+  definition(): Sentence | null
+  definitions(): Sentence[]
+  children(): ListItem[]
+  parent(): ListItem | null
+  links(): Link[]
+  json(options?: object): object
+  text(): string
+  offset(): offset | null
   wikitext(): string
 }
 
@@ -178,7 +253,10 @@ declare class Sentence {
   link(clue?: string): Link | undefined
   links(clue?: string): Link[]
   plaintext: (str?: string) => string
+  references(): Reference[]
   text(str?: string): string
+  value(): typedValue
+  offset(): offset | null
   wikitext(): string
 }
 
@@ -192,28 +270,261 @@ type fetchDefaults = {
   lang?: string | undefined;
   title?: string | number | Array<string> | Array<number> | undefined;
   "Api-User-Agent"?: string | undefined;
+  fetch?: ((url: string, init?: object) => Promise<any>) | undefined;
+  cache?: boolean | string | { get(url: string): any; set(url: string, data: any): any } | undefined;
+  concurrency?: number | undefined;
+  rps?: number | undefined;
+  retries?: number | undefined;
+  retryDelay?: number | undefined;
+  chunkSize?: number | undefined;
+  revision?: number | undefined;
+  timestamp?: string | Date | undefined;
 };
 
-type fetchCallback = (error: any, response: (null | Document | Document[])) => any;
+type historyOptions = fetchDefaults & {
+  limit?: number | undefined;
+  since?: string | Date | undefined;
+};
+
+declare function fetchHistory(title: string | number, options?: historyOptions): AsyncGenerator<Document>;
+
+declare class WtfFetchError extends Error {
+  code: string;
+  url: string;
+  status: number | null;
+  attempts: number;
+  cause?: any;
+}
+
+type fetchCallback = (error: any, response: (null | Document | Array<Document | null>)) => any;
 
 declare function fetch(
   title: string | number | Array<number> | Array<string>,
   options?: fetchDefaults | undefined, callback?: fetchCallback
-): Promise<null | Document | Document[]>;
+): Promise<null | Document | Array<Document | null>>;
+
+type dumpOptions = {
+  namespace?: number | Array<number> | undefined;
+  skip_redirects?: boolean | undefined;
+  lang?: string | undefined;
+  domain?: string | undefined;
+};
+
+declare function fromDump(stream: any, options?: dumpOptions): AsyncGenerator<Document>;
+
+type expandOptions = {
+  resolver: ((name: string) => string | null | undefined | Promise<string | null | undefined>) | { [name: string]: string };
+  title?: string | undefined;
+  maxDepth?: number | undefined;
+  [key: string]: any;
+};
+
+declare function expand(wiki: string, options?: expandOptions): Promise<Document>;
+
+type change = {
+  type: 'section' | 'infobox' | 'category' | 'link' | 'reference' | 'sentence';
+  action: 'added' | 'removed' | 'changed' | 'renamed';
+  [key: string]: any;
+};
+
+declare function diff(a: Document | string, b: Document | string): change[];
+
+type offset = {
+  start: number;
+  end: number;
+}
+
+type citation = {
+  type: string;
+  title: string | null;
+  chapter: string | null;
+  authors: Array<{ first: string; last: string }>;
+  date: string | null;
+  accessDate: string | null;
+  archiveDate: string | null;
+  publisher: string | null;
+  work: string | null;
+  location: string | null;
+  volume: string | null;
+  issue: string | null;
+  pages: string | null;
+  language: string | null;
+  url: string | null;
+  archiveUrl: string | null;
+  urlStatus: 'live' | 'dead' | 'unfit' | 'usurped' | 'deviated' | null;
+  identifiers: { doi?: string; isbn?: string; pmid?: string; arxiv?: string; oclc?: string };
+  invalidIdentifiers: { [key: string]: string };
+}
+
+type location = {
+  lat: number;
+  lon: number;
+  primary: boolean;
+  display: string | null;
+  name: string | null;
+  type: string | null;
+  population: number | null;
+  region: string | null;
+  globe: string;
+  dim: number | null;
+  scale: number | null;
+  map?: string | null;
+  template: string;
+}
+
+type electionLine = {
+  votes: number | null;
+  percent: number | null;
+  swing: number | null;
+}
+
+type election = {
+  title: string | null;
+  source: 'election box' | 'infobox' | 'table';
+  candidates: Array<{
+    candidate: string | null;
+    party: string | null;
+    votes: number | null;
+    percent: number | null;
+    swing: number | null;
+    seats: number | null;
+    elected: boolean | null;
+    color: string | null;
+  }>;
+  turnout: electionLine | null;
+  majority: electionLine | null;
+  electorate: number | null;
+  result: 'gain' | 'hold' | null;
+  swing: number | null;
+}
+
+type money = {
+  amount: number;
+  currency: string | null;
+  year: number | null;
+  scale: string | null;
+}
+
+type moneyMention = money & {
+  text: string;
+  sentence: Sentence | null;
+}
+
+type quantity = {
+  value: number;
+  unit: string;
+  si: { value: number; unit: string; range?: number[] };
+  range?: number[];
+}
+
+type quantityMention = quantity & {
+  template: string;
+  text: string;
+}
+
+type dateContext = {
+  source: 'template' | 'infobox' | 'text';
+  template: string | null;
+  key: string | null;
+  section: string | null;
+}
+
+type sportsTeam = {
+  name: string | null;
+  score: number | null;
+}
+
+type sportsMatch = {
+  source: string;
+  date: string | null;
+  venue: string | null;
+  round: string | number | null;
+  teams: sportsTeam[];
+  winner: string | null;
+  attendance: number | null;
+}
+
+type sports = {
+  matches: sportsMatch[];
+  brackets: Array<{
+    source: string;
+    size: number;
+    rounds: Array<Array<{ round: number; teams: Array<sportsTeam & { seed: string | null }>; winner: string | null }>>;
+    champion: string | null;
+  }>;
+  standings: Array<{
+    source: 'sports table' | 'table';
+    title: string | null;
+    date: string | null;
+    rows: Array<{
+      position: number | null;
+      team: string | null;
+      played: number | null;
+      won: number | null;
+      drawn: number | null;
+      lost: number | null;
+      goalsFor: number | null;
+      goalsAgainst: number | null;
+      points: number | null;
+    }>;
+  }>;
+  squads: Array<{
+    title: string | null;
+    players: Array<{
+      number: number | null;
+      name: string | null;
+      position: string | null;
+      nationality: string | null;
+      club: string | null;
+    }>;
+  }>;
+}
+
+type tableCell = {
+  text: string;
+  header: boolean;
+  rowspan: number;
+  colspan: number;
+  attributes: { [key: string]: string };
+  sortKey: string | null;
+}
+
+type tableColumn = {
+  key: string;
+  path: string[];
+  type: 'number' | 'percent' | 'date' | 'text';
+}
+
+type typedValue = {
+  type: 'number' | 'quantity' | 'money' | 'date' | 'coordinates' | 'url' | 'list' | 'text';
+  value: number | string | string[] | quantity | money | { lat: number; lon: number };
+  text: string;
+  unit?: string | null;
+}
 
 declare function wtf(wiki: string, options?: object): Document
 declare namespace wtf {
   var version : string
   export { fetch }
+  export { fetchHistory }
+  export { fromDump }
+  export { expand }
+  export { diff }
   export { extend }
   export { extend as plugin }
   export { version }
+  export { WtfFetchError }
 }
 
 declare function extend(fn: Function): {
   (wiki: string, options: object): Document
   fetch: fetch
+  fetchHistory: typeof fetchHistory
+  fromDump: typeof fromDump
+  expand: typeof expand
+  diff: typeof diff
   extend: typeof extend
   plugin: typeof extend
   version: string
+  WtfFetchError: typeof WtfFetchError
 }